@@ -0,0 +1,289 @@
+// Страница /api-docs.html: описание API из GET /api/openapi.json и форма для
+// пробных запросов. Запросы идут с cookie текущей сессии, поэтому защищенные
+// методы работают после входа в библиотеку в этом же браузере
+const SPEC_URL = '/api/openapi.json';
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Глубина раскрытия вложенных схем: Book -> readingSessions -> ...
+const MAX_SCHEMA_DEPTH = 4;
+
+let spec = null;
+
+document.addEventListener('DOMContentLoaded', loadSpec);
+
+async function loadSpec() {
+    const loading = document.getElementById('apiLoading');
+    try {
+        const response = await fetch(SPEC_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        spec = await response.json();
+        renderSpec();
+    } catch (error) {
+        console.error('Ошибка загрузки описания API:', error);
+        document.getElementById('apiIntro').textContent = `Не удалось загрузить ${SPEC_URL}: ${error.message}`;
+    } finally {
+        loading.remove();
+    }
+}
+
+// Render Functions
+function renderSpec() {
+    document.title = `${spec.info.title} ${spec.info.version} - API`;
+    document.getElementById('apiIntro').textContent =
+        `${spec.info.title} ${spec.info.version}, OpenAPI ${spec.openapi}. ${spec.info.description || ''}`;
+
+    const groups = new Map((spec.tags || []).map(tag => [tag.name, []]));
+    Object.entries(spec.paths).forEach(([path, item]) => {
+        METHODS.filter(method => item[method]).forEach(method => {
+            const operation = item[method];
+            const tag = (operation.tags && operation.tags[0]) || 'Прочее';
+            if (!groups.has(tag)) groups.set(tag, []);
+            groups.get(tag).push({ path, method, operation });
+        });
+    });
+
+    const container = document.getElementById('apiOperations');
+    container.innerHTML = [...groups.entries()]
+        .filter(([, operations]) => operations.length > 0)
+        .map(([tag, operations]) => `
+            <section class="api-group">
+                <h2>${escapeHtml(tag)}</h2>
+                ${operations.map(renderOperation).join('')}
+            </section>
+        `).join('');
+
+    container.addEventListener('submit', handleTryRequest);
+}
+
+function renderOperation({ path, method, operation }) {
+    const parameters = operation.parameters || [];
+    const body = operation.requestBody ? resolve(operation.requestBody) : null;
+    const [bodyType, bodyMedia] = body ? Object.entries(body.content)[0] : [];
+    const isPublic = Array.isArray(operation.security) && operation.security.length === 0;
+
+    return `
+        <details class="api-operation api-method-${method}">
+            <summary>
+                <span class="api-method">${method.toUpperCase()}</span>
+                <code class="api-path">${escapeHtml(path)}</code>
+                <span class="api-summary">${escapeHtml(operation.summary || '')}</span>
+                ${isPublic ? '<span class="api-public">без входа</span>' : ''}
+            </summary>
+            ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+            ${parameters.length > 0 ? `
+                <h3>Параметры</h3>
+                <ul class="api-schema">${parameters.map(param => renderParameter(resolve(param))).join('')}</ul>
+            ` : ''}
+            ${body ? `
+                <h3>Тело запроса <code>${escapeHtml(bodyType)}</code></h3>
+                ${renderSchema(bodyMedia.schema)}
+            ` : ''}
+            <h3>Ответы</h3>
+            <ul class="api-responses">
+                ${Object.entries(operation.responses).map(([status, response]) => renderResponse(status, response)).join('')}
+            </ul>
+            ${renderTryForm(path, method, parameters.map(resolve), bodyType, bodyMedia)}
+        </details>
+    `;
+}
+
+function renderParameter(param) {
+    return `
+        <li>
+            <code>${escapeHtml(param.name)}</code>
+            <span class="api-in">${escapeHtml(param.in)}</span>
+            ${param.required ? '<span class="api-required">обязательный</span>' : ''}
+            <span class="api-type">${escapeHtml(describeType(param.schema))}</span>
+            ${param.description ? `<span class="api-description">${escapeHtml(param.description)}</span>` : ''}
+        </li>
+    `;
+}
+
+// Общие ответы (ошибки) из components только называем, чтобы не повторять их схемы у каждого метода
+function renderResponse(status, response) {
+    const resolved = resolve(response);
+    const media = resolved.content && Object.values(resolved.content)[0];
+    let schema = '';
+    if (response.$ref) {
+        schema = `<span class="api-ref">${escapeHtml(refName(response.$ref))}</span>`;
+    } else if (media && media.schema) {
+        schema = renderSchema(media.schema);
+    }
+    return `
+        <li>
+            <strong class="api-status api-status-${String(status)[0]}">${escapeHtml(status)}</strong>
+            ${escapeHtml(resolved.description || '')}
+            ${schema}
+        </li>
+    `;
+}
+
+// Схема в виде дерева полей: тип, ограничения и обязательность
+function renderSchema(schema, depth = 0) {
+    const name = schema.$ref ? refName(schema.$ref) : null;
+    const resolved = resolve(schema);
+    const target = resolved.type === 'array' ? resolve(resolved.items || {}) : resolved;
+    const properties = target.properties || {};
+    const required = target.required || [];
+    const title = `${name ? `<span class="api-ref">${escapeHtml(name)}</span> ` : ''}<span class="api-type">${escapeHtml(describeType(resolved))}</span>`;
+
+    if (Object.keys(properties).length === 0 || depth >= MAX_SCHEMA_DEPTH) {
+        return `<div class="api-schema-title">${title}</div>`;
+    }
+
+    return `
+        <div class="api-schema-title">${title}</div>
+        <ul class="api-schema">
+            ${Object.entries(properties).map(([field, property]) => `
+                <li>
+                    <code>${escapeHtml(field)}</code>
+                    ${required.includes(field) ? '<span class="api-required">обязательное</span>' : ''}
+                    ${hasProperties(property) ? renderSchema(property, depth + 1) : `<span class="api-type">${escapeHtml(describeType(property))}</span>`}
+                    ${resolve(property).description ? `<span class="api-description">${escapeHtml(resolve(property).description)}</span>` : ''}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+function hasProperties(schema) {
+    const resolved = resolve(schema);
+    const target = resolved.type === 'array' ? resolve(resolved.items || {}) : resolved;
+    return Boolean(target.properties);
+}
+
+// integer | null, 1..5, до 500 символов, one of: ...
+function describeType(schema = {}) {
+    if (schema.$ref) return refName(schema.$ref);
+
+    const resolved = resolve(schema);
+    let type = [].concat(resolved.type || 'any').join(' | ');
+    if (resolved.type === 'array' && resolved.items) {
+        type = `${describeType(resolved.items)}[]`;
+    }
+
+    const limits = [];
+    if (resolved.format) limits.push(resolved.format);
+    if (resolved.enum) limits.push(`одно из: ${resolved.enum.join(', ')}`);
+    if (resolved.minimum !== undefined || resolved.maximum !== undefined) {
+        limits.push(`${resolved.minimum ?? '…'}..${resolved.maximum ?? '…'}`);
+    }
+    if (resolved.minLength) limits.push(`от ${resolved.minLength} символов`);
+    if (resolved.maxLength) limits.push(`до ${resolved.maxLength} символов`);
+    if (resolved.maxItems) limits.push(`до ${resolved.maxItems} элементов`);
+    if (resolved.pattern) limits.push(`/${resolved.pattern}/`);
+    if (resolved.default !== undefined) limits.push(`по умолчанию ${resolved.default}`);
+
+    return limits.length > 0 ? `${type} (${limits.join('; ')})` : type;
+}
+
+// Try it out
+function renderTryForm(path, method, parameters, bodyType, bodyMedia) {
+    const inputs = parameters.filter(param => param.in === 'path' || param.in === 'query').map(param => `
+        <label>
+            <span><code>${escapeHtml(param.name)}</code>${param.required ? ' *' : ''}</span>
+            <input type="text" name="${escapeHtml(param.name)}" data-in="${escapeHtml(param.in)}"
+                   ${param.required ? 'required' : ''} placeholder="${escapeHtml(describeType(param.schema))}">
+        </label>
+    `).join('');
+
+    let body = '';
+    if (bodyType === 'application/json') {
+        body = `<textarea name="body" rows="6" spellcheck="false">${escapeHtml(JSON.stringify(exampleOf(bodyMedia.schema), null, 2))}</textarea>`;
+    } else if (bodyType === 'multipart/form-data') {
+        const [field] = Object.keys(resolve(bodyMedia.schema).properties);
+        body = `<label><span><code>${escapeHtml(field)}</code> *</span><input type="file" name="${escapeHtml(field)}" data-in="file" required></label>`;
+    }
+
+    return `
+        <form class="api-try" data-path="${escapeHtml(path)}" data-method="${method}" data-body="${escapeHtml(bodyType || '')}">
+            <h3>Попробовать</h3>
+            ${inputs}
+            ${body}
+            <button type="submit" class="btn btn-accent btn-small">Отправить</button>
+            <pre class="api-result" hidden></pre>
+        </form>
+    `;
+}
+
+async function handleTryRequest(e) {
+    e.preventDefault();
+    const form = e.target;
+    const result = form.querySelector('.api-result');
+    let path = form.dataset.path;
+    const query = new URLSearchParams();
+    const options = { method: form.dataset.method.toUpperCase(), headers: {} };
+
+    form.querySelectorAll('input[data-in]').forEach(input => {
+        if (input.dataset.in === 'path') {
+            path = path.replace(`{${input.name}}`, encodeURIComponent(input.value.trim()));
+        } else if (input.dataset.in === 'query' && input.value.trim() !== '') {
+            query.append(input.name, input.value.trim());
+        } else if (input.dataset.in === 'file') {
+            options.body = new FormData();
+            options.body.append(input.name, input.files[0]);
+        }
+    });
+
+    if (form.dataset.body === 'application/json') {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = form.elements.body.value;
+    }
+
+    result.hidden = false;
+    result.textContent = '…';
+    try {
+        const url = query.toString() ? `${path}?${query}` : path;
+        const response = await fetch(url, options);
+        const type = response.headers.get('Content-Type') || '';
+        let text = await response.text();
+        if (type.includes('application/json')) {
+            text = JSON.stringify(JSON.parse(text), null, 2);
+        }
+        result.textContent = `${options.method} ${url}\n${response.status} ${response.statusText}\n\n${text}`;
+    } catch (error) {
+        result.textContent = `Ошибка запроса: ${error.message}`;
+    }
+}
+
+// Заготовка тела запроса: обязательные поля и примеры
+function exampleOf(schema, depth = 0) {
+    const resolved = resolve(schema);
+    if (resolved.examples) return resolved.examples[0];
+    if (resolved.default !== undefined) return resolved.default;
+    if (resolved.enum) return resolved.enum[0];
+
+    const type = [].concat(resolved.type)[0];
+    if (type === 'object' && depth < MAX_SCHEMA_DEPTH) {
+        const fields = resolved.required || Object.keys(resolved.properties || {});
+        return Object.fromEntries(fields.map(field => [field, exampleOf(resolved.properties[field] || {}, depth + 1)]));
+    }
+    if (type === 'array') return [];
+    if (type === 'integer' || type === 'number') return resolved.minimum ?? 0;
+    if (type === 'boolean') return false;
+    if (type === 'string') return resolved.format === 'date-time' ? new Date().toISOString() : '';
+    return null;
+}
+
+// Utility Functions
+function refName(ref) {
+    return ref.split('/').pop();
+}
+
+// #/components/schemas/Book -> объект схемы (ссылки на ссылки тоже раскрываются)
+function resolve(value) {
+    let resolved = value;
+    while (resolved && resolved.$ref) {
+        resolved = resolved.$ref.slice(2).split('/').reduce((node, key) => node && node[key], spec);
+    }
+    return resolved || {};
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -4,131 +4,1852 @@ const API_URL = '/api';
 // State
 let books = [];
 let currentBookId = null;
-let currentFilters = {
-    genre: 'all',
-    isRead: 'all',
-    sortBy: 'dateAdded'
+let currentFilters = defaultFilters();
+let filterFacets = null;
+let searchTimeout = null;
+let pagination = {
+    total: 0,
+    page: 1,
+    hasMore: false,
+    nextCursor: null
 };
+let isLoadingBooks = false;
+let authMode = 'login';
+let isStatsPageOpen = false;
+let genres = [];
+let shelves = [];
+let recommendations = [];
+let bookEvents = null;
+let statsRefreshTimeout = null;
+let selectionMode = false;
+let duplicateGroups = [];
+let selectedBookIds = new Set();
+
+const SEARCH_DEBOUNCE_MS = 300;
+const STATS_REFRESH_DEBOUNCE_MS = 500;
+const PAGE_SIZE = 24;
+const DEFAULT_LOAN_DAYS = 14;
+const COVER_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const COVER_MAX_SIZE = 5 * 1024 * 1024;
+
+// Обложка, выбранная в форме книги: файл для загрузки или удаление загруженной
+let pendingCover = { file: null, remove: false, previewUrl: null };
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
-    loadBooks();
-    loadStats();
     setupEventListeners();
+    checkAuth();
 });
 
 // Event Listeners
 function setupEventListeners() {
+    document.getElementById('authForm').addEventListener('submit', handleAuthSubmit);
+    document.querySelectorAll('.auth-tab').forEach(tab => {
+        tab.addEventListener('click', () => setAuthMode(tab.dataset.mode));
+    });
+    document.getElementById('logoutBtn').addEventListener('click', logout);
     document.getElementById('addBookBtn').addEventListener('click', openAddBookModal);
+    document.getElementById('importBtn').addEventListener('click', openImportModal);
+    document.getElementById('importFile').addEventListener('change', previewImport);
+    document.getElementById('importConfirmBtn').addEventListener('click', confirmImport);
+    document.getElementById('exportBtn').addEventListener('click', exportBooks);
+    document.getElementById('selectModeBtn').addEventListener('click', toggleSelectionMode);
+    document.getElementById('bulkGenre').addEventListener('change', e => bulkUpdateFromSelect(e.target, 'genre'));
+    document.getElementById('bulkRating').addEventListener('change', e => bulkUpdateFromSelect(e.target, 'rating'));
+    document.getElementById('sessionForm').addEventListener('submit', handleSessionSubmit);
+    document.getElementById('loanForm').addEventListener('submit', handleLoanSubmit);
+    document.getElementById('statsToggleBtn').addEventListener('click', toggleStatsPage);
+    document.getElementById('statsMonths').addEventListener('change', loadDashboard);
+    document.getElementById('genresBtn').addEventListener('click', openGenresModal);
+    document.getElementById('trashBtn').addEventListener('click', openTrashModal);
+    document.getElementById('duplicatesBtn').addEventListener('click', openDuplicatesModal);
+    document.getElementById('isbnLookupBtn').addEventListener('click', lookupIsbn);
+    document.getElementById('addShelfBtn').addEventListener('click', createShelf);
+    document.getElementById('coverFile').addEventListener('change', handleCoverFileChange);
+    document.getElementById('coverUrl').addEventListener('input', updateCoverPreview);
+    document.getElementById('removeCoverBtn').addEventListener('click', removeUploadedCover);
+    document.querySelectorAll('.view-tab').forEach(tab => {
+        tab.addEventListener('click', () => showViewTab(tab.dataset.tab));
+    });
+    document.getElementById('emptyTrashBtn').addEventListener('click', emptyTrash);
+    document.getElementById('genreForm').addEventListener('submit', handleGenreCreate);
+    document.getElementById('activeTagBtn').addEventListener('click', () => setTagFilter(null));
+    document.getElementById('totalPages').addEventListener('input', syncReadStatus);
+    document.getElementById('currentPage').addEventListener('input', syncReadStatus);
+    document.getElementById('isRead').addEventListener('change', handleIsReadChange);
     document.getElementById('bookForm').addEventListener('submit', handleBookSubmit);
-    document.getElementById('genreFilter').addEventListener('change', handleFilterChange);
     document.getElementById('statusFilter').addEventListener('change', handleFilterChange);
+    document.getElementById('loanFilter').addEventListener('change', handleFilterChange);
+    document.getElementById('overdueCard').addEventListener('click', showOverdueBooks);
     document.getElementById('sortBy').addEventListener('change', handleFilterChange);
+    document.getElementById('searchInput').addEventListener('input', handleSearchInput);
+    document.getElementById('filterPanel').addEventListener('change', handleFilterPanelChange);
+    document.getElementById('resetFiltersBtn').addEventListener('click', resetFilters);
+    document.getElementById('loadMoreBtn').addEventListener('click', loadMoreBooks);
+
+    // Бесконечная прокрутка: подгружаем следующую страницу у конца списка
+    if ('IntersectionObserver' in window) {
+        const observer = new IntersectionObserver(entries => {
+            if (entries[0].isIntersecting) loadMoreBooks();
+        }, { rootMargin: '300px' });
+        observer.observe(document.getElementById('loadMore'));
+    }
+
+    // Rating stars
+    document.querySelectorAll('.star').forEach(star => {
+        star.addEventListener('click', handleRatingClick);
+        star.addEventListener('mouseenter', handleRatingHover);
+    });
+
+    document.querySelector('.rating-input').addEventListener('mouseleave', () => {
+        updateRatingDisplay(parseInt(document.getElementById('rating').value));
+    });
+
+    // Кнопки и карточки в разметке описывают действие атрибутом data-action
+    document.addEventListener('click', handleActionClick);
+    // error у картинок не всплывает, поэтому слушаем на фазе перехвата
+    document.addEventListener('error', handleImageError, true);
+}
+
+// Delegated Actions
+// Инлайновые onclick запрещены Content-Security-Policy, поэтому разметка
+// хранит только имя действия и данные (data-id и т.п.), а обработчик один
+const CLICK_ACTIONS = {
+    viewBook: el => viewBook(el.dataset.id),
+    openBookCard: el => openBookCard(el.dataset.id),
+    selectAllBooks: () => selectAllBooks(),
+    exitSelectionMode: () => setSelectionMode(false),
+    bulkSetRead: el => sendBulk('update', { isRead: el.dataset.value === 'true' }),
+    bulkDelete: () => bulkDelete(),
+    editBook: el => editBook(el.dataset.id),
+    deleteBook: el => deleteBook(el.dataset.id),
+    moveOnShelf: el => moveOnShelf(el.dataset.id, Number(el.dataset.delta)),
+    setTagFilter: el => setTagFilter(el.dataset.tag),
+    selectShelf: el => selectShelf(el.dataset.id || null),
+    renameShelf: el => renameShelf(el.dataset.id),
+    deleteShelf: el => deleteShelf(el.dataset.id),
+    toggleBookShelf: el => toggleBookShelf(el.dataset.id),
+    revertToVersion: el => revertToVersion(el.dataset.id),
+    restoreBook: el => restoreBook(el.dataset.id),
+    purgeBook: el => purgeBook(el.dataset.id),
+    renameGenre: el => renameGenre(el.dataset.id),
+    mergeGenre: el => mergeGenre(el.dataset.id),
+    deleteGenre: el => deleteGenre(el.dataset.id),
+    deleteSession: el => deleteSession(el.dataset.id),
+    returnBook: () => returnBook(),
+    openAddBookModal: () => openAddBookModal(),
+    closeModal: () => closeModal(),
+    closeGenresModal: () => closeGenresModal(),
+    closeTrashModal: () => closeTrashModal(),
+    closeDuplicatesModal: () => closeDuplicatesModal(),
+    mergeDuplicates: el => mergeDuplicates(Number(el.dataset.group)),
+    closeImportModal: () => closeImportModal(),
+    closeViewModal: () => closeViewModal(),
+    editBookFromView: () => editBookFromView(),
+    deleteBookFromView: () => deleteBookFromView(),
+    // Область внутри карточки (теги, кнопки), клик по которой не открывает книгу
+    none: () => {}
+};
+
+function handleActionClick(e) {
+    const target = e.target.closest('[data-action]');
+    const action = target && CLICK_ACTIONS[target.dataset.action];
+    if (action) action(target);
+}
+
+// Битая обложка заменяется заглушкой из data-fallback (один раз, без зацикливания)
+function handleImageError(e) {
+    const img = e.target;
+    if (img.tagName !== 'IMG' || !img.dataset.fallback || img.dataset.fallbackUsed) return;
+    img.dataset.fallbackUsed = 'true';
+    img.src = img.dataset.fallback;
+}
+
+// Auth Functions
+async function checkAuth() {
+    try {
+        const response = await fetch(`${API_URL}/auth/me`);
+        if (!response.ok) {
+            showAuthScreen();
+            return;
+        }
+
+        const { user } = await response.json();
+        showApp(user);
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        showAuthScreen();
+    }
+}
+
+async function handleAuthSubmit(e) {
+    e.preventDefault();
+
+    const errorEl = document.getElementById('authError');
+    errorEl.textContent = '';
+
+    try {
+        const response = await fetch(`${API_URL}/auth/${authMode}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('authUsername').value.trim(),
+                password: document.getElementById('authPassword').value
+            })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            errorEl.textContent = errorText(data);
+            return;
+        }
+
+        document.getElementById('authForm').reset();
+        showApp(data.user);
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        errorEl.textContent = 'Сервер недоступен, попробуйте позже';
+    }
+}
+
+async function logout() {
+    try {
+        await fetch(`${API_URL}/auth/logout`, { method: 'POST' });
+    } catch (error) {
+        console.error('Ошибка:', error);
+    }
+
+    books = [];
+    showAuthScreen();
+}
+
+function setAuthMode(mode) {
+    authMode = mode;
+    document.querySelectorAll('.auth-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.mode === mode);
+    });
+    document.getElementById('authSubmit').textContent = mode === 'login' ? 'Войти' : 'Зарегистрироваться';
+    document.getElementById('authPassword').autocomplete = mode === 'login' ? 'current-password' : 'new-password';
+    document.getElementById('authError').textContent = '';
+}
+
+function showAuthScreen() {
+    disconnectBookEvents();
+    document.getElementById('appContainer').style.display = 'none';
+    document.getElementById('authScreen').style.display = 'flex';
+}
+
+function showApp(user) {
+    document.getElementById('authScreen').style.display = 'none';
+    document.getElementById('appContainer').style.display = 'block';
+    document.getElementById('currentUser').textContent = `👤 ${user.username}`;
+    readFiltersFromUrl();
+    loadGenres();
+    loadTags();
+    loadShelves();
+    loadBooks();
+    loadStats();
+    loadRecommendations();
+    connectBookEvents();
+}
+
+// fetch, который при истекшей сессии возвращает на экран входа
+async function apiFetch(url, options) {
+    const response = await fetch(url, options);
+    if (response.status === 401) {
+        showAuthScreen();
+        throw new Error('Требуется авторизация');
+    }
+    return response;
+}
+
+// Текст ошибки API: сообщения по полям из errors или общее message
+function errorText(result) {
+    return result.errors?.length ? result.errors.map(error => error.message).join('. ') : result.message;
+}
+
+// Подсвечивает поля формы книги с ошибками: field в ответе совпадает с id поля
+function markInvalidFields(errors = []) {
+    document.querySelectorAll('#bookForm .field-invalid').forEach(input => input.classList.remove('field-invalid'));
+    errors.forEach(error => {
+        const input = error.field ? document.getElementById(error.field) : null;
+        if (input && input.form?.id === 'bookForm') input.classList.add('field-invalid');
+    });
+}
+
+// API Functions
+async function fetchBooksPage(extraParams = {}) {
+    const params = filtersToParams({ ...currentFilters, limit: PAGE_SIZE, ...extraParams });
+    const response = await apiFetch(`${API_URL}/books?${params}`);
+    if (!response.ok) throw new Error('Ошибка загрузки книг');
+
+    const data = await response.json();
+    pagination = {
+        total: data.total,
+        page: data.page,
+        hasMore: data.hasMore,
+        nextCursor: data.nextCursor
+    };
+    if (data.facets) {
+        filterFacets = data.facets;
+    }
+    return data.books;
+}
+
+// Счетчики фасетов приходят только с первой страницей
+async function loadBooks() {
+    isLoadingBooks = true;
+    syncFiltersToUrl();
+    try {
+        books = await fetchBooksPage({ facets: true });
+        renderBooks();
+        renderFilterPanel();
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        showNotification('Ошибка при загрузке книг', 'error');
+    } finally {
+        isLoadingBooks = false;
+    }
+}
+
+async function loadMoreBooks() {
+    if (isLoadingBooks || !pagination.hasMore) return;
+
+    isLoadingBooks = true;
+    try {
+        // Курсор стабильнее номера страницы, но при сортировке по релевантности его нет
+        const nextPage = pagination.nextCursor
+            ? { cursor: pagination.nextCursor }
+            : { page: (pagination.page || 1) + 1 };
+
+        const newBooks = await fetchBooksPage(nextPage);
+        books = books.concat(newBooks);
+        appendBooks(newBooks);
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        showNotification('Ошибка при загрузке книг', 'error');
+    } finally {
+        isLoadingBooks = false;
+    }
+}
+
+async function loadStats() {
+    try {
+        const response = await apiFetch(`${API_URL}/stats`);
+        if (!response.ok) throw new Error('Ошибка загрузки статистики');
+
+        const stats = await response.json();
+        document.getElementById('totalBooks').textContent = stats.total;
+        document.getElementById('readBooks').textContent = stats.read;
+        document.getElementById('unreadBooks').textContent = stats.unread;
+        document.getElementById('avgRating').textContent = stats.averageRating;
+        document.getElementById('onLoanBooks').textContent = stats.onLoan;
+        document.getElementById('overdueBooks').textContent = stats.overdue;
+        document.getElementById('overdueCard').classList.toggle('stat-card-alert', stats.overdue > 0);
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+    }
+}
+
+// Read Next: рекомендации по прочитанным книгам с оценкой 4-5
+async function loadRecommendations() {
+    try {
+        const response = await apiFetch(`${API_URL}/recommendations`);
+        if (!response.ok) throw new Error('Ошибка загрузки рекомендаций');
+
+        const data = await response.json();
+        recommendations = data.recommendations;
+        renderRecommendations();
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+    }
+}
+
+function renderRecommendations() {
+    document.getElementById('readNext').style.display = recommendations.length > 0 ? 'block' : 'none';
+    document.getElementById('readNextList').innerHTML = recommendations.map(({ book, reasons }) => `
+        <div class="read-next-card" data-action="viewBook" data-id="${escapeHtml(book._id)}"
+             title="${escapeHtml(reasons.map(reason => reason.text).join('\n'))}">
+            <img class="read-next-cover"
+                 src="${escapeHtml(coverSrc(book))}"
+                 alt="${escapeHtml(book.title)}"
+                 loading="lazy"
+                 data-fallback="${escapeHtml(placeholderSrc(book))}">
+            <div class="read-next-info">
+                <div class="read-next-book">${escapeHtml(book.title)}</div>
+                <div class="read-next-author">${escapeHtml(book.author)}</div>
+                ${reasons.slice(0, 2).map(reason => `<div class="read-next-reason">${escapeHtml(reason.text)}</div>`).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+// Книга из списка или из рекомендаций (рекомендованной может не быть на загруженных страницах)
+function findBook(id) {
+    return books.find(b => b._id === id) ||
+        recommendations.map(item => item.book).find(b => b._id === id);
+}
+
+async function createBook(bookData) {
+    try {
+        const response = await apiFetch(`${API_URL}/books`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(bookData)
+        });
+
+        if (!response.ok) {
+            const result = await response.json();
+            markInvalidFields(result.errors);
+            throw new Error(errorText(result));
+        }
+
+        const book = await response.json();
+        await saveCoverChanges(book._id);
+
+        showNotification('Книга успешно добавлена!', 'success');
+        loadBooks();
+        loadTags();
+        loadStats();
+        closeModal();
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        showNotification(error.message || 'Ошибка при добавлении книги', 'error');
+    }
+}
+
+// Заголовок If-Match: сервер отклонит запись, если книгу уже изменили в другом окне
+function versionHeaders(version) {
+    return version === undefined || version === '' ? {} : { 'If-Match': `"${version}"` };
+}
+
+async function updateBook(id, bookData, version) {
+    try {
+        const response = await apiFetch(`${API_URL}/books/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...versionHeaders(version) },
+            body: JSON.stringify(bookData)
+        });
+
+        if (response.status === 409) {
+            const result = await response.json();
+            // Конфликт версий: предлагаем перезаписать чужие изменения своими
+            if (result.book) {
+                if (confirm('Книгу изменили в другом окне. Сохранить ваши изменения поверх?')) {
+                    return updateBook(id, bookData, result.book.version || 0);
+                }
+                loadBooks();
+                closeModal();
+                return;
+            }
+            throw new Error(result.message);
+        }
+
+        if (!response.ok) {
+            const result = await response.json();
+            markInvalidFields(result.errors);
+            throw new Error(errorText(result));
+        }
+
+        await saveCoverChanges(id);
+
+        showNotification('Книга успешно обновлена!', 'success');
+        loadBooks();
+        loadTags();
+        loadStats();
+        closeModal();
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        showNotification(error.message || 'Ошибка при обновлении книги', 'error');
+    }
+}
+
+async function deleteBook(id) {
+    if (!confirm('Переместить книгу в корзину?')) return;
+
+    const book = findBook(id);
+    // Закрываем сразу: событие синхронизации об этой же книге может прийти раньше ответа
+    closeViewModal();
+
+    try {
+        const response = await apiFetch(`${API_URL}/books/${id}`, {
+            method: 'DELETE',
+            headers: versionHeaders(book ? book.version || 0 : undefined)
+        });
+
+        if (response.status === 409) {
+            const result = await response.json();
+            showNotification(result.message, 'error');
+            loadBooks();
+            return;
+        }
+
+        if (!response.ok) throw new Error('Ошибка удаления книги');
+
+        showNotification('Книга перемещена в корзину', 'success');
+        loadBooks();
+        loadShelves();
+        loadStats();
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        showNotification('Ошибка при удалении книги', 'error');
+    }
+}
+
+// Shelves
+async function loadShelves() {
+    try {
+        const response = await apiFetch(`${API_URL}/shelves`);
+        if (!response.ok) throw new Error('Ошибка загрузки полок');
+
+        shelves = await response.json();
+
+        // Выбранную полку могли удалить в другой вкладке
+        if (currentFilters.shelf && !shelves.some(shelf => shelf._id === currentFilters.shelf)) {
+            selectShelf(null);
+        }
+        renderShelves();
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+    }
+}
+
+function renderShelves() {
+    const list = document.getElementById('shelvesList');
+    const current = currentFilters.shelf || null;
+
+    list.innerHTML = `
+        <li class="shelf-item ${current ? '' : 'active'}" data-action="selectShelf">
+            <span class="shelf-name">Вся библиотека</span>
+        </li>
+        ${shelves.map(shelf => `
+            <li class="shelf-item ${shelf._id === current ? 'active' : ''}" data-action="selectShelf" data-id="${escapeHtml(shelf._id)}">
+                <span class="shelf-name" title="${escapeHtml(shelf.description || shelf.name)}">${escapeHtml(shelf.name)}</span>
+                <span class="shelf-count">${shelf.bookCount}</span>
+                ${shelf._id === current ? `
+                    <span class="shelf-actions" data-action="none">
+                        <button class="shelf-action" data-action="renameShelf" data-id="${escapeHtml(shelf._id)}" title="Переименовать">✏️</button>
+                        <button class="shelf-action" data-action="deleteShelf" data-id="${escapeHtml(shelf._id)}" title="Удалить полку">🗑</button>
+                    </span>
+                ` : ''}
+            </li>
+        `).join('')}
+    `;
+}
+
+// На полке по умолчанию показываем книги в порядке полки
+function selectShelf(id) {
+    if (id) {
+        currentFilters.shelf = id;
+        currentFilters.sortBy = 'shelf';
+    } else {
+        delete currentFilters.shelf;
+        if (currentFilters.sortBy === 'shelf') currentFilters.sortBy = 'dateAdded';
+    }
+    updateShelfSortOption();
+
+    renderShelves();
+    loadBooks();
+}
+
+// Сортировка "по порядку на полке" есть в списке, только пока выбрана полка
+function updateShelfSortOption() {
+    const sortSelect = document.getElementById('sortBy');
+    let shelfOption = sortSelect.querySelector('option[value="shelf"]');
+
+    if (currentFilters.shelf && !shelfOption) {
+        shelfOption = new Option('По порядку на полке', 'shelf');
+        sortSelect.prepend(shelfOption);
+    } else if (!currentFilters.shelf) {
+        shelfOption?.remove();
+    }
+    sortSelect.value = currentFilters.sortBy;
+}
+
+function isShelfOrder() {
+    return Boolean(currentFilters.shelf) && currentFilters.sortBy === 'shelf';
+}
+
+async function createShelf() {
+    const name = prompt('Название новой полки:');
+    if (!name || !name.trim()) return;
+
+    try {
+        const shelf = await sendJsonRequest(`${API_URL}/shelves`, 'POST', { name: name.trim() });
+        showNotification('Полка создана', 'success');
+        await loadShelves();
+        selectShelf(shelf._id);
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function renameShelf(id) {
+    const shelf = shelves.find(s => s._id === id);
+    const name = prompt('Новое название полки:', shelf.name);
+    if (!name || name.trim() === shelf.name) return;
+
+    try {
+        await sendJsonRequest(`${API_URL}/shelves/${id}`, 'PUT', { name: name.trim() });
+        showNotification('Полка переименована', 'success');
+        loadShelves();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function deleteShelf(id) {
+    const shelf = shelves.find(s => s._id === id);
+    if (!confirm(`Удалить полку "${shelf.name}"? Книги останутся в библиотеке.`)) return;
+
+    try {
+        await sendJsonRequest(`${API_URL}/shelves/${id}`, 'DELETE');
+        showNotification('Полка удалена', 'success');
+        selectShelf(null);
+        loadShelves();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function toggleBookShelf(shelfId) {
+    const shelf = shelves.find(s => s._id === shelfId);
+    const onShelf = shelf.bookIds.includes(currentBookId);
+
+    try {
+        const updated = onShelf
+            ? await sendJsonRequest(`${API_URL}/shelves/${shelfId}/books/${currentBookId}`, 'DELETE')
+            : await sendJsonRequest(`${API_URL}/shelves/${shelfId}/books`, 'POST', { bookId: currentBookId });
+
+        shelves = shelves.map(s => (s._id === shelfId ? updated : s));
+        renderShelves();
+        renderBookShelves(currentBookId);
+        if (currentFilters.shelf === shelfId) loadBooks();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function renderBookShelves(bookId) {
+    const container = document.getElementById('viewShelves');
+    container.innerHTML = shelves.length > 0
+        ? shelves.map(shelf => `
+            <button class="tag-chip ${shelf.bookIds.includes(bookId) ? 'tag-chip-active' : ''}"
+                    data-action="toggleBookShelf" data-id="${escapeHtml(shelf._id)}">
+                ${shelf.bookIds.includes(bookId) ? '✓ ' : '+ '}${escapeHtml(shelf.name)}
+            </button>
+        `).join('')
+        : '<span class="muted">Полок пока нет - создайте первую в боковой панели</span>';
+}
+
+// Сдвигает книгу к соседней видимой карточке (с учетом остальных фильтров)
+async function moveOnShelf(bookId, delta) {
+    const shelf = shelves.find(s => s._id === currentFilters.shelf);
+    const neighbour = books[books.findIndex(b => b._id === bookId) + delta];
+    if (!shelf || !neighbour) return;
+
+    const order = shelf.bookIds.filter(id => id !== bookId);
+    const target = order.indexOf(neighbour._id) + (delta > 0 ? 1 : 0);
+    order.splice(target, 0, bookId);
+
+    try {
+        const updated = await sendJsonRequest(`${API_URL}/shelves/${shelf._id}/books`, 'PUT', { bookIds: order });
+        shelves = shelves.map(s => (s._id === shelf._id ? updated : s));
+        loadBooks();
+    } catch (error) {
+        showNotification(error.message, 'error');
+        loadShelves();
+    }
+}
+
+// Covers
+function coverSrc(book, size = 'thumb') {
+    if (book.cover) {
+        return `${API_URL}/covers/${size === 'thumb' ? book.cover.thumbId : book.cover.fileId}`;
+    }
+    return isSafeCoverUrl(book.coverUrl) ? book.coverUrl : placeholderSrc(book);
+}
+
+// Внешние обложки - только http(s): javascript: и прочие схемы в src не пускаем
+function isSafeCoverUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+function placeholderSrc(book) {
+    const params = new URLSearchParams({ title: book.title || '', author: book.author || '' });
+    return `${API_URL}/covers/placeholder?${params}`;
+}
+
+function resetPendingCover() {
+    if (pendingCover.previewUrl) URL.revokeObjectURL(pendingCover.previewUrl);
+    pendingCover = { file: null, remove: false, previewUrl: null };
+    document.getElementById('coverFile').value = '';
+}
+
+function handleCoverFileChange(e) {
+    const file = e.target.files[0];
+    resetPendingCover();
+    if (!file) return updateCoverPreview();
+
+    if (!COVER_TYPES.includes(file.type)) {
+        showNotification('Обложка должна быть изображением JPEG, PNG, WebP или GIF', 'error');
+        return updateCoverPreview();
+    }
+    if (file.size > COVER_MAX_SIZE) {
+        showNotification(`Файл больше ${COVER_MAX_SIZE / 1024 / 1024} МБ`, 'error');
+        return updateCoverPreview();
+    }
+
+    pendingCover.file = file;
+    pendingCover.previewUrl = URL.createObjectURL(file);
+    updateCoverPreview();
+}
+
+function removeUploadedCover() {
+    resetPendingCover();
+    pendingCover.remove = true;
+    updateCoverPreview();
+}
+
+// Предпросмотр: выбранный файл > загруженная обложка > URL > заглушка
+function updateCoverPreview() {
+    const book = books.find(b => b._id === document.getElementById('bookId').value);
+    const uploaded = book?.cover && !pendingCover.remove;
+    const preview = document.getElementById('coverPreview');
+    const draft = {
+        title: document.getElementById('title').value.trim(),
+        author: document.getElementById('author').value.trim(),
+        coverUrl: document.getElementById('coverUrl').value.trim(),
+        cover: uploaded ? book.cover : null
+    };
+
+    preview.onerror = () => {
+        preview.onerror = null;
+        preview.src = placeholderSrc(draft);
+    };
+    preview.src = pendingCover.previewUrl || coverSrc(draft);
+    document.getElementById('removeCoverBtn').style.display =
+        pendingCover.file || uploaded ? 'inline-block' : 'none';
+}
+
+// Загрузка или удаление обложки после сохранения книги (для новой книги нужен ее ID)
+async function saveCoverChanges(bookId) {
+    const { file, remove } = pendingCover;
+    if (!file && !remove) return;
+
+    let response;
+    if (file) {
+        const formData = new FormData();
+        formData.append('cover', file);
+        response = await apiFetch(`${API_URL}/books/${bookId}/cover`, { method: 'POST', body: formData });
+    } else {
+        response = await apiFetch(`${API_URL}/books/${bookId}/cover`, { method: 'DELETE' });
+    }
+
+    if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        showNotification(`Книга сохранена, но обложка - нет: ${result.message || 'ошибка загрузки'}`, 'error');
+    }
+    resetPendingCover();
+}
+
+// ISBN lookup: заполняет только пустые поля, чтобы не затереть введенное вручную
+async function lookupIsbn() {
+    const isbn = document.getElementById('isbn').value.trim();
+    if (!isbn) {
+        showNotification('Введите ISBN', 'error');
+        return;
+    }
+
+    const button = document.getElementById('isbnLookupBtn');
+    button.disabled = true;
+
+    try {
+        const response = await apiFetch(`${API_URL}/isbn/${encodeURIComponent(isbn)}`);
+        const result = await response.json();
+
+        const bookId = document.getElementById('bookId').value;
+        if (result.existingBook && result.existingBook._id !== bookId) {
+            const place = result.existingBook.deletedAt ? ' (в корзине)' : '';
+            showNotification(`Эта книга уже есть в библиотеке${place}: ${result.existingBook.title}`, 'error');
+        }
+        if (!response.ok) throw new Error(result.message);
+
+        document.getElementById('isbn').value = formatIsbn(result.isbn);
+        ['title', 'author', 'year', 'description', 'totalPages', 'coverUrl'].forEach(field => {
+            const input = document.getElementById(field);
+            if (result[field] !== undefined && !input.value) input.value = result[field];
+        });
+
+        const genreSelect = document.getElementById('genre');
+        if (result.genre && !genreSelect.value && genres.some(genre => genre.name === result.genre)) {
+            genreSelect.value = result.genre;
+        }
+        if (result.tags?.length) {
+            const tagsInput = document.getElementById('tags');
+            tagsInput.value = [...new Set([...parseTags(tagsInput.value), ...result.tags])].join(', ');
+        }
+
+        syncReadStatus();
+        updateCoverPreview();
+        showNotification(`Данные найдены (${result.source})`, 'success');
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        showNotification(error.message || 'Ошибка при поиске по ISBN', 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// 9785389016866 -> 978-5389016866: без таблицы диапазонов отделяем только префикс
+function formatIsbn(isbn) {
+    return isbn ? `${isbn.slice(0, 3)}-${isbn.slice(3)}` : '';
+}
+
+// History
+const FIELD_LABELS = {
+    title: 'Название',
+    author: 'Автор',
+    isbn: 'ISBN',
+    genre: 'Жанр',
+    year: 'Год',
+    description: 'Описание',
+    notes: 'Заметки',
+    coverUrl: 'Обложка',
+    rating: 'Рейтинг',
+    isRead: 'Прочитана',
+    tags: 'Теги',
+    totalPages: 'Страниц',
+    currentPage: 'Текущая страница',
+    startedAt: 'Начало чтения',
+    finishedAt: 'Окончание чтения',
+    readingSessions: 'Сессии чтения'
+};
+
+const HISTORY_ACTIONS = {
+    create: '➕ Создана',
+    update: '✏️ Изменена',
+    delete: '🗑 Перемещена в корзину',
+    restore: '♻️ Восстановлена',
+    purge: '❌ Удалена навсегда',
+    revert: '↩️ Откат к версии',
+    merge: '👯 Объединена с дубликатами'
+};
+
+function showViewTab(tab) {
+    document.querySelectorAll('.view-tab').forEach(button => {
+        button.classList.toggle('active', button.dataset.tab === tab);
+    });
+    document.getElementById('viewDetailsTab').style.display = tab === 'details' ? 'grid' : 'none';
+    document.getElementById('viewHistoryTab').style.display = tab === 'history' ? 'block' : 'none';
+
+    if (tab === 'history') loadHistory(currentBookId);
+}
+
+async function loadHistory(bookId) {
+    const list = document.getElementById('historyList');
+
+    try {
+        const response = await apiFetch(`${API_URL}/books/${bookId}/history`);
+        if (!response.ok) throw new Error('Ошибка загрузки истории');
+
+        const history = await response.json();
+        list.innerHTML = history.length > 0
+            ? history.map((entry, index) => `
+                <li class="history-entry">
+                    <div class="history-header">
+                        <strong>${escapeHtml(HISTORY_ACTIONS[entry.action] || entry.action)}</strong>
+                        <span class="muted">${new Date(entry.timestamp).toLocaleString('ru-RU')} · ${escapeHtml(entry.actor.username)}</span>
+                        ${index > 0 && entry.action !== 'purge'
+                            ? `<button class="btn btn-secondary btn-small" data-action="revertToVersion" data-id="${escapeHtml(entry._id)}">Вернуть эту версию</button>`
+                            : ''}
+                    </div>
+                    ${entry.action !== 'create' && entry.changes.length > 0 ? `
+                        <ul class="history-changes">
+                            ${entry.changes.map(change => `
+                                <li>
+                                    <span class="history-field">${escapeHtml(FIELD_LABELS[change.field] || change.field)}:</span>
+                                    <span class="history-from">${escapeHtml(formatHistoryValue(change.from))}</span>
+                                    →
+                                    <span class="history-to">${escapeHtml(formatHistoryValue(change.to))}</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : ''}
+                </li>
+            `).join('')
+            : '<li class="muted">История пуста</li>';
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        list.innerHTML = '<li class="muted">Не удалось загрузить историю</li>';
+    }
+}
+
+function formatHistoryValue(value) {
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) return '—';
+    if (typeof value === 'boolean') return value ? 'да' : 'нет';
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return formatDate(value);
+
+    const text = String(value);
+    return text.length > 80 ? text.slice(0, 79) + '…' : text;
+}
+
+async function revertToVersion(entryId) {
+    if (!confirm('Вернуть книгу к этой версии?')) return;
+
+    try {
+        const response = await apiFetch(`${API_URL}/books/${currentBookId}/history/${entryId}/revert`, {
+            method: 'POST'
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(errorText(result));
+        }
+
+        showNotification('Книга возвращена к выбранной версии', 'success');
+        replaceBook(result);
+        showViewTab('history');
+        loadStats();
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        showNotification(error.message || 'Ошибка при откате книги', 'error');
+    }
+}
+
+// Trash
+async function loadTrash() {
+    try {
+        const response = await apiFetch(`${API_URL}/trash`);
+        if (!response.ok) throw new Error('Ошибка загрузки корзины');
+
+        const { retentionDays, books: trashed } = await response.json();
+
+        document.getElementById('trashHint').textContent =
+            `Книги удаляются из корзины навсегда через ${retentionDays} дн.`;
+        document.getElementById('emptyTrashBtn').disabled = trashed.length === 0;
+        document.getElementById('trashList').innerHTML = trashed.length > 0
+            ? trashed.map(book => `
+                <li>
+                    <div class="trash-info">
+                        <strong>${escapeHtml(book.title)}</strong>
+                        <span class="muted">${escapeHtml(book.author)}</span>
+                        <span class="trash-dates">Удалена ${formatDate(book.deletedAt)}, исчезнет ${formatDate(book.purgeAt)}</span>
+                    </div>
+                    <button class="btn btn-accent btn-small" data-action="restoreBook" data-id="${escapeHtml(book._id)}">Восстановить</button>
+                    <button class="btn btn-danger btn-small" data-action="purgeBook" data-id="${escapeHtml(book._id)}">Удалить навсегда</button>
+                </li>
+            `).join('')
+            : '<li class="muted">Корзина пуста</li>';
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        showNotification('Ошибка при загрузке корзины', 'error');
+    }
+}
+
+async function restoreBook(id) {
+    try {
+        const response = await apiFetch(`${API_URL}/trash/${id}/restore`, { method: 'POST' });
+        if (!response.ok) throw new Error('Ошибка восстановления книги');
+
+        showNotification('Книга восстановлена', 'success');
+        loadTrash();
+        loadBooks();
+        loadShelves();
+        loadStats();
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        showNotification('Ошибка при восстановлении книги', 'error');
+    }
+}
+
+async function purgeBook(id) {
+    if (!confirm('Удалить книгу навсегда? Это действие нельзя отменить.')) return;
+
+    try {
+        const response = await apiFetch(`${API_URL}/trash/${id}`, { method: 'DELETE' });
+        if (!response.ok) throw new Error('Ошибка удаления книги');
+
+        showNotification('Книга удалена навсегда', 'success');
+        loadTrash();
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        showNotification('Ошибка при удалении книги', 'error');
+    }
+}
+
+async function emptyTrash() {
+    if (!confirm('Очистить корзину? Все книги в ней будут удалены навсегда.')) return;
+
+    try {
+        const response = await apiFetch(`${API_URL}/trash`, { method: 'DELETE' });
+        if (!response.ok) throw new Error('Ошибка очистки корзины');
+
+        showNotification('Корзина очищена', 'success');
+        loadTrash();
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        showNotification('Ошибка при очистке корзины', 'error');
+    }
+}
+
+function openTrashModal() {
+    loadTrash();
+    document.getElementById('trashModal').classList.add('active');
+}
+
+function closeTrashModal() {
+    document.getElementById('trashModal').classList.remove('active');
+}
+
+// Duplicates
+async function loadDuplicates() {
+    try {
+        const response = await apiFetch(`${API_URL}/duplicates`);
+        if (!response.ok) throw new Error('Ошибка поиска дубликатов');
+
+        ({ groups: duplicateGroups } = await response.json());
+        renderDuplicates();
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        showNotification('Ошибка при поиске дубликатов', 'error');
+    }
+}
+
+function renderDuplicates() {
+    const list = document.getElementById('duplicatesList');
+    if (duplicateGroups.length === 0) {
+        list.innerHTML = '<p class="muted">Похожих книг не найдено</p>';
+        return;
+    }
+
+    list.innerHTML = duplicateGroups.map((group, index) => `
+        <div class="duplicate-group">
+            <div class="duplicate-header">
+                <span class="muted">Похожесть: название ${Math.round(group.similarity.title * 100)}%, автор ${Math.round(group.similarity.author * 100)}%</span>
+                <button class="btn btn-accent btn-small" data-action="mergeDuplicates" data-group="${index}">Объединить</button>
+            </div>
+            ${group.books.map(book => `
+                <label class="duplicate-book">
+                    <input type="radio" name="duplicatePrimary${index}" value="${escapeHtml(book._id)}" ${book._id === group.primaryId ? 'checked' : ''}>
+                    <span class="duplicate-info">
+                        <strong>${escapeHtml(book.title)}</strong>
+                        <span class="muted">${escapeHtml(book.author)}${book.year ? `, ${escapeHtml(book.year)}` : ''}${book.isbn ? ` · ISBN ${escapeHtml(book.isbn)}` : ''}</span>
+                        <span class="duplicate-meta">
+                            ${book.isRead ? '✓ Прочитана' : '⏳ Не прочитана'}
+                            ${book.rating > 0 ? ` · ${getStars(book.rating)}` : ''}
+                            ${book.notes ? ' · 📝 есть заметки' : ''}
+                            · добавлена ${formatDate(book.dateAdded)}
+                        </span>
+                    </span>
+                </label>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+async function mergeDuplicates(index) {
+    const group = duplicateGroups[index];
+    const primaryId = document.querySelector(`input[name="duplicatePrimary${index}"]:checked`).value;
+    const duplicateIds = group.books.map(book => book._id).filter(id => id !== primaryId);
+
+    if (!confirm(`Объединить ${group.books.length} книги в одну? Лишние экземпляры переместятся в корзину.`)) return;
+
+    try {
+        const result = await sendJsonRequest(`${API_URL}/duplicates/merge`, 'POST', { primaryId, duplicateIds });
+        showNotification(result.message, 'success');
+        loadDuplicates();
+        loadBooks();
+        loadShelves();
+        loadStats();
+    } catch (error) {
+        console.error('Ошибка:', error);
+        showNotification(error.message || 'Ошибка при объединении книг', 'error');
+    }
+}
+
+function openDuplicatesModal() {
+    document.getElementById('duplicatesList').innerHTML = '<p class="muted">Ищем похожие книги…</p>';
+    loadDuplicates();
+    document.getElementById('duplicatesModal').classList.add('active');
+}
+
+function closeDuplicatesModal() {
+    document.getElementById('duplicatesModal').classList.remove('active');
+}
+
+// Genres & Tags
+async function loadGenres() {
+    try {
+        const response = await apiFetch(`${API_URL}/genres`);
+        if (!response.ok) throw new Error('Ошибка загрузки жанров');
+
+        genres = await response.json();
+        renderGenreOptions();
+        renderGenresList();
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        showNotification('Ошибка при загрузке жанров', 'error');
+    }
+}
+
+async function loadTags() {
+    try {
+        const response = await apiFetch(`${API_URL}/tags`);
+        if (!response.ok) throw new Error('Ошибка загрузки тегов');
+
+        const tags = await response.json();
+        document.getElementById('tagSuggestions').innerHTML = tags
+            .map(row => `<option value="${escapeHtml(row.tag)}">`)
+            .join('');
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+    }
+}
+
+// Список жанров в панели фильтров и в форме строится по данным API
+function renderGenreOptions() {
+    const options = genres
+        .map(genre => `<option value="${escapeHtml(genre.name)}">${escapeHtml(genre.name)}</option>`)
+        .join('');
+
+    // Удаленный жанр больше не фильтруем
+    const selected = currentFilters.genre.filter(name => genres.some(genre => genre.name === name));
+    if (selected.length !== currentFilters.genre.length) {
+        currentFilters.genre = selected;
+        loadBooks();
+    }
+    renderFilterPanel();
+
+    document.getElementById('bulkGenre').innerHTML = `<option value="">Перенести в жанр…</option>${options}`;
+
+    const formSelect = document.getElementById('genre');
+    const formValue = formSelect.value;
+    formSelect.innerHTML = `<option value="">Выберите жанр</option>${options}`;
+    formSelect.value = formValue;
+}
+
+function renderGenresList() {
+    const list = document.getElementById('genresList');
+    list.innerHTML = genres.map(genre => `
+        <li>
+            <span class="genre-name">${escapeHtml(genre.name)}</span>
+            <span class="genre-count">${genre.bookCount} кн.</span>
+            <button class="btn btn-secondary btn-small" data-action="renameGenre" data-id="${escapeHtml(genre._id)}">Переименовать</button>
+            <button class="btn btn-secondary btn-small" data-action="mergeGenre" data-id="${escapeHtml(genre._id)}">Объединить</button>
+            <button class="btn btn-danger btn-small" data-action="deleteGenre" data-id="${escapeHtml(genre._id)}">Удалить</button>
+        </li>
+    `).join('');
+}
+
+async function sendJsonRequest(url, method, body) {
+    const response = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(errorText(result));
+    }
+    return result;
+}
+
+// После изменения жанров обновляем и список книг: жанры книг могли поменяться
+async function afterGenresChanged(message) {
+    showNotification(message, 'success');
+    await loadGenres();
+    loadBooks();
+    loadStats();
+}
+
+async function handleGenreCreate(e) {
+    e.preventDefault();
+
+    const input = document.getElementById('newGenreName');
+    try {
+        await sendJsonRequest(`${API_URL}/genres`, 'POST', { name: input.value.trim() });
+        input.value = '';
+        await afterGenresChanged('Жанр добавлен');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function renameGenre(id) {
+    const genre = genres.find(g => g._id === id);
+    const name = prompt('Новое название жанра:', genre.name);
+    if (!name || name.trim() === genre.name) return;
+
+    try {
+        await sendJsonRequest(`${API_URL}/genres/${id}`, 'PUT', { name: name.trim() });
+        await afterGenresChanged('Жанр переименован');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function mergeGenre(id) {
+    const genre = genres.find(g => g._id === id);
+    const targetName = prompt(`Объединить "${genre.name}" с жанром (название):`);
+    if (!targetName) return;
+
+    const target = genres.find(g => g.name.toLowerCase() === targetName.trim().toLowerCase());
+    if (!target) {
+        showNotification('Жанр не найден', 'error');
+        return;
+    }
+
+    try {
+        const result = await sendJsonRequest(`${API_URL}/genres/${id}/merge`, 'POST', { targetId: target._id });
+        await afterGenresChanged(result.message);
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function deleteGenre(id) {
+    if (!confirm('Удалить жанр?')) return;
+
+    try {
+        await sendJsonRequest(`${API_URL}/genres/${id}`, 'DELETE');
+        await afterGenresChanged('Жанр удален');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function openGenresModal() {
+    renderGenresList();
+    document.getElementById('genresModal').classList.add('active');
+}
+
+function closeGenresModal() {
+    document.getElementById('genresModal').classList.remove('active');
+}
+
+function setTagFilter(tag) {
+    if (tag) {
+        currentFilters.tag = tag;
+    } else {
+        delete currentFilters.tag;
+    }
+
+    renderActiveTag();
+    loadBooks();
+}
+
+function renderActiveTag() {
+    const tag = currentFilters.tag;
+    document.getElementById('activeTag').style.display = tag ? 'flex' : 'none';
+    document.getElementById('activeTagBtn').textContent = tag ? `#${tag} ✕` : '';
+}
+
+function parseTags(value) {
+    return value.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+// Stats Dashboard
+function toggleStatsPage() {
+    isStatsPageOpen = !isStatsPageOpen;
+
+    document.getElementById('statsPage').style.display = isStatsPageOpen ? 'block' : 'none';
+    document.getElementById('libraryView').style.display = isStatsPageOpen ? 'none' : '';
+    document.getElementById('statsToggleBtn').textContent = isStatsPageOpen ? '📚 Библиотека' : '📊 Статистика';
+
+    if (isStatsPageOpen) loadDashboard();
+}
+
+async function loadDashboard() {
+    try {
+        const months = document.getElementById('statsMonths').value;
+        const response = await apiFetch(`${API_URL}/stats/dashboard?months=${months}`);
+        if (!response.ok) throw new Error('Ошибка загрузки статистики');
+
+        const stats = await response.json();
+
+        document.getElementById('monthsChart').innerHTML = renderColumnChart(
+            stats.addedPerMonth.map((row, i) => ({
+                label: formatMonth(row.month),
+                values: [row.count, stats.finishedPerMonth[i].count]
+            }))
+        );
+        document.getElementById('genresChart').innerHTML = renderBarChart(
+            stats.byGenre.map(row => ({ label: row.genre, value: row.count, hint: `прочитано ${row.read}` }))
+        );
+        document.getElementById('ratingsChart').innerHTML = renderBarChart(
+            stats.ratingDistribution
+                .map(row => ({ label: '★'.repeat(row.rating), value: row.count }))
+                .concat(stats.unrated > 0 ? [{ label: 'Без оценки', value: stats.unrated }] : [])
+        );
+        document.getElementById('authorsChart').innerHTML = renderBarChart(
+            stats.topAuthors.map(row => ({
+                label: row.author,
+                value: row.count,
+                hint: row.avgRating ? `★ ${row.avgRating}` : ''
+            }))
+        );
+        document.getElementById('genreRatingChart').innerHTML = renderBarChart(
+            stats.avgRatingByGenre.map(row => ({ label: row.genre, value: row.avgRating, hint: `оценок: ${row.rated}` })),
+            5
+        );
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        showNotification('Ошибка при загрузке статистики', 'error');
+    }
+}
+
+function formatMonth(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return new Date(year, monthIndex - 1).toLocaleDateString('ru-RU', { month: 'short', year: '2-digit' });
+}
+
+// Графики рисуются встроенным SVG - без внешних библиотек и CDN
+function renderBarChart(items, maxValue = null) {
+    if (items.length === 0) {
+        return '<p class="muted">Нет данных</p>';
+    }
+
+    const max = maxValue || Math.max(...items.map(item => item.value), 1);
+    const rowHeight = 28;
+    const labelWidth = 130;
+    const barWidth = 220;
+    const height = items.length * rowHeight;
+
+    const rows = items.map((item, i) => {
+        const y = i * rowHeight;
+        const width = Math.max(2, item.value / max * barWidth);
+        return `
+            <text x="${labelWidth - 8}" y="${y + 18}" text-anchor="end" class="chart-label">${escapeHtml(truncate(item.label, 18))}</text>
+            <rect x="${labelWidth}" y="${y + 6}" width="${width}" height="16" rx="4" class="chart-bar"></rect>
+            <text x="${labelWidth + width + 6}" y="${y + 18}" class="chart-value">${item.value}${item.hint ? ` · ${escapeHtml(item.hint)}` : ''}</text>
+        `;
+    }).join('');
+
+    return `<svg viewBox="0 0 ${labelWidth + barWidth + 120} ${height}" class="chart-svg">${rows}</svg>`;
+}
+
+function renderColumnChart(groups) {
+    const max = Math.max(...groups.flatMap(group => group.values), 1);
+    const chartHeight = 160;
+    const groupWidth = 44;
+    const columnWidth = 14;
+    const width = groups.length * groupWidth;
+
+    const columns = groups.map((group, i) => {
+        const x = i * groupWidth + 6;
+        const bars = group.values.map((value, j) => {
+            const height = value / max * chartHeight;
+            return `
+                <rect x="${x + j * (columnWidth + 2)}" y="${chartHeight - height}" width="${columnWidth}" height="${height}" rx="2" class="chart-column-${j}">
+                    <title>${value}</title>
+                </rect>
+            `;
+        }).join('');
+        return `${bars}<text x="${x + columnWidth}" y="${chartHeight + 16}" text-anchor="middle" class="chart-label">${escapeHtml(group.label)}</text>`;
+    }).join('');
+
+    return `<svg viewBox="0 0 ${width} ${chartHeight + 24}" class="chart-svg">${columns}</svg>`;
+}
+
+function truncate(text, length) {
+    return text.length > length ? text.slice(0, length - 1) + '…' : text;
+}
+
+// Import Functions
+async function sendImport(dryRun) {
+    const file = document.getElementById('importFile').files[0];
+    if (!file) return null;
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    const response = await apiFetch(`${API_URL}/books/import?dryRun=${dryRun}`, {
+        method: 'POST',
+        body: formData
+    });
+    const result = await response.json();
+
+    if (!response.ok) throw new Error(result.message || 'Ошибка импорта');
+    return result;
+}
+
+// Предпросмотр: сервер проверяет файл, ничего не записывая
+async function previewImport() {
+    const confirmBtn = document.getElementById('importConfirmBtn');
+    confirmBtn.disabled = true;
+    resetImportResult();
+
+    try {
+        const result = await sendImport(true);
+        if (!result) return;
+
+        renderImportResult(result);
+        confirmBtn.disabled = result.accepted === 0;
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        document.getElementById('importSummary').textContent = error.message;
+    }
+}
+
+async function confirmImport() {
+    const confirmBtn = document.getElementById('importConfirmBtn');
+    confirmBtn.disabled = true;
+
+    try {
+        const result = await sendImport(false);
+        if (!result) return;
+
+        renderImportResult(result);
+        showNotification(`Импортировано книг: ${result.inserted}`, 'success');
+        loadBooks();
+        loadStats();
+
+    } catch (error) {
+        console.error('Ошибка:', error);
+        showNotification('Ошибка при импорте книг', 'error');
+        confirmBtn.disabled = false;
+    }
+}
+
+function renderImportResult(result) {
+    const statusLabels = {
+        accepted: result.dryRun ? '✓ Будет добавлена' : '✓ Добавлена',
+        rejected: '✗ Ошибка',
+        duplicate: '⧉ Дубликат'
+    };
+
+    document.getElementById('importSummary').textContent = result.dryRun
+        ? `Строк: ${result.total}. Готово к импорту: ${result.accepted}, отклонено: ${result.rejected}`
+        : `Добавлено книг: ${result.inserted}, отклонено: ${result.rejected}`;
+
+    document.getElementById('importRows').innerHTML = result.rows.map(row => `
+        <tr class="import-row-${row.status}">
+            <td>${row.row}</td>
+            <td>${escapeHtml(row.title || '')}</td>
+            <td>${escapeHtml(row.author || '')}</td>
+            <td>
+                ${statusLabels[row.status]}
+                ${row.errors.length > 0 ? `<div class="import-errors">${escapeHtml(row.errors.map(error => error.message).join('; '))}</div>` : ''}
+            </td>
+        </tr>
+    `).join('');
+    document.getElementById('importTable').style.display = 'table';
+}
 
-    // Rating stars
-    document.querySelectorAll('.star').forEach(star => {
-        star.addEventListener('click', handleRatingClick);
-        star.addEventListener('mouseenter', handleRatingHover);
-    });
+function resetImportResult() {
+    document.getElementById('importSummary').textContent = '';
+    document.getElementById('importRows').innerHTML = '';
+    document.getElementById('importTable').style.display = 'none';
+}
 
-    document.querySelector('.rating-input').addEventListener('mouseleave', () => {
-        updateRatingDisplay(parseInt(document.getElementById('rating').value));
-    });
+function openImportModal() {
+    document.getElementById('importFile').value = '';
+    document.getElementById('importConfirmBtn').disabled = true;
+    resetImportResult();
+    document.getElementById('importModal').classList.add('active');
 }
 
-// API Functions
-async function loadBooks() {
+function closeImportModal() {
+    document.getElementById('importModal').classList.remove('active');
+}
+
+// Reading Sessions
+async function handleSessionSubmit(e) {
+    e.preventDefault();
+
+    const date = document.getElementById('sessionDate').value;
+    const sessionData = {
+        pagesRead: parseInt(document.getElementById('sessionPages').value),
+        ...(date && { date })
+    };
+
     try {
-        const params = new URLSearchParams(currentFilters);
-        const response = await fetch(`${API_URL}/books?${params}`);
-        if (!response.ok) throw new Error('Ошибка загрузки книг');
+        const response = await apiFetch(`${API_URL}/books/${currentBookId}/sessions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(sessionData)
+        });
+        const result = await response.json();
 
-        books = await response.json();
-        renderBooks();
+        if (!response.ok) {
+            throw new Error(errorText(result));
+        }
+
+        document.getElementById('sessionForm').reset();
+        replaceBook(result);
+        loadStats();
 
     } catch (error) {
         console.error('Ошибка:', error);
-        showNotification('Ошибка при загрузке книг', 'error');
+        showNotification(error.message || 'Ошибка при записи сессии', 'error');
     }
 }
 
-async function loadStats() {
+// Loans
+function isOverdue(loan) {
+    return new Date(loan.dueAt) < new Date();
+}
+
+function renderLoanBadge(book) {
+    const loan = book.currentLoan;
+    if (!loan) return '';
+
+    return isOverdue(loan)
+        ? `<span class="loan-badge loan-overdue" title="Срок возврата: ${formatDate(loan.dueAt)}">⚠️ Просрочена · ${escapeHtml(loan.borrower)}</span>`
+        : `<span class="loan-badge" title="Вернуть до ${formatDate(loan.dueAt)}">📤 У ${escapeHtml(loan.borrower)}</span>`;
+}
+
+function renderLoan(book) {
+    const loan = book.currentLoan;
+    const status = document.getElementById('viewLoanStatus');
+    const form = document.getElementById('loanForm');
+
+    if (loan) {
+        status.innerHTML = `
+            ${renderLoanBadge(book)}
+            <span class="muted">с ${formatDate(loan.loanedAt)}, вернуть до ${formatDate(loan.dueAt)}</span>
+            <button class="btn btn-secondary btn-small" data-action="returnBook">📥 Вернули</button>
+        `;
+        form.style.display = 'none';
+    } else {
+        status.innerHTML = '<span class="muted">Книга дома</span>';
+        form.reset();
+        const due = new Date(Date.now() + DEFAULT_LOAN_DAYS * 24 * 60 * 60 * 1000);
+        document.getElementById('loanDueAt').value = toDateInput(due);
+        form.style.display = 'flex';
+    }
+
+    loadLoanHistory(book._id);
+}
+
+async function loadLoanHistory(bookId) {
+    const list = document.getElementById('viewLoans');
+
     try {
-        const response = await fetch(`${API_URL}/stats`);
-        if (!response.ok) throw new Error('Ошибка загрузки статистики');
+        const response = await apiFetch(`${API_URL}/books/${bookId}/loans`);
+        if (!response.ok) throw new Error('Ошибка загрузки выдач');
 
-        const stats = await response.json();
-        document.getElementById('totalBooks').textContent = stats.total;
-        document.getElementById('readBooks').textContent = stats.read;
-        document.getElementById('unreadBooks').textContent = stats.unread;
-        document.getElementById('avgRating').textContent = stats.averageRating;
+        const loans = (await response.json()).filter(loan => loan.returnedAt);
+        list.innerHTML = loans.map(loan => `
+            <li class="muted">
+                ${escapeHtml(loan.borrower)}: ${formatDate(loan.loanedAt)} - ${formatDate(loan.returnedAt)}
+                ${new Date(loan.returnedAt) > new Date(loan.dueAt) ? ' (с опозданием)' : ''}
+            </li>
+        `).join('');
 
     } catch (error) {
         console.error('Ошибка:', error);
     }
 }
 
-async function createBook(bookData) {
+async function handleLoanSubmit(e) {
+    e.preventDefault();
+
     try {
-        const response = await fetch(`${API_URL}/books`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(bookData)
+        const result = await sendJsonRequest(`${API_URL}/books/${currentBookId}/loan`, 'POST', {
+            borrower: document.getElementById('loanBorrower').value.trim(),
+            dueAt: document.getElementById('loanDueAt').value
         });
 
-        if (!response.ok) throw new Error('Ошибка создания книги');
-
-        showNotification('Книга успешно добавлена!', 'success');
-        loadBooks();
-        loadStats();
-        closeModal();
+        showNotification(`Книга выдана: ${result.loan.borrower}`, 'success');
+        afterLoanChanged(result.book);
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
 
+async function returnBook() {
+    try {
+        const result = await sendJsonRequest(`${API_URL}/books/${currentBookId}/return`, 'POST', {});
+        showNotification('Книга возвращена', 'success');
+        afterLoanChanged(result.book);
     } catch (error) {
-        console.error('Ошибка:', error);
-        showNotification('Ошибка при добавлении книги', 'error');
+        showNotification(error.message, 'error');
     }
 }
 
-async function updateBook(id, bookData) {
+function afterLoanChanged(book) {
+    replaceBook(book);
+    loadStats();
+    // Книга могла перестать подходить под фильтр по выдаче
+    if (currentFilters.loan && currentFilters.loan !== 'all') loadBooks();
+}
+
+function showOverdueBooks() {
+    currentFilters.loan = 'overdue';
+    document.getElementById('loanFilter').value = 'overdue';
+    loadBooks();
+}
+
+async function deleteSession(sessionId) {
     try {
-        const response = await fetch(`${API_URL}/books/${id}`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(bookData)
+        const response = await apiFetch(`${API_URL}/books/${currentBookId}/sessions/${sessionId}`, {
+            method: 'DELETE'
         });
+        if (!response.ok) throw new Error('Ошибка удаления сессии');
 
-        if (!response.ok) throw new Error('Ошибка обновления книги');
-
-        showNotification('Книга успешно обновлена!', 'success');
-        loadBooks();
-        loadStats();
-        closeModal();
+        replaceBook(await response.json());
 
     } catch (error) {
         console.error('Ошибка:', error);
-        showNotification('Ошибка при обновлении книги', 'error');
+        showNotification('Ошибка при удалении сессии', 'error');
     }
 }
 
-async function deleteBook(id) {
-    if (!confirm('Вы уверены, что хотите удалить эту книгу?')) return;
+// Обновляет книгу в списке и открытую карточку после ответа сервера
+function replaceBook(updated) {
+    const index = books.findIndex(b => b._id === updated._id);
+    if (index !== -1) {
+        books[index] = updated;
+        patchBookCard(updated);
+    }
+    if (currentBookId === updated._id) {
+        viewBook(updated._id);
+    }
+}
+
+// Live sync: изменения книг из других вкладок и устройств (Server-Sent Events)
+function connectBookEvents() {
+    if (bookEvents || typeof EventSource === 'undefined') return;
+
+    let connectedBefore = false;
+    bookEvents = new EventSource(`${API_URL}/events`);
+    bookEvents.addEventListener('ready', () => {
+        // Пока связи не было, события могли потеряться - перечитываем список
+        if (connectedBefore) {
+            loadBooks();
+            loadStats();
+            loadRecommendations();
+        }
+        connectedBefore = true;
+    });
+    bookEvents.addEventListener('book', (e) => handleBookEvent(JSON.parse(e.data)));
+}
+
+function disconnectBookEvents() {
+    if (bookEvents) {
+        bookEvents.close();
+        bookEvents = null;
+    }
+}
+
+function handleBookEvent(event) {
+    if (event.action === 'delete') {
+        removeBookLocally(event.bookId);
+    } else {
+        upsertBookLocally(event.book);
+    }
+
+    clearTimeout(statsRefreshTimeout);
+    statsRefreshTimeout = setTimeout(() => {
+        loadStats();
+        loadRecommendations();
+    }, STATS_REFRESH_DEBOUNCE_MS);
+}
+
+// Новую книгу без перезагрузки можно показать только в списке без фильтров:
+// проверять на клиенте поиск и остальные условия сервера не беремся
+function isDefaultBooksView() {
+    return filtersToUrlParams().toString() === '';
+}
+
+function upsertBookLocally(book) {
+    const index = books.findIndex(b => b._id === book._id);
+    if (index !== -1) {
+        books[index] = book;
+        patchBookCard(book);
+        if (currentBookId === book._id && document.getElementById('viewBookModal').classList.contains('active')) {
+            viewBook(book._id);
+        }
+        return;
+    }
+
+    if (!isDefaultBooksView()) return;
+
+    // Список отсортирован от новых к старым; книга старше загруженных - на следующих страницах
+    const position = books.findIndex(b => new Date(b.dateAdded) < new Date(book.dateAdded));
+    if (position === -1 && pagination.hasMore) return;
+
+    const insertAt = position === -1 ? books.length : position;
+    books.splice(insertAt, 0, book);
+    pagination.total++;
+
+    if (books.length === 1) {
+        renderBooks();
+        return;
+    }
+    const grid = document.getElementById('booksGrid');
+    const neighbour = grid.querySelector(`.book-card[data-id="${books[insertAt + 1]?._id}"]`);
+    if (neighbour) {
+        neighbour.insertAdjacentHTML('beforebegin', renderBookCard(book));
+    } else {
+        grid.insertAdjacentHTML('beforeend', renderBookCard(book));
+    }
+    updateLoadMore();
+}
+
+function removeBookLocally(bookId) {
+    const index = books.findIndex(b => b._id === bookId);
+    if (index !== -1) {
+        books.splice(index, 1);
+        pagination.total = Math.max(0, pagination.total - 1);
+        if (books.length === 0) {
+            renderBooks();
+        } else {
+            document.querySelector(`.book-card[data-id="${bookId}"]`)?.remove();
+            updateLoadMore();
+        }
+    }
+    if (selectedBookIds.delete(bookId)) updateSelectionUi();
+
+    if (currentBookId === bookId && document.getElementById('viewBookModal').classList.contains('active')) {
+        closeViewModal();
+        showNotification('Книгу переместили в корзину в другом окне', 'error');
+    }
+}
+
+// Перерисовывает одну карточку вместо всего списка
+function patchBookCard(book) {
+    const card = document.querySelector(`.book-card[data-id="${book._id}"]`);
+    if (card) {
+        card.outerHTML = renderBookCard(book);
+    }
+}
+
+// Bulk Actions
+// В режиме выбора клик по карточке отмечает книгу, а действия панели
+// применяются ко всем отмеченным одним запросом POST /api/books/bulk
+function openBookCard(id) {
+    if (selectionMode) {
+        toggleBookSelection(id);
+    } else {
+        viewBook(id);
+    }
+}
+
+function toggleSelectionMode() {
+    setSelectionMode(!selectionMode);
+}
+
+function setSelectionMode(enabled) {
+    selectionMode = enabled;
+    if (!enabled) selectedBookIds.clear();
+    document.querySelectorAll('.book-card.selected').forEach(card => card.classList.remove('selected'));
+    updateSelectionUi();
+}
+
+function toggleBookSelection(id) {
+    if (selectedBookIds.has(id)) {
+        selectedBookIds.delete(id);
+    } else {
+        selectedBookIds.add(id);
+    }
+    document.querySelector(`.book-card[data-id="${id}"]`)?.classList.toggle('selected', selectedBookIds.has(id));
+    updateSelectionUi();
+}
+
+function selectAllBooks() {
+    books.forEach(book => selectedBookIds.add(book._id));
+    document.querySelectorAll('#booksGrid .book-card').forEach(card => card.classList.add('selected'));
+    updateSelectionUi();
+}
+
+function updateSelectionUi() {
+    document.getElementById('booksGrid').classList.toggle('selecting', selectionMode);
+    document.getElementById('selectModeBtn').textContent = selectionMode ? '✕ Отменить выбор' : '☑ Выбрать';
+    document.getElementById('bulkBar').style.display = selectionMode ? 'flex' : 'none';
+    document.getElementById('bulkCount').textContent = `Выбрано: ${selectedBookIds.size}`;
+    document.querySelectorAll('#bulkBar .bulk-action').forEach(control => {
+        control.disabled = selectedBookIds.size === 0;
+    });
+}
+
+function bulkUpdateFromSelect(select, field) {
+    if (select.value === '') return;
+    const value = field === 'rating' ? Number(select.value) : select.value;
+    select.value = '';
+    sendBulk('update', { [field]: value });
+}
+
+function bulkDelete() {
+    if (!confirm(`Переместить в корзину выбранные книги (${selectedBookIds.size})?`)) return;
+    sendBulk('delete');
+}
+
+async function sendBulk(action, changes) {
+    if (selectedBookIds.size === 0) return;
 
     try {
-        const response = await fetch(`${API_URL}/books/${id}`, {
-            method: 'DELETE'
+        const result = await sendJsonRequest(`${API_URL}/books/bulk`, 'POST', {
+            action,
+            ids: [...selectedBookIds],
+            changes
         });
 
-        if (!response.ok) throw new Error('Ошибка удаления книги');
+        const failed = result.results.filter(item => item.errors?.length);
+        if (result.failed === 0) {
+            showNotification(`Готово: ${result.succeeded} кн.`, 'success');
+        } else {
+            // Показываем первые причины: по всем книгам сообщение было бы слишком длинным
+            const reasons = [...new Set(failed.flatMap(item => item.errors.map(error => error.message)))].slice(0, 2).join('. ');
+            showNotification(`Готово: ${result.succeeded}, не удалось: ${result.failed}. ${reasons}`, 'error');
+        }
 
-        showNotification('Книга успешно удалена!', 'success');
+        selectedBookIds.clear();
         loadBooks();
         loadStats();
-        closeViewModal();
-
+        if (action === 'delete') loadShelves();
+        if (changes?.genre) loadGenres();
     } catch (error) {
         console.error('Ошибка:', error);
-        showNotification('Ошибка при удалении книги', 'error');
+        showNotification(error.message || 'Ошибка массовой операции', 'error');
+    }
+}
+
+// Export: те же фильтры, что и у списка; каталог открывается в новой вкладке
+function exportBooks() {
+    const format = document.getElementById('exportFormat').value;
+    const params = filtersToParams({ ...currentFilters, format });
+
+    const link = document.createElement('a');
+    link.href = `${API_URL}/books/export?${params}`;
+    if (format === 'html') {
+        link.target = '_blank';
+    } else {
+        link.download = '';
     }
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
 }
 
 // Render Functions
@@ -136,42 +1857,126 @@ function renderBooks() {
     const grid = document.getElementById('booksGrid');
     const emptyState = document.getElementById('emptyState');
 
+    // Выбор сохраняется только для книг, которые остались в списке
+    selectedBookIds = new Set(books.map(book => book._id).filter(id => selectedBookIds.has(id)));
+    updateSelectionUi();
+
     if (books.length === 0) {
         grid.style.display = 'none';
         emptyState.style.display = 'block';
+        updateLoadMore();
         return;
     }
 
     grid.style.display = 'grid';
     emptyState.style.display = 'none';
 
-    grid.innerHTML = books.map(book => `
-        <div class="book-card" onclick="viewBook('${book._id}')">
-            <img class="book-cover" 
-                 src="${book.coverUrl || 'https://via.placeholder.com/280x320?text=' + encodeURIComponent(book.title)}" 
-                 alt="${book.title}"
-                 onerror="this.src='https://via.placeholder.com/280x320?text=No+Cover'">
+    grid.innerHTML = books.map(renderBookCard).join('');
+    updateLoadMore();
+}
+
+function appendBooks(newBooks) {
+    const grid = document.getElementById('booksGrid');
+    grid.insertAdjacentHTML('beforeend', newBooks.map(renderBookCard).join(''));
+    updateLoadMore();
+}
+
+function renderBookCard(book) {
+    return `
+        <div class="book-card${selectedBookIds.has(book._id) ? ' selected' : ''}" data-action="openBookCard" data-id="${escapeHtml(book._id)}">
+            <span class="book-select" aria-hidden="true">✓</span>
+            <img class="book-cover"
+                 src="${escapeHtml(coverSrc(book))}"
+                 alt="${escapeHtml(book.title)}"
+                 loading="lazy"
+                 data-fallback="${escapeHtml(placeholderSrc(book))}">
             <div class="book-content">
-                <h3 class="book-title">${book.title}</h3>
-                <p class="book-author">Автор: ${book.author}</p>
+                <h3 class="book-title">${renderHighlighted(book, 'title')}</h3>
+                <p class="book-author">Автор: ${renderHighlighted(book, 'author')}</p>
                 <div class="book-meta">
-                    <span class="genre-badge">${book.genre}</span>
-                    ${book.year ? `<span class="year-badge">${book.year}</span>` : ''}
+                    <span class="genre-badge">${escapeHtml(book.genre)}</span>
+                    ${book.year ? `<span class="year-badge">${escapeHtml(book.year)}</span>` : ''}
+                    ${renderLoanBadge(book)}
                 </div>
+                ${book.tags?.length ? `
+                    <div class="book-tags" data-action="none">
+                        ${book.tags.map(tag => `<button class="tag-chip" data-action="setTagFilter" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`).join('')}
+                    </div>
+                ` : ''}
                 <div class="book-status">
                     <span class="status-badge ${book.isRead ? 'status-read' : 'status-unread'}">
                         ${book.isRead ? '✓ Прочитана' : '⏳ Не прочитана'}
                     </span>
                 </div>
+                ${book.totalPages ? renderProgress(book) : ''}
                 ${book.rating > 0 ? `<div class="book-rating">${getStars(book.rating)}</div>` : ''}
-                ${book.description ? `<p class="book-description">${book.description}</p>` : ''}
-                <div class="book-actions" onclick="event.stopPropagation()">
-                    <button class="btn btn-primary btn-small" onclick="editBook('${book._id}')">Редактировать</button>
-                    <button class="btn btn-danger btn-small" onclick="deleteBook('${book._id}')">Удалить</button>
+                ${book.description ? `<p class="book-description">${renderHighlighted(book, 'description')}</p>` : ''}
+                ${book.highlights?.notes ? `<p class="book-match">Заметки: ${renderHighlighted(book, 'notes')}</p>` : ''}
+                <div class="book-actions" data-action="none">
+                    ${isShelfOrder() ? `
+                        <button class="btn btn-secondary btn-small" data-action="moveOnShelf" data-id="${escapeHtml(book._id)}" data-delta="-1" title="Раньше на полке">◀</button>
+                        <button class="btn btn-secondary btn-small" data-action="moveOnShelf" data-id="${escapeHtml(book._id)}" data-delta="1" title="Позже на полке">▶</button>
+                    ` : ''}
+                    <button class="btn btn-primary btn-small" data-action="editBook" data-id="${escapeHtml(book._id)}">Редактировать</button>
+                    <button class="btn btn-danger btn-small" data-action="deleteBook" data-id="${escapeHtml(book._id)}">Удалить</button>
                 </div>
             </div>
         </div>
-    `).join('');
+    `;
+}
+
+function updateLoadMore() {
+    const loadMore = document.getElementById('loadMore');
+    loadMore.style.display = books.length > 0 ? 'flex' : 'none';
+
+    document.getElementById('loadMoreInfo').textContent =
+        `Показано ${books.length} из ${pagination.total}`;
+    document.getElementById('loadMoreBtn').style.display = pagination.hasMore ? 'inline-flex' : 'none';
+}
+
+// Поле с подсветкой совпадений поиска (сегменты приходят с сервера)
+function renderHighlighted(book, field) {
+    const segments = book.highlights?.[field];
+    if (!segments) return escapeHtml(book[field]);
+
+    return segments
+        .map(segment => segment.match
+            ? `<mark>${escapeHtml(segment.text)}</mark>`
+            : escapeHtml(segment.text))
+        .join('');
+}
+
+// Экранирует и кавычки: результат вставляется и в текст, и в значения атрибутов
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderProgress(book) {
+    const current = book.currentPage || 0;
+    const percent = Math.min(100, Math.round(current / book.totalPages * 100));
+
+    return `
+        <div class="progress">
+            <div class="progress-track">
+                <div class="progress-bar" style="width: ${percent}%"></div>
+            </div>
+            <span class="progress-label">${current} / ${book.totalPages} стр. (${percent}%)</span>
+        </div>
+    `;
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toLocaleDateString('ru-RU') : '';
+}
+
+// Значение для <input type="date">
+function toDateInput(value) {
+    return value ? new Date(value).toISOString().slice(0, 10) : '';
 }
 
 function getStars(rating) {
@@ -184,18 +1989,26 @@ function getStars(rating) {
 function openAddBookModal() {
     document.getElementById('modalTitle').textContent = 'Добавить книгу';
     document.getElementById('bookForm').reset();
+    markInvalidFields();
     document.getElementById('bookId').value = '';
+    document.getElementById('bookVersion').value = '';
     currentBookId = null;
+    resetPendingCover();
+    updateCoverPreview();
+    syncReadStatus();
     updateRatingDisplay(0);
     document.getElementById('bookModal').classList.add('active');
 }
 
 function editBook(id) {
-    const book = books.find(b => b._id === id);
+    const book = findBook(id);
     if (!book) return;
 
     document.getElementById('modalTitle').textContent = 'Редактировать книгу';
+    markInvalidFields();
     document.getElementById('bookId').value = book._id;
+    document.getElementById('bookVersion').value = book.version || 0;
+    document.getElementById('isbn').value = formatIsbn(book.isbn);
     document.getElementById('title').value = book.title;
     document.getElementById('author').value = book.author;
     document.getElementById('genre').value = book.genre;
@@ -205,22 +2018,35 @@ function editBook(id) {
     document.getElementById('rating').value = book.rating || 0;
     document.getElementById('notes').value = book.notes || '';
     document.getElementById('coverUrl').value = book.coverUrl || '';
+    document.getElementById('tags').value = (book.tags || []).join(', ');
+    document.getElementById('totalPages').value = book.totalPages || '';
+    document.getElementById('currentPage').value = book.currentPage ?? '';
+    document.getElementById('startedAt').value = toDateInput(book.startedAt);
+    document.getElementById('finishedAt').value = toDateInput(book.finishedAt);
 
+    resetPendingCover();
+    updateCoverPreview();
+    syncReadStatus();
     updateRatingDisplay(book.rating || 0);
     currentBookId = book._id;
     document.getElementById('bookModal').classList.add('active');
 }
 
 function viewBook(id) {
-    const book = books.find(b => b._id === id);
+    const book = findBook(id);
     if (!book) return;
 
+    if (currentBookId !== book._id) {
+        showViewTab('details');
+    }
     currentBookId = book._id;
 
     document.getElementById('viewTitle').textContent = book.title;
     document.getElementById('viewAuthor').textContent = book.author;
     document.getElementById('viewGenre').textContent = book.genre;
     document.getElementById('viewYear').textContent = book.year || 'Не указан';
+    document.getElementById('viewIsbnRow').style.display = book.isbn ? 'flex' : 'none';
+    document.getElementById('viewIsbn').textContent = formatIsbn(book.isbn);
     document.getElementById('viewStatus').innerHTML = `
         <span class="status-badge ${book.isRead ? 'status-read' : 'status-unread'}">
             ${book.isRead ? '✓ Прочитана' : '⏳ Не прочитана'}
@@ -229,6 +2055,27 @@ function viewBook(id) {
     document.getElementById('viewRatingStars').innerHTML = book.rating > 0 ? getStars(book.rating) : 'Нет рейтинга';
     document.getElementById('viewDescription').textContent = book.description || 'Описание отсутствует';
 
+    document.getElementById('viewProgress').innerHTML = book.totalPages
+        ? renderProgress(book)
+        : '<span class="muted">Количество страниц не указано</span>';
+    document.getElementById('viewReadingDates').textContent = [
+        book.startedAt ? `Начата: ${formatDate(book.startedAt)}` : '',
+        book.finishedAt ? `Дочитана: ${formatDate(book.finishedAt)}` : ''
+    ].filter(Boolean).join(' · ');
+
+    renderBookShelves(book._id);
+    renderLoan(book);
+
+    const sessions = book.readingSessions || [];
+    document.getElementById('viewSessions').innerHTML = sessions.length > 0
+        ? sessions.slice().reverse().map(session => `
+            <li>
+                <span>${formatDate(session.date)} - ${session.pagesRead} стр.</span>
+                <button class="session-delete" data-action="deleteSession" data-id="${escapeHtml(session._id)}" title="Удалить">&times;</button>
+            </li>
+        `).join('')
+        : '<li class="muted">Сессий чтения пока нет</li>';
+
     const notesSection = document.getElementById('viewNotesSection');
     if (book.notes) {
         notesSection.style.display = 'block';
@@ -238,7 +2085,11 @@ function viewBook(id) {
     }
 
     const coverImg = document.getElementById('viewCover');
-    coverImg.src = book.coverUrl || '';
+    coverImg.onerror = () => {
+        coverImg.onerror = null;
+        coverImg.src = placeholderSrc(book);
+    };
+    coverImg.src = coverSrc(book, 'original');
 
     document.getElementById('viewBookModal').classList.add('active');
 }
@@ -266,10 +2117,22 @@ function closeViewModal() {
 window.addEventListener('click', (e) => {
     const bookModal = document.getElementById('bookModal');
     const viewModal = document.getElementById('viewBookModal');
+    const importModal = document.getElementById('importModal');
+    const genresModal = document.getElementById('genresModal');
+    const trashModal = document.getElementById('trashModal');
 
     if (e.target === bookModal) {
         closeModal();
     }
+    if (e.target === importModal) {
+        closeImportModal();
+    }
+    if (e.target === genresModal) {
+        closeGenresModal();
+    }
+    if (e.target === trashModal) {
+        closeTrashModal();
+    }
     if (e.target === viewModal) {
         closeViewModal();
     }
@@ -280,6 +2143,7 @@ function handleBookSubmit(e) {
     e.preventDefault();
 
     const bookData = {
+        isbn: document.getElementById('isbn').value.trim(),
         title: document.getElementById('title').value.trim(),
         author: document.getElementById('author').value.trim(),
         genre: document.getElementById('genre').value,
@@ -288,13 +2152,18 @@ function handleBookSubmit(e) {
         isRead: document.getElementById('isRead').checked,
         rating: parseInt(document.getElementById('rating').value),
         notes: document.getElementById('notes').value.trim(),
-        coverUrl: document.getElementById('coverUrl').value.trim()
+        coverUrl: document.getElementById('coverUrl').value.trim(),
+        tags: parseTags(document.getElementById('tags').value),
+        totalPages: document.getElementById('totalPages').value,
+        currentPage: document.getElementById('currentPage').value,
+        startedAt: document.getElementById('startedAt').value,
+        finishedAt: document.getElementById('finishedAt').value
     };
 
     const bookId = document.getElementById('bookId').value;
 
     if (bookId) {
-        updateBook(bookId, bookData);
+        updateBook(bookId, bookData, document.getElementById('bookVersion').value);
     } else {
         createBook(bookData);
     }
@@ -304,10 +2173,10 @@ function handleBookSubmit(e) {
 function handleFilterChange(e) {
     const filterId = e.target.id;
 
-    if (filterId === 'genreFilter') {
-        currentFilters.genre = e.target.value;
-    } else if (filterId === 'statusFilter') {
+    if (filterId === 'statusFilter') {
         currentFilters.isRead = e.target.value;
+    } else if (filterId === 'loanFilter') {
+        currentFilters.loan = e.target.value;
     } else if (filterId === 'sortBy') {
         currentFilters.sortBy = e.target.value;
     }
@@ -315,6 +2184,203 @@ function handleFilterChange(e) {
     loadBooks();
 }
 
+// Filter Panel
+
+const LIST_FILTERS = ['genre', 'author'];
+const VALUE_FILTERS = ['q', 'isRead', 'loan', 'tag', 'shelf', 'sortBy', 'yearFrom', 'yearTo', 'ratingMin', 'ratingMax', 'hasNotes', 'hasCover'];
+
+function defaultFilters() {
+    return { genre: [], author: [], isRead: 'all', sortBy: 'dateAdded' };
+}
+
+// Фильтры в параметрах запроса: пустые значения и "all" пропускаются,
+// списки (жанры, авторы) передаются повторяющимся параметром
+function filtersToParams(filters) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        (Array.isArray(value) ? value : [value]).forEach(item => {
+            if (item === undefined || item === null || item === '' || item === 'all') return;
+            params.append(key, item);
+        });
+    });
+    return params;
+}
+
+// В адресе только то, что отличается от вида по умолчанию
+function filtersToUrlParams() {
+    const params = filtersToParams(currentFilters);
+    if (currentFilters.sortBy === 'dateAdded') params.delete('sortBy');
+    return params;
+}
+
+// Фильтры хранятся в адресе страницы, чтобы подборкой можно было поделиться
+function syncFiltersToUrl() {
+    const query = filtersToUrlParams().toString();
+    history.replaceState(null, '', query ? `?${query}` : location.pathname);
+}
+
+function readFiltersFromUrl() {
+    const params = new URLSearchParams(location.search);
+    currentFilters = defaultFilters();
+    LIST_FILTERS.forEach(key => {
+        currentFilters[key] = params.getAll(key).filter(Boolean);
+    });
+    VALUE_FILTERS.forEach(key => {
+        if (params.get(key)) currentFilters[key] = params.get(key);
+    });
+    applyFilterControls();
+}
+
+// Переносит currentFilters в элементы управления
+function applyFilterControls() {
+    document.getElementById('searchInput').value = currentFilters.q || '';
+    document.getElementById('statusFilter').value = currentFilters.isRead;
+    document.getElementById('loanFilter').value = currentFilters.loan || 'all';
+    ['yearFrom', 'yearTo', 'ratingMin', 'ratingMax'].forEach(id => {
+        document.getElementById(id).value = currentFilters[id] || '';
+    });
+    ['hasNotes', 'hasCover'].forEach(id => {
+        document.getElementById(id).value = currentFilters[id] || 'all';
+    });
+    updateShelfSortOption();
+    renderActiveTag();
+    renderFilterPanel();
+}
+
+function resetFilters() {
+    currentFilters = { ...defaultFilters(), shelf: currentFilters.shelf, sortBy: currentFilters.sortBy };
+    if (!currentFilters.shelf) delete currentFilters.shelf;
+    applyFilterControls();
+    loadBooks();
+}
+
+function facetOption(name, value, count) {
+    const checked = currentFilters[name].includes(value);
+    return `
+        <li>
+            <label class="facet-option ${count === 0 && !checked ? 'facet-empty' : ''}">
+                <input type="checkbox" name="${name}" value="${escapeHtml(value)}" ${checked ? 'checked' : ''}>
+                <span class="facet-label">${escapeHtml(value)}</span>
+                <span class="facet-count">${count}</span>
+            </label>
+        </li>
+    `;
+}
+
+function setOptionCount(select, value, count) {
+    const option = select.querySelector(`option[value="${value}"]`);
+    option.dataset.label = option.dataset.label || option.textContent;
+    option.textContent = count === undefined ? option.dataset.label : `${option.dataset.label} (${count})`;
+}
+
+// Счетчики в панели: сколько книг останется, если выбрать вариант
+function renderFilterPanel() {
+    const facets = filterFacets;
+    const counts = rows => new Map((rows || []).map(row => [row.value, row.count]));
+
+    // Жанры - все из справочника, авторы - самые частые плюс уже выбранные
+    const genreCounts = counts(facets?.genres);
+    const genreNames = [...new Set([...genres.map(genre => genre.name), ...currentFilters.genre])];
+    document.getElementById('genreFacet').innerHTML = genreNames
+        .map(name => facetOption('genre', name, genreCounts.get(name) || 0))
+        .join('');
+
+    const authorCounts = counts(facets?.authors);
+    const authorNames = [...new Set([...authorCounts.keys(), ...currentFilters.author])];
+    document.getElementById('authorFacet').innerHTML = authorNames.length > 0
+        ? authorNames.map(name => facetOption('author', name, authorCounts.get(name) || 0)).join('')
+        : '<li class="facet-empty">Нет книг</li>';
+
+    const statusFilter = document.getElementById('statusFilter');
+    setOptionCount(statusFilter, 'true', facets?.isRead.true);
+    setOptionCount(statusFilter, 'false', facets?.isRead.false);
+
+    // Оценка "от N" - все книги с округленной вниз оценкой не меньше N
+    const ratingMin = document.getElementById('ratingMin');
+    [1, 2, 3, 4, 5].forEach(value => {
+        const count = facets?.ratings
+            .filter(row => row.value >= value)
+            .reduce((sum, row) => sum + row.count, 0);
+        setOptionCount(ratingMin, String(value), count);
+    });
+
+    document.getElementById('yearFrom').placeholder = facets?.years ? `с ${facets.years.min}` : 'с';
+    document.getElementById('yearTo').placeholder = facets?.years ? `по ${facets.years.max}` : 'по';
+
+    ['hasNotes', 'hasCover'].forEach(id => {
+        const select = document.getElementById(id);
+        setOptionCount(select, 'true', facets?.[id].true);
+        setOptionCount(select, 'false', facets?.[id].false);
+    });
+}
+
+function handleFilterPanelChange(e) {
+    const { name, id, value, checked } = e.target;
+
+    if (LIST_FILTERS.includes(name)) {
+        currentFilters[name] = checked
+            ? [...currentFilters[name], value]
+            : currentFilters[name].filter(item => item !== value);
+    } else if (VALUE_FILTERS.includes(id)) {
+        if (value && value !== 'all') {
+            currentFilters[id] = value;
+        } else {
+            delete currentFilters[id];
+        }
+    } else {
+        return;
+    }
+
+    // Перепутанные границы меняем местами, а не отправляем запрос, который сервер отклонит
+    [['yearFrom', 'yearTo'], ['ratingMin', 'ratingMax']].forEach(([from, to]) => {
+        if (currentFilters[from] && currentFilters[to] && Number(currentFilters[from]) > Number(currentFilters[to])) {
+            [currentFilters[from], currentFilters[to]] = [currentFilters[to], currentFilters[from]];
+            applyFilterControls();
+        }
+    });
+
+    loadBooks();
+}
+
+// Если известно число страниц, статус "прочитана" вычисляется из прогресса
+function syncReadStatus() {
+    const total = parseInt(document.getElementById('totalPages').value);
+    const current = parseInt(document.getElementById('currentPage').value) || 0;
+    const isReadInput = document.getElementById('isRead');
+
+    if (total > 0) {
+        isReadInput.checked = current >= total;
+        document.getElementById('currentPage').max = total;
+    } else {
+        document.getElementById('currentPage').removeAttribute('max');
+    }
+}
+
+function handleIsReadChange(e) {
+    const total = parseInt(document.getElementById('totalPages').value);
+    if (total > 0 && e.target.checked) {
+        document.getElementById('currentPage').value = total;
+    }
+    syncReadStatus();
+}
+
+// Search Handler (debounce, чтобы не слать запрос на каждый символ)
+function handleSearchInput(e) {
+    clearTimeout(searchTimeout);
+
+    searchTimeout = setTimeout(() => {
+        const q = e.target.value.trim();
+
+        if (q) {
+            currentFilters.q = q;
+        } else {
+            delete currentFilters.q;
+        }
+
+        loadBooks();
+    }, SEARCH_DEBOUNCE_MS);
+}
+
 // Rating Functions
 function handleRatingClick(e) {
     const value = parseInt(e.target.dataset.value);
@@ -0,0 +1,3 @@
+// Кнопка печати в HTML-каталоге (GET /api/books/export?format=html):
+// инлайновый onclick запрещен Content-Security-Policy
+document.getElementById('printBtn').addEventListener('click', () => window.print());
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const { MongoClient } = require('mongodb');
+require('dotenv').config();
+
+const { loadConfig } = require('../src/config');
+const { createContext, createIndexes } = require('../src/database');
+const { applyBookValidator } = require('../src/schema');
+const {
+  RESTORE_MODES,
+  RESTORE_SWAP_FAILED,
+  backupFilename,
+  saveSnapshot,
+  swappedMessage,
+  writeBackup,
+  loadBackup,
+  restoreBackup
+} = require('../src/backup');
+
+// ===========================
+// BACKUP CLI
+// ===========================
+
+// npm run backup                                  - архив в BACKUPS_DIR/library-<дата>.ndjson.gz
+// npm run backup -- --out path/to/file.ndjson.gz  - архив в указанный файл
+// npm run restore -- <файл> [--mode=merge|replace] [--dry-run]
+//   replace сначала сохраняет текущую базу в BACKUPS_DIR/pre-restore-<дата>.ndjson.gz
+//   (BACKUPS_DIR по умолчанию - backups/ в корне проекта)
+
+function option(name) {
+  const prefix = `--${name}=`;
+  const inline = process.argv.find(arg => arg.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+async function backupToFile(ctx, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const summary = await writeBackup(ctx, fs.createWriteStream(file));
+  console.log(`💾 ${file}`);
+  Object.entries(summary.collections).forEach(([name, count]) => console.log(`   ${name}: ${count}`));
+}
+
+async function restoreFromFile(ctx, file) {
+  const mode = option('mode') || 'merge';
+  if (!RESTORE_MODES.includes(mode)) {
+    throw new Error(`--mode должен быть одним из: ${RESTORE_MODES.join(', ')}`);
+  }
+
+  const { backup, errors, errorCount } = await loadBackup(fs.readFileSync(file), {
+    maxUnpackedSize: ctx.config.restoreMaxUnpackedMb * 1024 * 1024
+  });
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`   ${error.message}`));
+    throw new Error(`Архив не прошел проверку (ошибок: ${errorCount})`);
+  }
+  console.log(`✅ Архив от ${backup.header.createdAt.toISOString()}, схема данных ${backup.header.schemaVersion}`);
+  if (process.argv.includes('--dry-run')) return;
+
+  let snapshot = null;
+  if (mode === 'replace') {
+    snapshot = await saveSnapshot(ctx, ctx.config.backupsDir);
+    console.log(`💾 ${snapshot}`);
+  }
+
+  let report;
+  try {
+    report = await restoreBackup(ctx, backup, mode);
+  } catch (error) {
+    if (error.code === RESTORE_SWAP_FAILED) {
+      console.error(`❌ Замена коллекций прервана: ${swappedMessage(error.swapped)}`);
+      console.error(`   Верните базу из снимка: npm run restore -- ${snapshot} --mode=replace`);
+    }
+    throw error;
+  }
+  Object.entries(report).forEach(([name, { restored, skipped }]) => {
+    console.log(`   ${name}: восстановлено ${restored}${skipped ? `, пропущено ${skipped}` : ''}`);
+  });
+}
+
+async function main() {
+  const [command, file] = process.argv.slice(2);
+  if (command === 'restore' && !file) {
+    throw new Error('Укажите файл архива: npm run restore -- <файл>');
+  }
+
+  const config = loadConfig();
+  const client = new MongoClient(config.mongodbUri);
+  await client.connect();
+
+  try {
+    const ctx = createContext(client.db(config.dbName), config);
+
+    if (command === 'restore') {
+      // Уникальные индексы и валидатор должны быть на месте до записи
+      await createIndexes(ctx);
+      await applyBookValidator(ctx);
+      await restoreFromFile(ctx, file);
+    } else {
+      await backupToFile(ctx, option('out') || path.join(ctx.config.backupsDir, backupFilename()));
+    }
+  } finally {
+    await client.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Ошибка:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+const { MongoClient } = require('mongodb');
+require('dotenv').config();
+
+const { loadConfig } = require('../src/config');
+const { createContext, createIndexes } = require('../src/database');
+const { runMigrations, migrationStatus, migrationLabel } = require('../src/migrations');
+const { applyBookValidator } = require('../src/schema');
+
+// ===========================
+// MIGRATION CLI
+// ===========================
+
+// npm run migrate            - выполнить невыполненные миграции и обновить валидатор
+// npm run migrate -- --status - показать, какие миграции выполнены
+async function main() {
+  const config = loadConfig();
+  const client = new MongoClient(config.mongodbUri);
+  await client.connect();
+
+  try {
+    const ctx = createContext(client.db(config.dbName), config);
+
+    if (process.argv.includes('--status')) {
+      const status = await migrationStatus(ctx);
+      status.forEach(migration => {
+        const state = migration.appliedAt ? `выполнена ${migration.appliedAt.toISOString()}` : 'не выполнена';
+        console.log(`${migrationLabel(migration)}: ${state}`);
+      });
+      return;
+    }
+
+    await createIndexes(ctx);
+    const applied = await runMigrations(ctx, undefined, message => console.log(message));
+    await applyBookValidator(ctx);
+
+    if (applied.length === 0) {
+      console.log('Все миграции уже выполнены');
+    }
+    applied.forEach(migration => {
+      console.log(`✅ ${migrationLabel(migration)}: ${JSON.stringify(migration.result)}`);
+    });
+  } finally {
+    await client.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Ошибка миграции:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,90 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const { createRequireAuth } = require('./auth');
+const { sendError } = require('./utils');
+const { securityHeaders, createBodyErrorHandler } = require('./security');
+const { createOpenApiRouter } = require('./routes/openapi');
+const { createAuthRouter } = require('./routes/auth');
+const { createBooksRouter } = require('./routes/books');
+const { createBulkRouter } = require('./routes/bulk');
+const { createDuplicatesRouter } = require('./routes/duplicates');
+const { createHistoryRouter } = require('./routes/history');
+const { createIsbnRouter } = require('./routes/isbn');
+const { createStatsRouter } = require('./routes/stats');
+const { createCoversRouter } = require('./routes/covers');
+const { createTrashRouter } = require('./routes/trash');
+const { createGenresRouter } = require('./routes/genres');
+const { createShelvesRouter } = require('./routes/shelves');
+const { createLoansRouter } = require('./routes/loans');
+const { createEventsRouter } = require('./routes/events');
+const { createRecommendationsRouter } = require('./routes/recommendations');
+const { createAdminRouter } = require('./routes/admin');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+/**
+ * Собирает Express-приложение поверх контекста (см. createContext).
+ * Само приложение не подключается к MongoDB и не слушает порт -
+ * это делает server.js, а тесты создают приложение со своей базой.
+ */
+function createApp(ctx) {
+  const app = express();
+
+  // ===========================
+  // MIDDLEWARE
+  // ===========================
+
+  app.use(securityHeaders);
+  app.use(cors());
+  app.use(express.json({ limit: ctx.config.jsonBodyLimit }));
+  app.use(createBodyErrorHandler(ctx.config.jsonBodyLimit));
+  app.use(express.static(PUBLIC_DIR));
+
+  // ===========================
+  // ROUTES
+  // ===========================
+
+  app.use(createOpenApiRouter());
+  app.use(createAuthRouter(ctx));
+
+  // Все остальные маршруты API доступны только после входа
+  app.use('/api', createRequireAuth(ctx));
+
+  app.use(createBooksRouter(ctx));
+  app.use(createBulkRouter(ctx));
+  app.use(createDuplicatesRouter(ctx));
+  app.use(createHistoryRouter(ctx));
+  app.use(createIsbnRouter(ctx));
+  app.use(createStatsRouter(ctx));
+  app.use(createCoversRouter(ctx));
+  app.use(createTrashRouter(ctx));
+  app.use(createGenresRouter(ctx));
+  app.use(createShelvesRouter(ctx));
+  app.use(createLoansRouter(ctx));
+  app.use(createEventsRouter(ctx));
+  app.use(createRecommendationsRouter(ctx));
+  app.use(createAdminRouter(ctx));
+
+  // Неизвестный маршрут API и непойманная ошибка - тоже в формате { code, message }
+  app.use('/api', (req, res) => {
+    sendError(res, 404, `Маршрут ${req.method} ${req.baseUrl}${req.path} не найден`);
+  });
+  app.use('/api', (error, req, res, next) => {
+    console.error('Необработанная ошибка API:', error);
+    if (res.headersSent) return next(error);
+    sendError(res, 500, 'Внутренняя ошибка сервера', error);
+  });
+
+  // ===========================
+  // STATIC FILES & FALLBACK
+  // ===========================
+
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
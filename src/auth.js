@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { sendError, fieldError } = require('./utils');
+
+const scrypt = promisify(crypto.scrypt);
+
+// ===========================
+// AUTHENTICATION
+// ===========================
+
+const SESSION_COOKIE = 'sid';
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function validateCredentials({ username, password } = {}) {
+  const errors = [];
+
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    errors.push(fieldError('username', 'pattern', 'Имя пользователя: 3-32 символа (латиница, цифры, "_", ".", "-")'));
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(fieldError('password', 'minLength', `Пароль должен содержать не менее ${MIN_PASSWORD_LENGTH} символов`));
+  }
+
+  return errors;
+}
+
+// Хеш пароля в формате "salt:hash" (scrypt)
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// В БД хранится только SHA-256 от токена, сам токен знает лишь клиент
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createSession(ctx, res, userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const maxAge = ctx.config.sessionTtlDays * 24 * 60 * 60 * 1000;
+
+  await ctx.sessionsCollection.insertOne({
+    tokenHash: hashToken(token),
+    userId,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + maxAge)
+  });
+
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    maxAge
+  });
+}
+
+// Токен из cookie или заголовка Authorization: Bearer <token>
+function getSessionToken(req) {
+  const header = req.headers.authorization;
+  if (header?.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+
+  const cookies = req.headers.cookie?.split(';') || [];
+  for (const cookie of cookies) {
+    const [name, ...rest] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      // Испорченная cookie (например, "%E0%A4%A") - то же, что ее отсутствие
+      try {
+        return decodeURIComponent(rest.join('='));
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function publicUser(user) {
+  return { _id: user._id, username: user.username, createdAt: user.createdAt };
+}
+
+/**
+ * Middleware: пускает дальше только с действующей сессией,
+ * текущий пользователь доступен в req.user
+ */
+function createRequireAuth(ctx) {
+  const { sessionsCollection, usersCollection } = ctx;
+
+  return async function requireAuth(req, res, next) {
+    try {
+      const token = getSessionToken(req);
+      if (!token) {
+        return sendError(res, 401, 'Требуется авторизация');
+      }
+
+      const session = await sessionsCollection.findOne({
+        tokenHash: hashToken(token),
+        expiresAt: { $gt: new Date() }
+      });
+      if (!session) {
+        return sendError(res, 401, 'Сессия истекла, войдите снова');
+      }
+
+      const user = await usersCollection.findOne({ _id: session.userId });
+      if (!user) {
+        return sendError(res, 401, 'Пользователь не найден');
+      }
+
+      req.user = user;
+      req.sessionTokenHash = session.tokenHash;
+      next();
+    } catch (error) {
+      console.error('Ошибка при проверке сессии:', error);
+      sendError(res, 500, 'Ошибка при проверке сессии', error);
+    }
+  };
+}
+
+/**
+ * Middleware после requireAuth: пускает только пользователей из ADMIN_USERS
+ */
+function createRequireAdmin(ctx) {
+  return function requireAdmin(req, res, next) {
+    if (!ctx.config.adminUsers.includes(req.user?.username)) {
+      return sendError(res, 403, 'Доступно только администраторам');
+    }
+    next();
+  };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  USERNAME_PATTERN,
+  MIN_PASSWORD_LENGTH,
+  validateCredentials,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  publicUser,
+  createRequireAuth,
+  createRequireAdmin
+};
@@ -0,0 +1,515 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { pipeline } = require('stream/promises');
+const multer = require('multer');
+const { BSON } = require('mongodb');
+const { fieldError, sendValidationError, uploadError } = require('./utils');
+const { BOOK_SCHEMA, validateDocument } = require('./schema');
+const { MIGRATIONS } = require('./migrations');
+
+const { EJSON } = BSON;
+
+// ===========================
+// BACKUP & RESTORE
+// ===========================
+
+const BACKUP_FORMAT = 'book-library-backup';
+const BACKUP_VERSION = 1;
+const RESTORE_MODES = ['merge', 'replace'];
+const RESTORE_MAX_FILE_SIZE = 200 * 1024 * 1024;
+
+// В архив попадает все, кроме сессий (их токены не должны переезжать) и журнала миграций
+// (вместо него в заголовке - версия схемы). Пользователи идут первыми: при merge
+// по ним сопоставляются владельцы остальных документов
+const BACKUP_COLLECTIONS = [
+  'users', 'genres', 'books', 'shelves', 'loans', 'bookHistory', 'covers.files', 'covers.chunks'
+];
+
+// Уникальные индексы из createIndexes: архив с повторами не восстановится
+const UNIQUE_KEYS = {
+  users: ['username'],
+  genres: ['ownerId', 'name'],
+  shelves: ['ownerId', 'name'],
+  books: ['ownerId', 'isbn']
+};
+
+// Сколько ошибок проверки архива показывать (остальные только считаются)
+const MAX_REPORTED_ERRORS = 20;
+
+const UNPACKED_TOO_LARGE = 'BACKUP_UNPACKED_TOO_LARGE';
+const RESTORE_SWAP_FAILED = 'RESTORE_SWAP_FAILED';
+
+// replace сначала пишет архив во временные коллекции <имя>_restore, а текущие коллекции
+// на время замены переносит в <имя>_previous
+const STAGING_SUFFIX = '_restore';
+const PREVIOUS_SUFFIX = '_previous';
+
+// Сколько документов вставлять за один запрос при восстановлении
+const RESTORE_BATCH_SIZE = 500;
+
+/*
+ * Формат архива: gzip со строками EJSON (canonical - типы BSON сохраняются):
+ *   { format, version, createdAt, schemaVersion }   - заголовок
+ *   { collection, document }                         - по строке на документ
+ *   { end: true, collections: { имя: количество } }  - итог: без него архив считается обрезанным
+ */
+
+function latestSchemaVersion() {
+  return Math.max(0, ...MIGRATIONS.map(migration => migration.version));
+}
+
+// Версия схемы данных в базе - последняя выполненная миграция
+async function appliedSchemaVersion(ctx) {
+  const applied = await ctx.migrationsCollection.find({ appliedAt: { $ne: null } }).toArray();
+  return Math.max(0, ...applied.map(record => record._id));
+}
+
+function backupFilename(prefix = 'library', date = new Date()) {
+  return `${prefix}-${date.toISOString().slice(0, 19).replace(/[:T]/g, '-')}.ndjson.gz`;
+}
+
+// Сохраняет базу в dir перед заменой, возвращает путь к архиву
+async function saveSnapshot(ctx, dir, prefix = 'pre-restore') {
+  const file = path.join(dir, backupFilename(prefix));
+  await fs.promises.mkdir(dir, { recursive: true });
+  await writeBackup(ctx, fs.createWriteStream(file));
+  return file;
+}
+
+function toLine(value) {
+  return `${EJSON.stringify(value, { relaxed: false })}\n`;
+}
+
+/**
+ * Пишет архив всей базы в поток output (файл или HTTP-ответ).
+ * Возвращает итог: { createdAt, schemaVersion, collections: { имя: количество } }
+ */
+async function writeBackup(ctx, output) {
+  const header = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date(),
+    schemaVersion: await appliedSchemaVersion(ctx)
+  };
+  const collections = {};
+
+  async function* lines() {
+    yield toLine(header);
+    for (const name of BACKUP_COLLECTIONS) {
+      collections[name] = 0;
+      for await (const document of ctx.db.collection(name).find({})) {
+        collections[name]++;
+        yield toLine({ collection: name, document });
+      }
+    }
+    yield toLine({ end: true, collections });
+  }
+
+  await pipeline(Readable.from(lines()), zlib.createGzip(), output);
+  return { createdAt: header.createdAt, schemaVersion: header.schemaVersion, collections };
+}
+
+/**
+ * Строки архива по мере распаковки: распакованный текст целиком в памяти не держим,
+ * а больше maxUnpackedSize байт не распаковываем вовсе (gzip-бомба)
+ */
+async function* unpackLines(buffer, maxUnpackedSize) {
+  const decoder = new StringDecoder('utf8');
+  let size = 0;
+  let rest = '';
+  for await (const chunk of Readable.from([buffer]).pipe(zlib.createGunzip())) {
+    size += chunk.length;
+    if (size > maxUnpackedSize) {
+      throw Object.assign(new Error('Архив слишком большой после распаковки'), { code: UNPACKED_TOO_LARGE });
+    }
+    const lines = (rest + decoder.write(chunk)).split('\n');
+    rest = lines.pop();
+    yield* lines;
+  }
+  yield rest + decoder.end();
+}
+
+// Записи архива (объекты EJSON) по мере распаковки
+async function* readRecords(buffer, maxUnpackedSize) {
+  for await (const line of unpackLines(buffer, maxUnpackedSize)) {
+    if (line) yield EJSON.parse(line);
+  }
+}
+
+// Ошибка заголовка архива: чужой файл, новый формат или схема данных новее приложения
+function checkHeader(header) {
+  if (header?.format !== BACKUP_FORMAT) {
+    return fieldError('file', 'format', 'Файл не является резервной копией библиотеки');
+  }
+  if (!(header.version <= BACKUP_VERSION)) {
+    return fieldError('file', 'version', `Формат архива версии ${header.version} не поддерживается (поддерживается до ${BACKUP_VERSION})`);
+  }
+  if (header.schemaVersion > latestSchemaVersion()) {
+    return fieldError(
+      'file',
+      'version',
+      `Архив создан более новой версией приложения: схема данных ${header.schemaVersion}, поддерживается до ${latestSchemaVersion()}`
+    );
+  }
+  return null;
+}
+
+function keyOf(document, fields) {
+  const values = fields.map(field => document[field]);
+  return values.some(value => value === undefined || value === null) ? null : JSON.stringify(values);
+}
+
+/**
+ * Проверка данных архива до записи в базу, по документу за раз: _id у каждого документа,
+ * книги - по BOOK_SCHEMA, уникальные поля без повторов, ссылки на пользователей и файлы
+ * обложек. Сами документы не запоминаются - только их _id, ключи и ссылки.
+ * check(name, document, index) - очередной документ коллекции name;
+ * finish() - { errors: [{ field, code, message }] (не больше MAX_REPORTED_ERRORS), errorCount }
+ */
+function createBackupChecker() {
+  const errors = [];
+  const ids = Object.fromEntries(BACKUP_COLLECTIONS.map(name => [name, new Set()]));
+  const keys = Object.fromEntries(BACKUP_COLLECTIONS.map(name => [name, new Set()]));
+  // Ссылки проверяются в конце: владелец или файл может идти в архиве позже документа.
+  // Для каждого отсутствующего id сообщаем о первом сославшемся документе
+  const owners = new Map();
+  const files = new Map();
+
+  return {
+    check(name, document, index) {
+      const label = `${name}[${document?._id ?? index}]`;
+      if (!document || document._id === undefined) {
+        errors.push(fieldError(label, 'required', `${label}: нет _id`));
+        return;
+      }
+      if (ids[name].has(String(document._id))) errors.push(fieldError(label, 'duplicate', `${label}: _id повторяется`));
+      ids[name].add(String(document._id));
+
+      if (name === 'books') {
+        errors.push(...validateDocument(BOOK_SCHEMA, document, label));
+      }
+      if (UNIQUE_KEYS[name]) {
+        const key = keyOf(document, UNIQUE_KEYS[name]);
+        if (key && keys[name].has(key)) {
+          errors.push(fieldError(label, 'duplicate', `${label}: повторяется ${UNIQUE_KEYS[name].join(' + ')}`));
+        }
+        if (key) keys[name].add(key);
+      }
+      if (document.ownerId && !owners.has(String(document.ownerId))) {
+        owners.set(String(document.ownerId), label);
+      }
+      if (name === 'covers.chunks' && !files.has(String(document.files_id))) {
+        files.set(String(document.files_id), label);
+      }
+    },
+
+    finish() {
+      owners.forEach((label, ownerId) => {
+        if (!ids.users.has(ownerId)) {
+          errors.push(fieldError(`${label}.ownerId`, 'reference', `${label}: владелец ${ownerId} отсутствует в архиве`));
+        }
+      });
+      files.forEach((label, fileId) => {
+        if (!ids['covers.files'].has(fileId)) {
+          errors.push(fieldError(`${label}.files_id`, 'reference', `${label}: файл обложки ${fileId} отсутствует в архиве`));
+        }
+      });
+      return { errors: errors.slice(0, MAX_REPORTED_ERRORS), errorCount: errors.length };
+    }
+  };
+}
+
+/**
+ * Читает архив и проверяет формат, целостность, версию схемы и данные (createBackupChecker).
+ * Архив распаковывается потоком и документы в памяти не накапливаются: при восстановлении
+ * restoreBackup читает его еще раз через backup.records().
+ * maxUnpackedSize - предел размера после распаковки (байт), больше - ошибка.
+ * Возвращает { backup: { header, counts: { имя: количество }, users, records }, errors, errorCount }
+ */
+async function loadBackup(buffer, { maxUnpackedSize = Infinity } = {}) {
+  const failed = error => ({ backup: null, errors: [error], errorCount: 1 });
+  const counts = Object.fromEntries(BACKUP_COLLECTIONS.map(name => [name, 0]));
+  const users = [];
+  const checker = createBackupChecker();
+  // Неизвестная коллекция упоминается один раз, сколько бы документов из нее ни было
+  const formatErrors = new Map();
+  let header = null;
+  // Последняя прочитанная запись: в конце архива это завершающая { end: true, ... }
+  let last = null;
+
+  function addDocument(record) {
+    if (!BACKUP_COLLECTIONS.includes(record.collection)) {
+      const message = `Неизвестная коллекция "${record.collection}"`;
+      formatErrors.set(message, fieldError(record.collection, 'enum', message));
+      return;
+    }
+    checker.check(record.collection, record.document, counts[record.collection]++);
+    // Пользователей немного, а для merge и replace они нужны до записи остальных коллекций
+    if (record.collection === 'users' && record.document) users.push(record.document);
+  }
+
+  try {
+    for await (const record of readRecords(buffer, maxUnpackedSize)) {
+      if (!header) {
+        header = record;
+        const error = checkHeader(header);
+        if (error) return failed(error);
+        continue;
+      }
+      if (last) addDocument(last);
+      last = record;
+    }
+  } catch (error) {
+    if (error.code === UNPACKED_TOO_LARGE) {
+      const limit = `${Math.round(maxUnpackedSize / 1024 / 1024)} МБ`;
+      return failed(fieldError('file', 'maxLength', `Архив больше ${limit} после распаковки`));
+    }
+    return failed(fieldError('file', 'format', 'Файл не является архивом резервной копии или поврежден'));
+  }
+
+  if (!header) {
+    return failed(fieldError('file', 'format', 'Файл не является резервной копией библиотеки'));
+  }
+  if (!last?.end) {
+    return failed(fieldError('file', 'truncated', 'Архив обрезан: нет завершающей записи'));
+  }
+
+  const errors = [...formatErrors.values()];
+  BACKUP_COLLECTIONS.forEach(name => {
+    const expected = last.collections?.[name] ?? 0;
+    if (counts[name] !== expected) {
+      errors.push(fieldError(name, 'count', `${name}: в архиве ${counts[name]} документов вместо ${expected}`));
+    }
+  });
+
+  const backup = { header, counts, users, records: () => readRecords(buffer, maxUnpackedSize) };
+  if (errors.length > 0) {
+    return { backup, errors, errorCount: errors.length };
+  }
+  return { backup, ...checker.finish() };
+}
+
+// Документы архива пачками до RESTORE_BATCH_SIZE: { name, documents }
+async function* documentBatches(backup) {
+  let batch = null;
+  for await (const record of backup.records()) {
+    // У заголовка и завершающей записи нет collection
+    if (!BACKUP_COLLECTIONS.includes(record.collection)) continue;
+    if (batch && (batch.name !== record.collection || batch.documents.length >= RESTORE_BATCH_SIZE)) {
+      yield batch;
+      batch = null;
+    }
+    if (!batch) batch = { name: record.collection, documents: [] };
+    batch.documents.push(record.document);
+  }
+  if (batch) yield batch;
+}
+
+// Владелец документа - в ownerId, у файлов GridFS - в metadata, у истории - еще и в actor
+function remapOwner(document, ownerIds) {
+  const owner = id => (id && ownerIds.get(String(id))) || id;
+  const remapped = { ...document };
+  if (remapped.ownerId) remapped.ownerId = owner(remapped.ownerId);
+  if (remapped.metadata?.ownerId) remapped.metadata = { ...remapped.metadata, ownerId: owner(remapped.metadata.ownerId) };
+  if (remapped.actor?._id) remapped.actor = { ...remapped.actor, _id: owner(remapped.actor._id) };
+  return remapped;
+}
+
+// Вставляет документы, которых еще нет; повтор _id или уникального поля - пропуск
+async function insertMissing(collection, documents) {
+  if (documents.length === 0) return 0;
+  try {
+    await collection.bulkWrite(documents.map(document => ({ insertOne: { document } })), { ordered: false });
+    return 0;
+  } catch (error) {
+    if (!error.writeErrors?.length || error.writeErrors.some(writeError => writeError.code !== 11000)) {
+      throw error;
+    }
+    return error.writeErrors.length;
+  }
+}
+
+/**
+ * Пустая временная коллекция с теми же валидатором и индексами, что у коллекции name.
+ * Ошибка записи в нее (повтор ключа, валидатор) не затрагивает базу
+ */
+async function createStagingCollection(ctx, name) {
+  const target = ctx.db.collection(name);
+  const stagingName = `${name}${STAGING_SUFFIX}`;
+  await ctx.db.collection(stagingName).drop().catch(() => {});
+
+  // У коллекции, которой еще нет в базе, нет ни опций, ни индексов
+  const options = await target.options().catch(() => ({}));
+  const staging = await ctx.db.createCollection(stagingName, Object.fromEntries(
+    ['validator', 'validationLevel', 'validationAction']
+      .filter(option => options[option] !== undefined)
+      .map(option => [option, options[option]])
+  ));
+  for (const index of await target.indexes().catch(() => [])) {
+    if (index.name === '_id_') continue;
+    const indexOptions = { ...index };
+    ['v', 'ns', 'key'].forEach(field => delete indexOptions[field]);
+    await staging.createIndex(index.key, indexOptions);
+  }
+}
+
+// Для сообщения об ошибке RESTORE_SWAP_FAILED
+function swappedMessage(swapped) {
+  return swapped.length > 0
+    ? `данные архива уже в коллекциях ${swapped.join(', ')}, остальные прежние или пустые`
+    : 'ни одна коллекция не заменена, но часть прежних осталась в *_previous';
+}
+
+function dropCollections(ctx, suffix) {
+  return Promise.all(BACKUP_COLLECTIONS.map(name =>
+    ctx.db.collection(`${name}${suffix}`).drop().catch(() => {})
+  ));
+}
+
+/**
+ * Ставит временные коллекции на место текущих. Текущая коллекция сначала уходит
+ * в <имя>_previous и удаляется, только когда на место встали все новые: если
+ * переименование не удалось, прежние коллекции возвращаются обратно. Если не удалось
+ * и это, ошибка с кодом RESTORE_SWAP_FAILED перечисляет в swapped коллекции,
+ * в которых уже данные архива, - остальное восстанавливается из снимка базы
+ */
+async function swapStagedCollections(ctx) {
+  const moved = [];
+  try {
+    for (const name of BACKUP_COLLECTIONS) {
+      const entry = { name, existed: true, swapped: false };
+      try {
+        await ctx.db.collection(name).rename(`${name}${PREVIOUS_SUFFIX}`, { dropTarget: true });
+      } catch (error) {
+        // NamespaceNotFound: такой коллекции в базе еще не было
+        if (error.code !== 26) throw error;
+        entry.existed = false;
+      }
+      moved.push(entry);
+      await ctx.db.collection(`${name}${STAGING_SUFFIX}`).rename(name, { dropTarget: true });
+      entry.swapped = true;
+    }
+  } catch (error) {
+    try {
+      for (const entry of [...moved].reverse()) {
+        if (entry.existed) {
+          await ctx.db.collection(`${entry.name}${PREVIOUS_SUFFIX}`).rename(entry.name, { dropTarget: true });
+        } else if (entry.swapped) {
+          await ctx.db.collection(entry.name).drop();
+        }
+        entry.swapped = false;
+      }
+    } catch (rollbackError) {
+      console.error('Ошибка при возврате коллекций после неудачной замены:', rollbackError);
+      throw Object.assign(new Error(`Замена коллекций прервана: ${error.message}`), {
+        code: RESTORE_SWAP_FAILED,
+        swapped: moved.filter(entry => entry.swapped).map(entry => entry.name),
+        cause: error
+      });
+    }
+    await dropCollections(ctx, STAGING_SUFFIX);
+    throw error;
+  }
+  await dropCollections(ctx, PREVIOUS_SUFFIX);
+}
+
+/**
+ * Восстанавливает проверенный архив (loadBackup без ошибок), читая его пачками
+ * по RESTORE_BATCH_SIZE документов.
+ * replace - коллекции из архива полностью заменяются: сначала все записываются во
+ *           временные коллекции и только потом встают на место (swapStagedCollections),
+ *           так что ошибка записи оставляет базу как была; сессии пользователей,
+ *           которых нет в архиве, удаляются;
+ * merge   - добавляются только документы, которых нет в базе (по _id и уникальным полям).
+ *           Пользователь из архива, чье имя уже занято, сопоставляется с существующим:
+ *           его книги, полки и остальное переходят к нему.
+ * Затем выполняются миграции новее версии схемы архива.
+ * Возвращает { имя коллекции: { restored, skipped } }
+ */
+async function restoreBackup(ctx, backup, mode) {
+  const { header, counts, users } = backup;
+  const report = {};
+
+  if (mode === 'replace') {
+    try {
+      for (const name of BACKUP_COLLECTIONS) {
+        await createStagingCollection(ctx, name);
+      }
+      for await (const { name, documents } of documentBatches(backup)) {
+        await ctx.db.collection(`${name}${STAGING_SUFFIX}`).insertMany(documents);
+      }
+    } catch (error) {
+      await dropCollections(ctx, STAGING_SUFFIX);
+      throw error;
+    }
+
+    await swapStagedCollections(ctx);
+    BACKUP_COLLECTIONS.forEach(name => {
+      report[name] = { restored: counts[name], skipped: 0 };
+    });
+    await ctx.sessionsCollection.deleteMany({ userId: { $nin: users.map(user => user._id) } });
+  } else {
+    const ownerIds = new Map();
+    const existingUsers = await ctx.usersCollection
+      .find({ username: { $in: users.map(user => user.username) } })
+      .toArray();
+    existingUsers.forEach(user => {
+      const archived = users.find(item => item.username === user.username);
+      if (!archived._id.equals(user._id)) ownerIds.set(String(archived._id), user._id);
+    });
+
+    BACKUP_COLLECTIONS.forEach(name => {
+      report[name] = { restored: 0, skipped: 0 };
+    });
+    for await (const { name, documents: batch } of documentBatches(backup)) {
+      const documents = name === 'users'
+        ? batch.filter(user => !ownerIds.has(String(user._id)))
+        : batch.map(document => remapOwner(document, ownerIds));
+      const skipped = await insertMissing(ctx.db.collection(name), documents);
+      report[name].restored += documents.length - skipped;
+      report[name].skipped += batch.length - documents.length + skipped;
+    }
+  }
+
+  // Миграции идемпотентны: доводим восстановленные документы до текущей схемы
+  for (const migration of MIGRATIONS) {
+    if (migration.version > header.schemaVersion) {
+      await migration.up(ctx);
+    }
+  }
+
+  return report;
+}
+
+const backupUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: RESTORE_MAX_FILE_SIZE, files: 1 }
+});
+
+// Middleware загрузки архива (поле "file") с понятными ошибками вместо стандартных multer
+function handleBackupUpload(req, res, next) {
+  backupUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return sendValidationError(res, [uploadError(error, 'file', `Архив больше ${RESTORE_MAX_FILE_SIZE / 1024 / 1024} МБ`)]);
+    }
+    next();
+  });
+}
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  BACKUP_COLLECTIONS,
+  RESTORE_MODES,
+  RESTORE_SWAP_FAILED,
+  backupFilename,
+  swappedMessage,
+  saveSnapshot,
+  writeBackup,
+  loadBackup,
+  restoreBackup,
+  handleBackupUpload
+};
@@ -0,0 +1,61 @@
+const { fieldError } = require('./utils');
+
+// ===========================
+// BULK OPERATIONS
+// ===========================
+
+const MAX_BULK_ITEMS = 500;
+const BULK_ACTIONS = ['update', 'delete'];
+
+// Поля, которые можно изменить сразу у многих книг
+const BULK_FIELDS = ['isRead', 'genre', 'rating'];
+
+/**
+ * Проверка запроса целиком: действие, список ID и набор изменений.
+ * Сами изменения проверяются validateBook отдельно для каждой книги.
+ */
+function validateBulkRequest(body) {
+  const errors = [];
+  const { action, ids, changes } = body || {};
+
+  if (!BULK_ACTIONS.includes(action)) {
+    errors.push(fieldError('action', 'enum', `Поле "action" должно быть одним из: ${BULK_ACTIONS.join(', ')}`));
+  }
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    errors.push(fieldError('ids', 'type', 'Поле "ids" должно быть непустым массивом ID книг'));
+  } else if (ids.length > MAX_BULK_ITEMS) {
+    errors.push(fieldError('ids', 'maxItems', `Не больше ${MAX_BULK_ITEMS} книг за один запрос`));
+  }
+
+  if (action === 'update') {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+      errors.push(fieldError('changes', 'type', 'Поле "changes" должно быть объектом с изменениями'));
+    } else if (Object.keys(changes).some(field => !BULK_FIELDS.includes(field))) {
+      errors.push(fieldError('changes', 'enum', `Массово можно изменить только поля: ${BULK_FIELDS.join(', ')}`));
+    } else if (changes.isRead !== undefined && typeof changes.isRead !== 'boolean') {
+      errors.push(fieldError('changes.isRead', 'type', 'Поле "isRead" должно быть true или false'));
+    }
+  }
+
+  return errors;
+}
+
+// Ошибка отдельной операции bulkWrite - в ошибку { field, code, message } для результата книги
+function describeWriteError(writeError) {
+  if (writeError.code === 11000) {
+    return fieldError('isbn', 'duplicate', 'Книга с таким ISBN уже есть в библиотеке или в корзине');
+  }
+  if (writeError.code === 121) {
+    return fieldError(null, 'schema', 'Книга не прошла проверку схемы базы данных');
+  }
+  return fieldError(null, 'write', writeError.errmsg || 'Ошибка записи');
+}
+
+module.exports = {
+  MAX_BULK_ITEMS,
+  BULK_ACTIONS,
+  BULK_FIELDS,
+  validateBulkRequest,
+  describeWriteError
+};
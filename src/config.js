@@ -0,0 +1,33 @@
+const path = require('path');
+
+// ===========================
+// CONFIGURATION
+// ===========================
+
+/**
+ * Настройки приложения из переменных окружения (по умолчанию - process.env).
+ * Тесты передают свой объект, чтобы не зависеть от окружения.
+ */
+function loadConfig(env = process.env) {
+  return {
+    mongodbUri: env.MONGODB_URI || 'mongodb://localhost:27017',
+    dbName: env.DB_NAME || 'bookLibrary',
+    port: env.PORT || 3000,
+    sessionTtlDays: parseInt(env.SESSION_TTL_DAYS) || 30,
+    trashRetentionDays: parseInt(env.TRASH_RETENTION_DAYS) || 30,
+    isbnProviders: env.ISBN_PROVIDERS || 'fixture',
+    isbnFixturesPath: env.ISBN_FIXTURES_PATH || path.join(__dirname, '..', 'data', 'isbn-fixtures.json'),
+    syncMode: env.SYNC_MODE || 'auto',
+    syncPollMs: parseInt(env.SYNC_POLL_MS) || 2000,
+    syncOpenTimeoutMs: parseInt(env.SYNC_OPEN_TIMEOUT_MS) || 10000,
+    jsonBodyLimit: env.JSON_BODY_LIMIT || '100kb',
+    // Куда сохраняется база перед восстановлением архива в режиме replace
+    backupsDir: env.BACKUPS_DIR || path.join(__dirname, '..', 'backups'),
+    // Предельный размер архива резервной копии после распаковки (МБ)
+    restoreMaxUnpackedMb: parseInt(env.RESTORE_MAX_UNPACKED_MB) || 1024,
+    // Имена пользователей через запятую, которым доступны /api/admin (резервные копии)
+    adminUsers: (env.ADMIN_USERS || '').split(',').map(name => name.trim()).filter(Boolean)
+  };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,184 @@
+const multer = require('multer');
+const sharp = require('sharp');
+const crypto = require('crypto');
+const { fieldError, sendValidationError, uploadError, escapeHtml } = require('./utils');
+
+// ===========================
+// COVER HELPERS
+// ===========================
+
+const COVER_MAX_FILE_SIZE = 5 * 1024 * 1024;
+// Ограничение на размер изображения в пикселях, чтобы маленький файл не распаковался в гигабайты
+const COVER_MAX_PIXELS = 40 * 1000 * 1000;
+
+// MIME-тип -> формат по версии sharp
+const COVER_MIME_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+// Миниатюра совпадает с размером обложки в карточке книги
+const COVER_THUMB_SIZE = { width: 280, height: 320 };
+
+const coverUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: COVER_MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (!COVER_MIME_TYPES[file.mimetype]) {
+      const error = new Error('Неподдерживаемый тип файла');
+      error.code = 'INVALID_COVER_TYPE';
+      return callback(error);
+    }
+    callback(null, true);
+  }
+});
+
+function handleCoverUpload(req, res, next) {
+  coverUpload.single('cover')(req, res, (error) => {
+    if (error) {
+      if (error.code === 'INVALID_COVER_TYPE') {
+        return sendValidationError(res, [
+          fieldError('cover', 'format', 'Обложка должна быть изображением JPEG, PNG, WebP или GIF')
+        ]);
+      }
+      return sendValidationError(res, [uploadError(error, 'cover', `Файл больше ${COVER_MAX_FILE_SIZE / 1024 / 1024} МБ`)]);
+    }
+    next();
+  });
+}
+
+/**
+ * Проверяет содержимое файла (заголовку Content-Type клиента не доверяем).
+ * Возвращает { contentType, width, height } или null, если это не изображение.
+ */
+async function inspectCoverImage(buffer) {
+  try {
+    const metadata = await sharp(buffer, { limitInputPixels: COVER_MAX_PIXELS }).metadata();
+    const contentType = Object.keys(COVER_MIME_TYPES)
+      .find(type => COVER_MIME_TYPES[type] === metadata.format);
+
+    return contentType ? { contentType, width: metadata.width, height: metadata.height } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function createCoverThumbnail(buffer) {
+  return sharp(buffer, { limitInputPixels: COVER_MAX_PIXELS })
+    .rotate()
+    .resize(COVER_THUMB_SIZE.width, COVER_THUMB_SIZE.height, { fit: 'cover' })
+    .webp({ quality: 80 })
+    .toBuffer();
+}
+
+function saveCoverFile(ctx, buffer, filename, metadata) {
+  return new Promise((resolve, reject) => {
+    const upload = ctx.coversBucket.openUploadStream(filename, { metadata });
+    upload.once('error', reject);
+    upload.once('finish', () => resolve(upload.id));
+    upload.end(buffer);
+  });
+}
+
+// Файлы старой обложки удаляются после того, как книга уже ссылается на новую,
+// поэтому ошибка здесь только логируется (остатки подберет cleanupOrphanCovers)
+async function deleteCoverFiles(ctx, cover) {
+  if (!cover) return;
+
+  await Promise.all([cover.fileId, cover.thumbId].filter(Boolean).map(fileId =>
+    ctx.coversBucket.delete(fileId).catch(error => {
+      console.error('Ошибка при удалении файла обложки:', error.message);
+    })
+  ));
+}
+
+// Удаляет файлы обложек, чьих книг больше нет (например, после TTL-очистки корзины)
+async function cleanupOrphanCovers(ctx) {
+  const { db, booksCollection, coversBucket } = ctx;
+
+  try {
+    const bookIds = await db.collection('covers.files').distinct('metadata.bookId');
+    if (bookIds.length === 0) return;
+
+    const existing = await booksCollection.distinct('_id', { _id: { $in: bookIds } });
+    const existingIds = new Set(existing.map(id => id.toString()));
+    const orphans = await db.collection('covers.files')
+      .find({ 'metadata.bookId': { $in: bookIds.filter(id => !existingIds.has(id.toString())) } })
+      .project({ _id: 1 })
+      .toArray();
+
+    for (const file of orphans) {
+      await coversBucket.delete(file._id);
+    }
+    if (orphans.length > 0) {
+      console.log(`🧹 Удалено файлов обложек без книг: ${orphans.length}`);
+    }
+  } catch (error) {
+    console.error('Ошибка при очистке обложек:', error);
+  }
+}
+
+// Разбивает название на строки для заглушки (перенос по словам)
+function wrapPlaceholderText(text, maxLength, maxLines) {
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length <= maxLength || !line) {
+      line = candidate;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = lines[maxLines - 1].slice(0, maxLength - 1) + '…';
+  }
+  return lines.map(item => item.length > maxLength ? item.slice(0, maxLength - 1) + '…' : item);
+}
+
+/**
+ * SVG-заглушка обложки с названием и автором. Цвет фона зависит от названия,
+ * поэтому у одной книги заглушка всегда одинаковая.
+ */
+function buildPlaceholderSvg(title, author) {
+  const { width, height } = COVER_THUMB_SIZE;
+  const hash = crypto.createHash('md5').update(title).digest();
+  const hue = hash.readUInt16BE(0) % 360;
+
+  const titleLines = wrapPlaceholderText(title || 'Без названия', 16, 4);
+  const titleTop = height / 2 - (titleLines.length - 1) * 16;
+  const titleText = titleLines
+    .map((line, index) => `<tspan x="50%" y="${titleTop + index * 32}">${escapeHtml(line)}</tspan>`)
+    .join('');
+  const [authorLine] = wrapPlaceholderText(author || '', 26, 1);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="hsl(${hue}, 55%, 55%)"/>
+      <stop offset="1" stop-color="hsl(${(hue + 40) % 360}, 60%, 35%)"/>
+    </linearGradient>
+  </defs>
+  <rect width="100%" height="100%" fill="url(#bg)"/>
+  <rect x="12" y="12" width="${width - 24}" height="${height - 24}" fill="none" stroke="rgba(255,255,255,0.35)" stroke-width="2"/>
+  <text text-anchor="middle" fill="#fff" font-family="Georgia, serif" font-size="24" font-weight="bold">${titleText}</text>
+  ${authorLine ? `<text x="50%" y="${height - 40}" text-anchor="middle" fill="rgba(255,255,255,0.85)" font-family="Arial, sans-serif" font-size="15">${escapeHtml(authorLine)}</text>` : ''}
+</svg>`;
+}
+
+module.exports = {
+  handleCoverUpload,
+  inspectCoverImage,
+  createCoverThumbnail,
+  saveCoverFile,
+  deleteCoverFiles,
+  cleanupOrphanCovers,
+  buildPlaceholderSvg
+};
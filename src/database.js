@@ -0,0 +1,145 @@
+const { GridFSBucket } = require('mongodb');
+const { createIsbnProviders } = require('./isbn');
+const { createBookSync } = require('./sync');
+const { cleanupOrphanCovers } = require('./covers');
+const { cleanupOrphanLoans } = require('./loans');
+const { cleanupOrphanShelfEntries } = require('./shelves');
+
+// ===========================
+// DATABASE
+// ===========================
+
+/**
+ * Контекст приложения: коллекции, GridFS, провайдеры ISBN и источник
+ * изменений книг поверх уже открытой базы. Маршруты и помощники получают БД только через него,
+ * поэтому в тестах вместо MongoDB можно подставить другую базу.
+ */
+function createContext(db, config) {
+  const ctx = {
+    db,
+    config,
+    booksCollection: db.collection('books'),
+    usersCollection: db.collection('users'),
+    sessionsCollection: db.collection('sessions'),
+    genresCollection: db.collection('genres'),
+    historyCollection: db.collection('bookHistory'),
+    shelvesCollection: db.collection('shelves'),
+    loansCollection: db.collection('loans'),
+    migrationsCollection: db.collection('migrations'),
+    coversBucket: new GridFSBucket(db, { bucketName: 'covers' }),
+    isbnProviders: createIsbnProviders(config)
+  };
+  // Синхронизация запускается отдельно (bookSync.start), когда база готова
+  ctx.bookSync = createBookSync(ctx);
+  return ctx;
+}
+
+async function createIndexes(ctx) {
+  const {
+    db, booksCollection, usersCollection, sessionsCollection, genresCollection,
+    historyCollection, shelvesCollection, loansCollection
+  } = ctx;
+
+  await booksCollection.createIndex({ title: 1 });
+  await booksCollection.createIndex({ author: 1 });
+  await booksCollection.createIndex({ genre: 1 });
+  await booksCollection.createIndex({ dateAdded: -1 });
+  await booksCollection.createIndex({ ownerId: 1, dateAdded: -1 });
+  await booksCollection.createIndex({ ownerId: 1, tags: 1 });
+  await booksCollection.createIndex({ ownerId: 1, deletedAt: -1 });
+
+  // Синхронизация опросом ищет книги, измененные после прошлого опроса
+  await booksCollection.createIndex({ updatedAt: 1 });
+
+  // ISBN уникален в библиотеке пользователя (книги без ISBN не мешают друг другу)
+  await booksCollection.createIndex(
+    { ownerId: 1, isbn: 1 },
+    { unique: true, partialFilterExpression: { isbn: { $type: 'string' } } }
+  );
+
+  // Корзина: MongoDB сама удаляет книги, у которых наступил purgeAt.
+  // Срок хранения задается при удалении, поэтому его смена не требует пересоздания индекса
+  await booksCollection.createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+  // Полнотекстовый индекс для поиска (веса определяют релевантность)
+  await booksCollection.createIndex(
+    { title: 'text', author: 'text', description: 'text', notes: 'text' },
+    {
+      name: 'books_text',
+      weights: { title: 10, author: 5, description: 2, notes: 1 },
+      default_language: 'russian',
+      language_override: 'textLanguage'
+    }
+  );
+
+  // Пользователи и сессии (истекшие сессии удаляет TTL-индекс)
+  await usersCollection.createIndex({ username: 1 }, { unique: true });
+  await sessionsCollection.createIndex({ tokenHash: 1 }, { unique: true });
+  await sessionsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  // Жанры уникальны в пределах библиотеки пользователя
+  await genresCollection.createIndex({ ownerId: 1, name: 1 }, { unique: true });
+
+  // Полки: уникальное название в библиотеке и поиск полок, где лежит книга
+  await shelvesCollection.createIndex({ ownerId: 1, name: 1 }, { unique: true });
+  await shelvesCollection.createIndex({ ownerId: 1, bookIds: 1 });
+
+  // Выдачи: история по книге и список выданных/просроченных
+  await loansCollection.createIndex({ bookId: 1, loanedAt: -1 });
+  await loansCollection.createIndex({ ownerId: 1, returnedAt: 1, dueAt: 1 });
+  await booksCollection.createIndex({ ownerId: 1, 'currentLoan.dueAt': 1 });
+
+  // История изменений книги - от новых записей к старым
+  await historyCollection.createIndex({ bookId: 1, timestamp: -1 });
+
+  // Файлы обложек в GridFS ищутся по книге при удалении и очистке
+  await db.collection('covers.files').createIndex({ 'metadata.bookId': 1 });
+}
+
+/**
+ * TTL-индекс удаляет книги из корзины без участия приложения, поэтому их обложки,
+ * выдачи и места на полках остаются. Их подбирает эта очистка (при старте и раз в сутки)
+ */
+async function cleanupPurgedBooks(ctx) {
+  await cleanupOrphanCovers(ctx);
+  await cleanupOrphanLoans(ctx);
+  await cleanupOrphanShelfEntries(ctx);
+}
+
+// Транзакции есть только у набора реплик и mongos; ответ сервера запоминается в контексте
+async function supportsTransactions(ctx) {
+  if (ctx.transactions === undefined) {
+    try {
+      const hello = await ctx.db.command({ hello: 1 });
+      ctx.transactions = Boolean(ctx.db.client?.startSession && (hello.setName || hello.msg === 'isdbgrid'));
+    } catch {
+      ctx.transactions = false;
+    }
+  }
+  return ctx.transactions;
+}
+
+/**
+ * Выполняет work(session) в транзакции, если база ее поддерживает. Иначе (одиночный
+ * сервер, тестовая база) work получает session = undefined и пишет без транзакции.
+ * При временной ошибке драйвер повторяет work целиком, поэтому ответ клиенту
+ * отправляется уже по результату
+ */
+async function withTransaction(ctx, work) {
+  if (!(await supportsTransactions(ctx))) {
+    return work(undefined);
+  }
+
+  const session = ctx.db.client.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = { createContext, createIndexes, cleanupPurgedBooks, withTransaction };
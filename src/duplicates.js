@@ -0,0 +1,369 @@
+const { BOOK_FIELD_LIMITS, MAX_TAGS } = require('./validation');
+const { isBlank, fieldError } = require('./utils');
+
+// ===========================
+// DUPLICATES
+// ===========================
+
+// Пороги похожести (0..1): названия должны почти совпадать, у авторов допускаем
+// инициалы, порядок слов и опечатки
+const TITLE_THRESHOLD = 0.85;
+const AUTHOR_THRESHOLD = 0.8;
+
+// Слова автора короче этого считаются инициалами и не сравниваются
+const MIN_AUTHOR_WORD = 3;
+
+// Длина q-грамм для предварительного отбора пар в findDuplicateGroups
+const GRAM_SIZE = 3;
+
+// Сколько книг можно объединить за один раз
+const MAX_MERGE_BOOKS = 20;
+
+// Поля, которые основная книга берет у дубликата, если у нее самой они пустые
+const FILL_FIELDS = ['isbn', 'year', 'description', 'coverUrl', 'totalPages'];
+
+// Нижний регистр, ё -> е, без скобок с уточнениями ("(роман)") и знаков препинания
+function normalizeText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 - одинаковые строки, 0 - ничего общего
+function similarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 1 : 1 - levenshtein(a, b) / length;
+}
+
+function authorWords(author) {
+  return normalizeText(author).split(' ').filter(word => word.length >= MIN_AUTHOR_WORD);
+}
+
+/**
+ * Похожесть авторов: "Михаил Булгаков", "Булгаков М. А." и "М. Булгакав"
+ * считаются одним автором. Берем лучшее из двух сравнений: слова без учета порядка
+ * целиком и доля слов более короткого имени, нашедших пару в более длинном.
+ */
+function authorSimilarity(a, b) {
+  const wordsA = authorWords(a);
+  const wordsB = authorWords(b);
+  if (wordsA.length === 0 || wordsB.length === 0) {
+    return similarity(normalizeText(a), normalizeText(b));
+  }
+
+  const sorted = similarity([...wordsA].sort().join(' '), [...wordsB].sort().join(' '));
+  const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+  const matched = shorter.filter(word =>
+    longer.some(other => similarity(word, other) >= AUTHOR_THRESHOLD)
+  ).length;
+
+  return Math.max(sorted, matched / shorter.length);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Насколько книга заполнена: основной предлагается самая полная
+function completeness(book) {
+  return FILL_FIELDS.filter(field => !isBlank(book[field])).length +
+    (book.rating > 0 ? 1 : 0) +
+    (book.notes ? 1 : 0) +
+    (book.cover ? 1 : 0) +
+    (book.tags?.length ? 1 : 0) +
+    (book.readingSessions?.length ? 1 : 0);
+}
+
+function suggestPrimary(books) {
+  return [...books].sort((a, b) =>
+    completeness(b) - completeness(a) || new Date(a.dateAdded) - new Date(b.dateAdded)
+  )[0];
+}
+
+// q-граммы строки; повторы нумеруются ("мир#0", "мир#1"), чтобы общие q-граммы
+// двух строк считались пересечением множеств
+function gramTokens(text) {
+  const seen = new Map();
+  const tokens = [];
+  for (let i = 0; i + GRAM_SIZE <= text.length; i++) {
+    const gram = text.slice(i, i + GRAM_SIZE);
+    const count = seen.get(gram) || 0;
+    seen.set(gram, count + 1);
+    tokens.push(`${gram}#${count}`);
+  }
+  return tokens;
+}
+
+// Правка портит не больше GRAM_SIZE q-грамм, а при пороге похожести допускается
+// не больше (1 - TITLE_THRESHOLD) * length правок, где length - длина более длинного названия
+function minSharedGrams(length) {
+  const edits = Math.floor(length * (1 - TITLE_THRESHOLD) + 1e-9);
+  return length - GRAM_SIZE + 1 - edits * GRAM_SIZE;
+}
+
+// Меньше всего общих q-грамм, которое нужно названию длины length с любым
+// подходящим по длине названием (сам length или длиннее, но в пределах порога)
+function minSharedGramsInBand(length) {
+  let min = Infinity;
+  for (let longer = length; longer * TITLE_THRESHOLD <= length; longer++) {
+    min = Math.min(min, minSharedGrams(longer));
+  }
+  return min;
+}
+
+/**
+ * Группы вероятных дубликатов среди книг пользователя.
+ * Пары похожих книг связываются в группы (A~B и B~C дают одну группу A, B, C).
+ * Чтобы не считать расстояние правки для всех пар, кандидаты отбираются по индексу
+ * q-грамм названий (префиксный фильтр): у похожих названий не меньше minSharedGrams
+ * общих q-грамм, значит, среди самых редких |q-граммы| - minSharedGrams + 1 из них
+ * есть общая. В индекс попадают только эти редкие q-граммы, поэтому частые сочетания
+ * букв не порождают пар. Короткие названия, где правки не допускаются, сравниваются
+ * только с такими же. Отбор не теряет пар, которые прошли бы порог.
+ * Возвращает [{ books, primaryId, similarity: { title, author } }], где similarity -
+ * худшая из связавших группу пар, а books начинается с предложенной основной книги
+ */
+function findDuplicateGroups(books) {
+  const items = books
+    .map(book => {
+      const title = normalizeText(book.title);
+      const tokens = gramTokens(title);
+      return { book, title, tokens, tokenSet: new Set(tokens) };
+    })
+    .filter(item => item.title)
+    .sort((a, b) => a.title.length - b.title.length);
+
+  const parent = items.map((_, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const scores = new Map();
+  // У многих книг один и тот же автор: похожесть каждой пары имен считаем один раз
+  const authorScores = new Map();
+
+  const link = (i, j) => {
+    const title = similarity(items[i].title, items[j].title);
+    if (title < TITLE_THRESHOLD) return;
+    const authors = [items[i].book.author, items[j].book.author];
+    const key = authors.map(name => String(name ?? '')).join('\u0000');
+    if (!authorScores.has(key)) authorScores.set(key, authorSimilarity(...authors));
+    const author = authorScores.get(key);
+    if (author < AUTHOR_THRESHOLD) return;
+
+    const root = find(j);
+    const target = find(i);
+    const merged = [scores.get(root), scores.get(target), { title, author }].filter(Boolean);
+    parent[root] = target;
+    scores.set(target, {
+      title: Math.min(...merged.map(score => score.title)),
+      author: Math.min(...merged.map(score => score.author))
+    });
+  };
+
+  const frequency = new Map();
+  items.forEach(item => item.tokens.forEach(token => frequency.set(token, (frequency.get(token) || 0) + 1)));
+  const byRarity = (a, b) => frequency.get(a) - frequency.get(b) || (a < b ? -1 : a > b ? 1 : 0);
+
+  // Редкая q-грамма -> индексы книг; книги идут по возрастанию длины названия
+  const postings = new Map();
+  const sameTitles = new Map();
+
+  items.forEach((item, j) => {
+    const needed = minSharedGramsInBand(item.title.length);
+    const candidates = new Set();
+
+    if (needed > 0) {
+      const prefix = [...item.tokens].sort(byRarity).slice(0, item.tokens.length - needed + 1);
+      const shortest = item.title.length * TITLE_THRESHOLD;
+      prefix.forEach(token => {
+        (postings.get(token) || []).forEach(i => {
+          if (items[i].title.length >= shortest) candidates.add(i);
+        });
+        if (!postings.has(token)) postings.set(token, []);
+        postings.get(token).push(j);
+      });
+    } else {
+      (sameTitles.get(item.title) || []).forEach(i => candidates.add(i));
+      if (!sameTitles.has(item.title)) sameTitles.set(item.title, []);
+      sameTitles.get(item.title).push(j);
+    }
+
+    // Перед расстоянием правки - дешевая проверка числа всех общих q-грамм
+    const required = minSharedGrams(item.title.length);
+    [...candidates]
+      .filter(i => items[i].tokens.filter(token => item.tokenSet.has(token)).length >= required)
+      .sort((a, b) => a - b)
+      .forEach(i => link(i, j));
+  });
+
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item.book);
+  });
+
+  return [...groups.entries()]
+    .filter(([, group]) => group.length > 1)
+    .map(([root, group]) => {
+      const primary = suggestPrimary(group);
+      const score = scores.get(root);
+      return {
+        books: [primary, ...group.filter(book => book !== primary)],
+        primaryId: primary._id,
+        similarity: { title: round(score.title), author: round(score.author) }
+      };
+    })
+    .sort((a, b) => a.books[0].title.localeCompare(b.books[0].title, 'ru'));
+}
+
+function validateMergeRequest(body) {
+  const errors = [];
+  const { primaryId, duplicateIds } = body || {};
+
+  if (typeof primaryId !== 'string' || !primaryId) {
+    errors.push(fieldError('primaryId', 'required', 'Поле "primaryId" обязательно'));
+  }
+  if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+    errors.push(fieldError('duplicateIds', 'type', 'Поле "duplicateIds" должно быть непустым массивом ID книг'));
+  } else if (duplicateIds.length >= MAX_MERGE_BOOKS) {
+    errors.push(fieldError('duplicateIds', 'maxItems', `Не больше ${MAX_MERGE_BOOKS} книг за одно объединение`));
+  } else if (duplicateIds.some(id => typeof id !== 'string')) {
+    errors.push(fieldError('duplicateIds', 'type', 'ID книг в "duplicateIds" должны быть строками'));
+  } else if (duplicateIds.includes(primaryId)) {
+    errors.push(fieldError('duplicateIds', 'invalid', 'Основная книга не может быть среди дубликатов'));
+  }
+
+  return errors;
+}
+
+function earliest(dates) {
+  const valid = dates.filter(Boolean).map(date => new Date(date));
+  return valid.length > 0 ? new Date(Math.min(...valid)) : null;
+}
+
+function latest(dates) {
+  const valid = dates.filter(Boolean).map(date => new Date(date));
+  return valid.length > 0 ? new Date(Math.max(...valid)) : null;
+}
+
+/**
+ * Поля основной книги после объединения с дубликатами:
+ * - пустые поля (FILL_FIELDS) и загруженная обложка берутся у первого дубликата, где они есть;
+ * - оценка - лучшая, заметки - все разные через пустую строку, теги - объединение;
+ * - прочитана, если прочитан любой экземпляр; прогресс, даты и сессии чтения сводятся вместе;
+ * - дата добавления - самая ранняя, текущая выдача - та, что есть.
+ * Возвращает { update, donors }: donors.isbn/donors.cover/donors.currentLoan - книга,
+ * у которой их забрали
+ */
+function mergeBooks(primary, duplicates) {
+  const all = [primary, ...duplicates];
+  const update = {};
+  const donors = {};
+
+  FILL_FIELDS.forEach(field => {
+    if (!isBlank(primary[field])) return;
+    const donor = duplicates.find(book => !isBlank(book[field]));
+    if (!donor) return;
+    update[field] = donor[field];
+    if (field === 'isbn') donors.isbn = donor;
+  });
+
+  if (!primary.cover) {
+    const donor = duplicates.find(book => book.cover);
+    if (donor) {
+      update.cover = donor.cover;
+      donors.cover = donor;
+    }
+  }
+
+  update.rating = Math.max(...all.map(book => book.rating || 0));
+
+  const notes = [];
+  all.forEach(book => {
+    const text = (book.notes || '').trim();
+    if (text && !notes.includes(text)) notes.push(text);
+  });
+  update.notes = notes.join('\n\n').slice(0, BOOK_FIELD_LIMITS.notes);
+
+  const tagKeys = new Set();
+  update.tags = all
+    .flatMap(book => book.tags || [])
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (tagKeys.has(key)) return false;
+      tagKeys.add(key);
+      return true;
+    })
+    .slice(0, MAX_TAGS);
+
+  update.isRead = all.some(book => book.isRead);
+
+  const totalPages = update.totalPages ?? primary.totalPages;
+  const currentPage = Math.max(...all.map(book => book.currentPage || 0));
+  if (totalPages || currentPage > 0) {
+    update.currentPage = totalPages ? Math.min(currentPage, totalPages) : currentPage;
+  }
+  if (update.isRead && totalPages) {
+    update.currentPage = totalPages;
+  }
+
+  update.startedAt = earliest(all.map(book => book.startedAt));
+  update.finishedAt = update.isRead ? latest(all.map(book => book.finishedAt)) : null;
+
+  const sessionIds = new Set();
+  update.readingSessions = all
+    .flatMap(book => book.readingSessions || [])
+    .filter(session => {
+      const key = session._id ? session._id.toString() : null;
+      if (key && sessionIds.has(key)) return false;
+      if (key) sessionIds.add(key);
+      return true;
+    })
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  update.dateAdded = earliest(all.map(book => book.dateAdded));
+
+  if (!primary.currentLoan) {
+    const loaned = duplicates.find(book => book.currentLoan);
+    if (loaned) {
+      update.currentLoan = loaned.currentLoan;
+      donors.currentLoan = loaned;
+    }
+  }
+
+  return { update, donors };
+}
+
+module.exports = {
+  TITLE_THRESHOLD,
+  AUTHOR_THRESHOLD,
+  MAX_MERGE_BOOKS,
+  normalizeText,
+  similarity,
+  authorSimilarity,
+  findDuplicateGroups,
+  validateMergeRequest,
+  mergeBooks
+};
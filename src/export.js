@@ -0,0 +1,118 @@
+const { escapeHtml } = require('./utils');
+
+// ===========================
+// EXPORT HELPERS
+// ===========================
+
+const EXPORT_FIELDS = [
+  'title', 'author', 'isbn', 'genre', 'year', 'description',
+  'isRead', 'rating', 'notes', 'coverUrl',
+  'totalPages', 'currentPage', 'startedAt', 'finishedAt', 'tags', 'dateAdded'
+];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', disposition: 'attachment' },
+  json: { contentType: 'application/json; charset=utf-8', disposition: 'attachment' },
+  html: { contentType: 'text/html; charset=utf-8', disposition: 'inline' }
+};
+
+function toCsvValue(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (value instanceof Date) text = value.toISOString();
+  if (Array.isArray(value)) text = value.join('; ');
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toExportRecord(book) {
+  const record = {};
+  EXPORT_FIELDS.forEach(field => {
+    if (book[field] !== undefined) record[field] = book[field];
+  });
+  return record;
+}
+
+function htmlCatalogueHeader(total) {
+  const date = new Date().toLocaleDateString('ru-RU');
+  return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+<meta charset="UTF-8">
+<title>Каталог библиотеки - ${date}</title>
+<style>
+  body { font-family: Georgia, 'Times New Roman', serif; color: #1e293b; max-width: 900px; margin: 0 auto; padding: 24px; }
+  h1 { text-align: center; margin-bottom: 4px; }
+  .meta { text-align: center; color: #64748b; margin-bottom: 32px; }
+  h2 { border-bottom: 2px solid #6366f1; padding-bottom: 4px; margin-top: 32px; page-break-after: avoid; }
+  .book { padding: 8px 0; border-bottom: 1px solid #e2e8f0; page-break-inside: avoid; }
+  .title { font-weight: bold; }
+  .details { color: #64748b; font-size: 0.9em; }
+  .description { font-size: 0.9em; margin-top: 4px; }
+  @media print { body { padding: 0; } .no-print { display: none; } }
+</style>
+</head>
+<body>
+<h1>📚 Каталог библиотеки</h1>
+<p class="meta">Книг: ${total} · ${date} <button class="no-print" id="printBtn">Печать</button></p>
+<script src="/catalogue.js" defer></script>
+`;
+}
+
+function htmlCatalogueBook(book) {
+  const details = [
+    book.year,
+    book.isRead ? 'прочитана' : 'не прочитана',
+    book.rating > 0 ? '★'.repeat(Math.floor(book.rating)) : null
+  ].filter(Boolean).join(' · ');
+
+  return `<div class="book">
+  <div><span class="title">${escapeHtml(book.title)}</span> - ${escapeHtml(book.author)}</div>
+  <div class="details">${escapeHtml(details)}</div>
+  ${book.description ? `<div class="description">${escapeHtml(book.description)}</div>` : ''}
+</div>
+`;
+}
+
+/**
+ * Части файла экспорта по книгам из курсора (для Readable.from + pipeline:
+ * backpressure и обрыв соединения обрабатывает pipeline, а не мы)
+ */
+async function* exportChunks(format, books, total) {
+  if (format === 'csv') {
+    // BOM - чтобы Excel распознал UTF-8
+    yield '\uFEFF' + EXPORT_FIELDS.join(',') + '\r\n';
+    for await (const book of books) {
+      yield EXPORT_FIELDS.map(field => toCsvValue(book[field])).join(',') + '\r\n';
+    }
+  } else if (format === 'json') {
+    // Формат { books: [...] } принимает и импорт
+    yield `{"exportedAt":"${new Date().toISOString()}","total":${total},"books":[`;
+    let first = true;
+    for await (const book of books) {
+      yield (first ? '\n' : ',\n') + JSON.stringify(toExportRecord(book));
+      first = false;
+    }
+    yield '\n]}\n';
+  } else {
+    yield htmlCatalogueHeader(total);
+    let currentGenre = null;
+    for await (const book of books) {
+      if (book.genre !== currentGenre) {
+        currentGenre = book.genre;
+        yield `<h2>${escapeHtml(currentGenre || 'Без жанра')}</h2>\n`;
+      }
+      yield htmlCatalogueBook(book);
+    }
+    yield '</body>\n</html>\n';
+  }
+}
+
+module.exports = {
+  EXPORT_FIELDS,
+  EXPORT_FORMATS,
+  toCsvValue,
+  toExportRecord,
+  htmlCatalogueHeader,
+  htmlCatalogueBook,
+  exportChunks
+};
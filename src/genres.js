@@ -0,0 +1,71 @@
+const { DEFAULT_GENRES, MAX_GENRE_LENGTH } = require('./validation');
+const { saveHistory, buildHistoryEntry } = require('./history');
+const { fieldError } = require('./utils');
+
+// ===========================
+// GENRES
+// ===========================
+
+// Ошибка { field, code, message } или null
+function validateGenreName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return fieldError('name', 'required', 'Название жанра обязательно');
+  }
+  if (name.trim().length > MAX_GENRE_LENGTH) {
+    return fieldError('name', 'maxLength', `Название жанра не длиннее ${MAX_GENRE_LENGTH} символов`);
+  }
+  return null;
+}
+
+// Переносит все книги пользователя (включая корзину) в другой жанр с записью в историю
+async function moveBooksToGenre(ctx, user, fromName, toName) {
+  const { booksCollection } = ctx;
+  const filter = { ownerId: user._id, genre: fromName };
+  const affected = await booksCollection.find(filter).toArray();
+  if (affected.length === 0) return 0;
+
+  await booksCollection.updateMany(
+    { _id: { $in: affected.map(book => book._id) } },
+    { $set: { genre: toName }, $inc: { version: 1 }, $currentDate: { updatedAt: true } }
+  );
+  await saveHistory(ctx, affected.map(book =>
+    buildHistoryEntry(user, 'update', book, { ...book, genre: toName })
+  ));
+
+  return affected.length;
+}
+
+// Новой библиотеке достается стартовый набор жанров
+async function ensureGenres(ctx, ownerId) {
+  const { genresCollection } = ctx;
+  const count = await genresCollection.countDocuments({ ownerId });
+  if (count > 0) return;
+
+  const createdAt = new Date();
+  try {
+    await genresCollection.insertMany(
+      DEFAULT_GENRES.map(name => ({ ownerId, name, createdAt })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // Параллельный запрос мог успеть создать жанры первым
+    if (error.code !== 11000) throw error;
+  }
+}
+
+// Названия жанров пользователя - список допустимых значений для validateBook
+async function getGenreNames(ctx, ownerId) {
+  await ensureGenres(ctx, ownerId);
+  const genres = await ctx.genresCollection
+    .find({ ownerId }, { projection: { name: 1 } })
+    .sort({ name: 1 })
+    .toArray();
+  return genres.map(genre => genre.name);
+}
+
+module.exports = {
+  validateGenreName,
+  moveBooksToGenre,
+  ensureGenres,
+  getGenreNames
+};
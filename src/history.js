@@ -0,0 +1,97 @@
+// ===========================
+// HISTORY
+// ===========================
+
+// Поля книги, изменения которых попадают в историю и восстанавливаются при откате
+const HISTORY_FIELDS = [
+  'title', 'author', 'isbn', 'genre', 'year', 'description', 'notes', 'coverUrl',
+  'rating', 'isRead', 'tags', 'totalPages', 'currentPage', 'startedAt', 'finishedAt'
+];
+
+const HISTORY_LIMIT = 100;
+const DIFF_ACTIONS = ['create', 'update', 'revert', 'merge'];
+
+function isSameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function historySnapshot(book) {
+  const snapshot = {};
+  HISTORY_FIELDS.forEach(field => {
+    if (book[field] !== undefined) snapshot[field] = book[field];
+  });
+  return snapshot;
+}
+
+// Сессии чтения в снимок не входят (откат их не трогает), в истории видно только их число
+function sessionCount(book) {
+  return book?.readingSessions?.length ?? 0;
+}
+
+// Поле за полем: [{ field, from, to }]
+function diffBooks(before, after) {
+  const changes = HISTORY_FIELDS
+    .filter(field => !isSameValue(before?.[field], after?.[field]))
+    .map(field => ({
+      field,
+      from: before?.[field] ?? null,
+      to: after?.[field] ?? null
+    }));
+
+  if (sessionCount(before) !== sessionCount(after)) {
+    changes.push({ field: 'readingSessions', from: sessionCount(before), to: sessionCount(after) });
+  }
+  return changes;
+}
+
+/**
+ * Запись истории для одной книги. Для update/revert без фактических
+ * изменений возвращает null - пустые записи в историю не пишем.
+ * action: create, update, delete, restore, purge, revert, merge
+ */
+function buildHistoryEntry(user, action, before, after) {
+  const book = after || before;
+
+  // delete/restore/purge не меняют поля книги - у них нет диффа
+  const changes = DIFF_ACTIONS.includes(action) ? diffBooks(before, after) : [];
+  if (changes.length === 0 && (action === 'update' || action === 'revert')) {
+    return null;
+  }
+
+  return {
+    bookId: book._id,
+    ownerId: book.ownerId,
+    action,
+    changes,
+    snapshot: historySnapshot(book),
+    actor: { _id: user._id, username: user.username },
+    timestamp: new Date()
+  };
+}
+
+/**
+ * Сохраняет записи истории. Ошибка записи истории не отменяет уже выполненное
+ * изменение книги, поэтому только логируется.
+ */
+async function saveHistory(ctx, entries) {
+  const valid = entries.filter(Boolean);
+  if (valid.length === 0) return;
+
+  try {
+    await ctx.historyCollection.insertMany(valid);
+  } catch (error) {
+    console.error('Ошибка при записи истории:', error);
+  }
+}
+
+function recordHistory(ctx, user, action, before, after) {
+  return saveHistory(ctx, [buildHistoryEntry(user, action, before, after)]);
+}
+
+module.exports = {
+  HISTORY_FIELDS,
+  HISTORY_LIMIT,
+  buildHistoryEntry,
+  saveHistory,
+  recordHistory
+};
@@ -0,0 +1,188 @@
+const multer = require('multer');
+const { sendValidationError, uploadError } = require('./utils');
+
+// ===========================
+// IMPORT HELPERS
+// ===========================
+
+const IMPORT_MAX_FILE_SIZE = 5 * 1024 * 1024;
+const IMPORT_MAX_ROWS = 5000;
+
+// Файл держим в памяти: импорт разбирается целиком за один запрос
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_FILE_SIZE, files: 1 }
+});
+
+// Заголовки колонок (в т.ч. русские) -> поля книги
+const IMPORT_COLUMNS = {
+  title: 'title', 'название': 'title',
+  author: 'author', 'автор': 'author',
+  isbn: 'isbn',
+  genre: 'genre', 'жанр': 'genre',
+  year: 'year', 'год': 'year',
+  description: 'description', 'описание': 'description',
+  isread: 'isRead', 'прочитана': 'isRead',
+  rating: 'rating', 'рейтинг': 'rating',
+  notes: 'notes', 'заметки': 'notes',
+  coverurl: 'coverUrl', 'обложка': 'coverUrl',
+  totalpages: 'totalPages', 'страниц': 'totalPages',
+  currentpage: 'currentPage', 'текущая страница': 'currentPage',
+  startedat: 'startedAt', 'начало чтения': 'startedAt',
+  finishedat: 'finishedAt', 'конец чтения': 'finishedAt',
+  tags: 'tags', 'теги': 'tags'
+};
+
+const TRUE_VALUES = ['true', '1', 'yes', 'да', '+'];
+
+/**
+ * Разбор CSV (RFC 4180): кавычки, "" внутри кавычек, переводы строк в ячейках.
+ * Разделитель (",", ";" или таб) определяется по строке заголовка.
+ */
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const headerLine = content.slice(0, content.search(/\r?\n|$/));
+  const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+  );
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Пустые строки пропускаем
+  const [header = [], ...dataRows] = rows.filter(r => r.some(value => value.trim() !== ''));
+  const fields = header.map(name => IMPORT_COLUMNS[name.trim().toLowerCase()] || null);
+
+  return dataRows.map(values => {
+    const record = {};
+    fields.forEach((field, index) => {
+      if (field) record[field] = values[index];
+    });
+    return record;
+  });
+}
+
+// JSON: массив книг или объект { books: [...] }
+function parseJsonImport(text) {
+  const data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  const records = Array.isArray(data) ? data : data?.books;
+
+  if (!Array.isArray(records)) {
+    throw new Error('Ожидается массив книг или объект { books: [...] }');
+  }
+  return records;
+}
+
+/**
+ * Приводит строку импорта к виду, который ожидают validateBook/prepareBookData:
+ * пустые ячейки -> undefined, строки -> числа/boolean
+ */
+function normalizeImportRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return null;
+  }
+
+  const normalized = {};
+  ['title', 'author', 'isbn', 'genre', 'description', 'notes', 'coverUrl', 'startedAt', 'finishedAt'].forEach(field => {
+    const value = record[field];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      normalized[field] = String(value).trim();
+    }
+  });
+
+  ['year', 'rating', 'totalPages', 'currentPage'].forEach(field => {
+    const value = record[field];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      normalized[field] = String(value).trim().replace(',', '.');
+    }
+  });
+
+  // Теги: массив (JSON) или строка через запятую/точку с запятой (CSV)
+  if (Array.isArray(record.tags)) {
+    normalized.tags = record.tags.map(String).filter(tag => tag.trim());
+  } else if (typeof record.tags === 'string' && record.tags.trim()) {
+    normalized.tags = record.tags.split(/[,;]/).filter(tag => tag.trim());
+  }
+
+  if (record.isRead !== undefined && record.isRead !== null && record.isRead !== '') {
+    normalized.isRead = typeof record.isRead === 'boolean'
+      ? record.isRead
+      : TRUE_VALUES.includes(String(record.isRead).trim().toLowerCase());
+  }
+
+  return normalized;
+}
+
+// Ключ для поиска дубликатов: название + автор без учета регистра и пробелов
+function duplicateKey(title, author) {
+  const normalize = value => String(value || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return `${normalize(title)}|${normalize(author)}`;
+}
+
+function detectImportFormat(file, format) {
+  if (format === 'csv' || format === 'json') return format;
+
+  const name = file.originalname.toLowerCase();
+  if (name.endsWith('.json') || file.mimetype === 'application/json') return 'json';
+  if (name.endsWith('.csv') || file.mimetype === 'text/csv') return 'csv';
+  return null;
+}
+
+// Middleware загрузки файла с понятными ошибками вместо стандартных multer
+function handleImportUpload(req, res, next) {
+  importUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return sendValidationError(res, [uploadError(error, 'file', `Файл больше ${IMPORT_MAX_FILE_SIZE / 1024 / 1024} МБ`)]);
+    }
+    next();
+  });
+}
+
+module.exports = {
+  IMPORT_MAX_ROWS,
+  parseCsv,
+  parseJsonImport,
+  normalizeImportRecord,
+  duplicateKey,
+  detectImportFormat,
+  handleImportUpload
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const { isBlank } = require('./utils');
+const { normalizeIsbn } = require('./validation');
+
+// ===========================
+// ISBN METADATA PROVIDERS
+// ===========================
+
+/**
+ * Провайдер метаданных - объект { name, lookup(isbn) }, где isbn - нормализованный
+ * ISBN-13, а lookup возвращает Promise с полями книги (title, author, year,
+ * description, genre, tags, totalPages, coverUrl) или null, если книга не найдена.
+ * Провайдеры опрашиваются в порядке ISBN_PROVIDERS до первого найденного результата.
+ * Фабрика получает конфигурацию приложения (loadConfig)
+ */
+const ISBN_PROVIDER_FACTORIES = {
+  fixture: (config) => createFixtureProvider(config.isbnFixturesPath)
+};
+
+const ISBN_METADATA_FIELDS = ['title', 'author', 'year', 'description', 'genre', 'tags', 'totalPages', 'coverUrl'];
+
+// Локальный JSON-файл { "<ISBN-10 или ISBN-13>": { title, author, ... } } - работает офлайн
+function createFixtureProvider(filePath) {
+  let fixtures = null;
+
+  async function load() {
+    if (!fixtures) {
+      const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      fixtures = new Map(
+        Object.entries(data)
+          .filter(([isbn]) => normalizeIsbn(isbn))
+          .map(([isbn, book]) => [normalizeIsbn(isbn), book])
+      );
+    }
+    return fixtures;
+  }
+
+  return {
+    name: 'fixture',
+    lookup: async (isbn) => (await load()).get(isbn) || null
+  };
+}
+
+function createIsbnProviders(config) {
+  return config.isbnProviders.split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .filter(name => {
+      if (ISBN_PROVIDER_FACTORIES[name]) return true;
+      console.warn(`⚠️  Неизвестный провайдер ISBN: ${name}`);
+      return false;
+    })
+    .map(name => ISBN_PROVIDER_FACTORIES[name](config));
+}
+
+/**
+ * Ищет метаданные по ISBN у провайдеров по очереди. Ошибка одного провайдера
+ * (например, недоступный внешний сервис) не мешает опросить следующий.
+ */
+async function lookupIsbn(providers, isbn) {
+  for (const provider of providers) {
+    try {
+      const found = await provider.lookup(isbn);
+      if (!found) continue;
+
+      const metadata = { isbn, source: provider.name };
+      ISBN_METADATA_FIELDS.forEach(field => {
+        if (!isBlank(found[field])) metadata[field] = found[field];
+      });
+      return metadata;
+    } catch (error) {
+      console.error(`Ошибка провайдера ISBN "${provider.name}":`, error.message);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  createIsbnProviders,
+  lookupIsbn
+};
@@ -0,0 +1,96 @@
+const { DAY_MS, isBlank, parsePastDate, fieldError } = require('./utils');
+
+// ===========================
+// LOANS
+// ===========================
+
+const MAX_BORROWER_LENGTH = 100;
+const MAX_LOAN_NOTE_LENGTH = 500;
+const DEFAULT_LOAN_DAYS = 14;
+
+// Срок возврата из <input type="date"> - до конца указанного дня (UTC)
+function parseDueDate(value) {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T23:59:59.999Z`)
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function validateLoan(data) {
+  const errors = [];
+
+  if (typeof data.borrower !== 'string' || !data.borrower.trim()) {
+    errors.push(fieldError('borrower', 'required', 'Укажите, кому выдана книга'));
+  } else if (data.borrower.trim().length > MAX_BORROWER_LENGTH) {
+    errors.push(fieldError('borrower', 'maxLength', `Имя не длиннее ${MAX_BORROWER_LENGTH} символов`));
+  }
+
+  let loanedAt = new Date();
+  if (!isBlank(data.loanedAt)) {
+    loanedAt = parsePastDate(data.loanedAt);
+    if (!loanedAt) {
+      errors.push(fieldError('loanedAt', 'format', 'Дата выдачи должна быть корректной датой не из будущего'));
+    }
+  }
+  if (!isBlank(data.dueAt)) {
+    const dueAt = parseDueDate(data.dueAt);
+    if (!dueAt) {
+      errors.push(fieldError('dueAt', 'format', 'Срок возврата должен быть корректной датой'));
+    } else if (loanedAt && dueAt < loanedAt) {
+      errors.push(fieldError('dueAt', 'minimum', 'Срок возврата не может быть раньше даты выдачи'));
+    }
+  }
+  if (!isBlank(data.note) && (typeof data.note !== 'string' || data.note.length > MAX_LOAN_NOTE_LENGTH)) {
+    errors.push(fieldError('note', 'maxLength', `Комментарий - строка до ${MAX_LOAN_NOTE_LENGTH} символов`));
+  }
+
+  return errors;
+}
+
+function prepareLoan(data, book) {
+  const loanedAt = isBlank(data.loanedAt) ? new Date() : new Date(data.loanedAt);
+  return {
+    ownerId: book.ownerId,
+    bookId: book._id,
+    borrower: data.borrower.trim(),
+    loanedAt,
+    dueAt: isBlank(data.dueAt)
+      ? new Date(loanedAt.getTime() + DEFAULT_LOAN_DAYS * DAY_MS)
+      : parseDueDate(data.dueAt),
+    returnedAt: null,
+    note: (data.note || '').trim()
+  };
+}
+
+// Просрочка в целых днях (0 - срок еще не вышел)
+function daysOverdue(loan, now = new Date()) {
+  return loan.dueAt < now ? Math.ceil((now - loan.dueAt) / DAY_MS) : 0;
+}
+
+// Удаляет выдачи книг, которых больше нет (например, после TTL-очистки корзины)
+async function cleanupOrphanLoans(ctx) {
+  try {
+    const bookIds = await ctx.loansCollection.distinct('bookId');
+    if (bookIds.length === 0) return;
+
+    const existing = await ctx.booksCollection.distinct('_id', { _id: { $in: bookIds } });
+    const existingIds = new Set(existing.map(id => id.toString()));
+    const orphans = bookIds.filter(id => !existingIds.has(id.toString()));
+    if (orphans.length === 0) return;
+
+    const result = await ctx.loansCollection.deleteMany({ bookId: { $in: orphans } });
+    console.log(`🧹 Удалено выдач без книг: ${result.deletedCount}`);
+  } catch (error) {
+    console.error('Ошибка при очистке выдач:', error);
+  }
+}
+
+module.exports = {
+  MAX_BORROWER_LENGTH,
+  MAX_LOAN_NOTE_LENGTH,
+  DEFAULT_LOAN_DAYS,
+  validateLoan,
+  prepareLoan,
+  daysOverdue,
+  cleanupOrphanLoans
+};
@@ -0,0 +1,38 @@
+// ===========================
+// MIGRATION 1: BOOK DEFAULTS
+// ===========================
+
+// Поля, которые prepareBookData заполняет у новых книг, дописываем старым
+const DEFAULTS = {
+  tags: [],
+  readingSessions: [],
+  isRead: false,
+  version: 0
+};
+
+module.exports = {
+  version: 1,
+  name: 'book-defaults',
+
+  async up({ booksCollection }) {
+    let modified = 0;
+
+    for (const [field, value] of Object.entries(DEFAULTS)) {
+      const result = await booksCollection.updateMany(
+        { [field]: { $exists: false } },
+        { $set: { [field]: value } }
+      );
+      modified += result.modifiedCount;
+    }
+
+    // Дата добавления восстанавливается по времени создания _id
+    const undated = await booksCollection
+      .find({ dateAdded: { $exists: false } }, { projection: { _id: 1 } })
+      .toArray();
+    for (const { _id } of undated) {
+      await booksCollection.updateOne({ _id }, { $set: { dateAdded: _id.getTimestamp() } });
+    }
+
+    return { modified: modified + undated.length };
+  }
+};
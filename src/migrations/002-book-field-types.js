@@ -0,0 +1,104 @@
+const { normalizeIsbn } = require('../validation');
+
+// ===========================
+// MIGRATION 2: BOOK FIELD TYPES
+// ===========================
+
+// Книги, записанные в обход API, могут хранить числа и даты строками
+const NUMBER_FIELDS = {
+  year: value => parseInt(value),
+  totalPages: value => parseInt(value),
+  currentPage: value => parseInt(value),
+  rating: value => parseFloat(value)
+};
+const DATE_FIELDS = ['dateAdded', 'startedAt', 'finishedAt'];
+const ISBN13_PATTERN = /^97[89][0-9]{10}$/;
+
+const MALFORMED_FILTER = {
+  $or: [
+    ...[...Object.keys(NUMBER_FIELDS), ...DATE_FIELDS, 'isRead', 'tags'].map(field => ({
+      [field]: { $type: 'string' }
+    })),
+    { isbn: { $type: 'string', $not: ISBN13_PATTERN } }
+  ]
+};
+
+// Обновление без пустых операторов
+function toUpdate($set, $unset) {
+  const update = {};
+  if (Object.keys($set).length > 0) update.$set = $set;
+  if (Object.keys($unset).length > 0) update.$unset = $unset;
+  return update;
+}
+
+/**
+ * Обновление, приводящее книгу к типам из BOOK_SCHEMA.
+ * Значение, которое не удалось разобрать, удаляется (dateAdded берется из _id)
+ */
+function normalizeBookTypes(book) {
+  const $set = {};
+  const $unset = {};
+
+  Object.entries(NUMBER_FIELDS).forEach(([field, parse]) => {
+    if (typeof book[field] !== 'string') return;
+    const value = parse(book[field]);
+    if (isNaN(value)) {
+      $unset[field] = '';
+    } else {
+      $set[field] = value;
+    }
+  });
+
+  DATE_FIELDS.forEach(field => {
+    if (typeof book[field] !== 'string') return;
+    const date = new Date(book[field]);
+    if (!isNaN(date.getTime())) {
+      $set[field] = date;
+    } else if (field === 'dateAdded') {
+      $set[field] = book._id.getTimestamp();
+    } else {
+      $unset[field] = '';
+    }
+  });
+
+  if (typeof book.isRead === 'string') {
+    $set.isRead = ['true', '1', 'да', 'yes'].includes(book.isRead.trim().toLowerCase());
+  }
+  if (typeof book.tags === 'string') {
+    $set.tags = book.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+  if (typeof book.isbn === 'string' && !ISBN13_PATTERN.test(book.isbn)) {
+    const isbn = normalizeIsbn(book.isbn);
+    if (isbn) {
+      $set.isbn = isbn;
+    } else {
+      $unset.isbn = '';
+    }
+  }
+
+  return toUpdate($set, $unset);
+}
+
+module.exports = {
+  version: 2,
+  name: 'book-field-types',
+  normalizeBookTypes,
+
+  async up({ booksCollection }) {
+    const books = await booksCollection.find(MALFORMED_FILTER).toArray();
+
+    for (const book of books) {
+      const { $set = {}, $unset = {} } = normalizeBookTypes(book);
+      try {
+        await booksCollection.updateOne({ _id: book._id }, toUpdate($set, $unset));
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Тот же ISBN после нормализации уже есть у другой книги - оставляем книгу без него
+        delete $set.isbn;
+        await booksCollection.updateOne({ _id: book._id }, toUpdate($set, { ...$unset, isbn: '' }));
+      }
+    }
+
+    return { modified: books.length };
+  }
+};
@@ -0,0 +1,24 @@
+// ===========================
+// MIGRATION 3: BOOK UPDATED AT
+// ===========================
+
+// updatedAt нужен синхронизации между вкладками; для старых книг берем дату добавления
+module.exports = {
+  version: 3,
+  name: 'book-updated-at',
+
+  async up({ booksCollection }) {
+    const books = await booksCollection
+      .find({ updatedAt: { $exists: false } }, { projection: { dateAdded: 1 } })
+      .toArray();
+
+    for (const book of books) {
+      await booksCollection.updateOne(
+        { _id: book._id },
+        { $set: { updatedAt: book.dateAdded || book._id.getTimestamp() } }
+      );
+    }
+
+    return { modified: books.length };
+  }
+};
@@ -0,0 +1,98 @@
+// ===========================
+// MIGRATIONS
+// ===========================
+
+/**
+ * Миграции данных по порядку версий. Каждая - модуль { version, name, up(ctx) },
+ * up может вернуть сводку ({ modified }), она сохраняется в коллекции migrations.
+ * Новая миграция - новый файл NNN-name.js и строка в этом списке; уже выпущенные
+ * файлы не меняются, иначе базы, где они выполнены, разойдутся с новыми.
+ */
+const MIGRATIONS = [
+  require('./001-book-defaults'),
+  require('./002-book-field-types'),
+  require('./003-book-updated-at')
+];
+
+function migrationLabel(migration) {
+  return `${String(migration.version).padStart(3, '0')}-${migration.name}`;
+}
+
+/**
+ * Выполняет невыполненные миграции по возрастанию версии.
+ * Перед запуском миграция "занимает" запись { _id: version } без appliedAt:
+ * второй процесс получит дубликат ключа и остановится, а не выполнит ее повторно.
+ * Если up упал, запись удаляется и миграция повторится при следующем запуске.
+ * Возвращает список выполненных миграций: [{ version, name, result }]
+ */
+async function runMigrations(ctx, migrations = MIGRATIONS, log = () => {}) {
+  const { migrationsCollection } = ctx;
+  const records = new Map(
+    (await migrationsCollection.find({}).toArray()).map(record => [record._id, record])
+  );
+  const applied = [];
+
+  const ordered = [...migrations].sort((a, b) => a.version - b.version);
+  for (const migration of ordered) {
+    const record = records.get(migration.version);
+    if (record?.appliedAt) continue;
+    if (record) {
+      throw new Error(
+        `Миграция ${migrationLabel(migration)} не завершена (запущена ${record.startedAt.toISOString()}). ` +
+        `Если процесс, который ее выполнял, остановлен, удалите запись { _id: ${migration.version} } из коллекции migrations`
+      );
+    }
+
+    try {
+      await migrationsCollection.insertOne({
+        _id: migration.version,
+        name: migration.name,
+        startedAt: new Date(),
+        appliedAt: null
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error(`Миграцию ${migrationLabel(migration)} уже выполняет другой процесс`);
+      }
+      throw error;
+    }
+
+    log(`Миграция ${migrationLabel(migration)}...`);
+    let result;
+    try {
+      result = await migration.up(ctx) ?? null;
+    } catch (error) {
+      await migrationsCollection.deleteOne({ _id: migration.version });
+      throw error;
+    }
+
+    await migrationsCollection.updateOne(
+      { _id: migration.version },
+      { $set: { appliedAt: new Date(), result } }
+    );
+    applied.push({ version: migration.version, name: migration.name, result });
+  }
+
+  return applied;
+}
+
+// Состояние всех известных миграций: [{ version, name, appliedAt }] (appliedAt = null - не выполнена)
+async function migrationStatus(ctx, migrations = MIGRATIONS) {
+  const records = new Map(
+    (await ctx.migrationsCollection.find({}).toArray()).map(record => [record._id, record])
+  );
+  return [...migrations]
+    .sort((a, b) => a.version - b.version)
+    .map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: records.get(migration.version)?.appliedAt || null
+    }));
+}
+
+module.exports = {
+  MIGRATIONS,
+  migrationLabel,
+  runMigrations,
+  migrationStatus
+};
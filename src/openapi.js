@@ -0,0 +1,965 @@
+const { ERROR_CODES, VALIDATION_ERROR } = require('./utils');
+const { VERSION_CONFLICT } = require('./versioning');
+const { bookSchema, READING_SESSION_SCHEMA, MAX_GENRE_LENGTH, MAX_PAGES } = require('./validation');
+const { USERNAME_PATTERN, MIN_PASSWORD_LENGTH } = require('./auth');
+const { MAX_SHELF_NAME_LENGTH, MAX_SHELF_DESCRIPTION_LENGTH } = require('./shelves');
+const { MAX_BORROWER_LENGTH, MAX_LOAN_NOTE_LENGTH, DEFAULT_LOAN_DAYS } = require('./loans');
+const { MAX_BULK_ITEMS, BULK_ACTIONS, BULK_FIELDS } = require('./bulk');
+const { MAX_MERGE_BOOKS } = require('./duplicates');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, SORT_OPTIONS } = require('./query');
+const { EXPORT_FORMATS } = require('./export');
+const { IMPORT_MAX_ROWS } = require('./import');
+const { RESTORE_MODES } = require('./backup');
+const { DEFAULT_RECOMMENDATIONS, MAX_RECOMMENDATIONS } = require('./recommendations');
+const { DEFAULT_STATS_MONTHS, MAX_STATS_MONTHS } = require('./stats');
+const { version } = require('../package.json');
+
+// ===========================
+// OPENAPI DOCUMENT
+// ===========================
+
+/*
+ * Описание API для GET /api/openapi.json и страницы /api-docs.html.
+ * Схема книги берется из bookSchema - той же, по которой проверяет validateBook,
+ * ограничения остальных запросов - из констант модулей, которые их проверяют.
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const objectId = (description = 'ObjectId') => ({ type: 'string', pattern: '^[0-9a-f]{24}$', description });
+const dateTime = description => ({ type: 'string', format: 'date-time', description });
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+
+const ok = (description, schema) => ({ description, ...(schema ? json(schema) : {}) });
+const message = { type: 'object', properties: { message: { type: 'string' } } };
+
+function pathParam(name, description = 'ID книги') {
+  return { name, in: 'path', required: true, schema: objectId(), description };
+}
+
+function queryParam(name, schema, description) {
+  return { name, in: 'query', schema, description };
+}
+
+// Ответы с ошибками: '400' - ошибка валидации с полями, остальные - { code, message }
+function errors(...statuses) {
+  const responses = {
+    400: { $ref: '#/components/responses/ValidationError' },
+    401: { $ref: '#/components/responses/Unauthorized' },
+    403: { $ref: '#/components/responses/Forbidden' },
+    404: { $ref: '#/components/responses/NotFound' },
+    409: { $ref: '#/components/responses/Conflict' },
+    413: { $ref: '#/components/responses/PayloadTooLarge' },
+    500: { $ref: '#/components/responses/InternalError' }
+  };
+  return Object.fromEntries([...statuses, 401, 500].map(status => [status, responses[status]]));
+}
+
+const ifMatch = {
+  name: 'If-Match',
+  in: 'header',
+  schema: { type: 'string', examples: ['"3"'] },
+  description: 'Версия книги из ETag: запись выполнится, только если книгу не изменили (иначе 409)'
+};
+
+const fileUpload = (field, description) => ({
+  required: true,
+  content: {
+    'multipart/form-data': {
+      schema: {
+        type: 'object',
+        required: [field],
+        properties: { [field]: { type: 'string', format: 'binary', description } }
+      }
+    }
+  }
+});
+
+// Фильтры списка книг - общие для GET /api/books и экспорта
+const BOOK_FILTERS = [
+  queryParam('genre', { type: 'string' }, 'Жанр'),
+  queryParam('author', { type: 'array', items: { type: 'string' } }, 'Автор (можно несколько раз)'),
+  queryParam('isRead', { type: 'string', enum: ['true', 'false'] }, 'Прочитана'),
+  queryParam('yearFrom', { type: 'integer' }, 'Год издания от'),
+  queryParam('yearTo', { type: 'integer' }, 'Год издания до'),
+  queryParam('ratingMin', { type: 'number', minimum: 0, maximum: 5 }, 'Оценка от'),
+  queryParam('ratingMax', { type: 'number', minimum: 0, maximum: 5 }, 'Оценка до'),
+  queryParam('hasNotes', { type: 'string', enum: ['true', 'false', 'all'] }, 'Есть заметки'),
+  queryParam('hasCover', { type: 'string', enum: ['true', 'false', 'all'] }, 'Есть обложка'),
+  queryParam('tag', { type: 'string' }, 'Тег'),
+  queryParam('loan', { type: 'string', enum: ['onLoan', 'overdue', 'available'] }, 'Выдача'),
+  queryParam('shelf', objectId(), 'ID полки'),
+  queryParam('q', { type: 'string' }, 'Полнотекстовый поиск по названию, автору, описанию и заметкам'),
+  queryParam(
+    'sortBy',
+    { type: 'string', enum: [...Object.keys(SORT_OPTIONS).filter(key => key !== 'default'), 'relevance', 'shelf'] },
+    'Сортировка (по умолчанию - сначала новые); relevance - при поиске q, shelf - порядок на полке, только вместе с shelf'
+  )
+];
+
+function buildSchemas() {
+  const input = bookSchema();
+  const inputProperties = input.properties;
+
+  const readingSession = {
+    ...READING_SESSION_SCHEMA,
+    required: ['_id', 'date', 'pagesRead'],
+    properties: { _id: objectId(), date: dateTime('Дата сессии'), pagesRead: { type: 'integer', minimum: 1, maximum: MAX_PAGES } }
+  };
+
+  return {
+    BookInput: { ...input, description: 'Книга в теле POST /api/books' },
+    BookUpdate: {
+      type: 'object',
+      description: 'Изменения книги в теле PUT /api/books/{id}: передаются только изменяемые поля, ' +
+        'null или пустая строка очищает необязательное поле',
+      properties: {
+        ...inputProperties,
+        version: { type: 'integer', minimum: 0, description: 'Версия книги, если не передан If-Match' }
+      }
+    },
+    ReadingSessionInput: READING_SESSION_SCHEMA,
+    ReadingSession: readingSession,
+    Cover: {
+      type: 'object',
+      description: 'Загруженная обложка: файлы в GET /api/covers/{fileId}',
+      properties: {
+        fileId: objectId('Оригинал'),
+        thumbId: objectId('Миниатюра'),
+        contentType: { type: 'string' },
+        width: { type: 'integer' },
+        height: { type: 'integer' },
+        size: { type: 'integer' },
+        uploadedAt: dateTime()
+      }
+    },
+    Book: {
+      type: 'object',
+      required: ['_id', 'title', 'author', 'genre', 'version'],
+      properties: {
+        _id: objectId(),
+        ...inputProperties,
+        isbn: { type: ['string', 'null'], pattern: '^97[89][0-9]{10}$', description: 'ISBN-13' },
+        year: { type: ['integer', 'null'], description: 'Год издания' },
+        startedAt: nullable(dateTime('Начало чтения')),
+        finishedAt: nullable(dateTime('Окончание чтения')),
+        readingSessions: { type: 'array', items: ref('ReadingSession') },
+        cover: { oneOf: [ref('Cover'), { type: 'null' }] },
+        currentLoan: { oneOf: [ref('Loan'), { type: 'null' }], description: 'Текущая выдача' },
+        ownerId: objectId('Владелец'),
+        dateAdded: dateTime('Добавлена'),
+        updatedAt: dateTime('Последнее изменение'),
+        version: { type: 'integer', description: 'Версия, увеличивается при каждом изменении (ETag)' },
+        deletedAt: nullable(dateTime('Перемещена в корзину')),
+        purgeAt: nullable(dateTime('Будет удалена из корзины'))
+      }
+    },
+    BookPage: {
+      type: 'object',
+      properties: {
+        books: { type: 'array', items: ref('Book') },
+        total: { type: 'integer' },
+        limit: { type: 'integer' },
+        page: { type: ['integer', 'null'] },
+        hasMore: { type: 'boolean' },
+        nextCursor: { type: ['string', 'null'], description: 'Курсор следующей страницы' },
+        facets: { type: 'object', description: 'Счетчики фильтров (при facets=true)' }
+      }
+    },
+    FieldError: {
+      type: 'object',
+      required: ['field', 'code', 'message'],
+      properties: {
+        field: {
+          type: ['string', 'null'],
+          description: 'Поле запроса: "year", "tags[2]", "readingSessions[0].date"; null - ошибка не в поле',
+          examples: ['year']
+        },
+        code: {
+          type: 'string',
+          description: 'Нарушенное правило - ключевое слово схемы (required, type, enum, format, pattern, ' +
+            'minLength, maxLength, maxItems, minimum, maximum) или duplicate, invalid; ' +
+            'в результатах массовых операций также not_found и conflict',
+          examples: ['maximum']
+        },
+        message: { type: 'string', description: 'Текст для пользователя' }
+      }
+    },
+    Error: {
+      type: 'object',
+      required: ['code', 'message'],
+      properties: {
+        code: { type: 'string', enum: [...new Set(Object.values(ERROR_CODES))] },
+        message: { type: 'string' },
+        error: { type: 'string', description: 'Техническая причина' }
+      }
+    },
+    ValidationError: {
+      type: 'object',
+      required: ['code', 'message', 'errors'],
+      description: 'Неверный ввод: тело, параметры или файл. field - путь к полю или имя параметра',
+      properties: {
+        code: { type: 'string', const: VALIDATION_ERROR },
+        message: { type: 'string', examples: ['Ошибка валидации'] },
+        errors: { type: 'array', items: ref('FieldError') }
+      }
+    },
+    VersionConflict: {
+      type: 'object',
+      required: ['code', 'message', 'book'],
+      properties: {
+        code: { type: 'string', enum: [VERSION_CONFLICT] },
+        message: { type: 'string' },
+        book: ref('Book')
+      }
+    },
+    Credentials: {
+      type: 'object',
+      required: ['username', 'password'],
+      properties: {
+        username: { type: 'string', pattern: USERNAME_PATTERN.source },
+        password: { type: 'string', minLength: MIN_PASSWORD_LENGTH, format: 'password' }
+      }
+    },
+    User: {
+      type: 'object',
+      properties: { _id: objectId(), username: { type: 'string' }, createdAt: dateTime() }
+    },
+    GenreInput: {
+      type: 'object',
+      required: ['name'],
+      properties: { name: { type: 'string', minLength: 1, maxLength: MAX_GENRE_LENGTH } }
+    },
+    Genre: {
+      type: 'object',
+      properties: { _id: objectId(), name: { type: 'string' }, bookCount: { type: 'integer' } }
+    },
+    ShelfInput: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: MAX_SHELF_NAME_LENGTH },
+        description: { type: ['string', 'null'], maxLength: MAX_SHELF_DESCRIPTION_LENGTH }
+      }
+    },
+    Shelf: {
+      type: 'object',
+      properties: {
+        _id: objectId(),
+        name: { type: 'string' },
+        description: { type: 'string' },
+        bookIds: { type: 'array', items: objectId(), description: 'Книги в порядке полки' },
+        bookCount: { type: 'integer' },
+        createdAt: dateTime(),
+        updatedAt: dateTime()
+      }
+    },
+    LoanInput: {
+      type: 'object',
+      required: ['borrower'],
+      properties: {
+        borrower: { type: 'string', minLength: 1, maxLength: MAX_BORROWER_LENGTH, description: 'Кому выдана' },
+        loanedAt: { type: 'string', format: 'date-time', description: 'Дата выдачи, не из будущего (по умолчанию - сейчас)' },
+        dueAt: {
+          type: 'string',
+          description: `Срок возврата: дата (YYYY-MM-DD) или date-time, по умолчанию - через ${DEFAULT_LOAN_DAYS} дней`
+        },
+        note: { type: 'string', maxLength: MAX_LOAN_NOTE_LENGTH }
+      }
+    },
+    Loan: {
+      type: 'object',
+      properties: {
+        _id: objectId(),
+        bookId: objectId(),
+        borrower: { type: 'string' },
+        loanedAt: dateTime(),
+        dueAt: dateTime(),
+        returnedAt: nullable(dateTime()),
+        note: { type: 'string' }
+      }
+    },
+    BulkRequest: {
+      type: 'object',
+      required: ['action', 'ids'],
+      properties: {
+        action: { type: 'string', enum: BULK_ACTIONS },
+        ids: { type: 'array', items: objectId(), minItems: 1, maxItems: MAX_BULK_ITEMS },
+        changes: {
+          type: 'object',
+          description: `Для update: поля ${BULK_FIELDS.join(', ')}`,
+          properties: Object.fromEntries(BULK_FIELDS.map(field => [field, inputProperties[field]]))
+        }
+      }
+    },
+    BulkResult: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: BULK_ACTIONS },
+        total: { type: 'integer' },
+        succeeded: { type: 'integer' },
+        failed: { type: 'integer' },
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              status: { type: 'string', enum: ['updated', 'deleted', 'rejected', 'not_found', 'conflict'] },
+              errors: { type: 'array', items: ref('FieldError') },
+              book: ref('Book')
+            }
+          }
+        }
+      }
+    },
+    MergeRequest: {
+      type: 'object',
+      required: ['primaryId', 'duplicateIds'],
+      properties: {
+        primaryId: objectId('Основная книга'),
+        duplicateIds: { type: 'array', items: objectId(), minItems: 1, maxItems: MAX_MERGE_BOOKS - 1 }
+      }
+    },
+    HistoryEntry: {
+      type: 'object',
+      properties: {
+        _id: objectId(),
+        bookId: objectId(),
+        action: { type: 'string', examples: ['update'] },
+        changes: {
+          type: 'array',
+          items: { type: 'object', properties: { field: { type: 'string' }, from: {}, to: {} } }
+        },
+        snapshot: { type: 'object', description: 'Поля книги после изменения' },
+        actor: { type: 'object', properties: { _id: objectId(), username: { type: 'string' } } },
+        timestamp: dateTime()
+      }
+    },
+    ImportReport: {
+      type: 'object',
+      properties: {
+        dryRun: { type: 'boolean' },
+        format: { type: 'string', enum: ['csv', 'json'] },
+        total: { type: 'integer' },
+        accepted: { type: 'integer' },
+        rejected: { type: 'integer' },
+        inserted: { type: 'integer' },
+        rows: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              row: { type: 'integer' },
+              status: { type: 'string', enum: ['accepted', 'rejected', 'duplicate'] },
+              title: { type: 'string' },
+              author: { type: 'string' },
+              errors: { type: 'array', items: ref('FieldError') }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+function buildPaths() {
+  const bookId = pathParam('id');
+  const bookResponse = description => ok(description, ref('Book'));
+
+  return {
+    '/api/openapi.json': {
+      get: {
+        tags: ['Документация'],
+        summary: 'Это описание API (OpenAPI 3.1)',
+        security: [],
+        responses: { 200: ok('Документ OpenAPI', { type: 'object' }) }
+      }
+    },
+    '/api/auth/register': {
+      post: {
+        tags: ['Авторизация'],
+        summary: 'Регистрация (сразу открывает сессию)',
+        security: [],
+        requestBody: { required: true, ...json(ref('Credentials')) },
+        responses: {
+          201: ok('Пользователь создан, выставлена cookie sid', { type: 'object', properties: { user: ref('User') } }),
+          ...errors(400, 409)
+        }
+      }
+    },
+    '/api/auth/login': {
+      post: {
+        tags: ['Авторизация'],
+        summary: 'Вход',
+        security: [],
+        requestBody: { required: true, ...json(ref('Credentials')) },
+        responses: {
+          200: ok('Выставлена cookie sid', { type: 'object', properties: { user: ref('User') } }),
+          ...errors(400)
+        }
+      }
+    },
+    '/api/auth/logout': {
+      post: { tags: ['Авторизация'], summary: 'Выход', responses: { 200: ok('Сессия завершена', message), ...errors() } }
+    },
+    '/api/auth/me': {
+      get: {
+        tags: ['Авторизация'],
+        summary: 'Текущий пользователь',
+        responses: { 200: ok('Пользователь', { type: 'object', properties: { user: ref('User') } }), ...errors() }
+      }
+    },
+    '/api/books': {
+      get: {
+        tags: ['Книги'],
+        summary: 'Список книг с фильтрами и пагинацией',
+        parameters: [
+          ...BOOK_FILTERS,
+          queryParam('limit', { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE }, 'Книг на странице'),
+          queryParam('page', { type: 'integer', minimum: 1 }, 'Номер страницы'),
+          queryParam('cursor', { type: 'string' }, 'nextCursor предыдущего ответа (вместо page)'),
+          queryParam('facets', { type: 'string', enum: ['true'] }, 'Добавить счетчики для панели фильтров')
+        ],
+        responses: { 200: ok('Страница книг', ref('BookPage')), ...errors(400, 404) }
+      },
+      post: {
+        tags: ['Книги'],
+        summary: 'Создать книгу',
+        requestBody: { required: true, ...json(ref('BookInput')) },
+        responses: { 201: bookResponse('Созданная книга'), ...errors(400, 409) }
+      }
+    },
+    '/api/books/export': {
+      get: {
+        tags: ['Книги'],
+        summary: 'Экспорт в CSV, JSON или печатный HTML-каталог',
+        parameters: [
+          queryParam('format', { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' }, 'Формат'),
+          ...BOOK_FILTERS
+        ],
+        responses: {
+          200: {
+            description: 'Файл экспорта',
+            content: Object.fromEntries(
+              Object.values(EXPORT_FORMATS).map(format => [format.contentType.split(';')[0], { schema: { type: 'string' } }])
+            )
+          },
+          ...errors(400, 404)
+        }
+      }
+    },
+    '/api/books/import': {
+      post: {
+        tags: ['Книги'],
+        summary: `Импорт из CSV или JSON (до ${IMPORT_MAX_ROWS} книг)`,
+        parameters: [
+          queryParam('format', { type: 'string', enum: ['csv', 'json'] }, 'Формат (по умолчанию - по расширению файла)'),
+          queryParam('dryRun', { type: 'string', enum: ['true'] }, 'Только проверка, без записи')
+        ],
+        requestBody: fileUpload('file', 'CSV или JSON'),
+        responses: {
+          200: ok('Результат проверки (dryRun)', ref('ImportReport')),
+          201: ok('Результат импорта', ref('ImportReport')),
+          ...errors(400)
+        }
+      }
+    },
+    '/api/books/bulk': {
+      post: {
+        tags: ['Книги'],
+        summary: 'Изменить или удалить много книг одним запросом',
+        requestBody: { required: true, ...json(ref('BulkRequest')) },
+        responses: { 200: ok('Результат по каждой книге', ref('BulkResult')), ...errors(400) }
+      }
+    },
+    '/api/books/{id}': {
+      get: {
+        tags: ['Книги'],
+        summary: 'Книга по ID (заголовок ETag - ее версия)',
+        parameters: [bookId],
+        responses: { 200: bookResponse('Книга'), ...errors(400, 404) }
+      },
+      put: {
+        tags: ['Книги'],
+        summary: 'Обновить книгу',
+        parameters: [bookId, ifMatch],
+        requestBody: { required: true, ...json(ref('BookUpdate')) },
+        responses: {
+          200: bookResponse('Обновленная книга'),
+          ...errors(400, 404),
+          409: { $ref: '#/components/responses/VersionConflict' }
+        }
+      },
+      delete: {
+        tags: ['Книги'],
+        summary: 'Переместить книгу в корзину',
+        parameters: [bookId, ifMatch],
+        responses: {
+          200: ok('Книга в корзине', { type: 'object', properties: { message: { type: 'string' }, book: ref('Book') } }),
+          ...errors(400, 404),
+          409: { $ref: '#/components/responses/VersionConflict' }
+        }
+      }
+    },
+    '/api/books/{id}/sessions': {
+      post: {
+        tags: ['Книги'],
+        summary: 'Записать сессию чтения (сдвигает текущую страницу)',
+        parameters: [bookId],
+        requestBody: { required: true, ...json(ref('ReadingSessionInput')) },
+        responses: { 201: bookResponse('Книга с новой сессией'), ...errors(400, 404) }
+      }
+    },
+    '/api/books/{id}/sessions/{sessionId}': {
+      delete: {
+        tags: ['Книги'],
+        summary: 'Удалить сессию чтения',
+        parameters: [bookId, pathParam('sessionId', 'ID сессии'), ifMatch],
+        responses: {
+          200: bookResponse('Книга без сессии'),
+          ...errors(400, 404),
+          409: { $ref: '#/components/responses/VersionConflict' }
+        }
+      }
+    },
+    '/api/books/{id}/cover': {
+      post: {
+        tags: ['Обложки'],
+        summary: 'Загрузить обложку (JPEG, PNG или WebP)',
+        parameters: [bookId],
+        requestBody: fileUpload('cover', 'Изображение'),
+        responses: { 201: bookResponse('Книга с обложкой'), ...errors(400, 404) }
+      },
+      delete: {
+        tags: ['Обложки'],
+        summary: 'Удалить загруженную обложку',
+        parameters: [bookId],
+        responses: { 200: bookResponse('Книга без обложки'), ...errors(400, 404) }
+      }
+    },
+    '/api/covers/placeholder': {
+      get: {
+        tags: ['Обложки'],
+        summary: 'SVG-заглушка обложки',
+        parameters: [queryParam('title', { type: 'string' }, 'Название'), queryParam('author', { type: 'string' }, 'Автор')],
+        responses: { 200: { description: 'SVG', content: { 'image/svg+xml': { schema: { type: 'string' } } } }, ...errors() }
+      }
+    },
+    '/api/covers/{fileId}': {
+      get: {
+        tags: ['Обложки'],
+        summary: 'Файл обложки или миниатюры',
+        parameters: [pathParam('fileId', 'fileId или thumbId из Cover')],
+        responses: {
+          200: { description: 'Изображение', content: { 'image/*': { schema: { type: 'string', format: 'binary' } } } },
+          ...errors(400, 404)
+        }
+      }
+    },
+    '/api/books/{id}/history': {
+      get: {
+        tags: ['История'],
+        summary: 'История изменений книги',
+        parameters: [bookId],
+        responses: { 200: ok('Записи от новых к старым', { type: 'array', items: ref('HistoryEntry') }), ...errors(400, 404) }
+      }
+    },
+    '/api/books/{id}/history/{entryId}/revert': {
+      post: {
+        tags: ['История'],
+        summary: 'Вернуть книгу к версии из истории',
+        parameters: [bookId, pathParam('entryId', 'ID записи истории')],
+        responses: {
+          200: bookResponse('Книга после отката'),
+          ...errors(400, 404),
+          409: {
+            description: 'Версию нельзя восстановить (например, ее жанр удален) - ошибки по полям',
+            ...json(ref('ValidationError'))
+          }
+        }
+      }
+    },
+    '/api/books/{id}/loan': {
+      post: {
+        tags: ['Выдача'],
+        summary: 'Выдать книгу',
+        parameters: [bookId],
+        requestBody: { required: true, ...json(ref('LoanInput')) },
+        responses: {
+          201: ok('Книга и выдача', { type: 'object', properties: { book: ref('Book'), loan: ref('Loan') } }),
+          ...errors(400, 404, 409)
+        }
+      }
+    },
+    '/api/books/{id}/return': {
+      post: {
+        tags: ['Выдача'],
+        summary: 'Отметить возврат',
+        parameters: [bookId],
+        requestBody: json({ type: 'object', properties: { returnedAt: dateTime('По умолчанию - сейчас') } }),
+        responses: {
+          200: ok('Книга и выдача', { type: 'object', properties: { book: ref('Book'), loan: ref('Loan') } }),
+          ...errors(400, 404, 409)
+        }
+      }
+    },
+    '/api/books/{id}/loans': {
+      get: {
+        tags: ['Выдача'],
+        summary: 'История выдач книги',
+        parameters: [bookId],
+        responses: { 200: ok('Выдачи от новых к старым', { type: 'array', items: ref('Loan') }), ...errors(400, 404) }
+      }
+    },
+    '/api/loans': {
+      get: {
+        tags: ['Выдача'],
+        summary: 'Выдачи с названием и автором книги',
+        parameters: [queryParam('status', { type: 'string', enum: ['active', 'overdue', 'returned', 'all'], default: 'active' })],
+        responses: { 200: ok('Выдачи', { type: 'array', items: ref('Loan') }), ...errors(400) }
+      }
+    },
+    '/api/duplicates': {
+      get: {
+        tags: ['Дубликаты'],
+        summary: 'Группы вероятных дубликатов',
+        responses: {
+          200: ok('Группы', {
+            type: 'object',
+            properties: {
+              total: { type: 'integer' },
+              groups: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    books: { type: 'array', items: ref('Book') },
+                    primaryId: objectId('Предложенная основная книга'),
+                    similarity: { type: 'object', properties: { title: { type: 'number' }, author: { type: 'number' } } }
+                  }
+                }
+              }
+            }
+          }),
+          ...errors()
+        }
+      }
+    },
+    '/api/duplicates/merge': {
+      post: {
+        tags: ['Дубликаты'],
+        summary: 'Объединить дубликаты с основной книгой',
+        parameters: [{ ...ifMatch, description: 'Версия основной книги' }],
+        requestBody: { required: true, ...json(ref('MergeRequest')) },
+        responses: {
+          200: ok('Основная книга после объединения', {
+            type: 'object',
+            properties: { message: { type: 'string' }, book: ref('Book'), mergedIds: { type: 'array', items: objectId() } }
+          }),
+          ...errors(400, 404, 409)
+        }
+      }
+    },
+    '/api/genres': {
+      get: {
+        tags: ['Жанры и теги'],
+        summary: 'Жанры с количеством книг',
+        responses: { 200: ok('Жанры', { type: 'array', items: ref('Genre') }), ...errors() }
+      },
+      post: {
+        tags: ['Жанры и теги'],
+        summary: 'Добавить жанр',
+        requestBody: { required: true, ...json(ref('GenreInput')) },
+        responses: { 201: ok('Жанр', ref('Genre')), ...errors(400, 409) }
+      }
+    },
+    '/api/genres/{id}': {
+      put: {
+        tags: ['Жанры и теги'],
+        summary: 'Переименовать жанр вместе с его книгами',
+        parameters: [pathParam('id', 'ID жанра')],
+        requestBody: { required: true, ...json(ref('GenreInput')) },
+        responses: { 200: ok('Жанр', ref('Genre')), ...errors(400, 404, 409) }
+      },
+      delete: {
+        tags: ['Жанры и теги'],
+        summary: 'Удалить пустой жанр',
+        parameters: [pathParam('id', 'ID жанра')],
+        responses: { 200: ok('Жанр удален', message), ...errors(400, 404, 409) }
+      }
+    },
+    '/api/genres/{id}/merge': {
+      post: {
+        tags: ['Жанры и теги'],
+        summary: 'Объединить жанр с другим',
+        parameters: [pathParam('id', 'ID жанра')],
+        requestBody: {
+          required: true,
+          ...json({ type: 'object', required: ['targetId'], properties: { targetId: objectId('Жанр, в который переходят книги') } })
+        },
+        responses: {
+          200: ok('Жанры объединены', { type: 'object', properties: { message: { type: 'string' }, movedBooks: { type: 'integer' } } }),
+          ...errors(400, 404)
+        }
+      }
+    },
+    '/api/tags': {
+      get: {
+        tags: ['Жанры и теги'],
+        summary: 'Теги с количеством книг',
+        responses: {
+          200: ok('Теги', {
+            type: 'array',
+            items: { type: 'object', properties: { tag: { type: 'string' }, count: { type: 'integer' } } }
+          }),
+          ...errors()
+        }
+      }
+    },
+    '/api/shelves': {
+      get: {
+        tags: ['Полки'],
+        summary: 'Полки с книгами',
+        responses: { 200: ok('Полки', { type: 'array', items: ref('Shelf') }), ...errors() }
+      },
+      post: {
+        tags: ['Полки'],
+        summary: 'Создать полку',
+        requestBody: { required: true, ...json(ref('ShelfInput')) },
+        responses: { 201: ok('Полка', ref('Shelf')), ...errors(400, 409) }
+      }
+    },
+    '/api/shelves/{id}': {
+      put: {
+        tags: ['Полки'],
+        summary: 'Переименовать полку или изменить описание',
+        parameters: [pathParam('id', 'ID полки')],
+        requestBody: { required: true, ...json({ ...ref('ShelfInput'), description: 'name можно не передавать' }) },
+        responses: { 200: ok('Полка', ref('Shelf')), ...errors(400, 404, 409) }
+      },
+      delete: {
+        tags: ['Полки'],
+        summary: 'Удалить полку (книги остаются)',
+        parameters: [pathParam('id', 'ID полки')],
+        responses: { 200: ok('Полка удалена', message), ...errors(400, 404) }
+      }
+    },
+    '/api/shelves/{id}/books': {
+      post: {
+        tags: ['Полки'],
+        summary: 'Положить книгу на полку',
+        parameters: [pathParam('id', 'ID полки')],
+        requestBody: {
+          required: true,
+          ...json({
+            type: 'object',
+            required: ['bookId'],
+            properties: { bookId: objectId(), position: { type: 'integer', minimum: 0, description: 'По умолчанию - в конец' } }
+          })
+        },
+        responses: { 200: ok('Полка', ref('Shelf')), ...errors(400, 404) }
+      },
+      put: {
+        tags: ['Полки'],
+        summary: 'Изменить порядок книг на полке',
+        parameters: [pathParam('id', 'ID полки')],
+        requestBody: {
+          required: true,
+          ...json({
+            type: 'object',
+            required: ['bookIds'],
+            properties: { bookIds: { type: 'array', items: objectId(), description: 'Все книги полки в новом порядке' } }
+          })
+        },
+        responses: { 200: ok('Полка', ref('Shelf')), ...errors(400, 404) }
+      }
+    },
+    '/api/shelves/{id}/books/{bookId}': {
+      delete: {
+        tags: ['Полки'],
+        summary: 'Убрать книгу с полки',
+        parameters: [pathParam('id', 'ID полки'), pathParam('bookId')],
+        responses: { 200: ok('Полка', ref('Shelf')), ...errors(400, 404) }
+      }
+    },
+    '/api/trash': {
+      get: {
+        tags: ['Корзина'],
+        summary: 'Книги в корзине',
+        responses: {
+          200: ok('Корзина', {
+            type: 'object',
+            properties: { retentionDays: { type: 'integer' }, books: { type: 'array', items: ref('Book') } }
+          }),
+          ...errors()
+        }
+      },
+      delete: {
+        tags: ['Корзина'],
+        summary: 'Очистить корзину',
+        responses: {
+          200: ok('Корзина очищена', {
+            type: 'object',
+            properties: { message: { type: 'string' }, deletedCount: { type: 'integer' } }
+          }),
+          ...errors()
+        }
+      }
+    },
+    '/api/trash/{id}/restore': {
+      post: {
+        tags: ['Корзина'],
+        summary: 'Восстановить книгу из корзины',
+        parameters: [bookId],
+        responses: {
+          200: ok('Книга восстановлена', { type: 'object', properties: { message: { type: 'string' }, book: ref('Book') } }),
+          ...errors(400, 404, 409)
+        }
+      }
+    },
+    '/api/trash/{id}': {
+      delete: {
+        tags: ['Корзина'],
+        summary: 'Удалить книгу навсегда',
+        parameters: [bookId],
+        responses: {
+          200: ok('Книга удалена', { type: 'object', properties: { message: { type: 'string' }, book: ref('Book') } }),
+          ...errors(400, 404)
+        }
+      }
+    },
+    '/api/isbn/{isbn}': {
+      get: {
+        tags: ['Поиск по ISBN'],
+        summary: 'Данные книги по ISBN для заполнения формы',
+        parameters: [{ name: 'isbn', in: 'path', required: true, schema: { type: 'string' }, description: 'ISBN-10 или ISBN-13' }],
+        responses: {
+          200: ok('Найденные данные и existingBook - такая книга в библиотеке, если есть', { type: 'object' }),
+          ...errors(400, 404)
+        }
+      }
+    },
+    '/api/stats': {
+      get: {
+        tags: ['Статистика'],
+        summary: 'Сводка по библиотеке',
+        responses: {
+          200: ok('Сводка', {
+            type: 'object',
+            properties: Object.fromEntries(
+              ['total', 'read', 'unread', 'onLoan', 'overdue'].map(field => [field, { type: 'integer' }])
+                .concat([['averageRating', { type: 'number' }]])
+            )
+          }),
+          ...errors()
+        }
+      }
+    },
+    '/api/stats/dashboard': {
+      get: {
+        tags: ['Статистика'],
+        summary: 'Подробная статистика для графиков',
+        parameters: [
+          queryParam('months', { type: 'integer', minimum: 1, maximum: MAX_STATS_MONTHS, default: DEFAULT_STATS_MONTHS }, 'Период помесячной статистики')
+        ],
+        responses: { 200: ok('Статистика', { type: 'object' }), ...errors(400) }
+      }
+    },
+    '/api/recommendations': {
+      get: {
+        tags: ['Рекомендации'],
+        summary: 'Что почитать дальше, с объяснениями',
+        parameters: [
+          queryParam('limit', { type: 'integer', minimum: 1, maximum: MAX_RECOMMENDATIONS, default: DEFAULT_RECOMMENDATIONS })
+        ],
+        responses: { 200: ok('Рекомендации', { type: 'object' }), ...errors(400) }
+      }
+    },
+    '/api/events': {
+      get: {
+        tags: ['Синхронизация'],
+        summary: 'Поток изменений книг (Server-Sent Events)',
+        responses: { 200: { description: 'События ready и book', content: { 'text/event-stream': { schema: { type: 'string' } } } }, ...errors() }
+      }
+    },
+    '/api/admin/backup': {
+      get: {
+        tags: ['Резервные копии'],
+        summary: 'Скачать архив всей базы (только ADMIN_USERS)',
+        responses: {
+          200: { description: 'gzip со строками EJSON', content: { 'application/gzip': { schema: { type: 'string', format: 'binary' } } } },
+          ...errors(403)
+        }
+      }
+    },
+    '/api/admin/restore': {
+      post: {
+        tags: ['Резервные копии'],
+        summary: 'Восстановить базу из архива (только ADMIN_USERS)',
+        parameters: [
+          queryParam('mode', { type: 'string', enum: RESTORE_MODES, default: RESTORE_MODES[0] }, 'merge - дописать недостающее, replace - заменить'),
+          queryParam('dryRun', { type: 'string', enum: ['true'] }, 'Только проверка архива')
+        ],
+        requestBody: fileUpload('file', 'Архив .ndjson.gz'),
+        responses: {
+          200: ok('Итог по коллекциям', {
+            type: 'object',
+            properties: {
+              mode: { type: 'string', enum: RESTORE_MODES },
+              dryRun: { type: 'boolean' },
+              snapshot: { type: 'string', description: 'replace: архив базы до замены в BACKUPS_DIR' },
+              collections: { type: 'object' }
+            }
+          }),
+          ...errors(400, 403)
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Документ OpenAPI 3.1. Собирается на каждый запрос: верхняя граница года
+ * в схеме книги - текущий год.
+ */
+function buildOpenApiDocument() {
+  const errorResponse = (description, schema = ref('Error')) => ({ description, ...json(schema) });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Book Library API',
+      version,
+      description: 'API библиотеки книг. Все маршруты, кроме регистрации, входа и этого документа, ' +
+        'требуют сессии (cookie sid после входа или заголовок Authorization: Bearer <token>). ' +
+        'Ошибки приходят в виде { code, message }, ошибки валидации - с полем errors: [{ field, code, message }].'
+    },
+    servers: [{ url: '/' }],
+    security: [{ cookieAuth: [] }, { bearerAuth: [] }],
+    tags: [
+      'Авторизация', 'Книги', 'Обложки', 'История', 'Выдача', 'Дубликаты', 'Жанры и теги', 'Полки',
+      'Корзина', 'Поиск по ISBN', 'Статистика', 'Рекомендации', 'Синхронизация', 'Резервные копии', 'Документация'
+    ].map(name => ({ name })),
+    paths: buildPaths(),
+    components: {
+      securitySchemes: {
+        cookieAuth: { type: 'apiKey', in: 'cookie', name: 'sid' },
+        bearerAuth: { type: 'http', scheme: 'bearer' }
+      },
+      schemas: buildSchemas(),
+      responses: {
+        ValidationError: errorResponse('Ошибка валидации или неверный запрос', ref('ValidationError')),
+        Unauthorized: errorResponse('Нужен вход'),
+        Forbidden: errorResponse('Нет доступа'),
+        NotFound: errorResponse('Не найдено'),
+        Conflict: errorResponse('Конфликт с текущими данными (например, такой ISBN уже есть)'),
+        VersionConflict: errorResponse('Книгу изменили: в ответе ее актуальная версия', ref('VersionConflict')),
+        PayloadTooLarge: errorResponse('Тело запроса слишком большое'),
+        InternalError: errorResponse('Ошибка сервера')
+      }
+    }
+  };
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,433 @@
+const { ObjectId } = require('mongodb');
+const { isValidObjectId, fieldError } = require('./utils');
+
+// ===========================
+// SEARCH HELPERS
+// ===========================
+
+const SEARCH_FIELDS = ['title', 'author', 'description', 'notes'];
+const SNIPPET_LENGTH = 160;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Разбивает поисковую строку на слова (кавычки и минус-слова $text отбрасываем)
+function getSearchTerms(q) {
+  return q
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'));
+}
+
+// Вырезает фрагмент длинного текста вокруг первого совпадения
+function makeSnippet(text, matchIndex) {
+  if (text.length <= SNIPPET_LENGTH) {
+    return { text, offset: 0, limit: text.length };
+  }
+
+  const start = Math.max(0, matchIndex - SNIPPET_LENGTH / 4);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    text: prefix + text.slice(start, end) + suffix,
+    offset: start - prefix.length,
+    limit: prefix.length + (end - start)
+  };
+}
+
+/**
+ * Подсветка совпадений: для каждого поля, где найдены слова запроса,
+ * возвращает массив сегментов [{ text, match }]
+ */
+function buildHighlights(book, terms) {
+  const highlights = {};
+  if (terms.length === 0) return highlights;
+
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+
+  SEARCH_FIELDS.forEach(field => {
+    const value = book[field];
+    if (typeof value !== 'string' || !value) return;
+
+    const matches = [...value.matchAll(pattern)];
+    if (matches.length === 0) return;
+
+    const snippet = makeSnippet(value, matches[0].index);
+    const segments = [];
+    let cursor = 0;
+
+    matches.forEach(match => {
+      const start = match.index - snippet.offset;
+      const end = start + match[0].length;
+      if (start < cursor || end > snippet.limit) return;
+
+      if (start > cursor) {
+        segments.push({ text: snippet.text.slice(cursor, start), match: false });
+      }
+      segments.push({ text: snippet.text.slice(start, end), match: true });
+      cursor = end;
+    });
+
+    if (cursor < snippet.text.length) {
+      segments.push({ text: snippet.text.slice(cursor), match: false });
+    }
+
+    highlights[field] = segments;
+  });
+
+  return highlights;
+}
+
+// ===========================
+// QUERY HELPERS
+// ===========================
+
+function getSearchQuery(params) {
+  return typeof params.q === 'string' ? params.q.trim() : '';
+}
+
+// Параметр может прийти несколько раз (?genre=a&genre=b) - тогда Express отдает массив
+function toList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim())
+    .filter(item => item && item !== 'all');
+}
+
+function parseNumberParam(value) {
+  if (value === undefined || value === '') return null;
+  return typeof value === 'string' ? Number(value) : NaN;
+}
+
+function parseFlagParam(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
+}
+
+/**
+ * Проверка параметров расширенных фильтров: yearFrom/yearTo, ratingMin/ratingMax,
+ * hasNotes/hasCover. Возвращает ошибки [{ field, code, message }] (пусто, если все в порядке)
+ */
+function validateFilterParams(params) {
+  const errors = [];
+  const yearFrom = parseNumberParam(params.yearFrom);
+  const yearTo = parseNumberParam(params.yearTo);
+  const ratingMin = parseNumberParam(params.ratingMin);
+  const ratingMax = parseNumberParam(params.ratingMax);
+
+  [['yearFrom', yearFrom], ['yearTo', yearTo]].forEach(([name, value]) => {
+    if (value !== null && !Number.isInteger(value)) {
+      errors.push(fieldError(name, 'type', `Параметр ${name} должен быть целым числом`));
+    }
+  });
+  if (Number.isInteger(yearFrom) && Number.isInteger(yearTo) && yearFrom > yearTo) {
+    errors.push(fieldError('yearFrom', 'maximum', 'Параметр yearFrom не может быть больше yearTo'));
+  }
+
+  [['ratingMin', ratingMin], ['ratingMax', ratingMax]].forEach(([name, value]) => {
+    if (value !== null && !(value >= 0 && value <= 5)) {
+      const code = isNaN(value) ? 'type' : (value < 0 ? 'minimum' : 'maximum');
+      errors.push(fieldError(name, code, `Параметр ${name} должен быть числом от 0 до 5`));
+    }
+  });
+  if (ratingMin !== null && ratingMax !== null && ratingMin > ratingMax) {
+    errors.push(fieldError('ratingMin', 'maximum', 'Параметр ratingMin не может быть больше ratingMax'));
+  }
+
+  ['hasNotes', 'hasCover'].forEach(name => {
+    const value = params[name];
+    if (value !== undefined && value !== 'all' && parseFlagParam(value) === null) {
+      errors.push(fieldError(name, 'enum', `Параметр ${name} должен быть true, false или all`));
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Условия фасетных фильтров по измерениям { genre, author, isRead, year, rating, hasNotes, hasCover }
+ * (null - фильтр не задан). Для подсчета фасетов каждое измерение считается
+ * без собственного условия, поэтому они хранятся отдельно от остального фильтра.
+ * Параметры должны быть проверены validateFilterParams.
+ */
+function buildFacetClauses(params) {
+  const genres = toList(params.genre);
+  const authors = toList(params.author);
+  const yearFrom = parseNumberParam(params.yearFrom);
+  const yearTo = parseNumberParam(params.yearTo);
+  const ratingMin = parseNumberParam(params.ratingMin);
+  const ratingMax = parseNumberParam(params.ratingMax);
+  const hasNotes = parseFlagParam(params.hasNotes);
+  const hasCover = parseFlagParam(params.hasCover);
+
+  const clauses = {
+    genre: genres.length > 0 ? { genre: { $in: genres } } : null,
+    author: authors.length > 0 ? { author: { $in: authors } } : null,
+    isRead: params.isRead !== undefined && params.isRead !== 'all' ? { isRead: params.isRead === 'true' } : null,
+    year: null,
+    rating: null,
+    hasNotes: null,
+    hasCover: null
+  };
+
+  if (yearFrom !== null || yearTo !== null) {
+    clauses.year = { year: {} };
+    if (yearFrom !== null) clauses.year.year.$gte = yearFrom;
+    if (yearTo !== null) clauses.year.year.$lte = yearTo;
+  }
+
+  // Нижняя граница 0 ничего не отсекает, а книги без оценки (поля нет) терять не должна
+  if (ratingMin > 0 || ratingMax !== null) {
+    clauses.rating = { rating: {} };
+    if (ratingMin > 0) clauses.rating.rating.$gte = ratingMin;
+    if (ratingMax !== null) clauses.rating.rating.$lte = ratingMax;
+    if (!(ratingMin > 0)) {
+      clauses.rating = { $or: [clauses.rating, { rating: null }] };
+    }
+  }
+
+  if (hasNotes !== null) {
+    clauses.hasNotes = { notes: hasNotes ? { $nin: [null, ''] } : { $in: [null, ''] } };
+  }
+
+  // Обложка - загруженный файл или внешняя ссылка
+  if (hasCover === true) {
+    clauses.hasCover = { $or: [{ cover: { $ne: null } }, { coverUrl: { $nin: [null, ''] } }] };
+  } else if (hasCover === false) {
+    clauses.hasCover = { cover: null, coverUrl: { $in: [null, ''] } };
+  }
+
+  return clauses;
+}
+
+/**
+ * Фильтр книг пользователя без фасетных условий: владелец, tag, loan, q.
+ * $text допустим только в первом $match, поэтому поиск всегда здесь.
+ */
+function buildBaseFilter(params, ownerId) {
+  const { tag, loan } = params;
+  const q = getSearchQuery(params);
+  const query = { ownerId, deletedAt: null };
+
+  if (typeof tag === 'string' && tag.trim()) {
+    query.tags = tag.trim();
+  }
+
+  // Выдача: onLoan - на руках, overdue - просрочены, available - дома
+  if (loan === 'onLoan') {
+    query.currentLoan = { $ne: null };
+  } else if (loan === 'overdue') {
+    query['currentLoan.dueAt'] = { $lt: new Date() };
+  } else if (loan === 'available') {
+    query.currentLoan = null;
+  }
+
+  // Полнотекстовый поиск
+  if (q) {
+    query.$text = { $search: q };
+  }
+
+  return query;
+}
+
+function combineClauses(query, clauses) {
+  const conditions = Object.values(clauses).filter(Boolean);
+  return conditions.length > 0 ? { ...query, $and: conditions } : query;
+}
+
+/**
+ * Фильтр книг пользователя по параметрам запроса (genre, author, isRead, год, оценка,
+ * hasNotes, hasCover, tag, loan, q). Общий для списка и экспорта, чтобы они всегда совпадали.
+ */
+function buildBooksFilter(params, ownerId) {
+  return combineClauses(buildBaseFilter(params, ownerId), buildFacetClauses(params));
+}
+
+// ===========================
+// FACETS
+// ===========================
+
+const FACET_AUTHORS_LIMIT = 20;
+
+function countBy(expression) {
+  return { $group: { _id: expression, count: { $sum: 1 } } };
+}
+
+function nonEmpty(field) {
+  return { $gt: [{ $strLenCP: { $ifNull: [field, ''] } }, 0] };
+}
+
+/**
+ * Один запрос $facet со счетчиками для панели фильтров. Каждое измерение
+ * считается с учетом всех фильтров, кроме своего: так в списке жанров
+ * видно, сколько книг добавит выбор еще одного жанра.
+ */
+function buildFacetsPipeline(baseQuery, clauses) {
+  const matchExcept = dimension => {
+    const others = Object.entries(clauses)
+      .filter(([name, clause]) => clause && name !== dimension)
+      .map(([, clause]) => clause);
+    return others.length > 0 ? [{ $match: { $and: others } }] : [];
+  };
+
+  return [
+    { $match: baseQuery },
+    {
+      $facet: {
+        genre: [...matchExcept('genre'), countBy('$genre'), { $sort: { count: -1, _id: 1 } }],
+        author: [
+          ...matchExcept('author'),
+          countBy('$author'),
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_AUTHORS_LIMIT }
+        ],
+        isRead: [...matchExcept('isRead'), countBy({ $eq: ['$isRead', true] })],
+        rating: [...matchExcept('rating'), countBy({ $floor: { $ifNull: ['$rating', 0] } })],
+        year: [
+          ...matchExcept('year'),
+          { $match: { year: { $ne: null } } },
+          { $group: { _id: null, min: { $min: '$year' }, max: { $max: '$year' } } }
+        ],
+        hasNotes: [...matchExcept('hasNotes'), countBy(nonEmpty('$notes'))],
+        hasCover: [
+          ...matchExcept('hasCover'),
+          countBy({ $or: [{ $ne: [{ $ifNull: ['$cover', null] }, null] }, nonEmpty('$coverUrl')] })
+        ]
+      }
+    }
+  ];
+}
+
+function flagCounts(rows) {
+  const counts = { true: 0, false: 0 };
+  rows.forEach(row => {
+    counts[row._id === true] += row.count;
+  });
+  return counts;
+}
+
+/**
+ * Результат $facet в виде для клиента:
+ * { genres, authors: [{ value, count }], isRead, hasNotes, hasCover: { true, false },
+ *   ratings: [{ value: 0-5, count }] (0 - без оценки), years: { min, max } | null }
+ */
+function formatFacets(result) {
+  const ratingCounts = new Map(result.rating.map(row => [row._id, row.count]));
+  const [years] = result.year;
+
+  return {
+    genres: result.genre.map(row => ({ value: row._id, count: row.count })),
+    authors: result.author.map(row => ({ value: row._id, count: row.count })),
+    isRead: flagCounts(result.isRead),
+    ratings: [0, 1, 2, 3, 4, 5].map(value => ({ value, count: ratingCounts.get(value) || 0 })),
+    years: years ? { min: years.min, max: years.max } : null,
+    hasNotes: flagCounts(result.hasNotes),
+    hasCover: flagCounts(result.hasCover)
+  };
+}
+
+// ===========================
+// PAGINATION HELPERS
+// ===========================
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+const SORT_OPTIONS = {
+  title: { title: 1 },
+  author: { author: 1 },
+  year: { year: -1 },
+  rating: { rating: -1 },
+  default: { dateAdded: -1 }
+};
+
+function parsePositiveInt(value, defaultValue) {
+  if (value === undefined || value === '') return defaultValue;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// Курсор - base64url от { v: значение поля сортировки, d: признак Date, id }
+function encodeCursor(book, field) {
+  const value = book[field] ?? null;
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: book._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Значение курсора попадает в $gt/$lt как есть: объект ({ "$ne": null }) был бы оператором
+const CURSOR_VALUE_TYPES = ['string', 'number', 'boolean'];
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!payload || typeof payload !== 'object' || !isValidObjectId(payload.id) || !('v' in payload)) return null;
+
+    const { v: value } = payload;
+    if (payload.d) {
+      const date = typeof value === 'string' ? new Date(value) : null;
+      if (!date || Number.isNaN(date.getTime())) return null;
+      return { value: date, id: new ObjectId(payload.id) };
+    }
+    if (value !== null && !CURSOR_VALUE_TYPES.includes(typeof value)) return null;
+
+    return { value, id: new ObjectId(payload.id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Условие "после курсора" для сортировки { field: direction, _id: direction }.
+ * Документы без поля (null) MongoDB ставит в начало по возрастанию
+ * и в конец по убыванию, это учитывается отдельно.
+ */
+function buildCursorQuery(field, direction, cursor) {
+  const op = direction === 1 ? '$gt' : '$lt';
+
+  if (cursor.value === null) {
+    const sameValue = { [field]: null, _id: { [op]: cursor.id } };
+    return direction === 1
+      ? { $or: [{ [field]: { $ne: null } }, sameValue] }
+      : sameValue;
+  }
+
+  const conditions = [
+    { [field]: { [op]: cursor.value } },
+    { [field]: cursor.value, _id: { [op]: cursor.id } }
+  ];
+  if (direction === -1) {
+    conditions.push({ [field]: null });
+  }
+
+  return { $or: conditions };
+}
+
+module.exports = {
+  getSearchTerms,
+  buildHighlights,
+  getSearchQuery,
+  validateFilterParams,
+  buildFacetClauses,
+  buildBaseFilter,
+  combineClauses,
+  buildBooksFilter,
+  FACET_AUTHORS_LIMIT,
+  buildFacetsPipeline,
+  formatFacets,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORT_OPTIONS,
+  parsePositiveInt,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery
+};
@@ -0,0 +1,213 @@
+const { stem, splitWords } = require('./text');
+
+// ===========================
+// RECOMMENDATIONS
+// ===========================
+
+const DEFAULT_RECOMMENDATIONS = 5;
+const MAX_RECOMMENDATIONS = 20;
+
+// Понравившейся считается прочитанная книга с такой оценкой и выше
+const LIKED_RATING = 4;
+
+// Вклад каждого признака в похожесть пары книг (текст и теги - доля от 0 до 1)
+const WEIGHTS = {
+  author: 3,
+  genre: 1,
+  tags: 2,
+  description: 2
+};
+
+// Ниже этого порога описания считаются непохожими и не попадают в объяснение
+const MIN_TEXT_SIMILARITY = 0.1;
+
+const STOP_WORDS = new Set([
+  'и', 'в', 'во', 'не', 'на', 'с', 'со', 'о', 'об', 'что', 'как', 'а', 'но', 'или',
+  'по', 'к', 'ко', 'у', 'за', 'из', 'от', 'до', 'для', 'это', 'его', 'ее', 'их', 'он',
+  'она', 'они', 'мы', 'вы', 'я', 'же', 'ли', 'бы', 'то', 'так', 'все', 'всё', 'при',
+  'the', 'a', 'an', 'of', 'and', 'or', 'in', 'on', 'to', 'is', 'for', 'with'
+]);
+
+// Основы значимых слов описания: без коротких и стоп-слов
+function tokenize(text) {
+  return splitWords(text)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * TF-IDF векторы описаний (Map слово -> вес, нормированные по длине),
+ * IDF считается по всей библиотеке пользователя
+ */
+function buildTextVectors(books) {
+  const termCounts = books.map(book => {
+    const counts = new Map();
+    tokenize(book.description).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    return counts;
+  });
+
+  const documentFrequency = new Map();
+  termCounts.forEach(counts => {
+    counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  return termCounts.map(counts => {
+    const vector = new Map();
+    let norm = 0;
+    counts.forEach((count, term) => {
+      const weight = count * Math.log((1 + books.length) / (1 + documentFrequency.get(term)));
+      vector.set(term, weight);
+      norm += weight * weight;
+    });
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      vector.forEach((weight, term) => vector.set(term, weight / norm));
+    }
+    return vector;
+  });
+}
+
+function cosineSimilarity(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let sum = 0;
+  small.forEach((weight, term) => {
+    if (large.has(term)) sum += weight * large.get(term);
+  });
+  return sum;
+}
+
+function sameText(a, b) {
+  return Boolean(a) && Boolean(b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+function tagKeys(book) {
+  return new Set((book.tags || []).map(tag => tag.toLowerCase()));
+}
+
+/**
+ * Похожесть непрочитанной книги на понравившуюся по каждому признаку:
+ * { author, genre, tags: [общие теги], tagScore, text }
+ */
+function compareBooks(candidate, liked, candidateVector, likedVector) {
+  const candidateTags = tagKeys(candidate);
+  const likedTags = tagKeys(liked);
+  const sharedTags = (candidate.tags || []).filter(tag => likedTags.has(tag.toLowerCase()));
+  const unionSize = new Set([...candidateTags, ...likedTags]).size;
+
+  return {
+    author: sameText(candidate.author, liked.author),
+    genre: candidate.genre === liked.genre,
+    tags: sharedTags,
+    tagScore: unionSize > 0 ? sharedTags.length / unionSize : 0,
+    text: cosineSimilarity(candidateVector, likedVector)
+  };
+}
+
+function similarityScore(match) {
+  return (match.author ? WEIGHTS.author : 0) +
+    (match.genre ? WEIGHTS.genre : 0) +
+    match.tagScore * WEIGHTS.tags +
+    (match.text >= MIN_TEXT_SIMILARITY ? match.text * WEIGHTS.description : 0);
+}
+
+function bookRef(book) {
+  return { _id: book._id, title: book.title, rating: book.rating };
+}
+
+function titles(books) {
+  return books.map(book => `«${book.title}»`).join(', ');
+}
+
+// Объяснение рекомендации: по причине на признак, с книгами, которые к ней привели
+function explain(matches) {
+  const reasons = [];
+
+  const byAuthor = matches.filter(({ match }) => match.author).map(({ liked }) => liked);
+  if (byAuthor.length > 0) {
+    reasons.push({
+      type: 'author',
+      text: `Тот же автор, что и у ${titles(byAuthor)}`,
+      books: byAuthor.map(bookRef)
+    });
+  }
+
+  const byGenre = matches.filter(({ match }) => match.genre).map(({ liked }) => liked);
+  if (byGenre.length > 0) {
+    reasons.push({
+      type: 'genre',
+      text: byGenre.length === 1
+        ? `Тот же жанр, что и у ${titles(byGenre)}`
+        : `Жанр ваших любимых книг: ${titles(byGenre.slice(0, 3))}${byGenre.length > 3 ? ' и других' : ''}`,
+      books: byGenre.map(bookRef)
+    });
+  }
+
+  const sharedTags = [...new Set(matches.flatMap(({ match }) => match.tags))];
+  if (sharedTags.length > 0) {
+    const byTags = matches.filter(({ match }) => match.tags.length > 0).map(({ liked }) => liked);
+    reasons.push({
+      type: 'tags',
+      text: `Общие теги: ${sharedTags.map(tag => `#${tag}`).join(', ')}`,
+      tags: sharedTags,
+      books: byTags.map(bookRef)
+    });
+  }
+
+  const byText = matches
+    .filter(({ match }) => match.text >= MIN_TEXT_SIMILARITY)
+    .sort((a, b) => b.match.text - a.match.text)
+    .map(({ liked }) => liked);
+  if (byText.length > 0) {
+    reasons.push({
+      type: 'description',
+      text: `Описание похоже на ${titles(byText.slice(0, 2))}`,
+      books: byText.map(bookRef)
+    });
+  }
+
+  return reasons;
+}
+
+/**
+ * Ранжирует непрочитанные книги по похожести на понравившиеся.
+ * Вклад каждой понравившейся книги умножается на (rating - LIKED_RATING + 1):
+ * пятерка весит вдвое больше четверки. Книги, которые сейчас выданы, пропускаются.
+ * Возвращает { recommendations: [{ book, score, reasons }], basedOn }
+ */
+function recommendBooks(books, limit = DEFAULT_RECOMMENDATIONS) {
+  const vectors = new Map();
+  buildTextVectors(books).forEach((vector, index) => vectors.set(books[index], vector));
+
+  const liked = books.filter(book => book.isRead && book.rating >= LIKED_RATING);
+  const candidates = books.filter(book => !book.isRead && !book.currentLoan);
+
+  const recommendations = candidates
+    .map(candidate => {
+      let score = 0;
+      const matches = [];
+      liked.forEach(likedBook => {
+        const match = compareBooks(candidate, likedBook, vectors.get(candidate), vectors.get(likedBook));
+        const similarity = similarityScore(match);
+        if (similarity > 0) {
+          score += similarity * (likedBook.rating - LIKED_RATING + 1);
+          matches.push({ liked: likedBook, match });
+        }
+      });
+      return { book: candidate, score: Math.round(score * 100) / 100, reasons: explain(matches) };
+    })
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score || new Date(b.book.dateAdded) - new Date(a.book.dateAdded))
+    .slice(0, limit);
+
+  return { recommendations, basedOn: liked.length };
+}
+
+module.exports = {
+  DEFAULT_RECOMMENDATIONS,
+  MAX_RECOMMENDATIONS,
+  LIKED_RATING,
+  tokenize,
+  buildTextVectors,
+  cosineSimilarity,
+  recommendBooks
+};
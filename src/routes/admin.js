@@ -0,0 +1,116 @@
+const path = require('path');
+const express = require('express');
+const { ERROR_CODES, VALIDATION_ERROR, sendError, sendValidationError, fieldError } = require('../utils');
+const { createRequireAdmin } = require('../auth');
+const {
+  RESTORE_MODES,
+  RESTORE_SWAP_FAILED,
+  swappedMessage,
+  backupFilename,
+  saveSnapshot,
+  writeBackup,
+  loadBackup,
+  restoreBackup,
+  handleBackupUpload
+} = require('../backup');
+
+// ===========================
+// ADMIN ROUTES
+// ===========================
+
+// Резервное копирование и восстановление всей базы (только ADMIN_USERS)
+function createAdminRouter(ctx) {
+  const router = express.Router();
+  router.use('/api/admin', createRequireAdmin(ctx));
+
+  /**
+   * GET /api/admin/backup
+   * Скачать архив всей базы (gzip со строками EJSON)
+   */
+  router.get('/api/admin/backup', async (req, res) => {
+    try {
+      res.set('Content-Type', 'application/gzip');
+      res.attachment(backupFilename());
+      await writeBackup(ctx, res);
+    } catch (error) {
+      console.error('Ошибка при создании резервной копии:', error);
+      // Архив уже начал передаваться - статус не поменять, обрываем ответ
+      if (res.headersSent) return res.destroy(error);
+      sendError(res, 500, 'Ошибка при создании резервной копии', error);
+    }
+  });
+
+  /**
+   * POST /api/admin/restore
+   * Восстановить базу из архива (multipart/form-data, поле "file")
+   * Query params: mode (merge - по умолчанию, или replace),
+   *               dryRun=true - только проверка архива, без записи в БД
+   * Перед replace текущая база сохраняется в BACKUPS_DIR (поле snapshot ответа)
+   */
+  router.post('/api/admin/restore', handleBackupUpload, async (req, res) => {
+    let snapshot = null;
+    try {
+      if (!req.file) {
+        return sendValidationError(res, [fieldError('file', 'required', 'Файл не передан (ожидается поле "file")')]);
+      }
+
+      const mode = req.query.mode || 'merge';
+      if (!RESTORE_MODES.includes(mode)) {
+        return sendValidationError(res, [
+          fieldError('mode', 'enum', `Параметр mode должен быть одним из: ${RESTORE_MODES.join(', ')}`)
+        ]);
+      }
+
+      const { backup, errors, errorCount } = await loadBackup(req.file.buffer, {
+        maxUnpackedSize: ctx.config.restoreMaxUnpackedMb * 1024 * 1024
+      });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          code: VALIDATION_ERROR,
+          message: 'Архив не прошел проверку',
+          errors,
+          errorCount
+        });
+      }
+
+      const summary = {
+        mode,
+        createdAt: backup.header.createdAt,
+        schemaVersion: backup.header.schemaVersion
+      };
+      if (req.query.dryRun === 'true') {
+        return res.json({
+          ...summary,
+          dryRun: true,
+          collections: backup.counts
+        });
+      }
+
+      if (mode === 'replace') {
+        snapshot = path.basename(await saveSnapshot(ctx, ctx.config.backupsDir));
+        summary.snapshot = snapshot;
+      }
+
+      const collections = await restoreBackup(ctx, backup, mode);
+      res.json({ message: 'База восстановлена из архива', ...summary, collections });
+    } catch (error) {
+      console.error('Ошибка при восстановлении из архива:', error);
+      // Часть коллекций уже заменена, а прежние вернуть не удалось: базу чинит только снимок
+      if (error.code === RESTORE_SWAP_FAILED) {
+        return res.status(500).json({
+          code: ERROR_CODES[500],
+          message: `Восстановление прервано на середине замены коллекций: ${swappedMessage(error.swapped)}. ` +
+            `Верните базу из снимка ${snapshot}`,
+          error: error.cause?.message,
+          swapped: error.swapped,
+          snapshot
+        });
+      }
+      sendError(res, 500, 'Ошибка при восстановлении из архива', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,119 @@
+const express = require('express');
+const { sendError, sendValidationError, fieldError } = require('../utils');
+const { ensureGenres } = require('../genres');
+const {
+  SESSION_COOKIE, validateCredentials, hashPassword, verifyPassword,
+  createSession, publicUser, createRequireAuth
+} = require('../auth');
+
+// ===========================
+// AUTH ROUTES
+// ===========================
+
+// Регистрация, вход и выход. Подключается до requireAuth
+function createAuthRouter(ctx) {
+  const { booksCollection, usersCollection, sessionsCollection } = ctx;
+  const requireAuth = createRequireAuth(ctx);
+  const router = express.Router();
+
+  /**
+   * POST /api/auth/register
+   * Регистрация нового пользователя (сразу открывает сессию)
+   * Body: username, password
+   */
+  router.post('/api/auth/register', async (req, res) => {
+    try {
+      const errors = validateCredentials(req.body);
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const { username, password } = req.body;
+      const existing = await usersCollection.findOne({ username });
+      if (existing) {
+        return sendError(res, 409, 'Пользователь с таким именем уже существует');
+      }
+
+      const isFirstUser = (await usersCollection.estimatedDocumentCount()) === 0;
+      const user = {
+        username,
+        passwordHash: await hashPassword(password),
+        createdAt: new Date()
+      };
+      const result = await usersCollection.insertOne(user);
+      user._id = result.insertedId;
+
+      // Книги, созданные до появления аккаунтов, достаются первому пользователю
+      if (isFirstUser) {
+        await booksCollection.updateMany(
+          { ownerId: { $exists: false } },
+          { $set: { ownerId: user._id } }
+        );
+      }
+
+      await ensureGenres(ctx, user._id);
+      await createSession(ctx, res, user._id);
+      res.status(201).json({ user: publicUser(user) });
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendError(res, 409, 'Пользователь с таким именем уже существует');
+      }
+      console.error('Ошибка при регистрации:', error);
+      sendError(res, 500, 'Ошибка при регистрации', error);
+    }
+  });
+
+  /**
+   * POST /api/auth/login
+   * Вход по имени пользователя и паролю
+   * Body: username, password
+   */
+  router.post('/api/auth/login', async (req, res) => {
+    try {
+      const { username, password } = req.body;
+      if (typeof username !== 'string' || typeof password !== 'string') {
+        return sendValidationError(res, [
+          fieldError(typeof username !== 'string' ? 'username' : 'password', 'required', 'Укажите имя пользователя и пароль')
+        ]);
+      }
+
+      const user = await usersCollection.findOne({ username });
+      if (!user || !(await verifyPassword(password, user.passwordHash))) {
+        return sendError(res, 401, 'Неверное имя пользователя или пароль');
+      }
+
+      await createSession(ctx, res, user._id);
+      res.json({ user: publicUser(user) });
+    } catch (error) {
+      console.error('Ошибка при входе:', error);
+      sendError(res, 500, 'Ошибка при входе', error);
+    }
+  });
+
+  /**
+   * POST /api/auth/logout
+   * Завершить текущую сессию
+   */
+  router.post('/api/auth/logout', requireAuth, async (req, res) => {
+    try {
+      await sessionsCollection.deleteOne({ tokenHash: req.sessionTokenHash });
+      res.clearCookie(SESSION_COOKIE);
+      res.json({ message: 'Вы вышли из системы' });
+    } catch (error) {
+      console.error('Ошибка при выходе:', error);
+      sendError(res, 500, 'Ошибка при выходе', error);
+    }
+  });
+
+  /**
+   * GET /api/auth/me
+   * Текущий пользователь
+   */
+  router.get('/api/auth/me', requireAuth, (req, res) => {
+    res.json({ user: publicUser(req.user) });
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
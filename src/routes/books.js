@@ -0,0 +1,662 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const {
+  isValidObjectId, sendError, sendValidationError, sendInvalidId, fieldError, trashPurgeDate
+} = require('../utils');
+const { describeWriteError } = require('../bulk');
+const {
+  normalizeIsbn, validateReadingSession, validateBook, prepareBookData, prepareReadingSession, applyReadingProgress
+} = require('../validation');
+const { getGenreNames } = require('../genres');
+const { findShelf } = require('../shelves');
+const { buildHistoryEntry, saveHistory, recordHistory } = require('../history');
+const {
+  bookVersion, bookEtag, versionFilter, expectedVersion, sendVersionConflict, sendUpdateMiss
+} = require('../versioning');
+const {
+  getSearchTerms, buildHighlights, getSearchQuery, validateFilterParams,
+  buildFacetClauses, buildBaseFilter, combineClauses, buildBooksFilter,
+  buildFacetsPipeline, formatFacets,
+  DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, SORT_OPTIONS, parsePositiveInt,
+  encodeCursor, decodeCursor, buildCursorQuery
+} = require('../query');
+const {
+  IMPORT_MAX_ROWS, parseCsv, parseJsonImport, normalizeImportRecord,
+  duplicateKey, detectImportFormat, handleImportUpload
+} = require('../import');
+const { EXPORT_FORMATS, exportChunks } = require('../export');
+
+// ===========================
+// BOOK ROUTES
+// ===========================
+
+// Книги: список, экспорт, импорт, CRUD и сессии чтения
+function createBooksRouter(ctx) {
+  const { config, booksCollection } = ctx;
+  const router = express.Router();
+
+  /**
+   * GET /api/books
+   * Получить книги с фильтрацией, сортировкой и пагинацией
+   * Query params: genre, author (можно несколько раз), isRead, yearFrom, yearTo,
+   *               ratingMin, ratingMax, hasNotes, hasCover, tag, loan, shelf,
+   *               sortBy, q (полнотекстовый поиск),
+   *               limit, page (постраничный режим), cursor (режим курсора),
+   *               facets=true (добавить счетчики для панели фильтров)
+   * Ответ: { books, total, limit, page, hasMore, nextCursor, facets? }
+   */
+  router.get('/api/books', async (req, res) => {
+    try {
+      const { sortBy, cursor } = req.query;
+      const q = getSearchQuery(req.query);
+
+      const filterErrors = validateFilterParams(req.query);
+      if (filterErrors.length > 0) {
+        return sendValidationError(res, filterErrors);
+      }
+
+      const baseQuery = buildBaseFilter(req.query, req.user._id);
+      const clauses = buildFacetClauses(req.query);
+
+      // Фильтр по полке
+      let shelf = null;
+      if (req.query.shelf) {
+        if (!isValidObjectId(req.query.shelf)) {
+          return sendInvalidId(res, 'shelf');
+        }
+        shelf = await findShelf(ctx, req.query.shelf, req.user._id);
+        if (!shelf) {
+          return sendError(res, 404, 'Полка не найдена');
+        }
+        baseQuery._id = { $in: shelf.bookIds };
+      }
+      const query = combineClauses(baseQuery, clauses);
+
+      // Пагинация
+      const limit = parsePositiveInt(req.query.limit, DEFAULT_PAGE_SIZE);
+      const page = parsePositiveInt(req.query.page, 1);
+      if (limit === null || limit > MAX_PAGE_SIZE) {
+        return sendValidationError(res, [
+          fieldError('limit', 'maximum', `Параметр limit должен быть от 1 до ${MAX_PAGE_SIZE}`)
+        ]);
+      }
+      if (page === null) {
+        return sendValidationError(res, [fieldError('page', 'minimum', 'Параметр page должен быть положительным числом')]);
+      }
+
+      // Сортировка (_id - для стабильного порядка при равных значениях)
+      const baseSort = SORT_OPTIONS[sortBy] || SORT_OPTIONS.default;
+      const [sortField, sortDirection] = Object.entries(baseSort)[0];
+      let sort = { ...baseSort, _id: sortDirection };
+      let projection = {};
+      let byRelevance = false;
+      const byShelfOrder = Boolean(shelf) && sortBy === 'shelf';
+
+      // При поиске по умолчанию сортируем по релевантности
+      if (q) {
+        projection = { score: { $meta: 'textScore' } };
+        if (sortBy === 'relevance' || (!SORT_OPTIONS[sortBy] && !byShelfOrder)) {
+          sort = { score: { $meta: 'textScore' }, _id: 1 };
+          byRelevance = true;
+        }
+      }
+
+      // Курсор не поддерживается для сортировки по релевантности и по порядку на полке
+      let findQuery = query;
+      if (cursor) {
+        if (byRelevance || byShelfOrder) {
+          return sendValidationError(res, [fieldError(
+            'cursor',
+            'invalid',
+            'Курсор недоступен при сортировке по релевантности или по полке, используйте page'
+          )]);
+        }
+
+        const decoded = decodeCursor(cursor);
+        if (!decoded) {
+          return sendValidationError(res, [fieldError('cursor', 'format', 'Неверный курсор')]);
+        }
+
+        findQuery = { $and: [query, buildCursorQuery(sortField, sortDirection, decoded)] };
+      }
+
+      // Выполнение запроса (limit + 1, чтобы узнать, есть ли следующая страница)
+      let findCursor;
+      if (byShelfOrder) {
+        // Порядок на полке - позиция книги в shelf.bookIds
+        findCursor = booksCollection.aggregate([
+          { $match: query },
+          { $addFields: { shelfPosition: { $indexOfArray: [shelf.bookIds, '$_id'] } } },
+          { $sort: { shelfPosition: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit + 1 },
+          { $project: { shelfPosition: 0 } }
+        ]);
+      } else {
+        findCursor = booksCollection
+          .find(findQuery, { projection })
+          .sort(sort)
+          .limit(limit + 1);
+
+        if (!cursor) {
+          findCursor = findCursor.skip((page - 1) * limit);
+        }
+      }
+
+      const withFacets = req.query.facets === 'true';
+      const [books, total, facets] = await Promise.all([
+        findCursor.toArray(),
+        booksCollection.countDocuments(query),
+        withFacets
+          ? booksCollection.aggregate(buildFacetsPipeline(baseQuery, clauses)).toArray()
+          : null
+      ]);
+
+      const hasMore = books.length > limit;
+      if (hasMore) {
+        books.pop();
+      }
+
+      if (q) {
+        const terms = getSearchTerms(q);
+        books.forEach(book => {
+          book.highlights = buildHighlights(book, terms);
+        });
+      }
+
+      const response = {
+        books,
+        total,
+        limit,
+        page: cursor ? null : page,
+        hasMore,
+        nextCursor: hasMore && !byRelevance && !byShelfOrder
+          ? encodeCursor(books[books.length - 1], sortField)
+          : null
+      };
+      if (withFacets) {
+        response.facets = formatFacets(facets[0]);
+      }
+
+      res.json(response);
+    } catch (error) {
+      console.error('Ошибка при получении книг:', error);
+      sendError(res, 500, 'Ошибка при получении книг', error);
+    }
+  });
+
+  /**
+   * GET /api/books/export
+   * Экспорт книг (потоково) в CSV, JSON или печатный HTML-каталог по жанрам
+   * Query params: format (csv/json/html), фильтры как у GET /api/books, sortBy, q
+   */
+  router.get('/api/books/export', async (req, res) => {
+    const format = req.query.format || 'csv';
+    const options = EXPORT_FORMATS[format];
+    if (!options) {
+      return sendValidationError(res, [
+        fieldError('format', 'enum', `Формат должен быть одним из: ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+      ]);
+    }
+
+    const filterErrors = validateFilterParams(req.query);
+    if (filterErrors.length > 0) {
+      return sendValidationError(res, filterErrors);
+    }
+
+    try {
+      const query = buildBooksFilter(req.query, req.user._id);
+      if (req.query.shelf) {
+        const shelf = await findShelf(ctx, req.query.shelf, req.user._id);
+        if (!shelf) {
+          return sendError(res, 404, 'Полка не найдена');
+        }
+        query._id = { $in: shelf.bookIds };
+      }
+
+      const baseSort = SORT_OPTIONS[req.query.sortBy] || SORT_OPTIONS.default;
+      const [, sortDirection] = Object.entries(baseSort)[0];
+
+      // В каталоге книги сгруппированы по жанрам
+      const sort = format === 'html'
+        ? { genre: 1, ...baseSort, _id: sortDirection }
+        : { ...baseSort, _id: sortDirection };
+
+      const total = await booksCollection.countDocuments(query);
+      const cursor = booksCollection.find(query).sort(sort);
+
+      const filename = `library-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.setHeader('Content-Type', options.contentType);
+      res.setHeader('Content-Disposition', `${options.disposition}; filename="${filename}"`);
+
+      try {
+        // pipeline закрывает генератор и курсор, если клиент оборвал соединение
+        await pipeline(Readable.from(exportChunks(format, cursor, total)), res);
+      } finally {
+        await cursor.close();
+      }
+    } catch (error) {
+      // Клиент закрыл соединение - отвечать уже некому
+      if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+      console.error('Ошибка при экспорте книг:', error);
+      // Если передача уже началась, статус не изменить - просто обрываем ответ
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      sendError(res, 500, 'Ошибка при экспорте книг', error);
+    }
+  });
+
+  /**
+   * GET /api/books/:id
+   * Получить одну книгу по ID (заголовок ETag - ее версия для If-Match)
+   */
+  router.get('/api/books/:id', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return sendInvalidId(res);
+      }
+
+      const book = await booksCollection.findOne({
+        _id: new ObjectId(req.params.id),
+        ownerId: req.user._id,
+        deletedAt: null
+      });
+
+      if (!book) {
+        return sendError(res, 404, 'Книга не найдена');
+      }
+
+      res.set('ETag', bookEtag(book));
+      res.json(book);
+    } catch (error) {
+      console.error('Ошибка при получении книги:', error);
+      sendError(res, 500, 'Ошибка при получении книги', error);
+    }
+  });
+
+  /**
+   * POST /api/books
+   * Создать новую книгу
+   */
+  router.post('/api/books', async (req, res) => {
+    try {
+      // Валидация
+      const genres = await getGenreNames(ctx, req.user._id);
+      const errors = validateBook(req.body, false, { genres });
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      // Подготовка данных
+      const bookData = applyReadingProgress(
+        prepareBookData(req.body, false, req.user._id),
+        req.body
+      );
+
+      // Вставка в БД
+      const result = await booksCollection.insertOne(bookData);
+
+      // Получаем созданный документ
+      const newBook = await booksCollection.findOne({
+        _id: result.insertedId
+      });
+      await recordHistory(ctx, req.user, 'create', null, newBook);
+
+      res.set('ETag', bookEtag(newBook));
+      res.status(201).json(newBook);
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendError(res, 409, 'Книга с таким ISBN уже есть в библиотеке или в корзине');
+      }
+      if (error.code === 121) {
+        return sendValidationError(res, [describeWriteError(error)]);
+      }
+      console.error('Ошибка при создании книги:', error);
+      sendError(res, 500, 'Ошибка при создании книги', error);
+    }
+  });
+
+  /**
+   * POST /api/books/import
+   * Импорт книг из CSV или JSON (multipart/form-data, поле "file")
+   * Query params: format (csv/json, по умолчанию по расширению),
+   *               dryRun=true - только проверка, без записи в БД
+   */
+  router.post('/api/books/import', handleImportUpload, async (req, res) => {
+    try {
+      if (!req.file) {
+        return sendValidationError(res, [fieldError('file', 'required', 'Файл не передан (ожидается поле "file")')]);
+      }
+
+      const format = detectImportFormat(req.file, req.query.format);
+      if (!format) {
+        return sendValidationError(res, [fieldError('format', 'enum', 'Поддерживаются только файлы CSV и JSON')]);
+      }
+
+      let records;
+      try {
+        const text = req.file.buffer.toString('utf8');
+        records = format === 'csv' ? parseCsv(text) : parseJsonImport(text);
+      } catch (error) {
+        return sendValidationError(res, [
+          fieldError('file', 'format', `Не удалось разобрать ${format.toUpperCase()}: ${error.message}`)
+        ]);
+      }
+
+      if (records.length === 0) {
+        return sendValidationError(res, [fieldError('file', 'minItems', 'Файл не содержит книг')]);
+      }
+      if (records.length > IMPORT_MAX_ROWS) {
+        return sendValidationError(res, [fieldError('file', 'maxItems', `Не больше ${IMPORT_MAX_ROWS} книг за один импорт`)]);
+      }
+
+      const dryRun = req.query.dryRun === 'true';
+      const ownerId = req.user._id;
+
+      // Уже существующие книги пользователя - для поиска дубликатов
+      const existing = await booksCollection
+        .find({ ownerId, deletedAt: null }, { projection: { title: 1, author: 1 } })
+        .toArray();
+      const seenKeys = new Set(existing.map(book => duplicateKey(book.title, book.author)));
+      // ISBN уникален с учетом корзины
+      const seenIsbns = new Set(
+        await booksCollection.distinct('isbn', { ownerId, isbn: { $type: 'string' } })
+      );
+      const genres = await getGenreNames(ctx, ownerId);
+
+      const rows = [];
+      const toInsert = [];
+
+      records.forEach((record, index) => {
+        const bookData = normalizeImportRecord(record);
+        const row = { row: index + 1, status: 'accepted', errors: [] };
+
+        if (!bookData) {
+          row.status = 'rejected';
+          row.errors.push(fieldError(null, 'type', 'Строка должна быть объектом'));
+          rows.push(row);
+          return;
+        }
+
+        row.title = bookData.title || '';
+        row.author = bookData.author || '';
+
+        const errors = validateBook(bookData, false, { genres });
+        if (errors.length > 0) {
+          row.status = 'rejected';
+          row.errors = errors;
+          rows.push(row);
+          return;
+        }
+
+        const key = duplicateKey(bookData.title, bookData.author);
+        if (seenKeys.has(key)) {
+          row.status = 'duplicate';
+          row.errors.push(fieldError('title', 'duplicate', 'Книга с таким названием и автором уже есть'));
+          rows.push(row);
+          return;
+        }
+
+        const isbn = normalizeIsbn(bookData.isbn);
+        if (isbn && seenIsbns.has(isbn)) {
+          row.status = 'duplicate';
+          row.errors.push(fieldError('isbn', 'duplicate', 'Книга с таким ISBN уже есть'));
+          rows.push(row);
+          return;
+        }
+
+        seenKeys.add(key);
+        if (isbn) seenIsbns.add(isbn);
+        toInsert.push(applyReadingProgress(prepareBookData(bookData, false, ownerId), bookData));
+        rows.push(row);
+      });
+
+      let inserted = 0;
+      if (!dryRun && toInsert.length > 0) {
+        const result = await booksCollection.insertMany(toInsert, { ordered: false });
+        inserted = result.insertedCount;
+        await saveHistory(ctx, toInsert.map(book => buildHistoryEntry(req.user, 'create', null, book)));
+      }
+
+      res.status(dryRun ? 200 : 201).json({
+        dryRun,
+        format,
+        total: rows.length,
+        accepted: toInsert.length,
+        rejected: rows.length - toInsert.length,
+        inserted,
+        rows
+      });
+    } catch (error) {
+      console.error('Ошибка при импорте книг:', error);
+      sendError(res, 500, 'Ошибка при импорте книг', error);
+    }
+  });
+
+  /**
+   * POST /api/books/:id/sessions
+   * Записать сессию чтения: сдвигает текущую страницу на pagesRead
+   * Body: pagesRead, date (по умолчанию - сейчас)
+   */
+  router.post('/api/books/:id/sessions', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return sendInvalidId(res);
+      }
+
+      const errors = validateReadingSession(req.body);
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const filter = { _id: new ObjectId(req.params.id), ownerId: req.user._id, deletedAt: null };
+      const book = await booksCollection.findOne(filter);
+      if (!book) {
+        return sendError(res, 404, 'Книга не найдена');
+      }
+
+      // Даты начала и окончания берем из самой сессии
+      const session = prepareReadingSession(req.body);
+      const progress = { currentPage: (book.currentPage || 0) + session.pagesRead };
+      if (!book.startedAt) {
+        progress.startedAt = session.date;
+      }
+      applyReadingProgress(progress, {}, book);
+      if (progress.isRead && !book.finishedAt) {
+        progress.finishedAt = session.date;
+      }
+
+      // Прогресс посчитан от прочитанной версии, поэтому параллельная правка - конфликт
+      const updated = await booksCollection.findOneAndUpdate(
+        { ...filter, ...versionFilter(bookVersion(book)) },
+        {
+          $push: { readingSessions: { $each: [session], $sort: { date: 1 } } },
+          $set: progress,
+          $inc: { version: 1 },
+          $currentDate: { updatedAt: true }
+        },
+        { returnDocument: 'after' }
+      );
+      if (!updated) {
+        return sendUpdateMiss(ctx, res, filter);
+      }
+      await recordHistory(ctx, req.user, 'update', book, updated);
+
+      res.status(201).json(updated);
+    } catch (error) {
+      console.error('Ошибка при записи сессии чтения:', error);
+      sendError(res, 500, 'Ошибка при записи сессии чтения', error);
+    }
+  });
+
+  /**
+   * DELETE /api/books/:id/sessions/:sessionId
+   * Удалить сессию из журнала (текущая страница не меняется)
+   * Headers: If-Match - необязательно; удаляет, только если версия совпадает
+   */
+  router.delete('/api/books/:id/sessions/:sessionId', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id) || !isValidObjectId(req.params.sessionId)) {
+        return sendInvalidId(res, isValidObjectId(req.params.id) ? 'sessionId' : 'id');
+      }
+
+      const expected = expectedVersion(req);
+      if (Number.isNaN(expected)) {
+        return sendValidationError(res, [fieldError('version', 'type', 'Неверный формат версии книги')]);
+      }
+
+      const filter = { _id: new ObjectId(req.params.id), ownerId: req.user._id, deletedAt: null };
+      const book = await booksCollection.findOne(filter);
+      if (!book) {
+        return sendError(res, 404, 'Книга не найдена');
+      }
+      if (expected !== null && expected !== bookVersion(book)) {
+        return sendVersionConflict(res, book);
+      }
+
+      const sessionId = new ObjectId(req.params.sessionId);
+      if (!(book.readingSessions || []).some(session => sessionId.equals(session._id))) {
+        return sendError(res, 404, 'Сессия чтения не найдена');
+      }
+
+      const updated = await booksCollection.findOneAndUpdate(
+        { ...filter, ...versionFilter(bookVersion(book)) },
+        {
+          $pull: { readingSessions: { _id: sessionId } },
+          $inc: { version: 1 },
+          $currentDate: { updatedAt: true }
+        },
+        { returnDocument: 'after' }
+      );
+      if (!updated) {
+        return sendUpdateMiss(ctx, res, filter);
+      }
+      await recordHistory(ctx, req.user, 'update', book, updated);
+
+      res.json(updated);
+    } catch (error) {
+      console.error('Ошибка при удалении сессии чтения:', error);
+      sendError(res, 500, 'Ошибка при удалении сессии чтения', error);
+    }
+  });
+
+  /**
+   * PUT /api/books/:id
+   * Обновить книгу
+   * Headers: If-Match - версия из ETag (или поле version в теле); при расхождении - 409
+   */
+  router.put('/api/books/:id', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return sendInvalidId(res);
+      }
+
+      const expected = expectedVersion(req);
+      if (Number.isNaN(expected)) {
+        return sendValidationError(res, [fieldError('version', 'type', 'Неверный формат версии книги')]);
+      }
+
+      // Текущая версия нужна для проверки и пересчета прогресса чтения
+      const filter = { _id: new ObjectId(req.params.id), ownerId: req.user._id, deletedAt: null };
+      const existing = await booksCollection.findOne(filter);
+      if (!existing) {
+        return sendError(res, 404, 'Книга не найдена');
+      }
+      if (expected !== null && expected !== bookVersion(existing)) {
+        return sendVersionConflict(res, existing);
+      }
+
+      // Валидация
+      const genres = await getGenreNames(ctx, req.user._id);
+      const errors = validateBook(req.body, true, { genres, existing });
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      // Подготовка данных
+      const updateData = applyReadingProgress(
+        prepareBookData(req.body, true),
+        req.body,
+        existing
+      );
+
+      // Записываем, только если книгу не изменили после чтения: иначе прогресс
+      // и история посчитаны по устаревшим данным
+      const updated = await booksCollection.findOneAndUpdate(
+        { ...filter, ...versionFilter(bookVersion(existing)) },
+        { $set: updateData, $inc: { version: 1 }, $currentDate: { updatedAt: true } },
+        { returnDocument: 'after' }
+      );
+
+      if (!updated) {
+        return sendUpdateMiss(ctx, res, filter);
+      }
+
+      await recordHistory(ctx, req.user, 'update', existing, updated);
+      res.set('ETag', bookEtag(updated));
+      res.json(updated);
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendError(res, 409, 'Книга с таким ISBN уже есть в библиотеке или в корзине');
+      }
+      if (error.code === 121) {
+        return sendValidationError(res, [describeWriteError(error)]);
+      }
+      console.error('Ошибка при обновлении книги:', error);
+      sendError(res, 500, 'Ошибка при обновлении книги', error);
+    }
+  });
+
+  /**
+   * DELETE /api/books/:id
+   * Переместить книгу в корзину (окончательно удаляется через TRASH_RETENTION_DAYS)
+   * Headers: If-Match - необязательно; удаляет, только если версия совпадает
+   */
+  router.delete('/api/books/:id', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return sendInvalidId(res);
+      }
+
+      const expected = expectedVersion(req);
+      if (Number.isNaN(expected)) {
+        return sendValidationError(res, [fieldError('version', 'type', 'Неверный формат версии книги')]);
+      }
+
+      const filter = { _id: new ObjectId(req.params.id), ownerId: req.user._id, deletedAt: null };
+      const deletedAt = new Date();
+      const book = await booksCollection.findOneAndUpdate(
+        expected === null ? filter : { ...filter, ...versionFilter(expected) },
+        {
+          $set: { deletedAt, purgeAt: trashPurgeDate(deletedAt, config.trashRetentionDays) },
+          $inc: { version: 1 },
+          $currentDate: { updatedAt: true }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!book) {
+        if (expected === null) {
+          return sendError(res, 404, 'Книга не найдена');
+        }
+        return sendUpdateMiss(ctx, res, filter);
+      }
+
+      await recordHistory(ctx, req.user, 'delete', null, book);
+      res.json({
+        message: 'Книга перемещена в корзину',
+        book
+      });
+    } catch (error) {
+      console.error('Ошибка при удалении книги:', error);
+      sendError(res, 500, 'Ошибка при удалении книги', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createBooksRouter };
@@ -0,0 +1,161 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { isValidObjectId, sendError, sendValidationError, fieldError, trashPurgeDate } = require('../utils');
+const { validateBook, prepareBookData, applyReadingProgress } = require('../validation');
+const { getGenreNames } = require('../genres');
+const { buildHistoryEntry, saveHistory } = require('../history');
+const { CONFLICT_MESSAGE, bookVersion, versionFilter } = require('../versioning');
+const { validateBulkRequest, describeWriteError } = require('../bulk');
+
+// ===========================
+// BULK ROUTES
+// ===========================
+
+// Одно действие над многими книгами сразу
+function createBulkRouter(ctx) {
+  const { config, booksCollection } = ctx;
+  const router = express.Router();
+
+  /**
+   * POST /api/books/bulk
+   * Изменить или переместить в корзину много книг одним bulkWrite
+   * Body: action (update/delete), ids (до MAX_BULK_ITEMS),
+   *       changes (для update: isRead, genre, rating)
+   * Ответ: { action, total, succeeded, failed, results: [{ id, status, errors, book? }] },
+   *        status - updated, deleted, rejected, not_found или conflict,
+   *        errors - [{ field, code, message }]
+   */
+  router.post('/api/books/bulk', async (req, res) => {
+    try {
+      const requestErrors = validateBulkRequest(req.body);
+      if (requestErrors.length > 0) {
+        return sendValidationError(res, requestErrors);
+      }
+
+      const { action, changes } = req.body;
+      const ownerId = req.user._id;
+      const ids = [...new Set(req.body.ids.map(String))];
+      const results = new Map(ids.map(id => [id, { id, status: null, errors: [] }]));
+      const fail = (id, status, error) => {
+        Object.assign(results.get(id), { status, errors: [error] });
+      };
+      const notFound = fieldError(null, 'not_found', 'Книга не найдена');
+
+      ids
+        .filter(id => !isValidObjectId(id))
+        .forEach(id => fail(id, 'rejected', fieldError('id', 'pattern', 'Неверный формат ID')));
+
+      const existing = await booksCollection
+        .find({ _id: { $in: ids.filter(isValidObjectId).map(id => new ObjectId(id)) }, ownerId, deletedAt: null })
+        .toArray();
+      const found = new Set(existing.map(book => book._id.toString()));
+      ids
+        .filter(id => !results.get(id).status && !found.has(id))
+        .forEach(id => fail(id, 'not_found', notFound));
+
+      // Операции строятся по текущей версии каждой книги, как в PUT /api/books/:id
+      const genres = action === 'update' ? await getGenreNames(ctx, ownerId) : null;
+      const deletedAt = new Date();
+      const targets = [];
+      const operations = [];
+
+      existing.forEach(book => {
+        const filter = { _id: book._id, ownerId, deletedAt: null };
+
+        if (action === 'delete') {
+          operations.push({
+            updateOne: {
+              filter,
+              update: {
+                $set: { deletedAt, purgeAt: trashPurgeDate(deletedAt, config.trashRetentionDays) },
+                $inc: { version: 1 },
+                $currentDate: { updatedAt: true }
+              }
+            }
+          });
+        } else {
+          const errors = validateBook(changes, true, { genres, existing: book });
+          if (errors.length > 0) {
+            Object.assign(results.get(book._id.toString()), { status: 'rejected', errors });
+            return;
+          }
+
+          const updateData = applyReadingProgress(prepareBookData(changes, true), changes, book);
+          operations.push({
+            updateOne: {
+              filter: { ...filter, ...versionFilter(bookVersion(book)) },
+              update: { $set: updateData, $inc: { version: 1 }, $currentDate: { updatedAt: true } }
+            }
+          });
+        }
+        targets.push(book);
+      });
+
+      // ordered: false - ошибка одной книги не останавливает остальные
+      let matchedAll = true;
+      if (operations.length > 0) {
+        try {
+          const result = await booksCollection.bulkWrite(operations, { ordered: false });
+          matchedAll = result.matchedCount === operations.length;
+        } catch (error) {
+          if (!error.writeErrors) throw error;
+          matchedAll = false;
+          error.writeErrors.forEach(writeError => {
+            fail(targets[writeError.index]._id.toString(), 'rejected', describeWriteError(writeError));
+          });
+        }
+      }
+
+      // bulkWrite возвращает только общие счетчики, поэтому итог по каждой книге
+      // узнаем, перечитав их: книгу, измененную между чтением и записью, пропустил фильтр версии
+      const written = await booksCollection.find({ _id: { $in: targets.map(book => book._id) } }).toArray();
+      const writtenById = new Map(written.map(book => [book._id.toString(), book]));
+      const history = [];
+
+      targets.forEach(before => {
+        const id = before._id.toString();
+        const result = results.get(id);
+        if (result.status) return;
+
+        const after = writtenById.get(id);
+        if (action === 'delete') {
+          if (after?.deletedAt?.getTime() !== deletedAt.getTime()) {
+            fail(id, 'not_found', notFound);
+            return;
+          }
+          Object.assign(result, { status: 'deleted', book: after });
+          history.push(buildHistoryEntry(req.user, 'delete', null, after));
+          return;
+        }
+
+        if (!after || after.deletedAt) {
+          fail(id, 'not_found', notFound);
+        } else if (!matchedAll && bookVersion(after) !== bookVersion(before) + 1) {
+          fail(id, 'conflict', fieldError(null, 'conflict', CONFLICT_MESSAGE));
+        } else {
+          Object.assign(result, { status: 'updated', book: after });
+          history.push(buildHistoryEntry(req.user, 'update', before, after));
+        }
+      });
+
+      await saveHistory(ctx, history);
+
+      const items = ids.map(id => results.get(id));
+      const succeeded = items.filter(item => item.status === 'updated' || item.status === 'deleted').length;
+      res.json({
+        action,
+        total: items.length,
+        succeeded,
+        failed: items.length - succeeded,
+        results: items
+      });
+    } catch (error) {
+      console.error('Ошибка при массовом изменении книг:', error);
+      sendError(res, 500, 'Ошибка при массовом изменении книг', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createBulkRouter };
@@ -0,0 +1,163 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { isValidObjectId, sendError, sendValidationError, sendInvalidId, fieldError } = require('../utils');
+const {
+  handleCoverUpload, inspectCoverImage, createCoverThumbnail, saveCoverFile, deleteCoverFiles, buildPlaceholderSvg
+} = require('../covers');
+
+// ===========================
+// COVER ROUTES
+// ===========================
+
+// Загрузка обложек в GridFS, миниатюры и SVG-заглушки
+function createCoversRouter(ctx) {
+  const { db, booksCollection, coversBucket } = ctx;
+  const router = express.Router();
+
+  /**
+   * POST /api/books/:id/cover
+   * Загрузить обложку (multipart/form-data, поле cover). Оригинал и миниатюра
+   * хранятся в GridFS, предыдущая загруженная обложка удаляется
+   */
+  router.post('/api/books/:id/cover', handleCoverUpload, async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return sendInvalidId(res);
+      }
+      if (!req.file) {
+        return sendValidationError(res, [fieldError('cover', 'required', 'Файл обложки не передан')]);
+      }
+
+      const filter = { _id: new ObjectId(req.params.id), ownerId: req.user._id, deletedAt: null };
+      const book = await booksCollection.findOne(filter);
+      if (!book) {
+        return sendError(res, 404, 'Книга не найдена');
+      }
+
+      const image = await inspectCoverImage(req.file.buffer);
+      if (!image) {
+        return sendValidationError(res, [
+          fieldError('cover', 'format', 'Файл не является изображением JPEG, PNG, WebP или GIF')
+        ]);
+      }
+
+      const thumbnail = await createCoverThumbnail(req.file.buffer);
+      const metadata = { ownerId: req.user._id, bookId: book._id };
+      const [fileId, thumbId] = await Promise.all([
+        saveCoverFile(ctx, req.file.buffer, req.file.originalname, { ...metadata, kind: 'original', contentType: image.contentType }),
+        saveCoverFile(ctx, thumbnail, `thumb-${book._id}.webp`, { ...metadata, kind: 'thumb', contentType: 'image/webp' })
+      ]);
+
+      const cover = {
+        fileId,
+        thumbId,
+        contentType: image.contentType,
+        width: image.width,
+        height: image.height,
+        size: req.file.size,
+        uploadedAt: new Date()
+      };
+
+      const updated = await booksCollection.findOneAndUpdate(
+        filter,
+        { $set: { cover }, $currentDate: { updatedAt: true } },
+        { returnDocument: 'after' }
+      );
+
+      if (!updated) {
+        await deleteCoverFiles(ctx, cover);
+        return sendError(res, 404, 'Книга не найдена');
+      }
+
+      await deleteCoverFiles(ctx, book.cover);
+      res.status(201).json(updated);
+    } catch (error) {
+      console.error('Ошибка при загрузке обложки:', error);
+      sendError(res, 500, 'Ошибка при загрузке обложки', error);
+    }
+  });
+
+  /**
+   * DELETE /api/books/:id/cover
+   * Удалить загруженную обложку (coverUrl не меняется)
+   */
+  router.delete('/api/books/:id/cover', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return sendInvalidId(res);
+      }
+
+      const filter = { _id: new ObjectId(req.params.id), ownerId: req.user._id, deletedAt: null };
+      const book = await booksCollection.findOneAndUpdate(
+        filter,
+        { $unset: { cover: '' }, $currentDate: { updatedAt: true } },
+        { returnDocument: 'before' }
+      );
+
+      if (!book) {
+        return sendError(res, 404, 'Книга не найдена');
+      }
+
+      await deleteCoverFiles(ctx, book.cover);
+      const { cover, ...updated } = book;
+      res.json(updated);
+    } catch (error) {
+      console.error('Ошибка при удалении обложки:', error);
+      sendError(res, 500, 'Ошибка при удалении обложки', error);
+    }
+  });
+
+  /**
+   * GET /api/covers/placeholder
+   * SVG-заглушка обложки без обращения к внешним сервисам
+   * Query: title, author
+   */
+  router.get('/api/covers/placeholder', (req, res) => {
+    const title = String(req.query.title || '').slice(0, 200);
+    const author = String(req.query.author || '').slice(0, 200);
+
+    res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.send(buildPlaceholderSvg(title, author));
+  });
+
+  /**
+   * GET /api/covers/:fileId
+   * Отдать файл обложки или миниатюры из GridFS
+   */
+  router.get('/api/covers/:fileId', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.fileId)) {
+        return sendInvalidId(res, 'fileId');
+      }
+
+      const file = await db.collection('covers.files').findOne({
+        _id: new ObjectId(req.params.fileId),
+        'metadata.ownerId': req.user._id
+      });
+
+      if (!file) {
+        return sendError(res, 404, 'Обложка не найдена');
+      }
+
+      // Файл в GridFS не меняется: новая обложка получает новый ID
+      res.set('Content-Type', file.metadata.contentType);
+      res.set('Content-Length', String(file.length));
+      res.set('Cache-Control', 'private, max-age=31536000, immutable');
+
+      coversBucket.openDownloadStream(file._id)
+        .on('error', (error) => {
+          console.error('Ошибка при чтении обложки:', error);
+          res.destroy(error);
+        })
+        .pipe(res);
+    } catch (error) {
+      console.error('Ошибка при получении обложки:', error);
+      sendError(res, 500, 'Ошибка при получении обложки', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCoversRouter };
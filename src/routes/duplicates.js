@@ -0,0 +1,181 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const {
+  isValidObjectId, sendError, sendValidationError, sendInvalidId, fieldError, trashPurgeDate
+} = require('../utils');
+const { buildHistoryEntry, saveHistory } = require('../history');
+const { replaceBooksOnShelves } = require('../shelves');
+const { withTransaction } = require('../database');
+const {
+  bookVersion,
+  bookEtag,
+  versionFilter,
+  expectedVersion,
+  sendVersionConflict,
+  sendUpdateMiss
+} = require('../versioning');
+const { findDuplicateGroups, validateMergeRequest, mergeBooks } = require('../duplicates');
+
+// ===========================
+// DUPLICATE ROUTES
+// ===========================
+
+// Поиск похожих книг и объединение дубликатов
+function createDuplicatesRouter(ctx) {
+  const { db, config, booksCollection, loansCollection } = ctx;
+  const router = express.Router();
+
+  /**
+   * GET /api/duplicates
+   * Группы вероятных дубликатов: похожие название и автор (без учета регистра,
+   * знаков препинания, инициалов и мелких опечаток)
+   */
+  router.get('/api/duplicates', async (req, res) => {
+    try {
+      const books = await booksCollection
+        .find({ ownerId: req.user._id, deletedAt: null })
+        .toArray();
+
+      const groups = findDuplicateGroups(books);
+      res.json({ groups, total: groups.length });
+    } catch (error) {
+      console.error('Ошибка при поиске дубликатов:', error);
+      sendError(res, 500, 'Ошибка при поиске дубликатов', error);
+    }
+  });
+
+  /**
+   * POST /api/duplicates/merge
+   * Объединить дубликаты с основной книгой: поля сводятся в нее (mergeBooks),
+   * дубликаты перемещаются в корзину, их полки, выдачи и обложка переходят к основной
+   * Body: primaryId, duplicateIds
+   * Headers: If-Match - необязательно; версия основной книги
+   */
+  router.post('/api/duplicates/merge', async (req, res) => {
+    try {
+      const errors = validateMergeRequest(req.body);
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const { primaryId, duplicateIds } = req.body;
+      const ids = [primaryId, ...new Set(duplicateIds)];
+      if (!ids.every(isValidObjectId)) {
+        return sendInvalidId(res, isValidObjectId(primaryId) ? 'duplicateIds' : 'primaryId');
+      }
+
+      const expected = expectedVersion(req);
+      if (Number.isNaN(expected)) {
+        return sendValidationError(res, [fieldError('version', 'type', 'Неверный формат версии книги')]);
+      }
+
+      const ownerId = req.user._id;
+      const found = await booksCollection
+        .find({ _id: { $in: ids.map(id => new ObjectId(id)) }, ownerId, deletedAt: null })
+        .toArray();
+      const byId = new Map(found.map(book => [book._id.toString(), book]));
+      if (byId.size !== ids.length) {
+        return sendError(res, 404, 'Книга не найдена');
+      }
+
+      const primary = byId.get(primaryId);
+      const duplicates = ids.slice(1).map(id => byId.get(id));
+      if (expected !== null && expected !== bookVersion(primary)) {
+        return sendVersionConflict(res, primary);
+      }
+
+      // У книги может быть только одна текущая выдача
+      const loaned = [primary, ...duplicates].filter(book => book.currentLoan);
+      if (loaned.length > 1) {
+        return sendError(res, 409, 'Несколько экземпляров сейчас выданы: сначала отметьте возврат');
+      }
+
+      const { update, donors } = mergeBooks(primary, duplicates);
+      // ISBN уникален и в корзине, поэтому переносим его после того, как дубликат его отдаст
+      const { isbn, ...fields } = update;
+
+      // Около десятка записей: если база поддерживает транзакции, объединение либо
+      // выполняется целиком, либо не оставляет следов
+      const filter = { _id: primary._id, ownerId, deletedAt: null };
+      const duplicateObjectIds = duplicates.map(book => book._id);
+      const deletedAt = new Date();
+      const merged = await withTransaction(ctx, async session => {
+        let book = await booksCollection.findOneAndUpdate(
+          { ...filter, ...versionFilter(bookVersion(primary)) },
+          { $set: fields, $inc: { version: 1 }, $currentDate: { updatedAt: true } },
+          { returnDocument: 'after', session }
+        );
+        if (!book) return null;
+
+        await booksCollection.updateMany(
+          { _id: { $in: duplicateObjectIds }, ownerId, deletedAt: null },
+          {
+            $set: { deletedAt, purgeAt: trashPurgeDate(deletedAt, config.trashRetentionDays) },
+            $inc: { version: 1 },
+            $currentDate: { updatedAt: true }
+          },
+          { session }
+        );
+
+        // Отданные ISBN, обложка и выдача больше не принадлежат дубликату: при очистке корзины
+        // файлы обложки не должны удалиться вместе с ним, а восстановленный дубликат -
+        // числиться выданным
+        const given = {};
+        if (donors.isbn) given.isbn = donors.isbn;
+        if (donors.cover) given.cover = donors.cover;
+        if (donors.currentLoan) given.currentLoan = donors.currentLoan;
+        for (const [field, donor] of Object.entries(given)) {
+          await booksCollection.updateOne(
+            { _id: donor._id },
+            { $set: { [field]: null }, $inc: { version: 1 } },
+            { session }
+          );
+        }
+        if (donors.isbn) {
+          book = await booksCollection.findOneAndUpdate(
+            { _id: primary._id },
+            { $set: { isbn }, $inc: { version: 1 }, $currentDate: { updatedAt: true } },
+            { returnDocument: 'after', session }
+          );
+        }
+        if (donors.cover) {
+          await db.collection('covers.files').updateMany(
+            { 'metadata.bookId': donors.cover._id },
+            { $set: { 'metadata.bookId': primary._id } },
+            { session }
+          );
+        }
+
+        await replaceBooksOnShelves(ctx, ownerId, duplicateObjectIds, primary._id, session);
+        await loansCollection.updateMany(
+          { bookId: { $in: duplicateObjectIds } },
+          { $set: { bookId: primary._id } },
+          { session }
+        );
+        return book;
+      });
+      if (!merged) {
+        return sendUpdateMiss(ctx, res, filter);
+      }
+
+      await saveHistory(ctx, [
+        buildHistoryEntry(req.user, 'merge', primary, merged),
+        ...duplicates.map(book => buildHistoryEntry(req.user, 'delete', null, { ...book, deletedAt }))
+      ]);
+
+      res.set('ETag', bookEtag(merged));
+      res.json({
+        message: `Объединено книг: ${ids.length}`,
+        book: merged,
+        mergedIds: duplicateObjectIds
+      });
+    } catch (error) {
+      console.error('Ошибка при объединении книг:', error);
+      sendError(res, 500, 'Ошибка при объединении книг', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDuplicatesRouter };
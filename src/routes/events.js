@@ -0,0 +1,50 @@
+const express = require('express');
+
+// ===========================
+// EVENT ROUTES
+// ===========================
+
+// Комментарий раз в HEARTBEAT_MS не дает прокси закрыть простаивающее соединение
+const HEARTBEAT_MS = 25000;
+const RECONNECT_MS = 3000;
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Изменения книг в реальном времени (Server-Sent Events)
+function createEventsRouter(ctx) {
+  const { bookSync } = ctx;
+  const router = express.Router();
+
+  /**
+   * GET /api/events
+   * Поток событий text/event-stream:
+   *   ready - подписка оформлена: { mode: changeStream | polling }
+   *   book  - книга изменилась: { action: 'upsert', book } или { action: 'delete', bookId }
+   */
+  router.get('/api/events', (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    const unsubscribe = bookSync.subscribe(req.user._id, event => writeEvent(res, 'book', event));
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    writeEvent(res, 'ready', { mode: bookSync.mode });
+  });
+
+  return router;
+}
+
+module.exports = { createEventsRouter };
@@ -0,0 +1,208 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { isValidObjectId, sendError, sendValidationError, sendInvalidId, fieldError } = require('../utils');
+const { validateGenreName, moveBooksToGenre, ensureGenres } = require('../genres');
+
+// ===========================
+// GENRE ROUTES
+// ===========================
+
+// Жанры и теги библиотеки
+function createGenresRouter(ctx) {
+  const { booksCollection, genresCollection } = ctx;
+  const router = express.Router();
+
+  /**
+   * GET /api/genres
+   * Жанры библиотеки с количеством книг в каждом
+   */
+  router.get('/api/genres', async (req, res) => {
+    try {
+      const ownerId = req.user._id;
+      await ensureGenres(ctx, ownerId);
+
+      const [genres, counts] = await Promise.all([
+        genresCollection.find({ ownerId }).sort({ name: 1 }).toArray(),
+        booksCollection.aggregate([
+          { $match: { ownerId, deletedAt: null } },
+          { $group: { _id: '$genre', count: { $sum: 1 } } }
+        ]).toArray()
+      ]);
+
+      const countByName = new Map(counts.map(row => [row._id, row.count]));
+      res.json(genres.map(genre => ({
+        _id: genre._id,
+        name: genre.name,
+        bookCount: countByName.get(genre.name) || 0
+      })));
+    } catch (error) {
+      console.error('Ошибка при получении жанров:', error);
+      sendError(res, 500, 'Ошибка при получении жанров', error);
+    }
+  });
+
+  /**
+   * GET /api/tags
+   * Все теги библиотеки с количеством книг
+   */
+  router.get('/api/tags', async (req, res) => {
+    try {
+      const tags = await booksCollection.aggregate([
+        { $match: { ownerId: req.user._id, deletedAt: null } },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ]).toArray();
+
+      res.json(tags.map(row => ({ tag: row._id, count: row.count })));
+    } catch (error) {
+      console.error('Ошибка при получении тегов:', error);
+      sendError(res, 500, 'Ошибка при получении тегов', error);
+    }
+  });
+
+  /**
+   * POST /api/genres
+   * Добавить жанр
+   * Body: name
+   */
+  router.post('/api/genres', async (req, res) => {
+    try {
+      const error = validateGenreName(req.body.name);
+      if (error) {
+        return sendValidationError(res, [error]);
+      }
+
+      await ensureGenres(ctx, req.user._id);
+      const genre = {
+        ownerId: req.user._id,
+        name: req.body.name.trim(),
+        createdAt: new Date()
+      };
+      const result = await genresCollection.insertOne(genre);
+
+      res.status(201).json({ _id: result.insertedId, name: genre.name, bookCount: 0 });
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendError(res, 409, 'Такой жанр уже существует');
+      }
+      console.error('Ошибка при создании жанра:', error);
+      sendError(res, 500, 'Ошибка при создании жанра', error);
+    }
+  });
+
+  /**
+   * PUT /api/genres/:id
+   * Переименовать жанр (книги этого жанра переименовываются вместе с ним)
+   * Body: name
+   */
+  router.put('/api/genres/:id', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return sendInvalidId(res);
+      }
+
+      const error = validateGenreName(req.body.name);
+      if (error) {
+        return sendValidationError(res, [error]);
+      }
+
+      const ownerId = req.user._id;
+      const name = req.body.name.trim();
+      const genre = await genresCollection.findOne({ _id: new ObjectId(req.params.id), ownerId });
+      if (!genre) {
+        return sendError(res, 404, 'Жанр не найден');
+      }
+
+      if (name !== genre.name) {
+        const duplicate = await genresCollection.findOne({ ownerId, name });
+        if (duplicate) {
+          return sendError(res, 409, 'Такой жанр уже существует, используйте объединение');
+        }
+
+        await genresCollection.updateOne({ _id: genre._id }, { $set: { name } });
+        await moveBooksToGenre(ctx, req.user, genre.name, name);
+      }
+
+      const bookCount = await booksCollection.countDocuments({ ownerId, genre: name, deletedAt: null });
+      res.json({ _id: genre._id, name, bookCount });
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendError(res, 409, 'Такой жанр уже существует, используйте объединение');
+      }
+      console.error('Ошибка при переименовании жанра:', error);
+      sendError(res, 500, 'Ошибка при переименовании жанра', error);
+    }
+  });
+
+  /**
+   * POST /api/genres/:id/merge
+   * Объединить жанр с другим: книги переходят в targetId, сам жанр удаляется
+   * Body: targetId
+   */
+  router.post('/api/genres/:id/merge', async (req, res) => {
+    try {
+      const { targetId } = req.body;
+      if (!isValidObjectId(req.params.id) || !isValidObjectId(targetId)) {
+        return sendInvalidId(res, isValidObjectId(req.params.id) ? 'targetId' : 'id');
+      }
+      if (req.params.id === targetId) {
+        return sendValidationError(res, [fieldError('targetId', 'invalid', 'Нельзя объединить жанр с самим собой')]);
+      }
+
+      const ownerId = req.user._id;
+      const [source, target] = await Promise.all([
+        genresCollection.findOne({ _id: new ObjectId(req.params.id), ownerId }),
+        genresCollection.findOne({ _id: new ObjectId(targetId), ownerId })
+      ]);
+      if (!source || !target) {
+        return sendError(res, 404, 'Жанр не найден');
+      }
+
+      const movedBooks = await moveBooksToGenre(ctx, req.user, source.name, target.name);
+      await genresCollection.deleteOne({ _id: source._id });
+
+      res.json({
+        message: `Жанр "${source.name}" объединен с "${target.name}"`,
+        movedBooks
+      });
+    } catch (error) {
+      console.error('Ошибка при объединении жанров:', error);
+      sendError(res, 500, 'Ошибка при объединении жанров', error);
+    }
+  });
+
+  /**
+   * DELETE /api/genres/:id
+   * Удалить жанр, если в нем нет книг
+   */
+  router.delete('/api/genres/:id', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return sendInvalidId(res);
+      }
+
+      const ownerId = req.user._id;
+      const genre = await genresCollection.findOne({ _id: new ObjectId(req.params.id), ownerId });
+      if (!genre) {
+        return sendError(res, 404, 'Жанр не найден');
+      }
+
+      // Книги в корзине тоже считаются: после восстановления им нужен жанр
+      const bookCount = await booksCollection.countDocuments({ ownerId, genre: genre.name });
+      if (bookCount > 0) {
+        return sendError(res, 409, `В жанре ${bookCount} книг (включая корзину): перенесите их или объедините жанр с другим`);
+      }
+
+      await genresCollection.deleteOne({ _id: genre._id });
+      res.json({ message: 'Жанр удален', genre });
+    } catch (error) {
+      console.error('Ошибка при удалении жанра:', error);
+      sendError(res, 500, 'Ошибка при удалении жанра', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createGenresRouter };
@@ -0,0 +1,109 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { isValidObjectId, sendError, sendValidationError, sendInvalidId } = require('../utils');
+const { validateBook } = require('../validation');
+const { getGenreNames } = require('../genres');
+const { HISTORY_FIELDS, HISTORY_LIMIT, recordHistory } = require('../history');
+const { bookVersion, versionFilter, sendUpdateMiss } = require('../versioning');
+
+// ===========================
+// HISTORY ROUTES
+// ===========================
+
+// История изменений книги и откат к версии
+function createHistoryRouter(ctx) {
+  const { booksCollection, historyCollection } = ctx;
+  const router = express.Router();
+
+  /**
+   * GET /api/books/:id/history
+   * История изменений книги (последние записи первыми)
+   */
+  router.get('/api/books/:id/history', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return sendInvalidId(res);
+      }
+
+      const history = await historyCollection
+        .find({ bookId: new ObjectId(req.params.id), ownerId: req.user._id })
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(HISTORY_LIMIT)
+        .toArray();
+
+      res.json(history);
+    } catch (error) {
+      console.error('Ошибка при получении истории:', error);
+      sendError(res, 500, 'Ошибка при получении истории', error);
+    }
+  });
+
+  /**
+   * POST /api/books/:id/history/:entryId/revert
+   * Вернуть книгу к состоянию после указанной записи истории
+   */
+  router.post('/api/books/:id/history/:entryId/revert', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id) || !isValidObjectId(req.params.entryId)) {
+        return sendInvalidId(res, isValidObjectId(req.params.id) ? 'entryId' : 'id');
+      }
+
+      const ownerId = req.user._id;
+      const bookId = new ObjectId(req.params.id);
+      const [book, entry] = await Promise.all([
+        booksCollection.findOne({ _id: bookId, ownerId, deletedAt: null }),
+        historyCollection.findOne({ _id: new ObjectId(req.params.entryId), bookId, ownerId })
+      ]);
+
+      if (!book) {
+        return sendError(res, 404, 'Книга не найдена');
+      }
+      if (!entry) {
+        return sendError(res, 404, 'Запись истории не найдена');
+      }
+
+      // Версия могла стать недопустимой, например, если ее жанр удален
+      const genres = await getGenreNames(ctx, ownerId);
+      const errors = validateBook(entry.snapshot, false, { genres });
+      if (errors.length > 0) {
+        return sendValidationError(res, errors, 'Эту версию нельзя восстановить', 409);
+      }
+
+      const unset = {};
+      HISTORY_FIELDS.forEach(field => {
+        if (entry.snapshot[field] === undefined && book[field] !== undefined) {
+          unset[field] = '';
+        }
+      });
+
+      const update = { $set: entry.snapshot, $inc: { version: 1 }, $currentDate: { updatedAt: true } };
+      if (Object.keys(unset).length > 0) {
+        update.$unset = unset;
+      }
+
+      // Набор $unset считался по прочитанной версии книги
+      const filter = { _id: bookId, ownerId, deletedAt: null };
+      const updated = await booksCollection.findOneAndUpdate(
+        { ...filter, ...versionFilter(bookVersion(book)) },
+        update,
+        { returnDocument: 'after' }
+      );
+      if (!updated) {
+        return sendUpdateMiss(ctx, res, filter);
+      }
+
+      await recordHistory(ctx, req.user, 'revert', book, updated);
+      res.json(updated);
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendError(res, 409, 'Книга с ISBN из этой версии уже есть в библиотеке');
+      }
+      console.error('Ошибка при откате книги:', error);
+      sendError(res, 500, 'Ошибка при откате книги', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createHistoryRouter };
@@ -0,0 +1,54 @@
+const express = require('express');
+const { ERROR_CODES, sendError, sendValidationError, fieldError } = require('../utils');
+const { normalizeIsbn } = require('../validation');
+const { lookupIsbn } = require('../isbn');
+
+// ===========================
+// ISBN ROUTES
+// ===========================
+
+// Поиск метаданных книги по ISBN
+function createIsbnRouter(ctx) {
+  const { booksCollection, isbnProviders } = ctx;
+  const router = express.Router();
+
+  /**
+   * GET /api/isbn/:isbn
+   * Метаданные книги по ISBN от провайдеров (ISBN_PROVIDERS) для заполнения формы.
+   * existingBook - книга с этим ISBN, если она уже есть в библиотеке
+   */
+  router.get('/api/isbn/:isbn', async (req, res) => {
+    try {
+      const isbn = normalizeIsbn(req.params.isbn);
+      if (!isbn) {
+        return sendValidationError(res, [fieldError('isbn', 'format', 'Некорректный ISBN (проверьте контрольную цифру)')]);
+      }
+
+      const [metadata, existingBook] = await Promise.all([
+        lookupIsbn(isbnProviders, isbn),
+        booksCollection.findOne(
+          { ownerId: req.user._id, isbn },
+          { projection: { title: 1, author: 1, deletedAt: 1 } }
+        )
+      ]);
+
+      if (!metadata) {
+        return res.status(404).json({
+          code: ERROR_CODES[404],
+          message: 'Книга с таким ISBN не найдена',
+          isbn,
+          existingBook
+        });
+      }
+
+      res.json({ ...metadata, existingBook });
+    } catch (error) {
+      console.error('Ошибка при поиске по ISBN:', error);
+      sendError(res, 500, 'Ошибка при поиске по ISBN', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createIsbnRouter };
@@ -0,0 +1,189 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const {
+  isBlank, parsePastDate, isValidObjectId, sendError, sendValidationError, sendInvalidId, fieldError
+} = require('../utils');
+const { validateLoan, prepareLoan, daysOverdue } = require('../loans');
+
+// ===========================
+// LOAN ROUTES
+// ===========================
+
+// Выдача книг и их возврат
+function createLoansRouter(ctx) {
+  const { booksCollection, loansCollection } = ctx;
+  const router = express.Router();
+
+  /**
+   * POST /api/books/:id/loan
+   * Выдать книгу
+   * Body: borrower, dueAt (по умолчанию - через DEFAULT_LOAN_DAYS дней), loanedAt, note
+   */
+  router.post('/api/books/:id/loan', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return sendInvalidId(res);
+      }
+
+      const errors = validateLoan(req.body);
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const filter = { _id: new ObjectId(req.params.id), ownerId: req.user._id, deletedAt: null };
+      const book = await booksCollection.findOne(filter);
+      if (!book) {
+        return sendError(res, 404, 'Книга не найдена');
+      }
+
+      const loan = { _id: new ObjectId(), ...prepareLoan(req.body, book) };
+      const { _id, borrower, loanedAt, dueAt } = loan;
+
+      // currentLoan: null в фильтре - защита от двойной выдачи параллельными запросами
+      const updated = await booksCollection.findOneAndUpdate(
+        { ...filter, currentLoan: null },
+        { $set: { currentLoan: { _id, borrower, loanedAt, dueAt } }, $currentDate: { updatedAt: true } },
+        { returnDocument: 'after' }
+      );
+      if (!updated) {
+        return sendError(res, 409, `Книга уже выдана: ${book.currentLoan?.borrower || 'другому читателю'}`);
+      }
+
+      await loansCollection.insertOne(loan);
+      res.status(201).json({ book: updated, loan });
+    } catch (error) {
+      console.error('Ошибка при выдаче книги:', error);
+      sendError(res, 500, 'Ошибка при выдаче книги', error);
+    }
+  });
+
+  /**
+   * POST /api/books/:id/return
+   * Отметить возврат книги
+   * Body: returnedAt (по умолчанию - сейчас)
+   */
+  router.post('/api/books/:id/return', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return sendInvalidId(res);
+      }
+
+      let returnedAt = new Date();
+      if (!isBlank(req.body.returnedAt)) {
+        returnedAt = parsePastDate(req.body.returnedAt);
+        if (!returnedAt) {
+          return sendValidationError(res, [
+            fieldError('returnedAt', 'format', 'Дата возврата должна быть корректной датой не из будущего')
+          ]);
+        }
+      }
+
+      const book = await booksCollection.findOne({
+        _id: new ObjectId(req.params.id),
+        ownerId: req.user._id,
+        deletedAt: null
+      });
+      if (!book) {
+        return sendError(res, 404, 'Книга не найдена');
+      }
+      if (!book.currentLoan) {
+        return sendError(res, 409, 'Книга не выдана');
+      }
+      if (returnedAt < book.currentLoan.loanedAt) {
+        return sendValidationError(res, [
+          fieldError('returnedAt', 'minimum', 'Дата возврата не может быть раньше даты выдачи')
+        ]);
+      }
+
+      const updated = await booksCollection.findOneAndUpdate(
+        { _id: book._id, 'currentLoan._id': book.currentLoan._id },
+        { $set: { currentLoan: null }, $currentDate: { updatedAt: true } },
+        { returnDocument: 'after' }
+      );
+      if (!updated) {
+        return sendError(res, 409, 'Книгу уже вернули');
+      }
+
+      const loan = await loansCollection.findOneAndUpdate(
+        { _id: book.currentLoan._id },
+        { $set: { returnedAt } },
+        { returnDocument: 'after' }
+      );
+
+      res.json({ book: updated, loan });
+    } catch (error) {
+      console.error('Ошибка при возврате книги:', error);
+      sendError(res, 500, 'Ошибка при возврате книги', error);
+    }
+  });
+
+  /**
+   * GET /api/books/:id/loans
+   * История выдач книги (от новых к старым)
+   */
+  router.get('/api/books/:id/loans', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return sendInvalidId(res);
+      }
+
+      const loans = await loansCollection
+        .find({ bookId: new ObjectId(req.params.id), ownerId: req.user._id })
+        .sort({ loanedAt: -1 })
+        .toArray();
+
+      res.json(loans);
+    } catch (error) {
+      console.error('Ошибка при получении истории выдач:', error);
+      sendError(res, 500, 'Ошибка при получении истории выдач', error);
+    }
+  });
+
+  /**
+   * GET /api/loans
+   * Выдачи с названием и автором книги
+   * Query params: status (active - по умолчанию, overdue, returned, all)
+   */
+  router.get('/api/loans', async (req, res) => {
+    try {
+      const status = req.query.status || 'active';
+      const now = new Date();
+      const filters = {
+        active: { returnedAt: null },
+        overdue: { returnedAt: null, dueAt: { $lt: now } },
+        returned: { returnedAt: { $ne: null } },
+        all: {}
+      };
+      if (!filters[status]) {
+        return sendValidationError(res, [
+          fieldError('status', 'enum', `Статус должен быть одним из: ${Object.keys(filters).join(', ')}`)
+        ]);
+      }
+
+      const loans = await loansCollection.aggregate([
+        { $match: { ownerId: req.user._id, ...filters[status] } },
+        { $sort: status === 'returned' ? { returnedAt: -1 } : { dueAt: 1 } },
+        { $lookup: { from: 'books', localField: 'bookId', foreignField: '_id', as: 'matched' } },
+        { $unwind: '$matched' },
+        {
+          $addFields: {
+            book: { title: '$matched.title', author: '$matched.author', deletedAt: '$matched.deletedAt' }
+          }
+        },
+        { $project: { matched: 0 } }
+      ]).toArray();
+
+      res.json(loans.map(loan => ({
+        ...loan,
+        daysOverdue: loan.returnedAt ? 0 : daysOverdue(loan, now)
+      })));
+    } catch (error) {
+      console.error('Ошибка при получении выдач:', error);
+      sendError(res, 500, 'Ошибка при получении выдач', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createLoansRouter };
@@ -0,0 +1,29 @@
+const express = require('express');
+const { sendError } = require('../utils');
+const { buildOpenApiDocument } = require('../openapi');
+
+// ===========================
+// API DOCUMENTATION ROUTES
+// ===========================
+
+// Описание API доступно без входа: по нему работает страница /api-docs.html
+function createOpenApiRouter() {
+  const router = express.Router();
+
+  /**
+   * GET /api/openapi.json
+   * Описание API в формате OpenAPI 3.1
+   */
+  router.get('/api/openapi.json', (req, res) => {
+    try {
+      res.json(buildOpenApiDocument());
+    } catch (error) {
+      console.error('Ошибка при построении описания API:', error);
+      sendError(res, 500, 'Ошибка при построении описания API', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createOpenApiRouter };
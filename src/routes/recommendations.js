@@ -0,0 +1,44 @@
+const express = require('express');
+const { sendError, sendValidationError, fieldError } = require('../utils');
+const { parsePositiveInt } = require('../query');
+const { DEFAULT_RECOMMENDATIONS, MAX_RECOMMENDATIONS, recommendBooks } = require('../recommendations');
+
+// ===========================
+// RECOMMENDATION ROUTES
+// ===========================
+
+// Что почитать дальше
+function createRecommendationsRouter(ctx) {
+  const { booksCollection } = ctx;
+  const router = express.Router();
+
+  /**
+   * GET /api/recommendations
+   * Непрочитанные книги, похожие на прочитанные с оценкой 4-5, с объяснениями
+   * Query params: limit (по умолчанию DEFAULT_RECOMMENDATIONS)
+   */
+  router.get('/api/recommendations', async (req, res) => {
+    try {
+      const limit = parsePositiveInt(req.query.limit, DEFAULT_RECOMMENDATIONS);
+      if (limit === null || limit > MAX_RECOMMENDATIONS) {
+        return sendValidationError(res, [
+          fieldError('limit', 'maximum', `Параметр limit должен быть от 1 до ${MAX_RECOMMENDATIONS}`)
+        ]);
+      }
+
+      // Похожесть описаний считается по всей библиотеке, поэтому берем все книги
+      const books = await booksCollection
+        .find({ ownerId: req.user._id, deletedAt: null })
+        .toArray();
+
+      res.json(recommendBooks(books, limit));
+    } catch (error) {
+      console.error('Ошибка при подборе рекомендаций:', error);
+      sendError(res, 500, 'Ошибка при подборе рекомендаций', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRecommendationsRouter };
@@ -0,0 +1,264 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { isValidObjectId, sendError, sendValidationError, sendInvalidId, fieldError } = require('../utils');
+const { validateShelf, findShelf, withActiveBooks } = require('../shelves');
+
+// ===========================
+// SHELF ROUTES
+// ===========================
+
+// Полки с упорядоченными книгами
+function createShelvesRouter(ctx) {
+  const { booksCollection, shelvesCollection } = ctx;
+  const router = express.Router();
+
+  /**
+   * GET /api/shelves
+   * Полки пользователя с книгами в порядке полки
+   */
+  router.get('/api/shelves', async (req, res) => {
+    try {
+      const shelves = await shelvesCollection
+        .find({ ownerId: req.user._id })
+        .sort({ name: 1 })
+        .toArray();
+
+      res.json(await withActiveBooks(ctx, shelves, req.user._id));
+    } catch (error) {
+      console.error('Ошибка при получении полок:', error);
+      sendError(res, 500, 'Ошибка при получении полок', error);
+    }
+  });
+
+  /**
+   * POST /api/shelves
+   * Создать полку
+   * Body: name, description
+   */
+  router.post('/api/shelves', async (req, res) => {
+    try {
+      const errors = validateShelf(req.body);
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const now = new Date();
+      const shelf = {
+        ownerId: req.user._id,
+        name: req.body.name.trim(),
+        description: (req.body.description || '').trim(),
+        bookIds: [],
+        createdAt: now,
+        updatedAt: now
+      };
+      const result = await shelvesCollection.insertOne(shelf);
+
+      res.status(201).json({ ...shelf, _id: result.insertedId, bookCount: 0 });
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendError(res, 409, 'Полка с таким названием уже существует');
+      }
+      console.error('Ошибка при создании полки:', error);
+      sendError(res, 500, 'Ошибка при создании полки', error);
+    }
+  });
+
+  /**
+   * PUT /api/shelves/:id
+   * Переименовать полку или изменить описание
+   * Body: name, description
+   */
+  router.put('/api/shelves/:id', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return sendInvalidId(res);
+      }
+
+      const errors = validateShelf(req.body, true);
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const update = { updatedAt: new Date() };
+      if (req.body.name !== undefined) update.name = req.body.name.trim();
+      if (req.body.description !== undefined) update.description = (req.body.description || '').trim();
+
+      const shelf = await shelvesCollection.findOneAndUpdate(
+        { _id: new ObjectId(req.params.id), ownerId: req.user._id },
+        { $set: update },
+        { returnDocument: 'after' }
+      );
+      if (!shelf) {
+        return sendError(res, 404, 'Полка не найдена');
+      }
+
+      const [result] = await withActiveBooks(ctx, [shelf], req.user._id);
+      res.json(result);
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendError(res, 409, 'Полка с таким названием уже существует');
+      }
+      console.error('Ошибка при обновлении полки:', error);
+      sendError(res, 500, 'Ошибка при обновлении полки', error);
+    }
+  });
+
+  /**
+   * DELETE /api/shelves/:id
+   * Удалить полку (книги остаются в библиотеке)
+   */
+  router.delete('/api/shelves/:id', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return sendInvalidId(res);
+      }
+
+      const shelf = await shelvesCollection.findOneAndDelete({
+        _id: new ObjectId(req.params.id),
+        ownerId: req.user._id
+      });
+      if (!shelf) {
+        return sendError(res, 404, 'Полка не найдена');
+      }
+
+      res.json({ message: 'Полка удалена', shelf });
+    } catch (error) {
+      console.error('Ошибка при удалении полки:', error);
+      sendError(res, 500, 'Ошибка при удалении полки', error);
+    }
+  });
+
+  /**
+   * POST /api/shelves/:id/books
+   * Положить книгу на полку (повторное добавление ничего не меняет)
+   * Body: bookId, position (по умолчанию - в конец)
+   */
+  router.post('/api/shelves/:id/books', async (req, res) => {
+    try {
+      const { bookId, position } = req.body;
+      if (!isValidObjectId(req.params.id) || !isValidObjectId(bookId)) {
+        return sendInvalidId(res, isValidObjectId(req.params.id) ? 'bookId' : 'id');
+      }
+      if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+        return sendValidationError(res, [
+          fieldError('position', 'minimum', 'Позиция должна быть неотрицательным целым числом')
+        ]);
+      }
+
+      const ownerId = req.user._id;
+      const [shelf, book] = await Promise.all([
+        findShelf(ctx, req.params.id, ownerId),
+        booksCollection.findOne({ _id: new ObjectId(bookId), ownerId, deletedAt: null })
+      ]);
+      if (!shelf) {
+        return sendError(res, 404, 'Полка не найдена');
+      }
+      if (!book) {
+        return sendError(res, 404, 'Книга не найдена');
+      }
+
+      const push = { $each: [book._id] };
+      if (position !== undefined) push.$position = position;
+
+      const updated = await shelvesCollection.findOneAndUpdate(
+        { _id: shelf._id, bookIds: { $ne: book._id } },
+        { $push: { bookIds: push }, $set: { updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+
+      const [result] = await withActiveBooks(ctx, [updated || shelf], ownerId);
+      res.status(updated ? 201 : 200).json(result);
+    } catch (error) {
+      console.error('Ошибка при добавлении книги на полку:', error);
+      sendError(res, 500, 'Ошибка при добавлении книги на полку', error);
+    }
+  });
+
+  /**
+   * PUT /api/shelves/:id/books
+   * Изменить порядок книг на полке
+   * Body: bookIds - все книги полки в новом порядке
+   */
+  router.put('/api/shelves/:id/books', async (req, res) => {
+    try {
+      const { bookIds } = req.body;
+      if (!isValidObjectId(req.params.id)) {
+        return sendInvalidId(res);
+      }
+      if (!Array.isArray(bookIds) || !bookIds.every(isValidObjectId)) {
+        return sendValidationError(res, [fieldError('bookIds', 'type', 'Поле "bookIds" должно быть массивом ID книг')]);
+      }
+
+      const ownerId = req.user._id;
+      const shelf = await findShelf(ctx, req.params.id, ownerId);
+      if (!shelf) {
+        return sendError(res, 404, 'Полка не найдена');
+      }
+
+      // Новый порядок должен содержать все видимые книги полки ровно по одному разу
+      const [{ bookIds: activeIds }] = await withActiveBooks(ctx, [shelf], ownerId);
+      const requested = new Set(bookIds.map(String));
+      const sameBooks = requested.size === bookIds.length &&
+        requested.size === activeIds.length &&
+        activeIds.every(id => requested.has(id.toString()));
+      if (!sameBooks) {
+        return sendValidationError(res, [
+          fieldError('bookIds', 'invalid', 'Список должен содержать все книги полки ровно по одному разу')
+        ]);
+      }
+
+      // Книги из корзины остаются на своих местах, видимые занимают остальные места
+      // в новом порядке: после восстановления книга вернется туда, где была
+      const visible = bookIds.map(id => new ObjectId(id));
+      const ordered = shelf.bookIds.map(id => (requested.has(id.toString()) ? visible.shift() : id));
+
+      // Если полку успели изменить параллельно, порядок считался по старым данным
+      const updated = await shelvesCollection.findOneAndUpdate(
+        { _id: shelf._id, bookIds: shelf.bookIds },
+        { $set: { bookIds: ordered, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+      if (!updated) {
+        return sendError(res, 409, 'Полка изменилась, обновите страницу и повторите');
+      }
+
+      const [result] = await withActiveBooks(ctx, [updated], ownerId);
+      res.json(result);
+    } catch (error) {
+      console.error('Ошибка при изменении порядка книг:', error);
+      sendError(res, 500, 'Ошибка при изменении порядка книг', error);
+    }
+  });
+
+  /**
+   * DELETE /api/shelves/:id/books/:bookId
+   * Убрать книгу с полки
+   */
+  router.delete('/api/shelves/:id/books/:bookId', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id) || !isValidObjectId(req.params.bookId)) {
+        return sendInvalidId(res, isValidObjectId(req.params.id) ? 'bookId' : 'id');
+      }
+
+      const bookId = new ObjectId(req.params.bookId);
+      const updated = await shelvesCollection.findOneAndUpdate(
+        { _id: new ObjectId(req.params.id), ownerId: req.user._id, bookIds: bookId },
+        { $pull: { bookIds: bookId }, $set: { updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+      if (!updated) {
+        return sendError(res, 404, 'Книги нет на этой полке');
+      }
+
+      const [result] = await withActiveBooks(ctx, [updated], req.user._id);
+      res.json(result);
+    } catch (error) {
+      console.error('Ошибка при удалении книги с полки:', error);
+      sendError(res, 500, 'Ошибка при удалении книги с полки', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createShelvesRouter };
@@ -0,0 +1,158 @@
+const express = require('express');
+const { sendError, sendValidationError, fieldError } = require('../utils');
+const { parsePositiveInt } = require('../query');
+const {
+  DEFAULT_STATS_MONTHS, MAX_STATS_MONTHS, TOP_AUTHORS_LIMIT, lastMonthKeys, fillMonths, monthlyPipeline
+} = require('../stats');
+
+// ===========================
+// STATS ROUTES
+// ===========================
+
+// Статистика библиотеки
+function createStatsRouter(ctx) {
+  const { booksCollection } = ctx;
+  const router = express.Router();
+
+  /**
+   * GET /api/stats
+   * Получить статистику библиотеки
+   */
+  router.get('/api/stats', async (req, res) => {
+    try {
+      const ownerId = req.user._id;
+
+      // Параллельное выполнение запросов для оптимизации
+      const [totalBooks, readBooks, unreadBooks, avgRatingResult, onLoan, overdue] = await Promise.all([
+        booksCollection.countDocuments({ ownerId, deletedAt: null }),
+        booksCollection.countDocuments({ ownerId, deletedAt: null, isRead: true }),
+        booksCollection.countDocuments({ ownerId, deletedAt: null, isRead: false }),
+        booksCollection.aggregate([
+          { $match: { ownerId, deletedAt: null, rating: { $gt: 0 } } },
+          { $group: { _id: null, avgRating: { $avg: '$rating' } } }
+        ]).toArray(),
+        booksCollection.countDocuments({ ownerId, deletedAt: null, currentLoan: { $ne: null } }),
+        booksCollection.countDocuments({ ownerId, deletedAt: null, 'currentLoan.dueAt': { $lt: new Date() } })
+      ]);
+
+      const averageRating = avgRatingResult.length > 0
+        ? avgRatingResult[0].avgRating.toFixed(1)
+        : 0;
+
+      res.json({
+        total: totalBooks,
+        read: readBooks,
+        unread: unreadBooks,
+        averageRating,
+        onLoan,
+        overdue
+      });
+    } catch (error) {
+      console.error('Ошибка при получении статистики:', error);
+      sendError(res, 500, 'Ошибка при получении статистики', error);
+    }
+  });
+
+  /**
+   * GET /api/stats/dashboard
+   * Подробная статистика одним агрегационным запросом ($facet):
+   * книги по жанрам, распределение рейтингов, добавленные и прочитанные
+   * по месяцам, топ авторов, средний рейтинг по жанрам
+   * Query params: months (период помесячной статистики, по умолчанию 12)
+   */
+  router.get('/api/stats/dashboard', async (req, res) => {
+    try {
+      const months = parsePositiveInt(req.query.months, DEFAULT_STATS_MONTHS);
+      if (months === null || months > MAX_STATS_MONTHS) {
+        return sendValidationError(res, [
+          fieldError('months', 'maximum', `Параметр months должен быть от 1 до ${MAX_STATS_MONTHS}`)
+        ]);
+      }
+
+      const monthKeys = lastMonthKeys(months);
+      const since = new Date(`${monthKeys[0]}-01T00:00:00Z`);
+
+      const [result] = await booksCollection.aggregate([
+        { $match: { ownerId: req.user._id, deletedAt: null } },
+        {
+          $facet: {
+            byGenre: [
+              {
+                $group: {
+                  _id: '$genre',
+                  count: { $sum: 1 },
+                  read: { $sum: { $cond: ['$isRead', 1, 0] } }
+                }
+              },
+              { $sort: { count: -1, _id: 1 } }
+            ],
+            ratingDistribution: [
+              {
+                $group: {
+                  _id: { $floor: { $ifNull: ['$rating', 0] } },
+                  count: { $sum: 1 }
+                }
+              }
+            ],
+            addedPerMonth: monthlyPipeline('dateAdded', since),
+            finishedPerMonth: monthlyPipeline('finishedAt', since),
+            topAuthors: [
+              {
+                $group: {
+                  _id: '$author',
+                  count: { $sum: 1 },
+                  avgRating: { $avg: { $cond: [{ $gt: ['$rating', 0] }, '$rating', null] } }
+                }
+              },
+              { $sort: { count: -1, avgRating: -1, _id: 1 } },
+              { $limit: TOP_AUTHORS_LIMIT }
+            ],
+            avgRatingByGenre: [
+              { $match: { rating: { $gt: 0 } } },
+              {
+                $group: {
+                  _id: '$genre',
+                  avgRating: { $avg: '$rating' },
+                  rated: { $sum: 1 }
+                }
+              },
+              { $sort: { avgRating: -1, _id: 1 } }
+            ]
+          }
+        }
+      ]).toArray();
+
+      // Оценки 1-5 всегда в ответе, 0 - "без оценки"
+      const ratingCounts = new Map(result.ratingDistribution.map(row => [row._id, row.count]));
+      const round = value => (value === null ? null : Math.round(value * 10) / 10);
+
+      res.json({
+        byGenre: result.byGenre.map(row => ({ genre: row._id, count: row.count, read: row.read })),
+        ratingDistribution: [1, 2, 3, 4, 5].map(rating => ({
+          rating,
+          count: ratingCounts.get(rating) || 0
+        })),
+        unrated: ratingCounts.get(0) || 0,
+        addedPerMonth: fillMonths(monthKeys, result.addedPerMonth),
+        finishedPerMonth: fillMonths(monthKeys, result.finishedPerMonth),
+        topAuthors: result.topAuthors.map(row => ({
+          author: row._id,
+          count: row.count,
+          avgRating: round(row.avgRating)
+        })),
+        avgRatingByGenre: result.avgRatingByGenre.map(row => ({
+          genre: row._id,
+          avgRating: round(row.avgRating),
+          rated: row.rated
+        }))
+      });
+    } catch (error) {
+      console.error('Ошибка при получении статистики:', error);
+      sendError(res, 500, 'Ошибка при получении статистики', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createStatsRouter };
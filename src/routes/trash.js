@@ -0,0 +1,122 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { isValidObjectId, sendError, sendInvalidId } = require('../utils');
+const { removeBooksFromShelves } = require('../shelves');
+const { deleteCoverFiles } = require('../covers');
+const { buildHistoryEntry, saveHistory, recordHistory } = require('../history');
+
+// ===========================
+// TRASH ROUTES
+// ===========================
+
+// Корзина: восстановление и окончательное удаление книг
+function createTrashRouter(ctx) {
+  const { config, booksCollection, loansCollection } = ctx;
+  const router = express.Router();
+
+  /**
+   * GET /api/trash
+   * Книги в корзине (сначала удаленные последними)
+   */
+  router.get('/api/trash', async (req, res) => {
+    try {
+      const books = await booksCollection
+        .find({ ownerId: req.user._id, deletedAt: { $ne: null } })
+        .sort({ deletedAt: -1 })
+        .toArray();
+
+      res.json({ retentionDays: config.trashRetentionDays, books });
+    } catch (error) {
+      console.error('Ошибка при получении корзины:', error);
+      sendError(res, 500, 'Ошибка при получении корзины', error);
+    }
+  });
+
+  /**
+   * POST /api/trash/:id/restore
+   * Восстановить книгу из корзины
+   */
+  router.post('/api/trash/:id/restore', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return sendInvalidId(res);
+      }
+
+      const book = await booksCollection.findOneAndUpdate(
+        { _id: new ObjectId(req.params.id), ownerId: req.user._id, deletedAt: { $ne: null } },
+        { $unset: { deletedAt: '', purgeAt: '' }, $inc: { version: 1 }, $currentDate: { updatedAt: true } },
+        { returnDocument: 'after' }
+      );
+
+      if (!book) {
+        return sendError(res, 404, 'Книга не найдена в корзине');
+      }
+
+      await recordHistory(ctx, req.user, 'restore', null, book);
+      res.json({ message: 'Книга восстановлена', book });
+    } catch (error) {
+      console.error('Ошибка при восстановлении книги:', error);
+      sendError(res, 500, 'Ошибка при восстановлении книги', error);
+    }
+  });
+
+  /**
+   * DELETE /api/trash/:id
+   * Удалить книгу из корзины навсегда
+   */
+  router.delete('/api/trash/:id', async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return sendInvalidId(res);
+      }
+
+      const book = await booksCollection.findOneAndDelete({
+        _id: new ObjectId(req.params.id),
+        ownerId: req.user._id,
+        deletedAt: { $ne: null }
+      });
+
+      if (!book) {
+        return sendError(res, 404, 'Книга не найдена в корзине');
+      }
+
+      await recordHistory(ctx, req.user, 'purge', book, null);
+      await removeBooksFromShelves(ctx, req.user._id, [book._id]);
+      await loansCollection.deleteMany({ bookId: book._id });
+      await deleteCoverFiles(ctx, book.cover);
+      res.json({ message: 'Книга удалена навсегда', book });
+    } catch (error) {
+      console.error('Ошибка при удалении книги:', error);
+      sendError(res, 500, 'Ошибка при удалении книги', error);
+    }
+  });
+
+  /**
+   * DELETE /api/trash
+   * Очистить корзину
+   */
+  router.delete('/api/trash', async (req, res) => {
+    try {
+      const filter = { ownerId: req.user._id, deletedAt: { $ne: null } };
+      const trashed = await booksCollection.find(filter).toArray();
+      const result = await booksCollection.deleteMany({
+        _id: { $in: trashed.map(book => book._id) }
+      });
+      await saveHistory(ctx, trashed.map(book => buildHistoryEntry(req.user, 'purge', book, null)));
+      await removeBooksFromShelves(ctx, req.user._id, trashed.map(book => book._id));
+      await loansCollection.deleteMany({ bookId: { $in: trashed.map(book => book._id) } });
+      for (const book of trashed) {
+        await deleteCoverFiles(ctx, book.cover);
+      }
+
+      res.json({ message: 'Корзина очищена', deletedCount: result.deletedCount });
+    } catch (error) {
+      console.error('Ошибка при очистке корзины:', error);
+      sendError(res, 500, 'Ошибка при очистке корзины', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTrashRouter };
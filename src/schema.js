@@ -0,0 +1,304 @@
+const { fieldError } = require('./utils');
+
+// ===========================
+// DATABASE SCHEMA
+// ===========================
+
+// Типы, которые приложение пишет в книгу. Основная проверка остается в validateBook,
+// валидатор MongoDB ловит документы, записанные в обход него (скрипты, консоль, старые версии).
+// Необязательные поля допускают null: PUT и откат очищают поля именно так
+const nullable = bsonType => ({ bsonType: [bsonType, 'null'] });
+
+const BOOK_SCHEMA = {
+  bsonType: 'object',
+  required: ['title', 'author', 'genre'],
+  properties: {
+    title: { bsonType: 'string', minLength: 1 },
+    author: { bsonType: 'string', minLength: 1 },
+    genre: { bsonType: 'string', minLength: 1 },
+    isbn: { bsonType: ['string', 'null'], pattern: '^97[89][0-9]{10}$' },
+    tags: { bsonType: 'array', items: { bsonType: 'string' } },
+    year: { bsonType: ['int', 'long', 'null'], minimum: 1000 },
+    description: nullable('string'),
+    isRead: { bsonType: 'bool' },
+    rating: { bsonType: ['number', 'null'], minimum: 0, maximum: 5 },
+    notes: nullable('string'),
+    coverUrl: nullable('string'),
+    cover: nullable('object'),
+    totalPages: { bsonType: ['int', 'long', 'null'], minimum: 1 },
+    currentPage: { bsonType: ['int', 'long', 'null'], minimum: 0 },
+    startedAt: nullable('date'),
+    finishedAt: nullable('date'),
+    readingSessions: {
+      bsonType: 'array',
+      items: {
+        bsonType: 'object',
+        required: ['date', 'pagesRead'],
+        properties: {
+          _id: { bsonType: 'objectId' },
+          date: { bsonType: 'date' },
+          pagesRead: { bsonType: ['int', 'long'], minimum: 1 }
+        }
+      }
+    },
+    currentLoan: nullable('object'),
+    ownerId: { bsonType: 'objectId' },
+    dateAdded: { bsonType: 'date' },
+    updatedAt: { bsonType: 'date' },
+    deletedAt: nullable('date'),
+    purgeAt: nullable('date'),
+    version: { bsonType: ['int', 'long'], minimum: 0 }
+  }
+};
+
+// moderate: уже лежащие в базе невалидные документы можно обновлять, пока их
+// не исправит миграция, а все новые и валидные документы проверяются строго
+const BOOK_VALIDATOR_OPTIONS = {
+  validator: { $jsonSchema: BOOK_SCHEMA },
+  validationLevel: 'moderate',
+  validationAction: 'error'
+};
+
+const NAMESPACE_NOT_FOUND = 26;
+
+// Ставит валидатор на коллекцию books при каждом старте: изменения схемы
+// в коде применяются без отдельного шага
+async function applyBookValidator(ctx) {
+  const { db, booksCollection } = ctx;
+  try {
+    await db.command({ collMod: booksCollection.collectionName, ...BOOK_VALIDATOR_OPTIONS });
+  } catch (error) {
+    if (error.code !== NAMESPACE_NOT_FOUND) throw error;
+    await db.createCollection(booksCollection.collectionName, BOOK_VALIDATOR_OPTIONS);
+  }
+}
+
+// Проверка bsonType для документа в памяти (после EJSON.parse числа - обычные number)
+const BSON_TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  bool: value => typeof value === 'boolean',
+  int: value => Number.isInteger(value) && Math.abs(value) <= 2147483647,
+  long: value => Number.isInteger(value),
+  double: value => typeof value === 'number',
+  number: value => typeof value === 'number',
+  date: value => value instanceof Date && !isNaN(value.getTime()),
+  objectId: value => value?._bsontype === 'ObjectId',
+  array: value => Array.isArray(value),
+  null: value => value === null,
+  object: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !value._bsontype
+};
+
+/**
+ * Проверяет документ по $jsonSchema без базы - в том объеме, что используют схемы
+ * приложения (bsonType, required, properties, items, minimum, maximum, minLength, pattern).
+ * Нужна там, где документы пишутся пачкой и ошибку важно найти до записи (восстановление из архива).
+ * Возвращает ошибки [{ field, code, message }], message - вида 'поле: описание'
+ */
+function validateDocument(schema, value, path = 'документ') {
+  const types = [].concat(schema.bsonType || []);
+  if (types.length > 0 && !types.some(type => BSON_TYPE_CHECKS[type](value))) {
+    return [fieldError(path, 'bsonType', `${path}: ожидается ${types.join(' или ')}`)];
+  }
+  if (value === null) return [];
+
+  const errors = [];
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(fieldError(path, 'minimum', `${path}: меньше ${schema.minimum}`));
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(fieldError(path, 'maximum', `${path}: больше ${schema.maximum}`));
+    }
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(fieldError(path, 'minLength', `${path}: пустая строка`));
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(fieldError(path, 'pattern', `${path}: неверный формат`));
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateDocument(schema.items, item, `${path}[${index}]`)));
+  }
+  if (BSON_TYPE_CHECKS.object(value)) {
+    (schema.required || [])
+      .filter(field => value[field] === undefined)
+      .forEach(field => errors.push(fieldError(`${path}.${field}`, 'required', `${path}.${field}: обязательное поле`)));
+    Object.entries(schema.properties || {})
+      .filter(([field]) => value[field] !== undefined)
+      .forEach(([field, property]) => errors.push(...validateDocument(property, value[field], `${path}.${field}`)));
+  }
+  return errors;
+}
+
+// ===========================
+// REQUEST SCHEMA
+// ===========================
+
+// Тела запросов описаны JSON Schema в том виде, в каком они публикуются в /api/openapi.json.
+// Числа принимаются и строками ("1999"): так их присылают формы и импорт CSV
+function isNumeric(value) {
+  return (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) &&
+    Number.isFinite(Number(value));
+}
+
+const REQUEST_TYPE_CHECKS = {
+  // Снимки истории хранят даты объектами Date
+  string: (value, schema) => typeof value === 'string' || (schema.format === 'date-time' && value instanceof Date),
+  integer: value => isNumeric(value) && Number.isInteger(Number(value)),
+  number: value => isNumeric(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+};
+
+const TYPE_NAMES = {
+  string: 'строкой',
+  integer: 'целым числом',
+  number: 'числом',
+  boolean: 'true или false',
+  array: 'массивом',
+  object: 'объектом'
+};
+
+const DEFAULT_MESSAGES = {
+  required: (schema, field) => `Поле "${field}" обязательно`,
+  type: (schema, field) => `Поле "${field}" должно быть ${TYPE_NAMES[[].concat(schema.type)[0]]}`,
+  enum: (schema, field) => `Поле "${field}" должно быть одним из: ${schema.enum.join(', ')}`,
+  minLength: (schema, field) => `Поле "${field}" не может быть пустым`,
+  maxLength: (schema, field) => `Поле "${field}" не может быть длиннее ${schema.maxLength} символов`,
+  maxItems: (schema, field) => `В поле "${field}" не больше ${schema.maxItems} элементов`,
+  minimum: (schema, field) => `Поле "${field}" не может быть меньше ${schema.minimum}`,
+  maximum: (schema, field) => `Поле "${field}" не может быть больше ${schema.maximum}`,
+  pattern: (schema, field) => `Поле "${field}" имеет неверный формат`,
+  format: (schema, field) => `Поле "${field}" имеет неверный формат`
+};
+
+// Пустое значение: null, а для нестроковых полей еще и "" (пустое поле формы)
+function isEmptyValue(value, types) {
+  return value === null || (value === '' && !types.includes('string'));
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || (typeof value === 'string' && !value.trim());
+}
+
+/**
+ * Проверяет тело запроса по JSON Schema (подмножество: type, required, properties,
+ * items, enum, minLength, maxLength, maxItems, minimum, maximum, pattern, format).
+ * Длина строк считается без пробелов по краям, неизвестные поля не проверяются.
+ * Возвращает ошибки [{ field, code, message }], code - нарушенное ключевое слово схемы.
+ * Options:
+ *   partial  - частичное обновление: не переданные обязательные поля не ошибка
+ *   formats  - проверки значений format: { имя: value => boolean }
+ *   messages - свои тексты ошибок по полю ('year', 'tags[]', 'readingSessions[].date')
+ *              или по полю и правилу ('genre.enum'): строка или функция (schema, field)
+ *   path     - префикс имен полей в ошибках
+ */
+function validateRequest(schema, value, options = {}) {
+  const errors = [];
+  checkRequestValue(schema, value, {
+    options,
+    errors,
+    field: options.path || '',
+    key: '',
+    root: true
+  });
+  return errors;
+}
+
+function reportRequestError(context, schema, code) {
+  const { options, errors, field, key } = context;
+  const message = options.messages?.[`${key}.${code}`] ?? options.messages?.[key] ?? DEFAULT_MESSAGES[code];
+  errors.push(fieldError(field || null, code, typeof message === 'function' ? message(schema, field) : message));
+}
+
+function childContext(context, name, index = null) {
+  const { field, key } = context;
+  if (index !== null) {
+    return { ...context, field: `${field}[${index}]`, key: `${key}[]`, root: false };
+  }
+  return {
+    ...context,
+    field: field ? `${field}.${name}` : name,
+    key: key ? `${key}.${name}` : name,
+    root: false
+  };
+}
+
+function checkRequestValue(schema, value, context) {
+  const types = [].concat(schema.type || []);
+  if (isEmptyValue(value, types)) {
+    if (!types.includes('null')) reportRequestError(context, schema, 'type');
+    return;
+  }
+
+  const type = types.find(name => name !== 'null' && REQUEST_TYPE_CHECKS[name](value, schema));
+  if (types.length > 0 && !type) {
+    reportRequestError(context, schema, 'type');
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    reportRequestError(context, schema, 'enum');
+    return;
+  }
+
+  if (type === 'string' && typeof value === 'string') {
+    const text = value.trim();
+    if (schema.minLength !== undefined && text.length < schema.minLength) {
+      reportRequestError(context, schema, 'minLength');
+    } else if (schema.maxLength !== undefined && text.length > schema.maxLength) {
+      reportRequestError(context, schema, 'maxLength');
+    } else if (text && schema.pattern && !new RegExp(schema.pattern).test(text)) {
+      reportRequestError(context, schema, 'pattern');
+    }
+  }
+  if (schema.format && (typeof value !== 'string' || value.trim())) {
+    const check = context.options.formats?.[schema.format];
+    if (check && !check(value)) reportRequestError(context, schema, 'format');
+  }
+
+  if (type === 'integer' || type === 'number') {
+    const number = Number(value);
+    if (schema.minimum !== undefined && number < schema.minimum) {
+      reportRequestError(context, schema, 'minimum');
+    } else if (schema.maximum !== undefined && number > schema.maximum) {
+      reportRequestError(context, schema, 'maximum');
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      reportRequestError(context, schema, 'maxItems');
+    } else if (schema.items) {
+      value.forEach((item, index) => checkRequestValue(schema.items, item, childContext(context, null, index)));
+    }
+  }
+
+  if (type === 'object') {
+    const required = schema.required || [];
+    Object.entries(schema.properties || {}).forEach(([name, property]) => {
+      const child = childContext(context, name);
+      const item = value[name];
+      if (required.includes(name) && isMissing(item)) {
+        // При частичном обновлении обязательное поле можно не передавать, но не очистить
+        if (!(context.root && context.options.partial && item === undefined)) {
+          reportRequestError(child, property, 'required');
+        }
+        return;
+      }
+      if (item !== undefined) checkRequestValue(property, item, child);
+    });
+  }
+}
+
+module.exports = {
+  BOOK_SCHEMA,
+  BOOK_VALIDATOR_OPTIONS,
+  applyBookValidator,
+  validateDocument,
+  validateRequest
+};
@@ -0,0 +1,47 @@
+const { sendError, sendValidationError, fieldError } = require('./utils');
+
+// ===========================
+// SECURITY
+// ===========================
+
+/**
+ * Content-Security-Policy: скрипты только с нашего сервера и без инлайновых
+ * обработчиков, картинки - свои, data:/blob: (превью обложки) и внешние обложки по http(s).
+ * Инлайновые стили разрешены: интерфейс задает style у прогресс-баров и графиков.
+ */
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data: blob: http: https:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'"
+].join('; ');
+
+function securityHeaders(req, res, next) {
+  res.setHeader('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  next();
+}
+
+// Ошибки разбора тела запроса (express.json) - в том же виде, что и остальные ответы API
+function createBodyErrorHandler(limit) {
+  return (error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+      return sendError(res, 413, `Тело запроса больше ${limit}`);
+    }
+    if (error.type === 'entity.parse.failed') {
+      return sendValidationError(res, [fieldError(null, 'format', 'Тело запроса не является корректным JSON')]);
+    }
+    next(error);
+  };
+}
+
+module.exports = {
+  CONTENT_SECURITY_POLICY,
+  securityHeaders,
+  createBodyErrorHandler
+};
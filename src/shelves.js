@@ -0,0 +1,116 @@
+const { ObjectId } = require('mongodb');
+const { isBlank, isValidObjectId, fieldError } = require('./utils');
+
+// ===========================
+// SHELVES
+// ===========================
+
+const MAX_SHELF_NAME_LENGTH = 60;
+const MAX_SHELF_DESCRIPTION_LENGTH = 500;
+
+function validateShelf(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate || data.name !== undefined) {
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      errors.push(fieldError('name', 'required', 'Название полки обязательно'));
+    } else if (data.name.trim().length > MAX_SHELF_NAME_LENGTH) {
+      errors.push(fieldError('name', 'maxLength', `Название полки не длиннее ${MAX_SHELF_NAME_LENGTH} символов`));
+    }
+  }
+  if (!isBlank(data.description)) {
+    if (typeof data.description !== 'string') {
+      errors.push(fieldError('description', 'type', 'Описание полки должно быть строкой'));
+    } else if (data.description.length > MAX_SHELF_DESCRIPTION_LENGTH) {
+      errors.push(fieldError('description', 'maxLength', `Описание полки не длиннее ${MAX_SHELF_DESCRIPTION_LENGTH} символов`));
+    }
+  }
+
+  return errors;
+}
+
+async function findShelf(ctx, shelfId, ownerId) {
+  if (!isValidObjectId(shelfId)) return null;
+  return ctx.shelvesCollection.findOne({ _id: new ObjectId(shelfId), ownerId });
+}
+
+/**
+ * Книги из корзины остаются на полке (после восстановления вернутся на свое место),
+ * но в ответе показываются только активные: bookIds в порядке полки и bookCount
+ */
+async function withActiveBooks(ctx, shelves, ownerId) {
+  const allIds = shelves.flatMap(shelf => shelf.bookIds);
+  const active = allIds.length > 0
+    ? await ctx.booksCollection.distinct('_id', { ownerId, deletedAt: null, _id: { $in: allIds } })
+    : [];
+  const activeIds = new Set(active.map(id => id.toString()));
+
+  return shelves.map(shelf => {
+    const bookIds = shelf.bookIds.filter(id => activeIds.has(id.toString()));
+    return { ...shelf, bookIds, bookCount: bookIds.length };
+  });
+}
+
+// Окончательно удаленные книги убираем со всех полок
+function removeBooksFromShelves(ctx, ownerId, bookIds) {
+  return ctx.shelvesCollection.updateMany(
+    { ownerId, bookIds: { $in: bookIds } },
+    { $pull: { bookIds: { $in: bookIds } } }
+  );
+}
+
+// Убирает с полок книги, которых больше нет (например, после TTL-очистки корзины)
+async function cleanupOrphanShelfEntries(ctx) {
+  try {
+    const bookIds = await ctx.shelvesCollection.distinct('bookIds');
+    if (bookIds.length === 0) return;
+
+    const existing = await ctx.booksCollection.distinct('_id', { _id: { $in: bookIds } });
+    const existingIds = new Set(existing.map(id => id.toString()));
+    const orphans = bookIds.filter(id => !existingIds.has(id.toString()));
+    if (orphans.length === 0) return;
+
+    await ctx.shelvesCollection.updateMany(
+      { bookIds: { $in: orphans } },
+      { $pull: { bookIds: { $in: orphans } } }
+    );
+    console.log(`🧹 Убрано с полок книг, которых больше нет: ${orphans.length}`);
+  } catch (error) {
+    console.error('Ошибка при очистке полок:', error);
+  }
+}
+
+/**
+ * После объединения дубликатов основная книга встает на место первого из них
+ * на каждой полке, где ее еще не было. Сами дубликаты остаются на полке,
+ * как и любые книги в корзине. session - транзакция объединения, если она есть
+ */
+async function replaceBooksOnShelves(ctx, ownerId, fromIds, toId, session) {
+  const shelves = await ctx.shelvesCollection
+    .find({ ownerId, bookIds: { $in: fromIds } }, { session })
+    .toArray();
+  const from = new Set(fromIds.map(id => id.toString()));
+
+  for (const shelf of shelves) {
+    if (shelf.bookIds.some(id => id.equals(toId))) continue;
+    const position = shelf.bookIds.findIndex(id => from.has(id.toString()));
+    const bookIds = [...shelf.bookIds];
+    bookIds.splice(position, 0, toId);
+    await ctx.shelvesCollection.updateOne(
+      { _id: shelf._id },
+      { $set: { bookIds, updatedAt: new Date() } },
+      { session }
+    );
+  }
+}
+
+module.exports = {
+  MAX_SHELF_NAME_LENGTH,
+  MAX_SHELF_DESCRIPTION_LENGTH,
+  validateShelf,
+  findShelf,
+  withActiveBooks,
+  removeBooksFromShelves,
+  cleanupOrphanShelfEntries,
+  replaceBooksOnShelves
+};
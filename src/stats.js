@@ -0,0 +1,45 @@
+// ===========================
+// STATS HELPERS
+// ===========================
+
+const DEFAULT_STATS_MONTHS = 12;
+const MAX_STATS_MONTHS = 60;
+const TOP_AUTHORS_LIMIT = 10;
+
+// Ключи 'YYYY-MM' за последние months месяцев (UTC), от старых к новым
+function lastMonthKeys(months) {
+  const keys = [];
+  const now = new Date();
+  for (let i = months - 1; i >= 0; i--) {
+    const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+    keys.push(date.toISOString().slice(0, 7));
+  }
+  return keys;
+}
+
+// Заполняет пропущенные месяцы нулями, чтобы на графике не было дыр
+function fillMonths(keys, rows) {
+  const counts = new Map(rows.map(row => [row._id, row.count]));
+  return keys.map(month => ({ month, count: counts.get(month) || 0 }));
+}
+
+function monthlyPipeline(field, since) {
+  return [
+    { $match: { [field]: { $gte: since } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m', date: `$${field}` } },
+        count: { $sum: 1 }
+      }
+    }
+  ];
+}
+
+module.exports = {
+  DEFAULT_STATS_MONTHS,
+  MAX_STATS_MONTHS,
+  TOP_AUTHORS_LIMIT,
+  lastMonthKeys,
+  fillMonths,
+  monthlyPipeline
+};
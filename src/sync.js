@@ -0,0 +1,181 @@
+const { EventEmitter } = require('events');
+
+// ===========================
+// BOOK SYNC
+// ===========================
+
+// Опрос перечитывает последнюю секунду: запись с более ранним updatedAt
+// могла завершиться уже после прошлого опроса
+const POLL_LOOKBACK_MS = 1000;
+
+// Событие для клиента по актуальному состоянию книги: из корзины книга пропадает из списка
+function toBookEvent(book) {
+  return book.deletedAt
+    ? { action: 'delete', bookId: book._id }
+    : { action: 'upsert', book };
+}
+
+/**
+ * Источник изменений книг для открытых вкладок. Изменения берутся из change stream
+ * MongoDB (нужен replica set или Atlas); на standalone-сервере или при
+ * SYNC_MODE=poll - опросом по полю updatedAt раз в SYNC_POLL_MS.
+ * Подписчики получают только книги своего владельца.
+ */
+function createBookSync(ctx) {
+  const { booksCollection, config } = ctx;
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  let stream = null;
+  let timer = null;
+  let stopped = false;
+
+  const sync = {
+    mode: null,
+
+    subscribe(ownerId, listener) {
+      const key = ownerId.toString();
+      emitter.on(key, listener);
+      return () => emitter.off(key, listener);
+    },
+
+    // Завершается, когда change stream открылся или синхронизация перешла на опрос
+    // (в том числе если поток не открылся за SYNC_OPEN_TIMEOUT_MS): до этого mode - 'pending'
+    async start() {
+      stopped = false;
+      if (config.syncMode === 'poll') {
+        return startPolling();
+      }
+      sync.mode = 'pending';
+      try {
+        await startChangeStream();
+      } catch (error) {
+        await fallBackToPolling(error);
+      }
+    },
+
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      if (stream) {
+        await stream.close().catch(() => {});
+        stream = null;
+      }
+    }
+  };
+
+  function publish(book) {
+    if (!book?.ownerId) return;
+    emitter.emit(book.ownerId.toString(), toBookEvent(book));
+  }
+
+  // При переоткрытии потока mode остается прежним, пока новый поток не откроется или не упадет
+  function startChangeStream() {
+    const current = booksCollection.watch(
+      [{ $match: { operationType: { $in: ['insert', 'update', 'replace'] } } }],
+      { fullDocument: 'updateLookup' }
+    );
+    stream = current;
+
+    return new Promise(resolve => {
+      // Прокси может держать запрос без ответа и без ошибки: ждем открытия не вечно
+      const openTimer = setTimeout(() => {
+        if (stream === current) {
+          abandon(new Error(`поток не открылся за ${config.syncOpenTimeoutMs} мс`));
+        }
+      }, config.syncOpenTimeoutMs);
+
+      async function abandon(error) {
+        clearTimeout(openTimer);
+        stream = null;
+        current.close().catch(() => {});
+        if (!stopped) await fallBackToPolling(error);
+        resolve();
+      }
+
+      current.on('change', change => publish(change.fullDocument));
+      // Первый resume token приходит с ответом сервера на открытие потока:
+      // только теперь ясно, что change streams работают
+      current.once('resumeTokenChanged', () => {
+        if (stream !== current) return;
+        clearTimeout(openTimer);
+        sync.mode = 'changeStream';
+        resolve();
+      });
+      // Замена коллекции книг (восстановление архива в режиме replace переименовывает
+      // коллекции) закрывает поток событием invalidate - открываем новый
+      current.once('close', () => {
+        clearTimeout(openTimer);
+        if (stream === current && !stopped) startChangeStream();
+        resolve();
+      });
+      // Драйвер сам переподключается после временных ошибок, сюда доходят
+      // только неустранимые - например, standalone-сервер без change streams
+      current.once('error', error => {
+        if (stream === current) abandon(error);
+      });
+    });
+  }
+
+  async function fallBackToPolling(error) {
+    console.warn(`⚠️  Change streams недоступны (${error.message}), синхронизация опросом`);
+    try {
+      await startPolling();
+    } catch (pollError) {
+      console.error('Ошибка запуска синхронизации:', pollError);
+    }
+  }
+
+  async function startPolling() {
+    sync.mode = 'polling';
+    const [latest] = await booksCollection
+      .find({ updatedAt: { $ne: null } }, { projection: { updatedAt: 1 } })
+      .sort({ updatedAt: -1 })
+      .limit(1)
+      .toArray();
+    let since = latest ? latest.updatedAt.getTime() : 0;
+    // _id -> updatedAt уже разосланных книг внутри окна POLL_LOOKBACK_MS
+    const seen = new Map();
+
+    async function poll(silent) {
+      const books = await booksCollection
+        .find({ updatedAt: { $gte: new Date(since - POLL_LOOKBACK_MS) } })
+        .sort({ updatedAt: 1 })
+        .toArray();
+
+      for (const book of books) {
+        const id = book._id.toString();
+        const time = book.updatedAt.getTime();
+        if (seen.get(id) === time) continue;
+
+        seen.set(id, time);
+        since = Math.max(since, time);
+        if (!silent) publish(book);
+      }
+      for (const [id, time] of seen) {
+        if (time < since - POLL_LOOKBACK_MS) seen.delete(id);
+      }
+    }
+
+    function schedule() {
+      if (stopped) return;
+      timer = setTimeout(async () => {
+        try {
+          await poll(false);
+        } catch (error) {
+          console.error('Ошибка опроса изменений книг:', error);
+        }
+        schedule();
+      }, config.syncPollMs);
+      timer.unref();
+    }
+
+    // Первый проход только запоминает уже существующие изменения
+    await poll(true);
+    schedule();
+  }
+
+  return sync;
+}
+
+module.exports = { toBookEvent, createBookSync };
@@ -0,0 +1,26 @@
+// ===========================
+// TEXT
+// ===========================
+
+// Грубая основа слова: отрезаем частые окончания, чтобы "роман" и "романа" совпали
+const WORD_ENDINGS = [
+  'ами', 'ями', 'ого', 'его', 'ому', 'ему', 'ыми', 'ими', 'ов', 'ев', 'ей', 'ой', 'ий',
+  'ый', 'ая', 'яя', 'ое', 'ее', 'ые', 'ие', 'ом', 'ем', 'ах', 'ях', 'ам', 'ям',
+  'а', 'я', 'о', 'е', 'ы', 'и', 'у', 'ю', 'ь', 's'
+];
+
+function stem(word) {
+  const ending = WORD_ENDINGS.find(item => word.endsWith(item) && word.length - item.length >= 3);
+  return ending ? word.slice(0, -ending.length) : word;
+}
+
+// Слова текста в нижнем регистре, ё -> е
+function splitWords(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+module.exports = { stem, splitWords };
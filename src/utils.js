@@ -0,0 +1,109 @@
+const { ObjectId } = require('mongodb');
+
+// ===========================
+// HELPER FUNCTIONS
+// ===========================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Дата не из будущего (сутки запаса - на разницу часовых поясов)
+function parsePastDate(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime()) || date.getTime() > Date.now() + DAY_MS) {
+    return null;
+  }
+  return date;
+}
+
+function isValidObjectId(id) {
+  return ObjectId.isValid(id);
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Дата окончательного удаления книги из корзины
+function trashPurgeDate(deletedAt, retentionDays) {
+  return new Date(deletedAt.getTime() + retentionDays * DAY_MS);
+}
+
+// ===========================
+// ERROR RESPONSES
+// ===========================
+
+// Код ошибки в каждом ответе: клиенту не нужно разбирать текст message
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  500: 'INTERNAL_ERROR'
+};
+
+const VALIDATION_ERROR = 'VALIDATION_ERROR';
+
+function errorCode(status) {
+  return ERROR_CODES[status] || (status >= 500 ? ERROR_CODES[500] : ERROR_CODES[400]);
+}
+
+// { code, message, error? }
+function sendError(res, status, message, error = null) {
+  const response = { code: errorCode(status), message };
+  if (error) {
+    response.error = error.message || error;
+  }
+  res.status(status).json(response);
+}
+
+/**
+ * Ошибка в конкретном поле запроса: field - имя поля ("year", "readingSessions[0].date")
+ * или null, code - нарушенное правило (ключевое слово схемы: required, type, maxLength...)
+ */
+function fieldError(field, code, message) {
+  return { field, code, message };
+}
+
+// { code: 'VALIDATION_ERROR', message, errors: [{ field, code, message }] }
+function sendValidationError(res, errors, message = 'Ошибка валидации', status = 400) {
+  res.status(status).json({ code: VALIDATION_ERROR, message, errors });
+}
+
+// Ошибка multer при загрузке файла в поле field: превышение размера или прочее
+function uploadError(error, field, tooLargeMessage) {
+  return error.code === 'LIMIT_FILE_SIZE'
+    ? fieldError(field, 'maxLength', tooLargeMessage)
+    : fieldError(error.field || field, 'invalid', `Ошибка загрузки файла: ${error.message}`);
+}
+
+// Неверный ObjectId в параметре пути или теле: { field, code: 'pattern' }
+function sendInvalidId(res, field = 'id') {
+  sendValidationError(res, [fieldError(field, 'pattern', 'Неверный формат ID')]);
+}
+
+module.exports = {
+  DAY_MS,
+  isBlank,
+  parsePastDate,
+  isValidObjectId,
+  ERROR_CODES,
+  VALIDATION_ERROR,
+  sendError,
+  fieldError,
+  sendValidationError,
+  sendInvalidId,
+  uploadError,
+  escapeHtml,
+  trashPurgeDate
+};
@@ -0,0 +1,374 @@
+const { ObjectId } = require('mongodb');
+const { isBlank, parsePastDate, isValidObjectId, fieldError } = require('./utils');
+const { validateRequest } = require('./schema');
+
+// ===========================
+// BOOK VALIDATION
+// ===========================
+
+// Стартовый набор жанров для новой библиотеки, дальше жанры живут в коллекции genres
+const DEFAULT_GENRES = [
+  'Фантастика', 'Детектив', 'Роман', 'Классика',
+  'Научпоп', 'Фэнтези', 'Триллер', 'Биография',
+  'История', 'Другое'
+];
+
+const MAX_GENRE_LENGTH = 50;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+const MAX_PAGES = 100000;
+
+// Максимальная длина строковых полей книги (после trim)
+const BOOK_FIELD_LIMITS = {
+  title: 500,
+  author: 300,
+  description: 10000,
+  notes: 20000,
+  coverUrl: 2048
+};
+
+// Внешняя обложка подставляется в <img src>, поэтому разрешены только http(s)
+const COVER_URL_PROTOCOLS = ['http:', 'https:'];
+
+function isValidCoverUrl(value) {
+  try {
+    return COVER_URL_PROTOCOLS.includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function isbn13CheckDigit(digits) {
+  const sum = [...digits].reduce(
+    (total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3),
+    0
+  );
+  return String((10 - sum % 10) % 10);
+}
+
+function isValidIsbn10(isbn) {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+  const sum = [...isbn].reduce(
+    (total, char, index) => total + (char === 'X' ? 10 : Number(char)) * (10 - index),
+    0
+  );
+  return sum % 11 === 0;
+}
+
+/**
+ * Проверяет ISBN-10 или ISBN-13 (с дефисами и пробелами) и возвращает его
+ * в виде ISBN-13 из одних цифр, либо null, если контрольная цифра не сходится.
+ * Книга с ISBN-10 и та же книга с ISBN-13 получают одинаковое значение.
+ */
+function normalizeIsbn(value) {
+  const isbn = String(value ?? '').replace(/[\s-]/g, '').toUpperCase();
+
+  if (isValidIsbn10(isbn)) {
+    const digits = '978' + isbn.slice(0, 9);
+    return digits + isbn13CheckDigit(digits);
+  }
+  if (/^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12]) {
+    return isbn;
+  }
+  return null;
+}
+
+// ===========================
+// BOOK SCHEMA
+// ===========================
+
+const READING_SESSION_SCHEMA = {
+  type: 'object',
+  required: ['pagesRead'],
+  properties: {
+    date: { type: 'string', format: 'date-time', description: 'Дата сессии, не из будущего (по умолчанию - сейчас)' },
+    pagesRead: { type: 'integer', minimum: 1, maximum: MAX_PAGES, description: 'Прочитано страниц' }
+  }
+};
+
+/**
+ * Схема книги в теле POST и PUT /api/books - единственное описание полей:
+ * по ней проверяет validateBook и из нее собирается /api/openapi.json.
+ * genres - жанры библиотеки (enum поля genre), без них жанр - любая строка
+ */
+function bookSchema({ genres = null, currentYear = new Date().getFullYear() } = {}) {
+  return {
+    type: 'object',
+    required: ['title', 'author', 'genre'],
+    properties: {
+      title: { type: 'string', maxLength: BOOK_FIELD_LIMITS.title, description: 'Название' },
+      author: { type: 'string', maxLength: BOOK_FIELD_LIMITS.author, description: 'Автор' },
+      genre: {
+        type: 'string',
+        ...(genres ? { enum: genres } : {}),
+        description: 'Жанр - одно из названий из GET /api/genres'
+      },
+      isbn: {
+        type: ['string', 'integer', 'null'],
+        format: 'isbn',
+        description: 'ISBN-10 или ISBN-13 с верной контрольной цифрой, дефисы и пробелы допускаются. Хранится как ISBN-13',
+        examples: ['978-5-17-090630-6']
+      },
+      tags: {
+        type: 'array',
+        maxItems: MAX_TAGS,
+        items: { type: 'string', minLength: 1, maxLength: MAX_TAG_LENGTH },
+        description: 'Теги, повторы без учета регистра убираются'
+      },
+      year: { type: ['integer', 'null'], minimum: 1000, maximum: currentYear, description: 'Год издания' },
+      description: { type: ['string', 'null'], maxLength: BOOK_FIELD_LIMITS.description, description: 'Описание' },
+      isRead: {
+        type: 'boolean',
+        description: 'Прочитана. Если известно totalPages, вычисляется из currentPage'
+      },
+      rating: { type: 'number', minimum: 0, maximum: 5, description: 'Оценка' },
+      notes: { type: ['string', 'null'], maxLength: BOOK_FIELD_LIMITS.notes, description: 'Заметки' },
+      coverUrl: {
+        type: ['string', 'null'],
+        format: 'uri',
+        maxLength: BOOK_FIELD_LIMITS.coverUrl,
+        description: 'Ссылка на обложку, только http:// или https://'
+      },
+      totalPages: { type: ['integer', 'null'], minimum: 1, maximum: MAX_PAGES, description: 'Страниц в книге' },
+      currentPage: { type: ['integer', 'null'], minimum: 0, description: 'Текущая страница, не больше totalPages' },
+      startedAt: { type: ['string', 'null'], format: 'date-time', description: 'Начало чтения, не из будущего' },
+      finishedAt: {
+        type: ['string', 'null'],
+        format: 'date-time',
+        description: 'Окончание чтения, не из будущего и не раньше startedAt'
+      },
+      readingSessions: { type: 'array', items: READING_SESSION_SCHEMA, description: 'Журнал сессий чтения' }
+    }
+  };
+}
+
+// Проверки значений format из схемы
+const BOOK_FORMATS = {
+  isbn: value => Boolean(normalizeIsbn(value)),
+  uri: value => isValidCoverUrl(String(value).trim()),
+  'date-time': value => Boolean(parsePastDate(value))
+};
+
+const READING_SESSION_MESSAGES = {
+  '': 'Сессия чтения должна быть объектом { date, pagesRead }',
+  date: 'Дата сессии чтения должна быть корректной и не из будущего',
+  pagesRead: `Количество прочитанных страниц должно быть целым числом от 1 до ${MAX_PAGES}`
+};
+
+// Тексты ошибок по полям (остальные - общие тексты validateRequest)
+const BOOK_MESSAGES = {
+  'genre.enum': schema => `Жанр должен быть одним из: ${schema.enum.join(', ')}`,
+  isbn: 'ISBN должен быть корректным ISBN-10 или ISBN-13 (проверьте контрольную цифру)',
+  'tags.type': 'Поле "tags" должно быть массивом строк',
+  'tags.maxItems': `Не больше ${MAX_TAGS} тегов у книги`,
+  'tags[]': `Тег должен быть непустой строкой до ${MAX_TAG_LENGTH} символов`,
+  year: schema => `Год должен быть между ${schema.minimum} и ${schema.maximum}`,
+  rating: 'Рейтинг должен быть между 0 и 5',
+  'coverUrl.format': 'Ссылка на обложку должна начинаться с http:// или https://',
+  totalPages: `Количество страниц должно быть целым числом от 1 до ${MAX_PAGES}`,
+  currentPage: 'Текущая страница должна быть неотрицательным целым числом',
+  startedAt: 'Поле "startedAt" должно быть корректной датой не из будущего',
+  finishedAt: 'Поле "finishedAt" должно быть корректной датой не из будущего',
+  'readingSessions[]': READING_SESSION_MESSAGES[''],
+  'readingSessions[].date': READING_SESSION_MESSAGES.date,
+  'readingSessions[].pagesRead': READING_SESSION_MESSAGES.pagesRead
+};
+
+// ===========================
+// DATA VALIDATION
+// ===========================
+
+// path - имя сессии в ошибках, если она часть другого запроса
+function validateReadingSession(session, path = '') {
+  return validateRequest(READING_SESSION_SCHEMA, session, {
+    path,
+    formats: BOOK_FORMATS,
+    messages: READING_SESSION_MESSAGES
+  });
+}
+
+// Дата чтения после изменения: новая из запроса или сохраненная (null - не задана или неверна)
+function readingDate(bookData, existing, field) {
+  if (bookData[field] === undefined) return existing?.[field] ?? null;
+  return isBlank(bookData[field]) ? null : parsePastDate(bookData[field]);
+}
+
+/**
+ * Проверяет книгу по bookSchema. Возвращает ошибки [{ field, code, message }].
+ * Options:
+ *   genres   - названия жанров библиотеки (из коллекции genres)
+ *   existing - текущая версия книги при обновлении: нужна, чтобы проверить
+ *              currentPage и даты относительно уже сохраненных значений
+ */
+function validateBook(bookData, isUpdate = false, { genres = DEFAULT_GENRES, existing = null } = {}) {
+  const errors = validateRequest(bookSchema({ genres }), bookData, {
+    partial: isUpdate,
+    formats: BOOK_FORMATS,
+    messages: BOOK_MESSAGES
+  });
+  const invalid = new Set(errors.map(error => error.field));
+
+  // Правила, которые связывают несколько полей или сохраненную версию книги
+  if (!isBlank(bookData.currentPage) && !invalid.has('currentPage')) {
+    const totalPages = Number(
+      bookData.totalPages !== undefined ? bookData.totalPages : existing?.totalPages
+    );
+    if (totalPages > 0 && Number(bookData.currentPage) > totalPages) {
+      errors.push(fieldError('currentPage', 'maximum', 'Текущая страница не может быть больше количества страниц'));
+    }
+  }
+
+  const startedAt = readingDate(bookData, existing, 'startedAt');
+  const finishedAt = readingDate(bookData, existing, 'finishedAt');
+  if (startedAt && finishedAt && finishedAt < startedAt) {
+    errors.push(fieldError('finishedAt', 'minimum', 'Дата окончания чтения не может быть раньше даты начала'));
+  }
+
+  return errors;
+}
+
+// ===========================
+// DATA PREPARATION
+// ===========================
+
+function prepareBookData(bookData, isUpdate = false, ownerId = null) {
+  const prepared = {};
+
+  // Строковые поля (с trim)
+  const stringFields = ['title', 'author', 'description', 'notes', 'coverUrl'];
+  stringFields.forEach(field => {
+    if (bookData[field] !== undefined) {
+      prepared[field] = (bookData[field] ?? '').trim();
+    }
+  });
+
+  // ISBN хранится нормализованным ISBN-13 (пустое значение при обновлении очищает поле)
+  if (!isBlank(bookData.isbn)) {
+    prepared.isbn = normalizeIsbn(bookData.isbn);
+  } else if (bookData.isbn !== undefined && isUpdate) {
+    prepared.isbn = null;
+  }
+
+  // Жанр (без trim, так как из выпадающего списка)
+  if (bookData.genre !== undefined) {
+    prepared.genre = bookData.genre;
+  }
+
+  // Теги: без пробелов по краям и без повторов (без учета регистра)
+  if (bookData.tags !== undefined) {
+    const seen = new Set();
+    prepared.tags = bookData.tags
+      .map(tag => tag.trim())
+      .filter(tag => {
+        const key = tag.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  } else if (!isUpdate) {
+    prepared.tags = [];
+  }
+
+  // Числовые поля
+  if (bookData.year !== undefined && bookData.year !== '') {
+    prepared.year = bookData.year === null ? null : parseInt(bookData.year);
+  }
+  if (bookData.rating !== undefined) {
+    prepared.rating = parseFloat(bookData.rating) || 0;
+  }
+
+  // Прогресс чтения (пустое значение при обновлении очищает поле)
+  ['totalPages', 'currentPage', 'startedAt', 'finishedAt'].forEach(field => {
+    if (bookData[field] === undefined) return;
+
+    if (!isBlank(bookData[field])) {
+      prepared[field] = field.endsWith('At')
+        ? new Date(bookData[field])
+        : parseInt(bookData[field]);
+    } else if (isUpdate) {
+      prepared[field] = null;
+    }
+  });
+  if (bookData.readingSessions !== undefined) {
+    prepared.readingSessions = bookData.readingSessions.map(prepareReadingSession);
+  } else if (!isUpdate) {
+    prepared.readingSessions = [];
+  }
+
+  // Boolean поля
+  if (bookData.isRead !== undefined) {
+    prepared.isRead = Boolean(bookData.isRead);
+  } else if (!isUpdate) {
+    prepared.isRead = false;
+  }
+
+  // Владелец, даты и первая версия (только для новых документов)
+  if (!isUpdate) {
+    prepared.ownerId = ownerId;
+    prepared.dateAdded = new Date();
+    prepared.updatedAt = prepared.dateAdded;
+    prepared.version = 1;
+  }
+
+  return prepared;
+}
+
+function prepareReadingSession(session) {
+  return {
+    _id: isValidObjectId(session._id) ? new ObjectId(session._id) : new ObjectId(),
+    date: isBlank(session.date) ? new Date() : new Date(session.date),
+    pagesRead: parseInt(session.pagesRead)
+  };
+}
+
+/**
+ * Если известно число страниц, статус "прочитана" вычисляется из прогресса:
+ * currentPage >= totalPages. Заодно проставляются даты начала и окончания.
+ * existing - сохраненная версия книги при обновлении.
+ */
+function applyReadingProgress(prepared, bookData, existing = null) {
+  const pick = field => (prepared[field] !== undefined ? prepared[field] : existing?.[field]);
+  const totalPages = pick('totalPages');
+
+  // Без количества страниц статус задается вручную, как раньше
+  if (!totalPages) return prepared;
+
+  let currentPage = Math.min(pick('currentPage') || 0, totalPages);
+
+  // Отметка "прочитана" без указания страницы - книга дочитана до конца
+  if (bookData.isRead === true && bookData.currentPage === undefined) {
+    currentPage = totalPages;
+  }
+
+  prepared.currentPage = currentPage;
+  prepared.isRead = currentPage >= totalPages;
+
+  if (currentPage > 0 && !pick('startedAt')) {
+    prepared.startedAt = new Date();
+  }
+  if (prepared.isRead && !pick('finishedAt')) {
+    prepared.finishedAt = new Date();
+  } else if (!prepared.isRead && bookData.finishedAt === undefined && existing?.finishedAt) {
+    prepared.finishedAt = null;
+  }
+
+  return prepared;
+}
+
+module.exports = {
+  DEFAULT_GENRES,
+  MAX_GENRE_LENGTH,
+  MAX_TAGS,
+  MAX_PAGES,
+  BOOK_FIELD_LIMITS,
+  READING_SESSION_SCHEMA,
+  bookSchema,
+  isValidCoverUrl,
+  normalizeIsbn,
+  validateReadingSession,
+  validateBook,
+  prepareBookData,
+  prepareReadingSession,
+  applyReadingProgress
+};
@@ -0,0 +1,69 @@
+const { isBlank, sendError } = require('./utils');
+
+// ===========================
+// BOOK VERSIONS (OPTIMISTIC CONCURRENCY)
+// ===========================
+
+const CONFLICT_MESSAGE = 'Книгу изменили в другом окне, обновите данные и повторите';
+const VERSION_CONFLICT = 'VERSION_CONFLICT';
+
+// Книги, созданные до появления поля version, считаются версией 0
+function bookVersion(book) {
+  return book.version || 0;
+}
+
+function bookEtag(book) {
+  return `"${bookVersion(book)}"`;
+}
+
+// Условие "книга все еще в той версии, которую мы прочитали"
+function versionFilter(version) {
+  return version === 0 ? { version: { $in: [null, 0] } } : { version };
+}
+
+// Версия, с которой работал клиент: заголовок If-Match ("3", W/"3") или поле version в теле.
+// null - клиент версию не передал (или передал If-Match: *), проверка не нужна;
+// NaN - значение не разобрать
+function expectedVersion(req) {
+  const header = req.get('If-Match');
+  if (!isBlank(header)) {
+    const value = header.trim();
+    if (value === '*') return null;
+    const match = value.match(/^(?:W\/)?"(\d+)"$/);
+    return match ? parseInt(match[1]) : NaN;
+  }
+
+  const version = req.body?.version;
+  if (isBlank(version)) return null;
+  return Number.isInteger(Number(version)) && Number(version) >= 0 ? Number(version) : NaN;
+}
+
+// 409 с актуальной версией книги, чтобы клиент мог показать ее и повторить запрос
+function sendVersionConflict(res, book) {
+  res.set('ETag', bookEtag(book));
+  return res.status(409).json({
+    code: VERSION_CONFLICT,
+    message: CONFLICT_MESSAGE,
+    book
+  });
+}
+
+// Условная запись не нашла книгу: ее либо удалили (404), либо изменили (409)
+async function sendUpdateMiss(ctx, res, filter) {
+  const current = await ctx.booksCollection.findOne(filter);
+  if (!current) {
+    return sendError(res, 404, 'Книга не найдена');
+  }
+  return sendVersionConflict(res, current);
+}
+
+module.exports = {
+  CONFLICT_MESSAGE,
+  VERSION_CONFLICT,
+  bookVersion,
+  bookEtag,
+  versionFilter,
+  expectedVersion,
+  sendVersionConflict,
+  sendUpdateMiss
+};
@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { PASSWORD, createTestApp, registerUser, createBook } = require('./support/app');
+
+describe('auth', () => {
+  let testApp;
+  let app;
+
+  before(async () => {
+    testApp = await createTestApp();
+    app = testApp.app;
+  });
+
+  after(() => testApp.close());
+
+  it('registers a user, opens a session and seeds default genres', async () => {
+    const { agent, user } = await registerUser(app, 'alice');
+    assert.equal(user.username, 'alice');
+    assert.equal(user.passwordHash, undefined);
+
+    const me = await agent.get('/api/auth/me').expect(200);
+    assert.equal(me.body.user.username, 'alice');
+
+    const genres = await agent.get('/api/genres').expect(200);
+    assert.ok(genres.body.some(genre => genre.name === 'Классика'));
+  });
+
+  it('rejects invalid credentials on registration', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'a', password: 'short' })
+      .expect(400);
+    assert.equal(res.body.message, 'Ошибка валидации');
+    assert.deepEqual(res.body.errors.map(error => [error.field, error.code]), [['username', 'pattern'], ['password', 'minLength']]);
+  });
+
+  it('rejects a duplicate username with 409', async () => {
+    await registerUser(app, 'bob');
+    await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'bob', password: PASSWORD })
+      .expect(409);
+  });
+
+  it('logs in with a password and supports Bearer tokens', async () => {
+    await registerUser(app, 'carol');
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'carol', password: 'wrong-password' })
+      .expect(401);
+    await request(app).post('/api/auth/login').send({}).expect(400);
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'carol', password: PASSWORD })
+      .expect(200);
+    const token = /sid=([^;]+)/.exec(res.headers['set-cookie'][0])[1];
+
+    await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+  });
+
+  it('ends the session on logout', async () => {
+    const { agent } = await registerUser(app, 'dave');
+    await agent.post('/api/auth/logout').expect(200);
+    await agent.get('/api/auth/me').expect(401);
+  });
+
+  it('requires a session for the API', async () => {
+    const res = await request(app).get('/api/books').expect(401);
+    assert.equal(res.body.message, 'Требуется авторизация');
+
+    await request(app)
+      .get('/api/books')
+      .set('Authorization', 'Bearer unknown-token')
+      .expect(401);
+  });
+
+  it('treats a malformed session cookie as missing', async () => {
+    const res = await request(app).get('/api/books').set('Cookie', 'sid=%E0%A4%A').expect(401);
+    assert.equal(res.body.code, 'UNAUTHORIZED');
+  });
+
+  it('keeps libraries of different users apart', async () => {
+    const { agent: erin } = await registerUser(app, 'erin');
+    const { agent: frank } = await registerUser(app, 'frank');
+    const book = await createBook(erin);
+
+    await frank.get(`/api/books/${book._id}`).expect(404);
+    const list = await frank.get('/api/books').expect(200);
+    assert.equal(list.body.total, 0);
+  });
+
+  it('serves the frontend for non-API paths', async () => {
+    const res = await request(app).get('/some/page').expect(200);
+    assert.match(res.headers['content-type'], /html/);
+  });
+});
@@ -0,0 +1,290 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const sharp = require('sharp');
+const { BSON, ObjectId } = require('mongodb');
+const { createTestApp, registerUser, createBook } = require('./support/app');
+
+// Архив приходит как application/gzip - собираем тело целиком, без разбора
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+async function downloadBackup(agent) {
+  const res = await agent.get('/api/admin/backup').buffer(true).parse(binaryParser).expect(200);
+  assert.equal(res.headers['content-type'], 'application/gzip');
+  assert.match(res.headers['content-disposition'], /attachment; filename="library-.*\.ndjson\.gz"/);
+  return res.body;
+}
+
+function restore(agent, archive, query = '') {
+  return agent.post(`/api/admin/restore${query}`).attach('file', archive, 'backup.ndjson.gz');
+}
+
+function readArchive(archive) {
+  return zlib.gunzipSync(archive).toString('utf8').split('\n').filter(Boolean).map(line => BSON.EJSON.parse(line));
+}
+
+function writeArchive(records) {
+  return zlib.gzipSync(records.map(record => BSON.EJSON.stringify(record, { relaxed: false })).join('\n'));
+}
+
+describe('backup and restore', () => {
+  let testApp;
+  let admin;
+  let archive;
+  const backupsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-backups-'));
+
+  before(async () => {
+    testApp = await createTestApp({ ADMIN_USERS: 'keeper', BACKUPS_DIR: backupsDir });
+    ({ agent: admin } = await registerUser(testApp.app, 'keeper'));
+  });
+
+  after(async () => {
+    await testApp.close();
+    fs.rmSync(backupsDir, { recursive: true, force: true });
+  });
+
+  it('is available only to admins', async () => {
+    const { agent } = await registerUser(testApp.app, 'reader');
+    await agent.get('/api/admin/backup').expect(403);
+    await restore(agent, Buffer.from('x')).expect(403);
+  });
+
+  it('dumps the database into a versioned compressed archive', async () => {
+    const book = await createBook(admin, { title: 'Белая гвардия', year: 1925, rating: 4.5, tags: ['Киев'] });
+    await admin.post('/api/shelves').send({ name: 'Киевские' }).expect(201);
+    await admin.put(`/api/books/${book._id}`).send({ notes: 'Турбины' }).expect(200);
+
+    archive = await downloadBackup(admin);
+    const [header, ...records] = readArchive(archive);
+    const trailer = records.pop();
+
+    assert.equal(header.format, 'book-library-backup');
+    assert.equal(header.version, 1);
+    assert.equal(header.schemaVersion, 3);
+    // Жанры по умолчанию у каждого пользователя свои
+    const { genres, ...counts } = trailer.collections;
+    assert.ok(genres > 0);
+    assert.deepEqual(counts, { users: 2, books: 1, shelves: 1, loans: 0, bookHistory: 2, 'covers.files': 0, 'covers.chunks': 0 });
+    assert.ok(!records.some(record => record.collection === 'sessions'));
+
+    const saved = records.find(record => record.collection === 'books').document;
+    assert.equal(saved.year, 1925);
+    assert.ok(saved.dateAdded instanceof Date);
+    assert.equal(saved._id.toString(), book._id);
+  });
+
+  it('checks an archive without writing on dryRun', async () => {
+    await createBook(admin, { title: 'Бег' });
+
+    const res = await restore(admin, archive, '?mode=replace&dryRun=true').expect(200);
+    assert.equal(res.body.dryRun, true);
+    assert.equal(res.body.collections.books, 1);
+
+    const books = await admin.get('/api/books').expect(200);
+    assert.equal(books.body.total, 2);
+  });
+
+  it('replaces the database with the archive', async () => {
+    const res = await restore(admin, archive, '?mode=replace').expect(200);
+    assert.equal(res.body.mode, 'replace');
+    assert.deepEqual(res.body.collections.books, { restored: 1, skipped: 0 });
+
+    // Перед заменой база сохранена целиком - вместе с книгой, которой нет в архиве
+    assert.match(res.body.snapshot, /^pre-restore-.*\.ndjson\.gz$/);
+    const snapshot = readArchive(fs.readFileSync(path.join(backupsDir, res.body.snapshot)));
+    const titles = snapshot.filter(record => record.collection === 'books').map(record => record.document.title);
+    assert.deepEqual(titles.sort(), ['Бег', 'Белая гвардия']);
+
+    // Сессия администратора пережила замену: пользователь есть в архиве
+    const books = await admin.get('/api/books').expect(200);
+    assert.deepEqual(books.body.books.map(book => book.title), ['Белая гвардия']);
+    assert.equal(books.body.books[0].notes, 'Турбины');
+    assert.equal(books.body.books[0].rating, 4.5);
+  });
+
+  it('merges an archive into another library, matching users by name', async () => {
+    const target = await createTestApp({ ADMIN_USERS: 'keeper' });
+    try {
+      const { agent, user } = await registerUser(target.app, 'keeper');
+      await createBook(agent, { title: 'Театральный роман' });
+
+      const res = await restore(agent, archive).expect(200);
+      assert.equal(res.body.mode, 'merge');
+      assert.deepEqual(res.body.collections.users, { restored: 1, skipped: 1 });
+      assert.deepEqual(res.body.collections.books, { restored: 1, skipped: 0 });
+
+      const books = await agent.get('/api/books?sortBy=title').expect(200);
+      assert.deepEqual(books.body.books.map(book => book.title), ['Белая гвардия', 'Театральный роман']);
+      assert.ok(books.body.books.every(book => book.ownerId === user._id));
+
+      const again = await restore(agent, archive).expect(200);
+      assert.deepEqual(again.body.collections.books, { restored: 0, skipped: 1 });
+    } finally {
+      await target.close();
+    }
+  });
+
+  it('rejects damaged archives and documents that break the schema', async () => {
+    const notGzip = await restore(admin, Buffer.from('not a backup')).expect(400);
+    assert.equal(notGzip.body.code, 'VALIDATION_ERROR');
+    assert.deepEqual([notGzip.body.errors[0].field, notGzip.body.errors[0].code], ['file', 'format']);
+    assert.match(notGzip.body.errors[0].message, /не является архивом/);
+
+    const records = readArchive(archive);
+    const truncated = await restore(admin, writeArchive(records.slice(0, -1))).expect(400);
+    assert.equal(truncated.body.errors[0].code, 'truncated');
+    assert.match(truncated.body.errors[0].message, /обрезан/);
+
+    const broken = records.map(record => record.collection === 'books'
+      ? { ...record, document: { ...record.document, title: '', year: '1925' } }
+      : record);
+    const invalid = await restore(admin, writeArchive(broken), '?mode=replace').expect(400);
+    assert.equal(invalid.body.errorCount, 2);
+    assert.ok(invalid.body.errors.some(error => error.code === 'minLength' && /\.title: пустая строка/.test(error.message)));
+    assert.ok(invalid.body.errors.some(error => error.code === 'bsonType' && /\.year: ожидается int/.test(error.message)));
+
+    const newer = [{ ...records[0], schemaVersion: 99 }, ...records.slice(1)];
+    const future = await restore(admin, writeArchive(newer)).expect(400);
+    assert.equal(future.body.errors[0].code, 'version');
+    assert.match(future.body.errors[0].message, /более новой версией/);
+
+    await restore(admin, archive, '?mode=overwrite').expect(400);
+
+    const books = await admin.get('/api/books').expect(200);
+    assert.equal(books.body.total, 1, 'неудачное восстановление ничего не меняет');
+  });
+
+  it('leaves the database untouched when a replace fails part-way', async () => {
+    const before = (await admin.get('/api/books').expect(200)).body;
+    await admin.post('/api/shelves').send({ name: 'До сбоя' }).expect(201);
+
+    // Книги уже записаны во временную коллекцию, а запись полок падает
+    const staging = testApp.ctx.db.collection('shelves_restore');
+    staging.insertMany = async () => { throw new Error('соединение потеряно'); };
+    try {
+      await restore(admin, archive, '?mode=replace').expect(500);
+    } finally {
+      delete staging.insertMany;
+    }
+
+    const after = (await admin.get('/api/books').expect(200)).body;
+    assert.deepEqual(after.books.map(item => item._id), before.books.map(item => item._id));
+    const shelves = (await admin.get('/api/shelves').expect(200)).body;
+    assert.ok(shelves.some(shelf => shelf.name === 'До сбоя'));
+    assert.equal((await testApp.ctx.db.collection('books_restore').countDocuments()), 0);
+  });
+
+  it('puts the old collections back when a rename fails part-way', async () => {
+    await admin.post('/api/shelves').send({ name: 'До переименования' }).expect(201);
+    await registerUser(testApp.app, 'newcomer');
+    const before = (await admin.get('/api/shelves').expect(200)).body;
+
+    // Пользователи уже заменены, на жанрах переименование падает
+    const staging = testApp.ctx.db.collection('genres_restore');
+    staging.rename = async () => { throw new Error('переименование не удалось'); };
+    try {
+      const res = await restore(admin, archive, '?mode=replace').expect(500);
+      assert.equal(res.body.code, 'INTERNAL_ERROR');
+    } finally {
+      delete staging.rename;
+    }
+
+    // Пользователей из архива уже поставили на место, но замена откатилась целиком
+    assert.ok(await testApp.ctx.usersCollection.findOne({ username: 'newcomer' }));
+    const after = (await admin.get('/api/shelves').expect(200)).body;
+    assert.deepEqual(after.map(shelf => shelf.name), before.map(shelf => shelf.name));
+    for (const name of ['users', 'genres', 'books']) {
+      assert.equal(await testApp.ctx.db.collection(`${name}_previous`).countDocuments(), 0);
+      assert.equal(await testApp.ctx.db.collection(`${name}_restore`).countDocuments(), 0);
+    }
+  });
+
+  it('rejects an archive that unpacks past the limit', async () => {
+    const small = await createTestApp({ ADMIN_USERS: 'keeper', RESTORE_MAX_UNPACKED_MB: '1' });
+    try {
+      const { agent } = await registerUser(small.app, 'keeper');
+      const bomb = zlib.gzipSync(Buffer.alloc(2 * 1024 * 1024, '\n'));
+      assert.ok(bomb.length < 10 * 1024);
+
+      const res = await restore(agent, bomb).expect(400);
+      assert.deepEqual([res.body.errors[0].field, res.body.errors[0].code], ['file', 'maxLength']);
+      assert.match(res.body.errors[0].message, /больше 1 МБ после распаковки/);
+    } finally {
+      await small.close();
+    }
+  });
+
+  it('restores uploaded covers from GridFS', async () => {
+    const { books: [book] } = (await admin.get('/api/books').expect(200)).body;
+    const image = await sharp({ create: { width: 20, height: 30, channels: 3, background: '#6366f1' } }).png().toBuffer();
+    const upload = await admin
+      .post(`/api/books/${book._id}/cover`)
+      .attach('cover', image, { filename: 'cover.png', contentType: 'image/png' })
+      .expect(201);
+
+    const withCover = await downloadBackup(admin);
+    await admin.delete(`/api/books/${book._id}/cover`).expect(200);
+    await restore(admin, withCover, '?mode=replace').expect(200);
+
+    const cover = await admin
+      .get(`/api/covers/${upload.body.cover.fileId}`)
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(200);
+    assert.ok(cover.body.equals(image));
+  });
+
+  // Последний тест: после него база в том виде, в каком ее оставила прерванная замена
+  it('reports the swapped collections and the snapshot when the rollback fails too', async () => {
+    const staging = testApp.ctx.db.collection('genres_restore');
+    const previous = testApp.ctx.db.collection('users_previous');
+    staging.rename = async () => { throw new Error('переименование не удалось'); };
+    previous.rename = async () => { throw new Error('и возврат тоже'); };
+    try {
+      const res = await restore(admin, archive, '?mode=replace').expect(500);
+      assert.deepEqual(res.body.swapped, ['users']);
+      assert.match(res.body.snapshot, /^pre-restore-.*\.ndjson\.gz$/);
+      assert.ok(fs.existsSync(path.join(backupsDir, res.body.snapshot)));
+      assert.match(res.body.message, /users/);
+      assert.match(res.body.message, new RegExp(res.body.snapshot.replace(/\./g, '\\.')));
+    } finally {
+      delete staging.rename;
+      delete previous.rename;
+    }
+  });
+});
+
+describe('restoring archives larger than one batch', () => {
+  let testApp;
+
+  before(async () => {
+    testApp = await createTestApp({ ADMIN_USERS: 'keeper' });
+  });
+
+  after(() => testApp.close());
+
+  it('restores every document in both modes', async () => {
+    const { agent, user } = await registerUser(testApp.app, 'keeper');
+    const ownerId = new ObjectId(user._id);
+    await testApp.ctx.booksCollection.insertMany(Array.from({ length: 1200 }, (_, i) => ({
+      title: `Том ${i}`, author: 'Автор', genre: 'Роман', ownerId, deletedAt: null, version: 1, dateAdded: new Date()
+    })));
+    const archive = await downloadBackup(agent);
+
+    const replaced = await restore(agent, archive, '?mode=replace').expect(200);
+    assert.deepEqual(replaced.body.collections.books, { restored: 1200, skipped: 0 });
+    assert.equal(await testApp.ctx.booksCollection.countDocuments(), 1200);
+
+    await testApp.ctx.booksCollection.deleteMany({ title: { $in: ['Том 0', 'Том 1199'] } });
+    const merged = await restore(agent, archive).expect(200);
+    assert.deepEqual(merged.body.collections.books, { restored: 2, skipped: 1198 });
+    assert.equal(await testApp.ctx.booksCollection.countDocuments(), 1200);
+  });
+});
@@ -0,0 +1,415 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createTestApp, registerUser, bookData, createBook } = require('./support/app');
+
+const MISSING_ID = '0123456789abcdef01234567';
+
+describe('books', () => {
+  let testApp;
+  let agent;
+  let user;
+
+  before(async () => {
+    testApp = await createTestApp();
+    ({ agent, user } = await registerUser(testApp.app));
+  });
+
+  after(() => testApp.close());
+
+  describe('POST /api/books', () => {
+    it('creates a book with defaults', async () => {
+      const book = await createBook(agent, { title: '  Белая гвардия  ', tags: ['Киев', 'киев', ' война '] });
+
+      assert.equal(book.title, 'Белая гвардия');
+      assert.deepEqual(book.tags, ['Киев', 'война']);
+      assert.equal(book.isRead, false);
+      assert.deepEqual(book.readingSessions, []);
+      assert.ok(book.dateAdded);
+    });
+
+    it('requires title, author and genre', async () => {
+      const res = await agent.post('/api/books').send({}).expect(400);
+      assert.equal(res.body.code, 'VALIDATION_ERROR');
+      assert.equal(res.body.message, 'Ошибка валидации');
+      assert.deepEqual(res.body.errors, [
+        { field: 'title', code: 'required', message: 'Поле "title" обязательно' },
+        { field: 'author', code: 'required', message: 'Поле "author" обязательно' },
+        { field: 'genre', code: 'required', message: 'Поле "genre" обязательно' }
+      ]);
+    });
+
+    // [случай, поля книги, ожидаемая ошибка: поле, код, текст]
+    const invalidCases = [
+      ['an unknown genre', { genre: 'Поэзия' }, 'genre', 'enum', /Жанр должен быть одним из/],
+      ['a year out of range', { year: 3000 }, 'year', 'maximum', /Год должен быть между 1000 и/],
+      ['a year that is not a number', { year: 'давно' }, 'year', 'type', /Год должен быть между 1000 и/],
+      ['a rating above 5', { rating: 6 }, 'rating', 'maximum', /Рейтинг должен быть между 0 и 5/],
+      ['tags that are not an array', { tags: 'один' }, 'tags', 'type', /должно быть массивом строк/],
+      ['too many tags', { tags: Array.from({ length: 21 }, (_, i) => `t${i}`) }, 'tags', 'maxItems', /Не больше 20 тегов/],
+      ['an empty tag', { tags: ['ok', ' '] }, 'tags[1]', 'minLength', /Тег должен быть непустой строкой/],
+      ['an ISBN with a wrong check digit', { isbn: '978-5-389-01686-5' }, 'isbn', 'format', /ISBN должен быть корректным/],
+      ['a fractional page count', { totalPages: 10.5 }, 'totalPages', 'type', /Количество страниц должно быть целым/],
+      ['a current page past the end', { totalPages: 100, currentPage: 150 }, 'currentPage', 'maximum', /не может быть больше количества страниц/],
+      ['a start date in the future', { startedAt: '2999-01-01' }, 'startedAt', 'format', /"startedAt" должно быть корректной датой/],
+      ['a finish date before the start', { startedAt: '2024-02-01', finishedAt: '2024-01-01' }, 'finishedAt', 'minimum', /окончания чтения не может быть раньше/],
+      ['an invalid reading session', { readingSessions: [{ pagesRead: 0 }] }, 'readingSessions[0].pagesRead', 'minimum', /Количество прочитанных страниц/],
+      ['a title that is too long', { title: 'а'.repeat(501) }, 'title', 'maxLength', /"title" не может быть длиннее 500/],
+      ['a title that is not a string', { title: { $ne: null } }, 'title', 'type', /"title" должно быть строкой/],
+      ['a javascript: cover URL', { coverUrl: 'javascript:alert(1)' }, 'coverUrl', 'format', /должна начинаться с http:\/\/ или https:\/\//]
+    ];
+
+    invalidCases.forEach(([name, overrides, field, code, pattern]) => {
+      it(`rejects ${name}`, async () => {
+        const res = await agent.post('/api/books').send(bookData(overrides)).expect(400);
+        assert.equal(res.body.message, 'Ошибка валидации');
+        const error = res.body.errors.find(item => item.field === field);
+        assert.ok(error, JSON.stringify(res.body.errors));
+        assert.equal(error.code, code);
+        assert.match(error.message, pattern);
+      });
+    });
+
+    it('marks a book as read when the current page reaches the end', async () => {
+      const book = await createBook(agent, { title: 'Дочитанная', totalPages: 200, currentPage: 200 });
+      assert.equal(book.isRead, true);
+      assert.ok(book.startedAt);
+      assert.ok(book.finishedAt);
+    });
+
+    it('normalizes ISBN-10 to ISBN-13 and rejects duplicates with 409', async () => {
+      const book = await createBook(agent, { title: 'Дюна', author: 'Фрэнк Герберт', genre: 'Фантастика', isbn: '0-441-17271-7' });
+      assert.equal(book.isbn, '9780441172719');
+
+      const res = await agent
+        .post('/api/books')
+        .send(bookData({ title: 'Дюна (другое издание)', isbn: '978-0-441-17271-9' }))
+        .expect(409);
+      assert.match(res.body.message, /ISBN/);
+    });
+  });
+
+  describe('GET /api/books/:id', () => {
+    it('returns a book', async () => {
+      const book = await createBook(agent, { title: 'Записки юного врача' });
+      const res = await agent.get(`/api/books/${book._id}`).expect(200);
+      assert.equal(res.body.title, 'Записки юного врача');
+      assert.equal(res.body.version, 1);
+      assert.equal(res.headers.etag, '"1"');
+    });
+
+    it('returns 400 for an invalid id and 404 for a missing book', async () => {
+      await agent.get('/api/books/not-an-id').expect(400);
+      await agent.get(`/api/books/${MISSING_ID}`).expect(404);
+    });
+  });
+
+  describe('PUT /api/books/:id', () => {
+    it('validates the update against the stored book', async () => {
+      const book = await createBook(agent, { title: 'Роковые яйца', totalPages: 100 });
+      const res = await agent.put(`/api/books/${book._id}`).send({ currentPage: 150 }).expect(400);
+      assert.deepEqual(res.body.errors, [
+        { field: 'currentPage', code: 'maximum', message: 'Текущая страница не может быть больше количества страниц' }
+      ]);
+    });
+
+    it('returns 400 for an invalid id and 404 for a missing book', async () => {
+      await agent.put('/api/books/not-an-id').send({ title: 'X' }).expect(400);
+      await agent.put(`/api/books/${MISSING_ID}`).send({ title: 'X' }).expect(404);
+    });
+
+    it('updates a book and bumps its version', async () => {
+      const book = await createBook(agent, { title: 'Бег' });
+      const res = await agent.put(`/api/books/${book._id}`).send({ rating: 4 }).expect(200);
+      assert.equal(res.body.rating, 4);
+      assert.equal(res.body.version, 2);
+      assert.equal(res.headers.etag, '"2"');
+    });
+
+    it('rejects a stale If-Match with 409 and the current book', async () => {
+      const book = await createBook(agent, { title: 'Дни Турбиных' });
+      await agent.put(`/api/books/${book._id}`).set('If-Match', '"1"').send({ rating: 3 }).expect(200);
+
+      const res = await agent.put(`/api/books/${book._id}`).set('If-Match', '"1"').send({ rating: 5 }).expect(409);
+      assert.equal(res.body.book.rating, 3);
+      assert.equal(res.body.book.version, 2);
+      assert.equal(res.headers.etag, '"2"');
+
+      await agent.put(`/api/books/${book._id}`).send({ rating: 5, version: 1 }).expect(409);
+      await agent.put(`/api/books/${book._id}`).set('If-Match', 'W/"2"').send({ rating: 5 }).expect(200);
+      await agent.put(`/api/books/${book._id}`).set('If-Match', '*').send({ rating: 4 }).expect(200);
+    });
+
+    it('rejects a malformed version', async () => {
+      const book = await createBook(agent, { title: 'Зойкина квартира' });
+      await agent.put(`/api/books/${book._id}`).set('If-Match', 'abc').send({ rating: 3 }).expect(400);
+      await agent.put(`/api/books/${book._id}`).send({ rating: 3, version: -1 }).expect(400);
+    });
+
+    it('treats books without a version as version 0', async () => {
+      const { insertedId } = await testApp.ctx.booksCollection.insertOne({
+        ...bookData({ title: 'Багровый остров' }),
+        ownerId: new ObjectId(user._id),
+        deletedAt: null
+      });
+
+      const res = await agent.put(`/api/books/${insertedId}`).set('If-Match', '"0"').send({ rating: 3 }).expect(200);
+      assert.equal(res.body.version, 1);
+      await agent.put(`/api/books/${insertedId}`).set('If-Match', '"0"').send({ rating: 4 }).expect(409);
+    });
+  });
+
+  describe('DELETE /api/books/:id', () => {
+    it('moves a book to the trash', async () => {
+      const book = await createBook(agent, { title: 'Театральный роман' });
+      const res = await agent.delete(`/api/books/${book._id}`).expect(200);
+      assert.ok(res.body.book.deletedAt);
+      assert.ok(res.body.book.purgeAt);
+
+      await agent.get(`/api/books/${book._id}`).expect(404);
+      await agent.delete(`/api/books/${book._id}`).expect(404);
+    });
+
+    it('checks If-Match before moving a book to the trash', async () => {
+      const book = await createBook(agent, { title: 'Кабала святош' });
+      await agent.put(`/api/books/${book._id}`).send({ rating: 2 }).expect(200);
+
+      const res = await agent.delete(`/api/books/${book._id}`).set('If-Match', '"1"').expect(409);
+      assert.equal(res.body.book.version, 2);
+      await agent.delete(`/api/books/${book._id}`).set('If-Match', '"2"').expect(200);
+      await agent.delete(`/api/books/${book._id}`).set('If-Match', '"2"').expect(404);
+    });
+
+    it('returns 400 for an invalid id', async () => {
+      await agent.delete('/api/books/not-an-id').expect(400);
+    });
+  });
+
+  describe('reading sessions', () => {
+    it('advances the current page and logs the session', async () => {
+      const book = await createBook(agent, { title: 'Жизнь господина де Мольера', totalPages: 300 });
+
+      const first = await agent
+        .post(`/api/books/${book._id}/sessions`)
+        .send({ pagesRead: 120, date: '2024-03-01' })
+        .expect(201);
+      assert.equal(first.body.currentPage, 120);
+      assert.equal(new Date(first.body.startedAt).toISOString(), '2024-03-01T00:00:00.000Z');
+
+      const second = await agent
+        .post(`/api/books/${book._id}/sessions`)
+        .send({ pagesRead: 500, date: '2024-03-05' })
+        .expect(201);
+      assert.equal(second.body.currentPage, 300);
+      assert.equal(second.body.isRead, true);
+      assert.equal(second.body.readingSessions.length, 2);
+
+      const sessionId = second.body.readingSessions[0]._id;
+      const removed = await agent.delete(`/api/books/${book._id}/sessions/${sessionId}`).expect(200);
+      assert.equal(removed.body.readingSessions.length, 1);
+      assert.equal(removed.body.currentPage, 300);
+
+      const history = await agent.get(`/api/books/${book._id}/history`).expect(200);
+      assert.deepEqual(history.body[0].changes, [{ field: 'readingSessions', from: 2, to: 1 }]);
+    });
+
+    it('deletes a session only once and checks If-Match', async () => {
+      const book = await createBook(agent, { title: 'Кабала святош' });
+      const logged = await agent.post(`/api/books/${book._id}/sessions`).send({ pagesRead: 20 }).expect(201);
+      const sessionId = logged.body.readingSessions[0]._id;
+
+      const stale = await agent
+        .delete(`/api/books/${book._id}/sessions/${sessionId}`)
+        .set('If-Match', `"${book.version}"`)
+        .expect(409);
+      assert.equal(stale.body.code, 'VERSION_CONFLICT');
+
+      await agent
+        .delete(`/api/books/${book._id}/sessions/${sessionId}`)
+        .set('If-Match', `"${logged.body.version}"`)
+        .expect(200);
+      const again = await agent.delete(`/api/books/${book._id}/sessions/${sessionId}`).expect(404);
+      assert.equal(again.body.message, 'Сессия чтения не найдена');
+    });
+
+    it('validates sessions and ids', async () => {
+      const book = await createBook(agent, { title: 'Зойкина квартира' });
+      const res = await agent.post(`/api/books/${book._id}/sessions`).send({ pagesRead: -1 }).expect(400);
+      assert.equal(res.body.message, 'Ошибка валидации');
+
+      await agent.post('/api/books/not-an-id/sessions').send({ pagesRead: 5 }).expect(400);
+      await agent.post(`/api/books/${MISSING_ID}/sessions`).send({ pagesRead: 5 }).expect(404);
+      await agent.delete(`/api/books/${book._id}/sessions/not-an-id`).expect(400);
+      await agent.delete(`/api/books/${MISSING_ID}/sessions/${MISSING_ID}`).expect(404);
+    });
+  });
+});
+
+describe('GET /api/books', () => {
+  let testApp;
+  let agent;
+
+  before(async () => {
+    testApp = await createTestApp();
+    ({ agent } = await registerUser(testApp.app));
+
+    await createBook(agent, { title: 'Солярис', author: 'Станислав Лем', genre: 'Фантастика', year: 1961, rating: 5, isRead: true, tags: ['космос'] });
+    await createBook(agent, { title: 'Непобедимый', author: 'Станислав Лем', genre: 'Фантастика', year: 1964, rating: 4, tags: ['космос', 'роботы'] });
+    await createBook(agent, { title: 'Пикник на обочине', author: 'Аркадий и Борис Стругацкие', genre: 'Фантастика', year: 1972, description: 'Зона и сталкеры' });
+    await createBook(agent, { title: 'Убийство в Восточном экспрессе', author: 'Агата Кристи', genre: 'Детектив', year: 1934, rating: 3, isRead: true });
+    await createBook(agent, { title: 'Десять негритят', author: 'Агата Кристи', genre: 'Детектив', year: 1939 });
+  });
+
+  after(() => testApp.close());
+
+  it('returns the newest books first with the total', async () => {
+    const res = await agent.get('/api/books').expect(200);
+    assert.equal(res.body.total, 5);
+    assert.equal(res.body.books[0].title, 'Десять негритят');
+    assert.equal(res.body.hasMore, false);
+    assert.equal(res.body.nextCursor, null);
+  });
+
+  it('filters by genre, read status and tag', async () => {
+    const byGenre = await agent.get('/api/books').query({ genre: 'Детектив' }).expect(200);
+    assert.equal(byGenre.body.total, 2);
+
+    const read = await agent.get('/api/books').query({ isRead: 'true' }).expect(200);
+    assert.deepEqual(read.body.books.map(book => book.title).sort(), ['Солярис', 'Убийство в Восточном экспрессе']);
+
+    const tagged = await agent.get('/api/books').query({ tag: 'роботы' }).expect(200);
+    assert.deepEqual(tagged.body.books.map(book => book.title), ['Непобедимый']);
+  });
+
+  it('combines year, rating, genre, author and notes filters', async () => {
+    const titles = res => res.body.books.map(book => book.title).sort();
+
+    const sixties = await agent.get('/api/books').query({ yearFrom: 1960, yearTo: 1969 }).expect(200);
+    assert.deepEqual(titles(sixties), ['Непобедимый', 'Солярис']);
+
+    const rated = await agent.get('/api/books').query({ ratingMin: 4 }).expect(200);
+    assert.deepEqual(titles(rated), ['Непобедимый', 'Солярис']);
+
+    // Книги без оценки попадают под верхнюю границу
+    const lowRated = await agent.get('/api/books').query({ ratingMax: 3, genre: 'Детектив' }).expect(200);
+    assert.equal(lowRated.body.total, 2);
+
+    const params = new URLSearchParams([
+      ['genre', 'Детектив'], ['genre', 'Фантастика'], ['author', 'Агата Кристи'], ['author', 'Станислав Лем'],
+      ['yearTo', '1962'], ['hasNotes', 'false'], ['hasCover', 'false']
+    ]);
+    const combined = await agent.get(`/api/books?${params}`).expect(200);
+    assert.deepEqual(titles(combined), ['Десять негритят', 'Солярис', 'Убийство в Восточном экспрессе']);
+
+    const withNotes = await agent.get('/api/books').query({ hasNotes: 'true' }).expect(200);
+    assert.equal(withNotes.body.total, 0);
+  });
+
+  it('returns facet counts that ignore the facet\'s own filter', async () => {
+    const res = await agent.get('/api/books').query({ genre: 'Детектив', isRead: 'true', facets: 'true' }).expect(200);
+    assert.equal(res.body.total, 1);
+
+    const { facets } = res.body;
+    assert.deepEqual(facets.genres, [{ value: 'Детектив', count: 1 }, { value: 'Фантастика', count: 1 }]);
+    assert.deepEqual(facets.isRead, { true: 1, false: 1 });
+    assert.deepEqual(facets.authors, [{ value: 'Агата Кристи', count: 1 }]);
+    assert.deepEqual(facets.ratings.find(row => row.value === 3), { value: 3, count: 1 });
+    assert.deepEqual(facets.years, { min: 1934, max: 1934 });
+    assert.deepEqual(facets.hasNotes, { true: 0, false: 1 });
+    assert.deepEqual(facets.hasCover, { true: 0, false: 1 });
+
+    const plain = await agent.get('/api/books').expect(200);
+    assert.equal(plain.body.facets, undefined);
+  });
+
+  it('rejects invalid filter ranges', async () => {
+    const res = await agent.get('/api/books').query({ yearFrom: 2000, yearTo: 1990, ratingMin: 7 }).expect(400);
+    assert.equal(res.body.message, 'Ошибка валидации');
+    assert.deepEqual(res.body.errors.map(error => [error.field, error.code]), [['yearFrom', 'maximum'], ['ratingMin', 'maximum']]);
+
+    await agent.get('/api/books').query({ yearFrom: 'давно' }).expect(400);
+    await agent.get('/api/books').query({ hasCover: 'maybe' }).expect(400);
+    await agent.get('/api/books/export').query({ ratingMin: 4, ratingMax: 2 }).expect(400);
+  });
+
+  it('sorts by the requested field', async () => {
+    const byYear = await agent.get('/api/books').query({ sortBy: 'year' }).expect(200);
+    assert.deepEqual(byYear.body.books.map(book => book.year), [1972, 1964, 1961, 1939, 1934]);
+
+    const byTitle = await agent.get('/api/books').query({ sortBy: 'title' }).expect(200);
+    assert.equal(byTitle.body.books[0].title, 'Десять негритят');
+  });
+
+  it('paginates by page', async () => {
+    const first = await agent.get('/api/books').query({ sortBy: 'year', limit: 2 }).expect(200);
+    assert.equal(first.body.hasMore, true);
+    assert.equal(first.body.page, 1);
+
+    const third = await agent.get('/api/books').query({ sortBy: 'year', limit: 2, page: 3 }).expect(200);
+    assert.deepEqual(third.body.books.map(book => book.year), [1934]);
+    assert.equal(third.body.hasMore, false);
+  });
+
+  it('paginates by cursor without gaps or repeats', async () => {
+    const titles = [];
+    let cursor;
+    do {
+      const res = await agent
+        .get('/api/books')
+        .query({ sortBy: 'rating', limit: 2, ...(cursor ? { cursor } : {}) })
+        .expect(200);
+      titles.push(...res.body.books.map(book => book.title));
+      cursor = res.body.nextCursor;
+    } while (cursor);
+
+    assert.equal(titles.length, 5);
+    assert.equal(new Set(titles).size, 5);
+    assert.deepEqual(titles.slice(0, 3), ['Солярис', 'Непобедимый', 'Убийство в Восточном экспрессе']);
+  });
+
+  it('searches by text with highlights and relevance order', async () => {
+    const res = await agent.get('/api/books').query({ q: 'Лем' }).expect(200);
+    assert.equal(res.body.total, 2);
+    assert.ok(res.body.books.every(book => book.score > 0));
+    assert.deepEqual(res.body.books[0].highlights.author, [
+      { text: 'Станислав ', match: false },
+      { text: 'Лем', match: true }
+    ]);
+
+    const description = await agent.get('/api/books').query({ q: 'сталкеры' }).expect(200);
+    assert.deepEqual(description.body.books.map(book => book.title), ['Пикник на обочине']);
+  });
+
+  it('rejects invalid pagination parameters', async () => {
+    await agent.get('/api/books').query({ limit: 0 }).expect(400);
+    await agent.get('/api/books').query({ limit: 101 }).expect(400);
+    await agent.get('/api/books').query({ page: -1 }).expect(400);
+    await agent.get('/api/books').query({ cursor: 'garbage' }).expect(400);
+    await agent.get('/api/books').query({ q: 'Лем', sortBy: 'relevance', cursor: 'x' }).expect(400);
+  });
+
+  it('rejects cursors with values that are not plain sort values', async () => {
+    const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const id = '0123456789abcdef01234567';
+
+    const injected = await agent.get('/api/books')
+      .query({ sortBy: 'rating', cursor: encode({ v: { $ne: null }, d: false, id }) })
+      .expect(400);
+    assert.deepEqual(injected.body.errors.map(error => [error.field, error.code]), [['cursor', 'format']]);
+
+    await agent.get('/api/books').query({ cursor: encode({ v: ['a'], d: false, id }) }).expect(400);
+    await agent.get('/api/books').query({ cursor: encode({ v: { $gt: '' }, d: true, id }) }).expect(400);
+    await agent.get('/api/books').query({ cursor: encode({ v: 'вчера', d: true, id }) }).expect(400);
+    await agent.get('/api/books').query({ sortBy: 'rating', cursor: encode({ v: null, d: false, id }) }).expect(200);
+  });
+
+  it('returns 404 for an unknown shelf filter', async () => {
+    await agent.get('/api/books').query({ shelf: '0123456789abcdef01234567' }).expect(404);
+  });
+
+  it('returns 400 for a shelf filter that is not an id', async () => {
+    const res = await agent.get('/api/books').query({ shelf: 'not-an-id' }).expect(400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    assert.deepEqual(res.body.errors.map(error => [error.field, error.code]), [['shelf', 'pattern']]);
+  });
+});
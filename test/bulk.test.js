@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, registerUser, createBook } = require('./support/app');
+
+const MISSING_ID = '0123456789abcdef01234567';
+
+describe('POST /api/books/bulk', () => {
+  let testApp;
+  let agent;
+
+  before(async () => {
+    testApp = await createTestApp();
+    ({ agent } = await registerUser(testApp.app));
+  });
+
+  after(() => testApp.close());
+
+  it('updates many books at once and reports each one', async () => {
+    const first = await createBook(agent, { title: 'Морфий', totalPages: 40, currentPage: 10 });
+    const second = await createBook(agent, { title: 'Ханский огонь' });
+
+    const res = await agent
+      .post('/api/books/bulk')
+      .send({ action: 'update', ids: [first._id, second._id, MISSING_ID, 'not-an-id'], changes: { isRead: true, genre: 'Классика', rating: 4 } })
+      .expect(200);
+
+    assert.equal(res.body.total, 4);
+    assert.equal(res.body.succeeded, 2);
+    assert.equal(res.body.failed, 2);
+    assert.deepEqual(res.body.results.map(item => item.status), ['updated', 'updated', 'not_found', 'rejected']);
+    assert.deepEqual(res.body.results[2].errors, [{ field: null, code: 'not_found', message: 'Книга не найдена' }]);
+    assert.deepEqual(res.body.results[3].errors.map(error => [error.field, error.code]), [['id', 'pattern']]);
+
+    const [updated] = res.body.results;
+    assert.equal(updated.book.genre, 'Классика');
+    assert.equal(updated.book.rating, 4);
+    assert.equal(updated.book.currentPage, 40, 'отметка "прочитана" дочитывает книгу до конца');
+    assert.equal(updated.book.version, 2);
+
+    const history = await agent.get(`/api/books/${first._id}/history`).expect(200);
+    assert.equal(history.body[0].action, 'update');
+  });
+
+  it('validates the changes for every book', async () => {
+    const book = await createBook(agent, { title: 'Тьма египетская' });
+
+    const res = await agent
+      .post('/api/books/bulk')
+      .send({ action: 'update', ids: [book._id], changes: { genre: 'Поэзия' } })
+      .expect(200);
+    assert.equal(res.body.results[0].status, 'rejected');
+    assert.equal(res.body.results[0].errors[0].field, 'genre');
+    assert.equal(res.body.results[0].errors[0].code, 'enum');
+    assert.match(res.body.results[0].errors[0].message, /Жанр должен быть одним из/);
+
+    const unchanged = await agent.get(`/api/books/${book._id}`).expect(200);
+    assert.equal(unchanged.body.version, 1);
+  });
+
+  it('moves many books to the trash', async () => {
+    const first = await createBook(agent, { title: 'Полотенце с петухом' });
+    const second = await createBook(agent, { title: 'Стальное горло' });
+
+    const res = await agent.post('/api/books/bulk').send({ action: 'delete', ids: [first._id, second._id, first._id] }).expect(200);
+    assert.equal(res.body.total, 2);
+    assert.ok(res.body.results.every(item => item.status === 'deleted' && item.book.deletedAt));
+    assert.ok(res.body.results.every(item => item.book.version === first.version + 1));
+
+    await agent.get(`/api/books/${first._id}`).expect(404);
+    const trash = await agent.get('/api/trash').expect(200);
+    assert.ok(trash.body.books.some(book => book._id === second._id));
+  });
+
+  it('rejects malformed requests', async () => {
+    const book = await createBook(agent, { title: 'Вьюга' });
+    const send = body => agent.post('/api/books/bulk').send(body).expect(400);
+
+    await send({ action: 'archive', ids: [book._id] });
+    await send({ action: 'update', ids: [] });
+    await send({ action: 'update', ids: [book._id], changes: {} });
+    await send({ action: 'update', ids: [book._id], changes: { title: 'Метель' } });
+    await send({ action: 'update', ids: [book._id], changes: { isRead: 'yes' } });
+    await send({ action: 'delete', ids: Array.from({ length: 501 }, () => book._id) });
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { createTestApp, registerUser, createBook } = require('./support/app');
+
+function createImage(format = 'png') {
+  return sharp({
+    create: { width: 400, height: 600, channels: 3, background: '#336699' }
+  })[format]().toBuffer();
+}
+
+// supertest не собирает бинарные ответы в res.body без парсера
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('covers', () => {
+  let testApp;
+  let agent;
+  let filesCollection;
+
+  before(async () => {
+    testApp = await createTestApp();
+    ({ agent } = await registerUser(testApp.app));
+    filesCollection = testApp.ctx.db.collection('covers.files');
+  });
+
+  after(() => testApp.close());
+
+  it('stores the original and a webp thumbnail in GridFS', async () => {
+    const book = await createBook(agent, { title: 'Иван Васильевич' });
+    const image = await createImage('png');
+
+    const res = await agent
+      .post(`/api/books/${book._id}/cover`)
+      .attach('cover', image, { filename: 'cover.png', contentType: 'image/png' })
+      .expect(201);
+    const { cover } = res.body;
+    assert.equal(cover.contentType, 'image/png');
+    assert.equal(cover.width, 400);
+    assert.equal(cover.height, 600);
+
+    const original = await agent.get(`/api/covers/${cover.fileId}`).buffer().parse(binaryParser).expect(200);
+    assert.equal(original.headers['content-type'], 'image/png');
+    assert.deepEqual(original.body, image);
+
+    const thumb = await agent.get(`/api/covers/${cover.thumbId}`).buffer().parse(binaryParser).expect(200);
+    assert.equal(thumb.headers['content-type'], 'image/webp');
+    const metadata = await sharp(thumb.body).metadata();
+    assert.equal(metadata.width, 280);
+    assert.equal(metadata.height, 320);
+  });
+
+  it('replaces the previous upload and removes its files', async () => {
+    const book = await createBook(agent, { title: 'Блаженство' });
+    const first = await agent
+      .post(`/api/books/${book._id}/cover`)
+      .attach('cover', await createImage('png'), { filename: 'a.png', contentType: 'image/png' })
+      .expect(201);
+    await agent
+      .post(`/api/books/${book._id}/cover`)
+      .attach('cover', await createImage('jpeg'), { filename: 'b.jpg', contentType: 'image/jpeg' })
+      .expect(201);
+
+    await agent.get(`/api/covers/${first.body.cover.fileId}`).expect(404);
+    assert.equal(await filesCollection.countDocuments({ 'metadata.bookId': book._id }), 0);
+    assert.equal(await filesCollection.countDocuments({ 'metadata.bookId': first.body._id }), 0);
+  });
+
+  it('deletes an uploaded cover', async () => {
+    const book = await createBook(agent, { title: 'Александр Пушкин' });
+    const uploaded = await agent
+      .post(`/api/books/${book._id}/cover`)
+      .attach('cover', await createImage('webp'), { filename: 'c.webp', contentType: 'image/webp' })
+      .expect(201);
+
+    const res = await agent.delete(`/api/books/${book._id}/cover`).expect(200);
+    assert.equal(res.body.cover, undefined);
+    await agent.get(`/api/covers/${uploaded.body.cover.thumbId}`).expect(404);
+  });
+
+  it('rejects files that are not images', async () => {
+    const book = await createBook(agent, { title: 'Полоумный Журден' });
+
+    const wrongType = await agent
+      .post(`/api/books/${book._id}/cover`)
+      .attach('cover', Buffer.from('hello'), { filename: 'a.txt', contentType: 'text/plain' })
+      .expect(400);
+    assert.deepEqual(wrongType.body.errors, [
+      { field: 'cover', code: 'format', message: 'Обложка должна быть изображением JPEG, PNG, WebP или GIF' }
+    ]);
+
+    const fake = await agent
+      .post(`/api/books/${book._id}/cover`)
+      .attach('cover', Buffer.from('not really a png'), { filename: 'a.png', contentType: 'image/png' })
+      .expect(400);
+    assert.deepEqual(fake.body.errors, [
+      { field: 'cover', code: 'format', message: 'Файл не является изображением JPEG, PNG, WebP или GIF' }
+    ]);
+
+    const missing = await agent.post(`/api/books/${book._id}/cover`).expect(400);
+    assert.deepEqual([missing.body.errors[0].field, missing.body.errors[0].code], ['cover', 'required']);
+  });
+
+  it('returns 400 and 404 for bad ids', async () => {
+    const image = await createImage('png');
+    await agent.post('/api/books/not-an-id/cover').attach('cover', image, { filename: 'a.png', contentType: 'image/png' }).expect(400);
+    await agent
+      .post('/api/books/0123456789abcdef01234567/cover')
+      .attach('cover', image, { filename: 'a.png', contentType: 'image/png' })
+      .expect(404);
+    await agent.delete('/api/books/0123456789abcdef01234567/cover').expect(404);
+    await agent.get('/api/covers/not-an-id').expect(400);
+    await agent.get('/api/covers/0123456789abcdef01234567').expect(404);
+  });
+
+  it("does not serve another user's covers", async () => {
+    const book = await createBook(agent, { title: 'Последние дни' });
+    const uploaded = await agent
+      .post(`/api/books/${book._id}/cover`)
+      .attach('cover', await createImage('png'), { filename: 'a.png', contentType: 'image/png' })
+      .expect(201);
+
+    const { agent: other } = await registerUser(testApp.app, 'other');
+    await other.get(`/api/covers/${uploaded.body.cover.fileId}`).expect(404);
+  });
+
+  it('renders an SVG placeholder with escaped text', async () => {
+    const res = await agent
+      .get('/api/covers/placeholder')
+      .query({ title: 'Мастер & <Маргарита>', author: 'Булгаков' })
+      .buffer()
+      .parse(binaryParser)
+      .expect(200);
+    assert.match(res.headers['content-type'], /image\/svg\+xml/);
+
+    const svg = res.body.toString();
+    assert.match(svg, />Мастер &amp;<\/tspan><tspan [^>]*>&lt;Маргарита&gt;</);
+    assert.match(svg, /Булгаков/);
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { createTestApp, registerUser, createBook } = require('./support/app');
+
+const MISSING_ID = '0123456789abcdef01234567';
+
+describe('duplicates', () => {
+  let testApp;
+  let agent;
+  let copies;
+
+  before(async () => {
+    testApp = await createTestApp();
+    ({ agent } = await registerUser(testApp.app));
+
+    copies = [
+      await createBook(agent, { title: 'Мастер и Маргарита', author: 'Михаил Булгаков', rating: 3, notes: 'Первое прочтение', tags: ['москва'] }),
+      await createBook(agent, { title: 'Мастер и Маргарита (роман)', author: 'Булгаков М. А.', isbn: '9785170906307', year: 1967, rating: 5, isRead: true, tags: ['Москва', 'дьявол'] }),
+      await createBook(agent, { title: 'Мастер и маргарита.', author: 'М. Булгакав', notes: 'Перечитать главы о Пилате' })
+    ];
+    await createBook(agent, { title: 'Война и мир', author: 'Лев Толстой' });
+    await createBook(agent, { title: 'Война и мир', author: 'Алексей Толстой' });
+    await createBook(agent, { title: 'Собачье сердце', author: 'Михаил Булгаков' });
+  });
+
+  after(() => testApp.close());
+
+  it('groups books with similar titles and authors', async () => {
+    const res = await agent.get('/api/duplicates').expect(200);
+
+    assert.equal(res.body.total, 1);
+    const [group] = res.body.groups;
+    assert.deepEqual(
+      group.books.map(book => book._id).sort(),
+      copies.map(book => book._id).sort()
+    );
+    assert.equal(group.primaryId, copies[1]._id, 'основной предлагается самая полная книга');
+    assert.equal(group.books[0]._id, group.primaryId);
+    assert.ok(group.similarity.title >= 0.85);
+    assert.ok(group.similarity.author >= 0.8);
+  });
+
+  it('validates merge requests', async () => {
+    const [primary, second] = copies;
+
+    await agent.post('/api/duplicates/merge').send({ primaryId: primary._id }).expect(400);
+    await agent.post('/api/duplicates/merge').send({ primaryId: primary._id, duplicateIds: [primary._id] }).expect(400);
+    await agent.post('/api/duplicates/merge').send({ primaryId: primary._id, duplicateIds: ['not-an-id'] }).expect(400);
+    await agent.post('/api/duplicates/merge').send({ primaryId: primary._id, duplicateIds: [MISSING_ID] }).expect(404);
+
+    const conflict = await agent
+      .post('/api/duplicates/merge')
+      .set('If-Match', '"7"')
+      .send({ primaryId: primary._id, duplicateIds: [second._id] })
+      .expect(409);
+    assert.equal(conflict.body.book._id, primary._id);
+  });
+
+  it('merges duplicates into the primary book and trashes the rest', async () => {
+    const [primary, withIsbn, withNotes] = copies;
+    const shelf = await agent.post('/api/shelves').send({ name: 'Любимое' }).expect(201);
+    await agent.post(`/api/shelves/${shelf.body._id}/books`).send({ bookId: withNotes._id }).expect(201);
+
+    const res = await agent
+      .post('/api/duplicates/merge')
+      .set('If-Match', '"1"')
+      .send({ primaryId: primary._id, duplicateIds: [withIsbn._id, withNotes._id] })
+      .expect(200);
+
+    const merged = res.body.book;
+    assert.equal(merged.title, 'Мастер и Маргарита');
+    assert.equal(merged.isbn, '9785170906307', 'ISBN переходит от дубликата');
+    assert.equal(merged.year, 1967);
+    assert.equal(merged.rating, 5);
+    assert.equal(merged.isRead, true);
+    assert.equal(merged.notes, 'Первое прочтение\n\nПеречитать главы о Пилате');
+    assert.deepEqual(merged.tags, ['москва', 'дьявол']);
+    // Перенос ISBN - вторая запись основной книги, и версия растет на каждой
+    assert.equal(merged.version, 3);
+    assert.equal(res.headers.etag, '"3"');
+    const current = await agent.get(`/api/books/${primary._id}`).expect(200);
+    assert.equal(current.headers.etag, res.headers.etag);
+    await agent.put(`/api/books/${primary._id}`).set('If-Match', '"2"').send({ notes: 'x' }).expect(409);
+
+    const trash = await agent.get('/api/trash').expect(200);
+    assert.deepEqual(
+      trash.body.books.map(book => book._id).sort(),
+      [withIsbn._id, withNotes._id].sort()
+    );
+    assert.equal(trash.body.books.find(book => book._id === withIsbn._id).isbn, null);
+
+    const shelves = await agent.get('/api/shelves').expect(200);
+    assert.deepEqual(shelves.body[0].bookIds, [primary._id]);
+
+    const history = await agent.get(`/api/books/${primary._id}/history`).expect(200);
+    assert.equal(history.body[0].action, 'merge');
+    assert.ok(history.body[0].changes.some(change => change.field === 'rating'));
+
+    const after = await agent.get('/api/duplicates').expect(200);
+    assert.equal(after.body.total, 0);
+  });
+
+  it('moves the current loan to the primary book and off the trashed duplicate', async () => {
+    const primary = await createBook(agent, { title: 'Белая гвардия', author: 'Михаил Булгаков' });
+    const lent = await createBook(agent, { title: 'Белая гвардия.', author: 'М. Булгаков' });
+    await agent.post(`/api/books/${lent._id}/loan`).send({ borrower: 'Маша' }).expect(201);
+
+    const res = await agent
+      .post('/api/duplicates/merge')
+      .send({ primaryId: primary._id, duplicateIds: [lent._id] })
+      .expect(200);
+    assert.equal(res.body.book.currentLoan.borrower, 'Маша');
+
+    await agent.post(`/api/trash/${lent._id}/restore`).expect(200);
+    const restored = await agent.get(`/api/books/${lent._id}`).expect(200);
+    assert.equal(restored.body.currentLoan, null, 'восстановленный дубликат не числится выданным');
+
+    const loans = await agent.get('/api/loans?status=active').expect(200);
+    assert.deepEqual(loans.body.map(loan => loan.bookId), [primary._id]);
+  });
+
+  it('finds titles with typos among many unrelated books', async () => {
+    const { agent: collector, user } = await registerUser(testApp.app, 'collector');
+    const ownerId = new ObjectId(user._id);
+    // Случайные названия одной длины: все попадают в одну полосу длин
+    const letters = 'абвгдежзиклмнопр';
+    const noise = Array.from({ length: 500 }, (_, i) => ({
+      title: [...crypto.createHash('md5').update(String(i)).digest('hex')].map(digit => letters[parseInt(digit, 16)]).join(''),
+      author: 'Михаил Булгаков', genre: 'Роман', ownerId, deletedAt: null, dateAdded: new Date()
+    }));
+    const { insertedIds } = await testApp.ctx.booksCollection.insertMany([
+      ...noise,
+      { title: 'Записки юного врача', author: 'Михаил Булгаков', genre: 'Роман', ownerId, deletedAt: null, dateAdded: new Date() },
+      { title: 'Запимки юного врча', author: 'Булгаков М. А.', genre: 'Роман', ownerId, deletedAt: null, dateAdded: new Date() }
+    ]);
+
+    const res = await collector.get('/api/duplicates').expect(200);
+    assert.deepEqual(
+      res.body.groups.map(group => group.books.map(book => book._id).sort()),
+      [[insertedIds[500].toString(), insertedIds[501].toString()].sort()]
+    );
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, registerUser, createBook } = require('./support/app');
+
+describe('genres', () => {
+  let testApp;
+  let agent;
+
+  async function findGenre(name) {
+    const res = await agent.get('/api/genres').expect(200);
+    return res.body.find(genre => genre.name === name);
+  }
+
+  before(async () => {
+    testApp = await createTestApp();
+    ({ agent } = await registerUser(testApp.app));
+  });
+
+  after(() => testApp.close());
+
+  it('lists genres with book counts', async () => {
+    await createBook(agent, { genre: 'Роман', title: 'Белая гвардия' });
+    const genre = await findGenre('Роман');
+    assert.equal(genre.bookCount, 1);
+  });
+
+  it('creates a genre that books can use', async () => {
+    const res = await agent.post('/api/genres').send({ name: '  Поэзия ' }).expect(201);
+    assert.deepEqual({ name: res.body.name, bookCount: res.body.bookCount }, { name: 'Поэзия', bookCount: 0 });
+
+    await createBook(agent, { genre: 'Поэзия', title: 'Стихотворения' });
+    await agent.post('/api/genres').send({ name: 'Поэзия' }).expect(409);
+  });
+
+  it('validates genre names', async () => {
+    const res = await agent.post('/api/genres').send({ name: '' }).expect(400);
+    assert.deepEqual(res.body.errors, [{ field: 'name', code: 'required', message: 'Название жанра обязательно' }]);
+    await agent.post('/api/genres').send({ name: 'x'.repeat(51) }).expect(400);
+  });
+
+  it('renames a genre together with its books', async () => {
+    const genre = await agent.post('/api/genres').send({ name: 'Сказки' }).expect(201);
+    const book = await createBook(agent, { genre: 'Сказки', title: 'Руслан и Людмила' });
+
+    const res = await agent.put(`/api/genres/${genre.body._id}`).send({ name: 'Сказки и легенды' }).expect(200);
+    assert.equal(res.body.bookCount, 1);
+
+    const updated = await agent.get(`/api/books/${book._id}`).expect(200);
+    assert.equal(updated.body.genre, 'Сказки и легенды');
+
+    const history = await agent.get(`/api/books/${book._id}/history`).expect(200);
+    assert.deepEqual(history.body[0].changes, [{ field: 'genre', from: 'Сказки', to: 'Сказки и легенды' }]);
+
+    await agent.put(`/api/genres/${genre.body._id}`).send({ name: 'Классика' }).expect(409);
+  });
+
+  it('merges a genre into another', async () => {
+    const source = await agent.post('/api/genres').send({ name: 'Хоррор' }).expect(201);
+    await createBook(agent, { genre: 'Хоррор', title: 'Вий' });
+    const thriller = await findGenre('Триллер');
+
+    const res = await agent.post(`/api/genres/${source.body._id}/merge`).send({ targetId: thriller._id }).expect(200);
+    assert.equal(res.body.movedBooks, 1);
+    assert.equal(await findGenre('Хоррор'), undefined);
+    assert.equal((await findGenre('Триллер')).bookCount, 1);
+
+    await agent.post(`/api/genres/${thriller._id}/merge`).send({ targetId: thriller._id }).expect(400);
+  });
+
+  it('deletes only empty genres, counting the trash', async () => {
+    const genre = await agent.post('/api/genres').send({ name: 'Мемуары' }).expect(201);
+    const book = await createBook(agent, { genre: 'Мемуары', title: 'Воспоминания' });
+    await agent.delete(`/api/books/${book._id}`).expect(200);
+
+    const res = await agent.delete(`/api/genres/${genre.body._id}`).expect(409);
+    assert.match(res.body.message, /включая корзину/);
+
+    await agent.delete(`/api/trash/${book._id}`).expect(200);
+    await agent.delete(`/api/genres/${genre.body._id}`).expect(200);
+  });
+
+  it('returns 400 and 404 for bad ids', async () => {
+    const missing = '0123456789abcdef01234567';
+    await agent.put('/api/genres/not-an-id').send({ name: 'X' }).expect(400);
+    await agent.put(`/api/genres/${missing}`).send({ name: 'X' }).expect(404);
+    await agent.post(`/api/genres/${missing}/merge`).send({ targetId: 'bad' }).expect(400);
+    await agent.post(`/api/genres/${missing}/merge`).send({ targetId: missing.replace('0', '1') }).expect(404);
+    await agent.delete('/api/genres/not-an-id').expect(400);
+    await agent.delete(`/api/genres/${missing}`).expect(404);
+  });
+});
+
+describe('GET /api/tags', () => {
+  let testApp;
+
+  before(async () => {
+    testApp = await createTestApp();
+  });
+
+  after(() => testApp.close());
+
+  it('counts tags of active books', async () => {
+    const { agent } = await registerUser(testApp.app);
+    await createBook(agent, { title: 'Солярис', tags: ['космос', 'классика'] });
+    await createBook(agent, { title: 'Эдем', tags: ['космос'] });
+    const trashed = await createBook(agent, { title: 'Удаленная', tags: ['космос', 'удалено'] });
+    await agent.delete(`/api/books/${trashed._id}`).expect(200);
+
+    const res = await agent.get('/api/tags').expect(200);
+    assert.deepEqual(res.body, [
+      { tag: 'космос', count: 2 },
+      { tag: 'классика', count: 1 }
+    ]);
+  });
+});
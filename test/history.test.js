@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, registerUser, createBook } = require('./support/app');
+
+describe('history', () => {
+  let testApp;
+  let agent;
+
+  before(async () => {
+    testApp = await createTestApp();
+    ({ agent } = await registerUser(testApp.app));
+  });
+
+  after(() => testApp.close());
+
+  it('records field-level changes, newest first', async () => {
+    const book = await createBook(agent, { title: 'Морфий', totalPages: 50 });
+    await agent.post(`/api/books/${book._id}/sessions`).send({ pagesRead: 10 }).expect(201);
+
+    const res = await agent.get(`/api/books/${book._id}/history`).expect(200);
+    assert.deepEqual(res.body.map(entry => entry.action), ['update', 'create']);
+
+    const changes = Object.fromEntries(res.body[0].changes.map(change => [change.field, change]));
+    assert.equal(changes.currentPage.from, 0);
+    assert.equal(changes.currentPage.to, 10);
+    assert.equal(res.body[0].actor.username, 'reader');
+  });
+
+  it('reverts a book to an earlier version', async () => {
+    const book = await createBook(agent, { title: 'Багровый остров', totalPages: 80 });
+    await agent.post(`/api/books/${book._id}/sessions`).send({ pagesRead: 80 }).expect(201);
+
+    const history = await agent.get(`/api/books/${book._id}/history`).expect(200);
+    const created = history.body.find(entry => entry.action === 'create');
+
+    const res = await agent.post(`/api/books/${book._id}/history/${created._id}/revert`).expect(200);
+    assert.equal(res.body.currentPage, 0);
+    assert.equal(res.body.isRead, false);
+    assert.equal(res.body.finishedAt, undefined);
+
+    const after = await agent.get(`/api/books/${book._id}/history`).expect(200);
+    assert.equal(after.body[0].action, 'revert');
+  });
+
+  it('refuses to revert to a version with a deleted genre', async () => {
+    const genre = await agent.post('/api/genres').send({ name: 'Пьесы' }).expect(201);
+    const book = await createBook(agent, { title: 'Адам и Ева', genre: 'Пьесы' });
+    const [created] = (await agent.get(`/api/books/${book._id}/history`)).body;
+
+    const classics = (await agent.get('/api/genres')).body.find(item => item.name === 'Классика');
+    await agent.post(`/api/genres/${genre.body._id}/merge`).send({ targetId: classics._id }).expect(200);
+
+    const res = await agent.post(`/api/books/${book._id}/history/${created._id}/revert`).expect(409);
+    assert.ok(res.body.errors.some(error => error.field === 'genre' && error.message.startsWith('Жанр должен быть одним из')));
+  });
+
+  it('keeps history after the book is purged', async () => {
+    const book = await createBook(agent, { title: 'Дьяволиада' });
+    await agent.delete(`/api/books/${book._id}`).expect(200);
+    await agent.delete(`/api/trash/${book._id}`).expect(200);
+
+    const res = await agent.get(`/api/books/${book._id}/history`).expect(200);
+    assert.deepEqual(res.body.map(entry => entry.action), ['purge', 'delete', 'create']);
+  });
+
+  it('returns 400 and 404 for bad ids', async () => {
+    const book = await createBook(agent, { title: 'Кабала святош' });
+    await agent.get('/api/books/not-an-id/history').expect(400);
+    await agent.post(`/api/books/${book._id}/history/not-an-id/revert`).expect(400);
+    await agent.post(`/api/books/${book._id}/history/0123456789abcdef01234567/revert`).expect(404);
+    await agent.post('/api/books/0123456789abcdef01234567/history/0123456789abcdef01234567/revert').expect(404);
+  });
+});
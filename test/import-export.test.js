@@ -0,0 +1,180 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const request = require('supertest');
+const { ObjectId } = require('mongodb');
+const { PASSWORD, createTestApp, registerUser, createBook } = require('./support/app');
+
+function parseCsvBody(text) {
+  return text.replace(/^\uFEFF/, '').trim().split('\r\n').map(line => line.split(','));
+}
+
+describe('import', () => {
+  let testApp;
+  let agent;
+
+  before(async () => {
+    testApp = await createTestApp();
+    ({ agent } = await registerUser(testApp.app));
+    await createBook(agent, { title: 'Мастер и Маргарита', author: 'Михаил Булгаков' });
+  });
+
+  after(() => testApp.close());
+
+  const csv = [
+    'Название;Автор;Жанр;Год;Прочитана;Теги;ISBN',
+    'Собачье сердце;Михаил Булгаков;Классика;1925;да;повесть, сатира;',
+    'мастер  и маргарита;Михаил Булгаков;Классика;;;;',
+    ';Без названия;Классика;;;;',
+    '"Дюна; первая книга";Фрэнк Герберт;Фантастика;1965;;;0-441-17271-7'
+  ].join('\n');
+
+  it('checks a CSV file in dry-run mode without saving', async () => {
+    const res = await agent
+      .post('/api/books/import')
+      .query({ dryRun: 'true' })
+      .attach('file', Buffer.from(csv), 'books.csv')
+      .expect(200);
+
+    assert.equal(res.body.dryRun, true);
+    assert.equal(res.body.format, 'csv');
+    assert.equal(res.body.total, 4);
+    assert.equal(res.body.accepted, 2);
+    assert.equal(res.body.inserted, 0);
+    assert.deepEqual(res.body.rows.map(row => row.status), ['accepted', 'duplicate', 'rejected', 'accepted']);
+
+    const list = await agent.get('/api/books').expect(200);
+    assert.equal(list.body.total, 1);
+  });
+
+  it('imports accepted rows and records history', async () => {
+    const res = await agent
+      .post('/api/books/import')
+      .attach('file', Buffer.from(csv), 'books.csv')
+      .expect(201);
+    assert.equal(res.body.inserted, 2);
+
+    const dune = await agent.get('/api/books').query({ genre: 'Фантастика' }).expect(200);
+    assert.equal(dune.body.books[0].title, 'Дюна; первая книга');
+    assert.equal(dune.body.books[0].isbn, '9780441172719');
+
+    const history = await agent.get(`/api/books/${dune.body.books[0]._id}/history`).expect(200);
+    assert.deepEqual(history.body.map(entry => entry.action), ['create']);
+  });
+
+  it('imports JSON and reports ISBN duplicates', async () => {
+    const books = [
+      { title: 'Дюна. Переиздание', author: 'Фрэнк Герберт', genre: 'Фантастика', isbn: '9780441172719' },
+      { title: 'Бег', author: 'Михаил Булгаков', genre: 'Классика', isRead: true, tags: ['пьеса'] },
+      'не объект'
+    ];
+    const res = await agent
+      .post('/api/books/import')
+      .attach('file', Buffer.from(JSON.stringify({ books })), 'books.json')
+      .expect(201);
+
+    assert.deepEqual(res.body.rows.map(row => row.status), ['duplicate', 'accepted', 'rejected']);
+    assert.equal(res.body.inserted, 1);
+  });
+
+  it('rejects missing, unknown and malformed files', async () => {
+    await agent.post('/api/books/import').expect(400);
+    await agent.post('/api/books/import').attach('file', Buffer.from('x'), 'books.txt').expect(400);
+
+    const broken = await agent
+      .post('/api/books/import')
+      .attach('file', Buffer.from('{ not json'), 'books.json')
+      .expect(400);
+    assert.equal(broken.body.code, 'VALIDATION_ERROR');
+    assert.deepEqual([broken.body.errors[0].field, broken.body.errors[0].code], ['file', 'format']);
+    assert.match(broken.body.errors[0].message, /^Не удалось разобрать JSON/);
+
+    await agent.post('/api/books/import').attach('file', Buffer.from('[]'), 'books.json').expect(400);
+  });
+});
+
+describe('GET /api/books/export', () => {
+  let testApp;
+  let agent;
+
+  before(async () => {
+    testApp = await createTestApp();
+    ({ agent } = await registerUser(testApp.app));
+    await createBook(agent, { title: 'Солярис', author: 'Станислав Лем', genre: 'Фантастика', tags: ['космос', 'океан'], description: 'Планета, "океан"' });
+    await createBook(agent, { title: 'Десять негритят', author: 'Агата Кристи', genre: 'Детектив', isRead: true, rating: 5 });
+  });
+
+  after(() => testApp.close());
+
+  it('exports CSV with a header row', async () => {
+    const res = await agent.get('/api/books/export').expect(200);
+    assert.match(res.headers['content-type'], /text\/csv/);
+    assert.match(res.headers['content-disposition'], /attachment; filename="library-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const rows = parseCsvBody(res.text);
+    assert.deepEqual(rows[0].slice(0, 3), ['title', 'author', 'isbn']);
+    assert.equal(rows.length, 3);
+    assert.match(res.text, /"Планета, ""океан"""/);
+    assert.match(res.text, /космос; океан/);
+  });
+
+  it('exports JSON that the import accepts', async () => {
+    const res = await agent.get('/api/books/export').query({ format: 'json', genre: 'Детектив' }).expect(200);
+    const data = JSON.parse(res.text);
+    assert.equal(data.total, 1);
+    assert.equal(data.books[0].title, 'Десять негритят');
+    assert.equal(data.books[0]._id, undefined);
+  });
+
+  it('exports an HTML catalogue grouped by genre with escaped text', async () => {
+    const res = await agent.get('/api/books/export').query({ format: 'html' }).expect(200);
+    assert.match(res.headers['content-disposition'], /^inline/);
+    assert.ok(res.text.indexOf('<h2>Детектив</h2>') < res.text.indexOf('<h2>Фантастика</h2>'));
+    assert.match(res.text, /Планета, &quot;океан&quot;/);
+  });
+
+  it('rejects an unknown format and an unknown shelf', async () => {
+    await agent.get('/api/books/export').query({ format: 'xml' }).expect(400);
+    await agent.get('/api/books/export').query({ shelf: '0123456789abcdef01234567' }).expect(404);
+  });
+
+  it('closes the cursor when the client disconnects mid-export', async () => {
+    const registered = await request(testApp.app)
+      .post('/api/auth/register')
+      .send({ username: 'bulky', password: PASSWORD })
+      .expect(201);
+    const ownerId = new ObjectId(registered.body.user._id);
+    await testApp.ctx.booksCollection.insertMany(Array.from({ length: 1500 }, (_, i) => ({
+      title: `Книга ${i}`, author: 'Автор', genre: 'Роман', ownerId, description: 'x'.repeat(10000), dateAdded: new Date()
+    })));
+
+    // Следим за курсором экспорта
+    const { booksCollection } = testApp.ctx;
+    const find = booksCollection.find;
+    let closeCursor;
+    const closed = new Promise(resolve => { closeCursor = resolve; });
+    booksCollection.find = function (...args) {
+      const cursor = find.apply(this, args);
+      const close = cursor.close.bind(cursor);
+      cursor.close = async () => { closeCursor(); return close(); };
+      return cursor;
+    };
+
+    const server = testApp.app.listen(0);
+    try {
+      const req = http.get({ port: server.address().port, path: '/api/books/export', headers: { Cookie: registered.headers['set-cookie'] } });
+      // Ответ не читаем: сервер упирается в backpressure, затем соединение обрывается
+      const [res] = await once(req, 'response');
+      assert.equal(res.statusCode, 200);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      req.destroy();
+
+      const timeout = new Promise((_, reject) => setTimeout(() => reject(new Error('курсор не закрыт')), 2000).unref());
+      await Promise.race([closed, timeout]);
+    } finally {
+      booksCollection.find = find;
+      server.close();
+    }
+  });
+});
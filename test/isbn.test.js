@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestApp, registerUser, createBook } = require('./support/app');
+
+describe('GET /api/isbn/:isbn', () => {
+  let testApp;
+  let agent;
+
+  before(async () => {
+    testApp = await createTestApp();
+    ({ agent } = await registerUser(testApp.app));
+  });
+
+  after(() => testApp.close());
+
+  it('finds metadata in the local fixtures by ISBN-13 or ISBN-10', async () => {
+    const res = await agent.get('/api/isbn/978-5-389-01686-6').expect(200);
+    assert.equal(res.body.isbn, '9785389016866');
+    assert.equal(res.body.source, 'fixture');
+    assert.equal(res.body.title, 'Мастер и Маргарита');
+    assert.equal(res.body.existingBook, null);
+
+    const dune = await agent.get('/api/isbn/0441172717').expect(200);
+    assert.equal(dune.body.isbn, '9780441172719');
+  });
+
+  it('reports a book already in the library', async () => {
+    const book = await createBook(agent, { isbn: '9785389016866' });
+    const res = await agent.get('/api/isbn/9785389016866').expect(200);
+    assert.equal(res.body.existingBook._id, book._id);
+    assert.equal(res.body.existingBook.title, book.title);
+  });
+
+  it('returns 400 for an invalid ISBN and 404 when nothing is found', async () => {
+    await agent.get('/api/isbn/9785389016865').expect(400);
+
+    const res = await agent.get('/api/isbn/9780306406157').expect(404);
+    assert.equal(res.body.isbn, '9780306406157');
+  });
+
+  it('reads fixtures from ISBN_FIXTURES_PATH', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'isbn-'));
+    const fixturesPath = path.join(dir, 'fixtures.json');
+    await fs.promises.writeFile(fixturesPath, JSON.stringify({
+      '978-0-306-40615-7': { title: 'Тестовая книга', author: 'Автор', year: 1990 }
+    }));
+
+    const custom = await createTestApp({ ISBN_FIXTURES_PATH: fixturesPath });
+    try {
+      const { agent: other } = await registerUser(custom.app);
+      const res = await other.get('/api/isbn/9780306406157').expect(200);
+      assert.equal(res.body.title, 'Тестовая книга');
+      await other.get('/api/isbn/9785389016866').expect(404);
+    } finally {
+      await custom.close();
+      await fs.promises.rm(dir, { recursive: true });
+    }
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, registerUser, createBook } = require('./support/app');
+
+const MISSING_ID = '0123456789abcdef01234567';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('loans', () => {
+  let testApp;
+  let agent;
+
+  before(async () => {
+    testApp = await createTestApp();
+    ({ agent } = await registerUser(testApp.app));
+  });
+
+  after(() => testApp.close());
+
+  it('lends a book for 14 days by default', async () => {
+    const book = await createBook(agent, { title: 'Одолженная' });
+    const res = await agent
+      .post(`/api/books/${book._id}/loan`)
+      .send({ borrower: '  Маша ', note: 'Вернуть до отпуска' })
+      .expect(201);
+
+    const { loan } = res.body;
+    assert.equal(loan.borrower, 'Маша');
+    assert.equal(loan.returnedAt, null);
+    assert.equal(new Date(loan.dueAt) - new Date(loan.loanedAt), 14 * DAY_MS);
+    assert.equal(res.body.book.currentLoan.borrower, 'Маша');
+
+    const again = await agent.post(`/api/books/${book._id}/loan`).send({ borrower: 'Петя' }).expect(409);
+    assert.match(again.body.message, /Маша/);
+  });
+
+  it('treats a bare due date as the end of that day', async () => {
+    const book = await createBook(agent, { title: 'До конца дня' });
+    const res = await agent
+      .post(`/api/books/${book._id}/loan`)
+      .send({ borrower: 'Оля', loanedAt: '2024-05-01', dueAt: '2024-05-10' })
+      .expect(201);
+    assert.equal(res.body.loan.dueAt, '2024-05-10T23:59:59.999Z');
+  });
+
+  it('validates loans', async () => {
+    const book = await createBook(agent, { title: 'Проверка выдачи' });
+    const res = await agent
+      .post(`/api/books/${book._id}/loan`)
+      .send({ borrower: '', dueAt: 'не дата', note: 'x'.repeat(501) })
+      .expect(400);
+    assert.deepEqual(res.body.errors.map(error => [error.field, error.code]), [
+      ['borrower', 'required'],
+      ['dueAt', 'format'],
+      ['note', 'maxLength']
+    ]);
+
+    await agent
+      .post(`/api/books/${book._id}/loan`)
+      .send({ borrower: 'Оля', loanedAt: '2024-05-10', dueAt: '2024-05-01' })
+      .expect(400);
+    await agent.post('/api/books/not-an-id/loan').send({ borrower: 'Оля' }).expect(400);
+    await agent.post(`/api/books/${MISSING_ID}/loan`).send({ borrower: 'Оля' }).expect(404);
+  });
+
+  it('returns a book and keeps the loan history', async () => {
+    const book = await createBook(agent, { title: 'Возвращенная' });
+    await agent
+      .post(`/api/books/${book._id}/loan`)
+      .send({ borrower: 'Вася', loanedAt: '2024-03-01' })
+      .expect(201);
+
+    await agent.post(`/api/books/${book._id}/return`).send({ returnedAt: '2024-02-01' }).expect(400);
+    await agent.post(`/api/books/${book._id}/return`).send({ returnedAt: 'не дата' }).expect(400);
+
+    const res = await agent.post(`/api/books/${book._id}/return`).send({}).expect(200);
+    assert.equal(res.body.book.currentLoan, null);
+    assert.ok(res.body.loan.returnedAt);
+
+    await agent.post(`/api/books/${book._id}/return`).send({}).expect(409);
+
+    await agent.post(`/api/books/${book._id}/loan`).send({ borrower: 'Гена' }).expect(201);
+    const history = await agent.get(`/api/books/${book._id}/loans`).expect(200);
+    assert.deepEqual(history.body.map(loan => loan.borrower), ['Гена', 'Вася']);
+
+    await agent.get('/api/books/not-an-id/loans').expect(400);
+    await agent.post('/api/books/not-an-id/return').send({}).expect(400);
+    await agent.post(`/api/books/${MISSING_ID}/return`).send({}).expect(404);
+  });
+
+  it('lists loans by status with overdue days', async () => {
+    const { agent: other } = await registerUser(testApp.app, 'lender');
+    const overdue = await createBook(other, { title: 'Просроченная' });
+    const active = await createBook(other, { title: 'На руках' });
+    const returned = await createBook(other, { title: 'Дома' });
+    const loanedAt = new Date(Date.now() - 10 * DAY_MS).toISOString();
+    const dueAt = new Date(Date.now() - 3 * DAY_MS - 60 * 1000).toISOString();
+
+    await other.post(`/api/books/${overdue._id}/loan`).send({ borrower: 'Аня', loanedAt, dueAt }).expect(201);
+    await other.post(`/api/books/${active._id}/loan`).send({ borrower: 'Боря' }).expect(201);
+    await other.post(`/api/books/${returned._id}/loan`).send({ borrower: 'Вера' }).expect(201);
+    await other.post(`/api/books/${returned._id}/return`).send({}).expect(200);
+
+    const activeList = await other.get('/api/loans').expect(200);
+    assert.deepEqual(activeList.body.map(loan => loan.book.title), ['Просроченная', 'На руках']);
+    assert.equal(activeList.body[0].daysOverdue, 4);
+    assert.equal(activeList.body[1].daysOverdue, 0);
+
+    const overdueList = await other.get('/api/loans').query({ status: 'overdue' }).expect(200);
+    assert.deepEqual(overdueList.body.map(loan => loan.borrower), ['Аня']);
+
+    const returnedList = await other.get('/api/loans').query({ status: 'returned' }).expect(200);
+    assert.deepEqual(returnedList.body.map(loan => loan.borrower), ['Вера']);
+
+    const all = await other.get('/api/loans').query({ status: 'all' }).expect(200);
+    assert.equal(all.body.length, 3);
+
+    await other.get('/api/loans').query({ status: 'lost' }).expect(400);
+
+    const onLoan = await other.get('/api/books').query({ loan: 'onLoan' }).expect(200);
+    assert.equal(onLoan.body.total, 2);
+    const overdueBooks = await other.get('/api/books').query({ loan: 'overdue' }).expect(200);
+    assert.deepEqual(overdueBooks.body.books.map(book => book.title), ['Просроченная']);
+    const available = await other.get('/api/books').query({ loan: 'available' }).expect(200);
+    assert.deepEqual(available.body.books.map(book => book.title), ['Дома']);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createTestApp, registerUser, createBook } = require('./support/app');
+const { MIGRATIONS, runMigrations, migrationStatus } = require('../src/migrations');
+const { BOOK_SCHEMA, applyBookValidator } = require('../src/schema');
+
+describe('books schema validator', () => {
+  let testApp;
+  let agent;
+
+  before(async () => {
+    testApp = await createTestApp();
+    ({ agent } = await registerUser(testApp.app));
+  });
+
+  after(() => testApp.close());
+
+  it('is installed at startup', async () => {
+    const options = await testApp.ctx.booksCollection.options();
+    assert.deepEqual(options.validator, { $jsonSchema: BOOK_SCHEMA });
+    assert.equal(options.validationLevel, 'moderate');
+  });
+
+  it('rejects documents written around the API', async () => {
+    await assert.rejects(
+      testApp.ctx.booksCollection.insertOne({ title: 'Бег', author: 'Михаил Булгаков', genre: 'Классика', year: '1928' }),
+      { code: 121 }
+    );
+    await assert.rejects(
+      testApp.ctx.booksCollection.insertOne({ title: '', author: 'Михаил Булгаков', genre: 'Классика' }),
+      { code: 121 }
+    );
+  });
+
+  it('accepts books written by the API', async () => {
+    const book = await createBook(agent, {
+      isbn: '0-306-40615-2', year: 1966, rating: 4.5, totalPages: 480, currentPage: 10,
+      startedAt: '2024-01-02', tags: ['роман']
+    });
+    await agent.post(`/api/books/${book._id}/sessions`).send({ pagesRead: 20 }).expect(201);
+    await agent.put(`/api/books/${book._id}`).send({ year: '', isbn: '', totalPages: '', startedAt: '' }).expect(200);
+  });
+});
+
+describe('migrations', () => {
+  let testApp;
+
+  before(async () => {
+    testApp = await createTestApp();
+  });
+
+  after(() => testApp.close());
+
+  it('records applied migrations and skips them on the next run', async () => {
+    const status = await migrationStatus(testApp.ctx);
+    assert.deepEqual(status.map(migration => migration.version), MIGRATIONS.map(migration => migration.version));
+    assert.ok(status.every(migration => migration.appliedAt instanceof Date));
+
+    assert.deepEqual(await runMigrations(testApp.ctx), []);
+  });
+
+  it('backfills defaults and normalizes field types of legacy books', async () => {
+    const { ctx } = testApp;
+    // Старые документы лежат в базе до появления валидатора
+    await ctx.db.command({ collMod: 'books', validationLevel: 'off' });
+    await ctx.migrationsCollection.deleteMany({});
+
+    const legacyId = new ObjectId();
+    await ctx.booksCollection.insertOne({
+      _id: legacyId,
+      title: 'Собачье сердце',
+      author: 'Михаил Булгаков',
+      genre: 'Классика',
+      year: '1925',
+      rating: '4.5',
+      isRead: 'true',
+      tags: 'повесть, сатира',
+      startedAt: '2024-01-02',
+      isbn: '0-306-40615-2',
+      totalPages: 'много'
+    });
+
+    const applied = await runMigrations(ctx);
+    assert.deepEqual(applied.map(migration => migration.version), [1, 2, 3]);
+
+    const book = await ctx.booksCollection.findOne({ _id: legacyId });
+    assert.equal(book.year, 1925);
+    assert.equal(book.rating, 4.5);
+    assert.equal(book.isRead, true);
+    assert.deepEqual(book.tags, ['повесть', 'сатира']);
+    assert.ok(book.startedAt instanceof Date);
+    assert.equal(book.isbn, '9780306406157');
+    assert.equal(book.totalPages, undefined);
+    assert.deepEqual(book.readingSessions, []);
+    assert.equal(book.version, 0);
+    assert.equal(book.dateAdded.getTime(), legacyId.getTimestamp().getTime());
+    assert.equal(book.updatedAt.getTime(), book.dateAdded.getTime());
+
+    // После миграций книга проходит и строгую проверку
+    await ctx.db.command({ collMod: 'books', validationLevel: 'strict' });
+    await ctx.booksCollection.updateOne({ _id: legacyId }, { $set: { notes: 'Проверено' } });
+    await applyBookValidator(ctx);
+  });
+
+  it('releases a failed migration so that it runs again', async () => {
+    const { ctx } = testApp;
+    let attempts = 0;
+    const flaky = {
+      version: 100,
+      name: 'flaky',
+      async up() {
+        attempts++;
+        if (attempts === 1) throw new Error('сбой');
+        return { modified: 0 };
+      }
+    };
+
+    await assert.rejects(runMigrations(ctx, [flaky]), /сбой/);
+    assert.equal(await ctx.migrationsCollection.findOne({ _id: 100 }), null);
+
+    const applied = await runMigrations(ctx, [flaky]);
+    assert.deepEqual(applied, [{ version: 100, name: 'flaky', result: { modified: 0 } }]);
+    assert.equal(attempts, 2);
+  });
+
+  it('refuses to run past an unfinished migration', async () => {
+    const { ctx } = testApp;
+    await ctx.migrationsCollection.insertOne({ _id: 101, name: 'stuck', startedAt: new Date(), appliedAt: null });
+
+    const stuck = { version: 101, name: 'stuck', up: async () => null };
+    await assert.rejects(runMigrations(ctx, [stuck]), /101-stuck не завершена/);
+  });
+});
@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestApp, registerUser, createBook } = require('./support/app');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Все маршруты /api из роутеров Express в виде "GET /api/books/{id}"
+function expressRoutes(app) {
+  const routes = new Set();
+  const walk = stack => stack.forEach(layer => {
+    if (layer.route && typeof layer.route.path === 'string' && layer.route.path.startsWith('/api/')) {
+      const path = layer.route.path.replace(/:(\w+)/g, '{$1}');
+      Object.keys(layer.route.methods).forEach(method => routes.add(`${method.toUpperCase()} ${path}`));
+    } else if (layer.handle?.stack) {
+      walk(layer.handle.stack);
+    }
+  });
+  walk(app._router.stack);
+  return routes;
+}
+
+function documentedRoutes(spec) {
+  return new Set(Object.entries(spec.paths).flatMap(([path, item]) =>
+    METHODS.filter(method => item[method]).map(method => `${method.toUpperCase()} ${path}`)
+  ));
+}
+
+describe('OpenAPI document and error format', () => {
+  let testApp;
+  let agent;
+  let spec;
+
+  before(async () => {
+    testApp = await createTestApp();
+    ({ agent } = await registerUser(testApp.app));
+  });
+
+  after(() => testApp.close());
+
+  it('serves the document without authentication', async () => {
+    const res = await request(testApp.app).get('/api/openapi.json').expect(200);
+    spec = res.body;
+    assert.equal(spec.openapi, '3.1.0');
+    assert.deepEqual(spec.components.schemas.BookInput.required, ['title', 'author', 'genre']);
+    assert.ok(spec.components.securitySchemes.cookieAuth);
+  });
+
+  it('documents every API route and nothing else', () => {
+    const routes = expressRoutes(testApp.app);
+    const documented = documentedRoutes(spec);
+    assert.deepEqual([...routes].filter(route => !documented.has(route)), [], 'маршруты без описания');
+    assert.deepEqual([...documented].filter(route => !routes.has(route)), [], 'описаны несуществующие маршруты');
+  });
+
+  it('documents every sort order the book list handles', async () => {
+    const sortBy = spec.paths['/api/books'].get.parameters.find(param => param.name === 'sortBy');
+    const shelf = (await agent.post('/api/shelves').send({ name: 'Пьесы' }).expect(201)).body;
+    const run = await createBook(agent, { title: 'Бег', author: 'Булгаков', year: 1928, rating: 4 });
+    const adam = await createBook(agent, { title: 'Адам и Ева', author: 'Булгаков М.', year: 1931, rating: 2 });
+    const plays = await createBook(agent, { title: 'Булгаков: пьесы', author: 'Булгаков', year: 1920, rating: 5 });
+    for (const book of [run, adam, plays]) {
+      await agent.post(`/api/shelves/${shelf._id}/books`).send({ bookId: book._id }).expect(201);
+    }
+
+    // Неизвестное значение дает порядок по умолчанию (новые первыми), поэтому
+    // у каждой описанной сортировки, кроме relevance, порядок от него отличается
+    const expected = {
+      title: [adam, run, plays],
+      author: [run, plays, adam],
+      year: [adam, run, plays],
+      rating: [plays, run, adam],
+      relevance: [plays, run, adam],
+      shelf: [run, adam, plays]
+    };
+    assert.deepEqual([...sortBy.schema.enum].sort(), Object.keys(expected).sort());
+
+    const titles = books => books.map(book => book.title);
+    const fallback = await agent.get('/api/books').query({ shelf: shelf._id, sortBy: 'nonsense' }).expect(200);
+    assert.deepEqual(titles(fallback.body.books), titles([plays, adam, run]));
+    for (const [value, books] of Object.entries(expected)) {
+      const query = { shelf: shelf._id, sortBy: value, ...(value === 'relevance' ? { q: 'Булгаков' } : {}) };
+      const res = await agent.get('/api/books').query(query).expect(200);
+      assert.deepEqual(titles(res.body.books), titles(books), `sortBy=${value}`);
+    }
+  });
+
+  it('rejects books by the limits published in the schema', async () => {
+    const { title } = spec.components.schemas.BookInput.properties;
+    // Жанры у каждого пользователя свои, поэтому в документе - ссылка на GET /api/genres, а не enum
+    const genres = (await agent.get('/api/genres').expect(200)).body.map(genre => genre.name);
+
+    const long = await agent.post('/api/books')
+      .send({ title: 'а'.repeat(title.maxLength + 1), author: 'Автор', genre: 'Роман' })
+      .expect(400);
+    assert.equal(long.body.code, 'VALIDATION_ERROR');
+    assert.deepEqual(long.body.errors.map(error => [error.field, error.code]), [['title', 'maxLength']]);
+
+    assert.ok(!genres.includes('Поэзия'));
+    const unknown = await agent.post('/api/books').send({ title: 'Стихи', author: 'Автор', genre: 'Поэзия' }).expect(400);
+    assert.deepEqual(unknown.body.errors.map(error => [error.field, error.code]), [['genre', 'enum']]);
+
+    await agent.post('/api/books').send({ title: 'а'.repeat(title.maxLength), author: 'Автор', genre: genres[0] }).expect(201);
+  });
+
+  it('reports bad ids and query parameters as validation errors', async () => {
+    const fields = res => res.body.errors.map(error => [error.field, error.code]);
+
+    const badId = await agent.get('/api/books/not-an-id').expect(400);
+    assert.equal(badId.body.code, 'VALIDATION_ERROR');
+    assert.deepEqual(fields(badId), [['id', 'pattern']]);
+
+    assert.deepEqual(fields(await agent.get('/api/books?limit=100000').expect(400)), [['limit', 'maximum']]);
+    assert.deepEqual(fields(await agent.get('/api/books/export?format=pdf').expect(400)), [['format', 'enum']]);
+  });
+
+  it('reports other errors with a code', async () => {
+    const book = await createBook(agent);
+
+    const missing = await agent.get('/api/books/000000000000000000000000').expect(404);
+    assert.equal(missing.body.code, 'NOT_FOUND');
+
+    const anonymous = await request(testApp.app).get('/api/books').expect(401);
+    assert.equal(anonymous.body.code, 'UNAUTHORIZED');
+
+    const conflict = await agent.put(`/api/books/${book._id}`).set('If-Match', '"99"').send({ notes: 'x' }).expect(409);
+    assert.equal(conflict.body.code, 'VERSION_CONFLICT');
+    assert.equal(conflict.body.book._id, book._id);
+
+    const unknown = await agent.get('/api/nothing-here').expect(404);
+    assert.equal(unknown.body.code, 'NOT_FOUND');
+    assert.match(unknown.body.message, /GET \/api\/nothing-here/);
+  });
+
+  it('serves the API explorer page', async () => {
+    const res = await request(testApp.app).get('/api-docs.html').expect(200);
+    assert.match(res.text, /<script src="api-docs.js"><\/script>/);
+    await request(testApp.app).get('/api-docs.js').expect('Content-Type', /javascript/).expect(200);
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, registerUser, createBook } = require('./support/app');
+
+describe('GET /api/recommendations', () => {
+  let testApp;
+  let agent;
+
+  before(async () => {
+    testApp = await createTestApp();
+    ({ agent } = await registerUser(testApp.app));
+  });
+
+  after(() => testApp.close());
+
+  it('returns nothing until some read books are rated 4 or 5', async () => {
+    await createBook(agent, { title: 'Эдем', author: 'Станислав Лем', genre: 'Фантастика' });
+    await createBook(agent, { title: 'Непобедимый', author: 'Станислав Лем', genre: 'Фантастика', isRead: true, rating: 3 });
+
+    const res = await agent.get('/api/recommendations').expect(200);
+    assert.deepEqual(res.body, { recommendations: [], basedOn: 0 });
+  });
+
+  it('ranks unread books by similarity to liked ones and explains why', async () => {
+    await createBook(agent, {
+      title: 'Солярис',
+      author: 'Станислав Лем',
+      genre: 'Фантастика',
+      tags: ['космос', 'контакт'],
+      description: 'Учёные на станции изучают разумный океан планеты и пытаются установить контакт',
+      isRead: true,
+      rating: 5
+    });
+    await createBook(agent, {
+      title: 'Пикник на обочине',
+      author: 'Аркадий и Борис Стругацкие',
+      genre: 'Фантастика',
+      tags: ['Контакт'],
+      description: 'Сталкеры ходят в Зону, где после посещения пришельцев остался непонятный разумный мир'
+    });
+    await createBook(agent, { title: 'Идиот', author: 'Фёдор Достоевский', genre: 'Классика' });
+
+    const res = await agent.get('/api/recommendations').expect(200);
+    assert.equal(res.body.basedOn, 1);
+    assert.deepEqual(res.body.recommendations.map(item => item.book.title), ['Эдем', 'Пикник на обочине']);
+
+    const [eden, picnic] = res.body.recommendations;
+    assert.ok(eden.score > picnic.score);
+    assert.deepEqual(eden.reasons.map(reason => reason.type), ['author', 'genre']);
+    assert.equal(eden.reasons[0].text, 'Тот же автор, что и у «Солярис»');
+    assert.equal(eden.reasons[0].books[0].title, 'Солярис');
+
+    const tags = picnic.reasons.find(reason => reason.type === 'tags');
+    assert.deepEqual(tags.tags, ['Контакт']);
+  });
+
+  it('skips books that are on loan and respects the limit', async () => {
+    const res = await agent.get('/api/recommendations?limit=1').expect(200);
+    assert.equal(res.body.recommendations.length, 1);
+    const [top] = res.body.recommendations;
+
+    await agent.post(`/api/books/${top.book._id}/loan`).send({ borrower: 'Сосед' }).expect(201);
+    const afterLoan = await agent.get('/api/recommendations').expect(200);
+    assert.ok(!afterLoan.body.recommendations.some(item => item.book._id === top.book._id));
+  });
+
+  it('rejects an invalid limit', async () => {
+    await agent.get('/api/recommendations?limit=0').expect(400);
+    await agent.get('/api/recommendations?limit=100').expect(400);
+  });
+});
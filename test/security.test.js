@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestApp, registerUser } = require('./support/app');
+
+describe('security', () => {
+  let testApp;
+  let agent;
+
+  before(async () => {
+    testApp = await createTestApp({ JSON_BODY_LIMIT: '1kb' });
+    ({ agent } = await registerUser(testApp.app));
+  });
+
+  after(() => testApp.close());
+
+  it('sends a Content-Security-Policy without inline scripts', async () => {
+    const res = await request(testApp.app).get('/').expect(200);
+    assert.match(res.headers['content-security-policy'], /script-src 'self';/);
+    assert.equal(res.headers['x-content-type-options'], 'nosniff');
+
+    const api = await agent.get('/api/books').expect(200);
+    assert.ok(api.headers['content-security-policy']);
+  });
+
+  it('rejects request bodies over the limit with 413', async () => {
+    const res = await agent
+      .post('/api/books')
+      .send({ title: 'Мастер и Маргарита', author: 'Михаил Булгаков', genre: 'Роман', description: 'а'.repeat(2000) })
+      .expect(413);
+    assert.equal(res.body.message, 'Тело запроса больше 1kb');
+  });
+
+  it('answers malformed JSON with 400', async () => {
+    const res = await agent
+      .post('/api/books')
+      .set('Content-Type', 'application/json')
+      .send('{"title":')
+      .expect(400);
+    assert.deepEqual(res.body.errors, [{ field: null, code: 'format', message: 'Тело запроса не является корректным JSON' }]);
+  });
+
+  it('keeps inline event handlers out of the page', async () => {
+    const res = await request(testApp.app).get('/').expect(200);
+    assert.doesNotMatch(res.text, /\son[a-z]+="/);
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, registerUser, createBook } = require('./support/app');
+
+const MISSING_ID = '0123456789abcdef01234567';
+
+describe('shelves', () => {
+  let testApp;
+  let agent;
+  let books;
+
+  before(async () => {
+    testApp = await createTestApp();
+    ({ agent } = await registerUser(testApp.app));
+    books = [
+      await createBook(agent, { title: 'Первая', year: 2001 }),
+      await createBook(agent, { title: 'Вторая', year: 2002 }),
+      await createBook(agent, { title: 'Третья', year: 2003 })
+    ];
+  });
+
+  after(() => testApp.close());
+
+  async function createShelf(name) {
+    const res = await agent.post('/api/shelves').send({ name, description: 'Описание' }).expect(201);
+    return res.body;
+  }
+
+  it('creates, renames and lists shelves', async () => {
+    const shelf = await createShelf('Отпуск');
+    assert.equal(shelf.bookCount, 0);
+    assert.deepEqual(shelf.bookIds, []);
+
+    const renamed = await agent.put(`/api/shelves/${shelf._id}`).send({ name: 'Отпуск 2025' }).expect(200);
+    assert.equal(renamed.body.name, 'Отпуск 2025');
+    assert.equal(renamed.body.description, 'Описание');
+
+    const list = await agent.get('/api/shelves').expect(200);
+    assert.ok(list.body.some(item => item.name === 'Отпуск 2025'));
+  });
+
+  it('validates shelves and rejects duplicate names', async () => {
+    const res = await agent.post('/api/shelves').send({ name: ' ' }).expect(400);
+    assert.deepEqual(res.body.errors, [{ field: 'name', code: 'required', message: 'Название полки обязательно' }]);
+    await agent.post('/api/shelves').send({ name: 'Полка', description: 'x'.repeat(501) }).expect(400);
+
+    await createShelf('Дубликат');
+    await agent.post('/api/shelves').send({ name: 'Дубликат' }).expect(409);
+    const other = await createShelf('Другая');
+    await agent.put(`/api/shelves/${other._id}`).send({ name: 'Дубликат' }).expect(409);
+  });
+
+  it('keeps books in shelf order and filters the list by shelf', async () => {
+    const shelf = await createShelf('По порядку');
+    await agent.post(`/api/shelves/${shelf._id}/books`).send({ bookId: books[2]._id }).expect(201);
+    await agent.post(`/api/shelves/${shelf._id}/books`).send({ bookId: books[0]._id }).expect(201);
+    const res = await agent
+      .post(`/api/shelves/${shelf._id}/books`)
+      .send({ bookId: books[1]._id, position: 0 })
+      .expect(201);
+    assert.deepEqual(res.body.bookIds, [books[1]._id, books[2]._id, books[0]._id]);
+
+    // Повторное добавление ничего не меняет
+    const again = await agent.post(`/api/shelves/${shelf._id}/books`).send({ bookId: books[0]._id }).expect(200);
+    assert.equal(again.body.bookCount, 3);
+
+    const ordered = await agent.get('/api/books').query({ shelf: shelf._id, sortBy: 'shelf' }).expect(200);
+    assert.deepEqual(ordered.body.books.map(book => book.title), ['Вторая', 'Третья', 'Первая']);
+
+    const byYear = await agent.get('/api/books').query({ shelf: shelf._id, sortBy: 'year' }).expect(200);
+    assert.deepEqual(byYear.body.books.map(book => book.title), ['Третья', 'Вторая', 'Первая']);
+
+    await agent.get('/api/books').query({ shelf: shelf._id, sortBy: 'shelf', cursor: 'x' }).expect(400);
+  });
+
+  it('reorders books and requires the full list', async () => {
+    const shelf = await createShelf('Перестановка');
+    for (const book of books) {
+      await agent.post(`/api/shelves/${shelf._id}/books`).send({ bookId: book._id }).expect(201);
+    }
+
+    const order = [books[2]._id, books[0]._id, books[1]._id];
+    const res = await agent.put(`/api/shelves/${shelf._id}/books`).send({ bookIds: order }).expect(200);
+    assert.deepEqual(res.body.bookIds, order);
+
+    await agent.put(`/api/shelves/${shelf._id}/books`).send({ bookIds: order.slice(1) }).expect(400);
+    await agent.put(`/api/shelves/${shelf._id}/books`).send({ bookIds: [...order, order[0]] }).expect(400);
+    await agent.put(`/api/shelves/${shelf._id}/books`).send({ bookIds: 'nope' }).expect(400);
+  });
+
+  it('hides trashed books and returns them to their place on restore', async () => {
+    const shelf = await createShelf('Корзина');
+    for (const book of books) {
+      await agent.post(`/api/shelves/${shelf._id}/books`).send({ bookId: book._id }).expect(201);
+    }
+
+    await agent.delete(`/api/books/${books[1]._id}`).expect(200);
+    let list = await agent.get('/api/shelves').expect(200);
+    let stored = list.body.find(item => item._id === shelf._id);
+    assert.deepEqual(stored.bookIds, [books[0]._id, books[2]._id]);
+    assert.equal(stored.bookCount, 2);
+
+    await agent.post(`/api/trash/${books[1]._id}/restore`).expect(200);
+    list = await agent.get('/api/shelves').expect(200);
+    stored = list.body.find(item => item._id === shelf._id);
+    assert.deepEqual(stored.bookIds, books.map(book => book._id));
+  });
+
+  it('keeps a trashed book in its slot when the visible books are reordered', async () => {
+    const shelf = await createShelf('Перестановка с корзиной');
+    for (const book of books) {
+      await agent.post(`/api/shelves/${shelf._id}/books`).send({ bookId: book._id }).expect(201);
+    }
+
+    await agent.delete(`/api/books/${books[1]._id}`).expect(200);
+    const res = await agent
+      .put(`/api/shelves/${shelf._id}/books`)
+      .send({ bookIds: [books[2]._id, books[0]._id] })
+      .expect(200);
+    assert.deepEqual(res.body.bookIds, [books[2]._id, books[0]._id]);
+
+    await agent.post(`/api/trash/${books[1]._id}/restore`).expect(200);
+    const list = await agent.get('/api/shelves').expect(200);
+    const stored = list.body.find(item => item._id === shelf._id);
+    assert.deepEqual(stored.bookIds, [books[2]._id, books[1]._id, books[0]._id]);
+  });
+
+  it('removes a book from a shelf and deletes the shelf', async () => {
+    const shelf = await createShelf('Временная');
+    await agent.post(`/api/shelves/${shelf._id}/books`).send({ bookId: books[0]._id }).expect(201);
+
+    const res = await agent.delete(`/api/shelves/${shelf._id}/books/${books[0]._id}`).expect(200);
+    assert.equal(res.body.bookCount, 0);
+    await agent.delete(`/api/shelves/${shelf._id}/books/${books[0]._id}`).expect(404);
+
+    await agent.delete(`/api/shelves/${shelf._id}`).expect(200);
+    await agent.delete(`/api/shelves/${shelf._id}`).expect(404);
+    await agent.get(`/api/books/${books[0]._id}`).expect(200);
+  });
+
+  it('returns 400 and 404 for bad ids and positions', async () => {
+    const shelf = await createShelf('Проверки');
+    await agent.put('/api/shelves/not-an-id').send({ name: 'X' }).expect(400);
+    await agent.put(`/api/shelves/${MISSING_ID}`).send({ name: 'X' }).expect(404);
+    await agent.delete('/api/shelves/not-an-id').expect(400);
+    await agent.post(`/api/shelves/${shelf._id}/books`).send({ bookId: 'bad' }).expect(400);
+    await agent.post(`/api/shelves/${shelf._id}/books`).send({ bookId: books[0]._id, position: -1 }).expect(400);
+    await agent.post(`/api/shelves/${MISSING_ID}/books`).send({ bookId: books[0]._id }).expect(404);
+    await agent.post(`/api/shelves/${shelf._id}/books`).send({ bookId: MISSING_ID }).expect(404);
+    await agent.put(`/api/shelves/${MISSING_ID}/books`).send({ bookIds: [] }).expect(404);
+    await agent.delete(`/api/shelves/${shelf._id}/books/not-an-id`).expect(400);
+  });
+});
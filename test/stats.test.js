@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp, registerUser, createBook } = require('./support/app');
+
+describe('stats', () => {
+  let testApp;
+  let agent;
+
+  before(async () => {
+    testApp = await createTestApp();
+    ({ agent } = await registerUser(testApp.app));
+
+    await createBook(agent, { title: 'Солярис', author: 'Станислав Лем', genre: 'Фантастика', rating: 5, isRead: true, totalPages: 300 });
+    await createBook(agent, { title: 'Эдем', author: 'Станислав Лем', genre: 'Фантастика', rating: 3.5 });
+    await createBook(agent, { title: 'Непобедимый', author: 'Станислав Лем', genre: 'Фантастика' });
+    await createBook(agent, { title: 'Десять негритят', author: 'Агата Кристи', genre: 'Детектив', rating: 4, isRead: true });
+    const lent = await createBook(agent, { title: 'Пуаро ведет следствие', author: 'Агата Кристи', genre: 'Детектив' });
+    const overdue = await createBook(agent, { title: 'Убийство в Восточном экспрессе', author: 'Агата Кристи', genre: 'Детектив' });
+    const trashed = await createBook(agent, { title: 'В корзине', author: 'Никто', genre: 'Другое', rating: 1, isRead: true });
+
+    await agent.post(`/api/books/${lent._id}/loan`).send({ borrower: 'Маша' }).expect(201);
+    await agent
+      .post(`/api/books/${overdue._id}/loan`)
+      .send({ borrower: 'Петя', loanedAt: '2024-01-01', dueAt: '2024-01-15' })
+      .expect(201);
+    await agent.delete(`/api/books/${trashed._id}`).expect(200);
+  });
+
+  after(() => testApp.close());
+
+  it('counts active books, reading status, rating and loans', async () => {
+    const res = await agent.get('/api/stats').expect(200);
+    assert.deepEqual(res.body, {
+      total: 6,
+      read: 2,
+      unread: 4,
+      averageRating: '4.2',
+      onLoan: 2,
+      overdue: 1
+    });
+  });
+
+  it('builds the dashboard', async () => {
+    const res = await agent.get('/api/stats/dashboard').query({ months: 3 }).expect(200);
+    const { body } = res;
+
+    assert.deepEqual(body.byGenre, [
+      { genre: 'Детектив', count: 3, read: 1 },
+      { genre: 'Фантастика', count: 3, read: 1 }
+    ]);
+    assert.deepEqual(body.ratingDistribution, [
+      { rating: 1, count: 0 },
+      { rating: 2, count: 0 },
+      { rating: 3, count: 1 },
+      { rating: 4, count: 1 },
+      { rating: 5, count: 1 }
+    ]);
+    assert.equal(body.unrated, 3);
+
+    assert.equal(body.addedPerMonth.length, 3);
+    assert.equal(body.addedPerMonth[2].month, new Date().toISOString().slice(0, 7));
+    assert.equal(body.addedPerMonth[2].count, 6);
+    assert.equal(body.addedPerMonth[0].count, 0);
+    // Дата окончания ставится только книгам с известным числом страниц
+    assert.equal(body.finishedPerMonth[2].count, 1);
+
+    assert.deepEqual(body.topAuthors, [
+      { author: 'Станислав Лем', count: 3, avgRating: 4.3 },
+      { author: 'Агата Кристи', count: 3, avgRating: 4 }
+    ]);
+    assert.deepEqual(body.avgRatingByGenre, [
+      { genre: 'Фантастика', avgRating: 4.3, rated: 2 },
+      { genre: 'Детектив', avgRating: 4, rated: 1 }
+    ]);
+  });
+
+  it('validates the months parameter', async () => {
+    await agent.get('/api/stats/dashboard').query({ months: 0 }).expect(400);
+    await agent.get('/api/stats/dashboard').query({ months: 61 }).expect(400);
+  });
+
+  it('returns zeros for an empty library', async () => {
+    const { agent: empty } = await registerUser(testApp.app, 'empty');
+    const res = await empty.get('/api/stats').expect(200);
+    assert.deepEqual(res.body, { total: 0, read: 0, unread: 0, averageRating: 0, onLoan: 0, overdue: 0 });
+  });
+});
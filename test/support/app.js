@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { MongoClient } = require('mongodb');
+const { loadConfig } = require('../../src/config');
+const { createContext, createIndexes } = require('../../src/database');
+const { runMigrations } = require('../../src/migrations');
+const { applyBookValidator } = require('../../src/schema');
+const { createApp } = require('../../src/app');
+const { createMemoryDb } = require('./memory-db');
+
+const PASSWORD = 'secret-password';
+
+/**
+ * Приложение на чистой базе. С MONGODB_TEST_URI тесты идут на настоящей
+ * MongoDB (своя база на каждый файл, удаляется в close), иначе - на базе в памяти.
+ * env - переменные окружения для loadConfig (process.env не читается)
+ */
+async function createTestApp(env = {}) {
+  const config = loadConfig(env);
+  let client = null;
+  let db;
+
+  if (process.env.MONGODB_TEST_URI) {
+    client = new MongoClient(process.env.MONGODB_TEST_URI);
+    await client.connect();
+    db = client.db(`bookLibrary_test_${crypto.randomBytes(4).toString('hex')}`);
+  } else {
+    db = createMemoryDb();
+  }
+
+  // Та же подготовка базы, что и при запуске сервера
+  const ctx = createContext(db, config);
+  await createIndexes(ctx);
+  await runMigrations(ctx);
+  await applyBookValidator(ctx);
+
+  return {
+    app: createApp(ctx),
+    ctx,
+    async close() {
+      await ctx.bookSync.stop();
+      if (client) {
+        await db.dropDatabase();
+        await client.close();
+      }
+    }
+  };
+}
+
+// Регистрирует пользователя и возвращает агента supertest с его сессией
+async function registerUser(app, username = 'reader') {
+  const agent = request.agent(app);
+  const res = await agent
+    .post('/api/auth/register')
+    .send({ username, password: PASSWORD })
+    .expect(201);
+  return { agent, user: res.body.user };
+}
+
+// Данные книги с обязательными полями
+function bookData(overrides = {}) {
+  return {
+    title: 'Мастер и Маргарита',
+    author: 'Михаил Булгаков',
+    genre: 'Классика',
+    ...overrides
+  };
+}
+
+async function createBook(agent, overrides = {}) {
+  const res = await agent.post('/api/books').send(bookData(overrides)).expect(201);
+  return res.body;
+}
+
+module.exports = { PASSWORD, createTestApp, registerUser, bookData, createBook };
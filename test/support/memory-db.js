@@ -0,0 +1,733 @@
+const { EventEmitter } = require('events');
+const { ObjectId, Binary } = require('mongodb');
+const { Query, Aggregator, update: applyModifier } = require('mingo');
+const { compare, resolve } = require('mingo/util');
+const { stem, splitWords } = require('../../src/text');
+
+/**
+ * Замена MongoDB для тестов: коллекции в памяти с тем подмножеством API
+ * драйвера, которое использует приложение (и GridFSBucket драйвера).
+ * Запросы, обновления и агрегации выполняет mingo, поверх него здесь:
+ *   - уникальные (в т.ч. частичные) индексы с ошибкой code 11000;
+ *   - $text по текстовому индексу и { $meta: 'textScore' } в sort/projection
+ *     (упрощенно: слова сравниваются по основе без типичных окончаний);
+ *   - копирование документов на входе и выходе, как при BSON-сериализации;
+ *   - валидатор коллекции ($jsonSchema - в объеме, нужном схемам приложения)
+ *     с ошибкой code 121, createCollection и команда collMod;
+ *   - bulkWrite с ошибками операций в writeErrors, как MongoBulkWriteError;
+ *   - watch(), который, как standalone-сервер, отвечает ошибкой 40573.
+ * TTL-индексы не срабатывают - время в тестах не идет.
+ */
+
+const QUERY_OPTIONS = { useStrictMode: false };
+
+class MemoryDbError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'MongoServerError';
+    this.code = code;
+  }
+}
+
+// Копия значения "как после BSON": undefined -> null, Date копируется,
+// Buffer становится Binary (как его возвращает драйвер), ObjectId/Binary остаются общими
+function cloneValue(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return new Binary(value);
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = cloneValue(item);
+    }
+    return copy;
+  }
+  return value;
+}
+
+// Строковый ключ значения для уникальных индексов и distinct
+function keyOf(value) {
+  if (value === undefined || value === null) return 'null';
+  if (value instanceof ObjectId) return `oid:${value.toHexString()}`;
+  if (value instanceof Date) return `date:${value.getTime()}`;
+  if (Array.isArray(value)) return `[${value.map(keyOf).join(',')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.entries(value).map(([key, item]) => `${key}:${keyOf(item)}`).join(',')}}`;
+  }
+  return `${typeof value}:${String(value)}`;
+}
+
+function hasOperators(update) {
+  return Object.keys(update).some(key => key.startsWith('$'));
+}
+
+// ===========================
+// TEXT SEARCH
+// ===========================
+
+function parseTextSearch(search) {
+  const phrases = [...search.matchAll(/"([^"]*)"/g)].map(match => match[1].toLowerCase()).filter(Boolean);
+  const words = search.replace(/"[^"]*"/g, ' ').split(/\s+/).filter(Boolean);
+
+  return {
+    phrases,
+    terms: words.filter(word => !word.startsWith('-')).flatMap(splitWords).map(stem),
+    excluded: words.filter(word => word.startsWith('-')).flatMap(word => splitWords(word.slice(1))).map(stem)
+  };
+}
+
+/**
+ * Убирает $text из фильтра (верхний уровень или $and) и возвращает его отдельно:
+ * MongoDB тоже не допускает $text глубже
+ */
+function extractText(filter) {
+  if (!filter || typeof filter !== 'object') return { filter: filter || {}, text: null };
+
+  let text = null;
+  const rest = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (key === '$text') {
+      text = value;
+    } else if (key === '$and') {
+      rest.$and = value.map(item => {
+        const extracted = extractText(item);
+        text = text || extracted.text;
+        return extracted.filter;
+      });
+    } else {
+      rest[key] = value;
+    }
+  }
+  return { filter: rest, text };
+}
+
+function isMetaScore(value) {
+  return value && typeof value === 'object' && value.$meta === 'textScore';
+}
+
+// ===========================
+// SCHEMA VALIDATION
+// ===========================
+
+const INT32_MAX = 2 ** 31 - 1;
+
+// Типы BSON, под которые подходит значение (целое в пределах int32 драйвер пишет как int)
+function bsonTypesOf(value) {
+  if (value === null || value === undefined) return ['null'];
+  if (typeof value === 'string') return ['string'];
+  if (typeof value === 'boolean') return ['bool'];
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && Math.abs(value) <= INT32_MAX ? ['int', 'number'] : ['double', 'number'];
+  }
+  if (value instanceof Date) return ['date'];
+  if (value instanceof ObjectId) return ['objectId'];
+  if (Buffer.isBuffer(value) || value._bsontype === 'Binary') return ['binData'];
+  if (value._bsontype === 'Long') return ['long', 'number'];
+  if (Array.isArray(value)) return ['array'];
+  return ['object'];
+}
+
+// Подмножество $jsonSchema: bsonType, enum, required, properties, additionalProperties,
+// items, min/maxItems, min/maxLength, pattern, minimum/maximum
+function matchesSchema(value, schema) {
+  const types = bsonTypesOf(value);
+  if (schema.bsonType && !types.some(type => [].concat(schema.bsonType).includes(type))) return false;
+  if (schema.enum && !schema.enum.some(item => keyOf(item) === keyOf(value))) return false;
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) return false;
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return false;
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) return false;
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return false;
+    if (schema.maximum !== undefined && value > schema.maximum) return false;
+  }
+  if (types[0] === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return false;
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return false;
+    if (schema.items && !value.every(item => matchesSchema(item, schema.items))) return false;
+  }
+  if (types[0] === 'object') {
+    const properties = schema.properties || {};
+    if ((schema.required || []).some(field => value[field] === undefined)) return false;
+    for (const [field, item] of Object.entries(value)) {
+      if (properties[field]) {
+        if (!matchesSchema(item, properties[field])) return false;
+      } else if (schema.additionalProperties === false) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+// ===========================
+// CURSOR
+// ===========================
+
+/**
+ * Курсор с ленивым выполнением: sort/skip/limit/project можно вызывать
+ * до первого чтения, как у драйвера
+ */
+class MemoryCursor {
+  constructor(load) {
+    this._load = load;
+    this._options = { sort: null, skip: 0, limit: 0, projection: null };
+    this._results = null;
+    this._position = 0;
+  }
+
+  sort(spec) { this._options.sort = spec; return this; }
+  skip(count) { this._options.skip = count; return this; }
+  limit(count) { this._options.limit = count; return this; }
+  project(projection) { this._options.projection = projection; return this; }
+  batchSize() { return this; }
+  withReadPreference() { return this; }
+
+  _ensureResults() {
+    if (!this._results) this._results = this._load(this._options);
+    return this._results;
+  }
+
+  async toArray() {
+    const results = this._ensureResults().slice(this._position);
+    this._position = this._results.length;
+    return results;
+  }
+
+  async next() {
+    const results = this._ensureResults();
+    return this._position < results.length ? results[this._position++] : null;
+  }
+
+  async hasNext() {
+    return this._position < this._ensureResults().length;
+  }
+
+  async close() {}
+
+  async *[Symbol.asyncIterator]() {
+    let doc;
+    while ((doc = await this.next()) !== null) {
+      yield doc;
+    }
+  }
+}
+
+// ===========================
+// COLLECTION
+// ===========================
+
+class MemoryCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.collectionName = name;
+    this.namespace = `${db.databaseName}.${name}`;
+    this._docs = [];
+    this._indexes = [{ v: 2, key: { _id: 1 }, name: '_id_' }];
+    this._options = {};
+  }
+
+  // Опции коллекции (validator, validationLevel, validationAction), как в listCollections
+  async options() {
+    return cloneValue(this._options);
+  }
+
+  _setOptions(options) {
+    ['validator', 'validationLevel', 'validationAction'].forEach(option => {
+      if (options[option] !== undefined) this._options[option] = cloneValue(options[option]);
+    });
+  }
+
+  _isValid(doc) {
+    const { $jsonSchema, ...rest } = this._options.validator;
+    if ($jsonSchema && !matchesSchema(doc, $jsonSchema)) return false;
+    return Object.keys(rest).length === 0 || new Query(rest, QUERY_OPTIONS).test(doc);
+  }
+
+  // moderate не проверяет обновления документов, которые уже были невалидны
+  _checkValidator(doc, previous = null) {
+    const { validator, validationLevel = 'strict', validationAction = 'error' } = this._options;
+    if (!validator || validationLevel === 'off' || validationAction !== 'error') return;
+    if (previous && validationLevel === 'moderate' && !this._isValid(previous)) return;
+    if (!this._isValid(doc)) {
+      throw new MemoryDbError('Document failed validation', 121);
+    }
+  }
+
+  // --- индексы ---
+
+  async createIndex(spec, options = {}) {
+    const name = options.name ||
+      Object.entries(spec).map(([field, type]) => `${field}_${type}`).join('_');
+    if (!this._indexes.some(index => index.name === name)) {
+      this._indexes.push({ v: 2, key: { ...spec }, name, ...options });
+    }
+    return name;
+  }
+
+  listIndexes() {
+    return new MemoryCursor(() => this._indexes.map(index => cloneValue(index)));
+  }
+
+  async indexes() {
+    return this.listIndexes().toArray();
+  }
+
+  async drop() {
+    this._docs = [];
+    this._indexes = this._indexes.slice(0, 1);
+    return true;
+  }
+
+  // Переименование (восстановление из архива): документы, индексы и опции переходят
+  // в объект коллекции newName. Как и в драйвере, объект коллекции - только имя:
+  // контекст приложения продолжает ссылаться на те же объекты и видит новые данные
+  async rename(newName, options = {}) {
+    if (!this.db._collections.has(this.collectionName)) {
+      throw new MemoryDbError(`source namespace does not exist: ${this.namespace}`, 26);
+    }
+    if (this.db._collections.has(newName) && !options.dropTarget) {
+      throw new MemoryDbError(`target namespace exists: ${this.db.databaseName}.${newName}`, 48);
+    }
+    const target = this.db.collection(newName);
+    target._docs = this._docs;
+    target._indexes = this._indexes;
+    target._options = this._options;
+    this._docs = [];
+    this._indexes = [{ v: 2, key: { _id: 1 }, name: '_id_' }];
+    this._options = {};
+    this.db._collections.delete(this.collectionName);
+    return target;
+  }
+
+  _checkUnique(doc, ignore = null) {
+    for (const index of this._indexes) {
+      if (!index.unique && index.name !== '_id_') continue;
+
+      // Частичный индекс не содержит документы, не подходящие под partialFilterExpression
+      const partial = index.partialFilterExpression
+        ? new Query(index.partialFilterExpression, QUERY_OPTIONS)
+        : null;
+      if (partial && !partial.test(doc)) continue;
+
+      const fields = Object.keys(index.key);
+      const indexKey = item => keyOf(fields.map(field => resolve(item, field)));
+      const key = indexKey(doc);
+      const duplicate = this._docs.find(other => other !== ignore &&
+        (!partial || partial.test(other)) &&
+        indexKey(other) === key);
+
+      if (duplicate) {
+        const error = new MemoryDbError(
+          `E11000 duplicate key error collection: ${this.namespace} index: ${index.name}`,
+          11000
+        );
+        error.keyPattern = { ...index.key };
+        throw error;
+      }
+    }
+  }
+
+  _textIndex() {
+    return this._indexes.find(index => Object.values(index.key).includes('text'));
+  }
+
+  /**
+   * Документы, подходящие под фильтр, вместе с оценкой релевантности $text
+   * (без $text оценка не считается): [{ doc, score }]
+   */
+  _match(filter) {
+    const extracted = extractText(filter);
+    const query = new Query(extracted.filter, QUERY_OPTIONS);
+    const matched = this._docs.filter(doc => query.test(doc)).map(doc => ({ doc, score: null }));
+    if (!extracted.text) return matched;
+
+    const index = this._textIndex();
+    if (!index) {
+      throw new MemoryDbError('text index required for $text query', 27);
+    }
+    const fields = Object.keys(index.key).filter(field => index.key[field] === 'text');
+    const weights = index.weights || {};
+    const { phrases, terms, excluded } = parseTextSearch(extracted.text.$search || '');
+
+    return matched.filter(item => {
+      const fieldWords = fields.map(field => splitWords(resolve(item.doc, field)).map(stem));
+      const allWords = new Set(fieldWords.flat());
+      const fullText = fields.map(field => String(resolve(item.doc, field) ?? '')).join(' ').toLowerCase();
+
+      if (excluded.some(term => allWords.has(term))) return false;
+      if (!phrases.every(phrase => fullText.includes(phrase))) return false;
+      if (terms.length > 0 && !terms.some(term => allWords.has(term))) return false;
+
+      item.score = fields.reduce((score, field, fieldIndex) => {
+        const hits = fieldWords[fieldIndex].filter(word => terms.includes(word)).length;
+        return score + hits * (weights[field] || 1);
+      }, 0);
+      return true;
+    });
+  }
+
+  _sortMatched(matched, spec) {
+    if (!spec) return matched;
+    const entries = Object.entries(spec);
+
+    return [...matched].sort((a, b) => {
+      for (const [field, direction] of entries) {
+        const result = isMetaScore(direction)
+          ? (b.score ?? 0) - (a.score ?? 0)
+          : compare(resolve(a.doc, field) ?? null, resolve(b.doc, field) ?? null) * direction;
+        if (result !== 0) return result;
+      }
+      return 0;
+    });
+  }
+
+  _project(item, projection) {
+    const doc = cloneValue(item.doc);
+    if (!projection) return doc;
+
+    const metaFields = Object.keys(projection).filter(field => isMetaScore(projection[field]));
+    const plain = { ...projection };
+    metaFields.forEach(field => delete plain[field]);
+
+    const projected = Object.keys(plain).length > 0
+      ? new Query({}, QUERY_OPTIONS).find([doc], plain).all()[0]
+      : doc;
+    metaFields.forEach(field => {
+      projected[field] = item.score ?? 0;
+    });
+    return projected;
+  }
+
+  _findDocs(filter, { sort, skip, limit, projection }) {
+    let matched = this._sortMatched(this._match(filter), sort);
+    if (skip) matched = matched.slice(skip);
+    if (limit) matched = matched.slice(0, limit);
+    return matched.map(item => this._project(item, projection));
+  }
+
+  // --- чтение ---
+
+  find(filter = {}, options = {}) {
+    const cursor = new MemoryCursor(cursorOptions => this._findDocs(filter, cursorOptions));
+    if (options.sort) cursor.sort(options.sort);
+    if (options.skip) cursor.skip(options.skip);
+    if (options.limit) cursor.limit(options.limit);
+    if (options.projection) cursor.project(options.projection);
+    return cursor;
+  }
+
+  async findOne(filter = {}, options = {}) {
+    return this.find(filter, options).limit(1).next();
+  }
+
+  async countDocuments(filter = {}) {
+    return this._match(filter).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this._docs.length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = new Map();
+    this._match(filter).forEach(({ doc }) => {
+      const value = resolve(doc, field);
+      (Array.isArray(value) ? value : [value]).forEach(item => {
+        if (item !== undefined && !values.has(keyOf(item))) {
+          values.set(keyOf(item), cloneValue(item));
+        }
+      });
+    });
+    return [...values.values()];
+  }
+
+  aggregate(pipeline = []) {
+    return new MemoryCursor(() => {
+      let stages = pipeline;
+      let docs = this._docs;
+
+      // $text допустим только в первом $match
+      if (stages[0]?.$match) {
+        docs = this._match(stages[0].$match).map(item => item.doc);
+        stages = stages.slice(1);
+      }
+
+      const aggregator = new Aggregator(stages, {
+        ...QUERY_OPTIONS,
+        collectionResolver: name => this.db.collection(name)._docs.map(cloneValue)
+      });
+      return aggregator.run(docs.map(cloneValue));
+    });
+  }
+
+  // Change streams есть только у replica set: поток сразу сообщает об ошибке, как у драйвера
+  watch() {
+    const stream = new EventEmitter();
+    let closed = false;
+    stream.close = async () => {
+      closed = true;
+    };
+    setImmediate(() => {
+      if (closed) return;
+      stream.emit('error', new MemoryDbError('The $changeStream stage is only supported on replica sets', 40573));
+    });
+    return stream;
+  }
+
+  // --- запись ---
+
+  _prepareInsert(doc) {
+    if (doc._id === undefined) doc._id = new ObjectId();
+    const stored = cloneValue(doc);
+    this._checkValidator(stored);
+    this._checkUnique(stored);
+    return stored;
+  }
+
+  async insertOne(doc) {
+    this._docs.push(this._prepareInsert(doc));
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs, options = {}) {
+    const ordered = options.ordered !== false;
+    const insertedIds = {};
+    let firstError = null;
+
+    docs.forEach((doc, index) => {
+      if (firstError && ordered) return;
+      try {
+        this._docs.push(this._prepareInsert(doc));
+        insertedIds[index] = doc._id;
+      } catch (error) {
+        firstError = firstError || error;
+      }
+    });
+
+    const result = { acknowledged: true, insertedCount: Object.keys(insertedIds).length, insertedIds };
+    if (firstError) {
+      firstError.result = result;
+      firstError.insertedCount = result.insertedCount;
+      throw firstError;
+    }
+    return result;
+  }
+
+  /**
+   * Применяет обновление к копии документа и проверяет уникальные индексы,
+   * прежде чем заменить сохраненный документ - как атомарная запись в MongoDB
+   */
+  _applyUpdate(doc, update, isInsert = false) {
+    let next;
+    if (hasOperators(update)) {
+      const { $setOnInsert, ...modifier } = update;
+      next = cloneValue(doc);
+      if (Object.keys(modifier).length > 0) {
+        applyModifier(next, cloneValue(modifier), [], undefined, { queryOptions: QUERY_OPTIONS });
+      }
+      if (isInsert && $setOnInsert) {
+        applyModifier(next, { $set: cloneValue($setOnInsert) }, [], undefined, { queryOptions: QUERY_OPTIONS });
+      }
+    } else {
+      next = { _id: doc._id, ...cloneValue(update) };
+    }
+    if (next._id === undefined) next._id = new ObjectId();
+
+    this._checkValidator(next, isInsert ? null : doc);
+    if (isInsert) {
+      this._checkUnique(next);
+      this._docs.push(next);
+    } else {
+      this._checkUnique(next, doc);
+      this._docs[this._docs.indexOf(doc)] = next;
+    }
+    return next;
+  }
+
+  // Документ для upsert: поля-равенства из фильтра
+  _upsertBase(filter) {
+    const base = {};
+    for (const [key, value] of Object.entries(filter)) {
+      if (key.startsWith('$') || key.includes('.')) continue;
+      if (value && typeof value === 'object' && !(value instanceof ObjectId) && !(value instanceof Date) &&
+        Object.keys(value).some(item => item.startsWith('$'))) continue;
+      base[key] = value;
+    }
+    return base;
+  }
+
+  async _updateMatching(filter, update, options, many) {
+    const targets = this._sortMatched(this._match(filter), options.sort).map(item => item.doc);
+    const selected = many ? targets : targets.slice(0, 1);
+
+    if (selected.length === 0 && options.upsert) {
+      const inserted = this._applyUpdate(this._upsertBase(filter), update, true);
+      return { matchedCount: 0, modifiedCount: 0, upsertedId: inserted._id, upsertedCount: 1, before: [null], after: [inserted] };
+    }
+
+    let modifiedCount = 0;
+    const before = [];
+    const after = [];
+    for (const doc of selected) {
+      const next = this._applyUpdate(doc, update);
+      if (keyOf(next) !== keyOf(doc)) modifiedCount++;
+      before.push(doc);
+      after.push(next);
+    }
+    return { matchedCount: selected.length, modifiedCount, upsertedId: null, upsertedCount: 0, before, after };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const { matchedCount, modifiedCount, upsertedId, upsertedCount } =
+      await this._updateMatching(filter, update, options, false);
+    return { acknowledged: true, matchedCount, modifiedCount, upsertedId, upsertedCount };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const { matchedCount, modifiedCount, upsertedId, upsertedCount } =
+      await this._updateMatching(filter, update, options, true);
+    return { acknowledged: true, matchedCount, modifiedCount, upsertedId, upsertedCount };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateOne(filter, replacement, options);
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const result = await this._updateMatching(filter, update, options, false);
+    const doc = options.returnDocument === 'after' ? result.after[0] : result.before[0];
+    return doc ? this._project({ doc, score: null }, options.projection) : null;
+  }
+
+  async findOneAndReplace(filter, replacement, options = {}) {
+    return this.findOneAndUpdate(filter, replacement, options);
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [item] = this._sortMatched(this._match(filter), options.sort);
+    if (!item) return null;
+    this._docs.splice(this._docs.indexOf(item.doc), 1);
+    return this._project(item, options.projection);
+  }
+
+  async deleteOne(filter = {}) {
+    const [item] = this._match(filter);
+    if (item) this._docs.splice(this._docs.indexOf(item.doc), 1);
+    return { acknowledged: true, deletedCount: item ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}) {
+    const matched = new Set(this._match(filter).map(item => item.doc));
+    this._docs = this._docs.filter(doc => !matched.has(doc));
+    return { acknowledged: true, deletedCount: matched.size };
+  }
+
+  /**
+   * Операции выполняются по очереди. Ошибки отдельных операций собираются
+   * в writeErrors ({ index, code, errmsg }) и бросаются одной ошибкой
+   * после всех операций (ordered: false) или на первой же (ordered: true)
+   */
+  async bulkWrite(operations, options = {}) {
+    const ordered = options.ordered !== false;
+    const result = {
+      insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0,
+      insertedIds: {}, upsertedIds: {}
+    };
+    const writeErrors = [];
+
+    for (const [index, operation] of operations.entries()) {
+      const [type, args] = Object.entries(operation)[0];
+      try {
+        if (type === 'insertOne') {
+          await this.insertOne(args.document);
+          result.insertedCount++;
+          result.insertedIds[index] = args.document._id;
+        } else if (type === 'deleteOne' || type === 'deleteMany') {
+          const { deletedCount } = await this[type](args.filter);
+          result.deletedCount += deletedCount;
+        } else if (['updateOne', 'updateMany', 'replaceOne'].includes(type)) {
+          const update = type === 'replaceOne' ? args.replacement : args.update;
+          const written = await this[type](args.filter, update, { upsert: args.upsert });
+          result.matchedCount += written.matchedCount;
+          result.modifiedCount += written.modifiedCount;
+          if (written.upsertedId) {
+            result.upsertedCount++;
+            result.upsertedIds[index] = written.upsertedId;
+          }
+        } else {
+          throw new MemoryDbError(`Unknown bulk operation ${type}`, 9);
+        }
+      } catch (error) {
+        writeErrors.push({ index, code: error.code, errmsg: error.message });
+        if (ordered) break;
+      }
+    }
+
+    if (writeErrors.length > 0) {
+      const error = new MemoryDbError(writeErrors[0].errmsg, writeErrors[0].code);
+      error.name = 'MongoBulkWriteError';
+      error.writeErrors = writeErrors;
+      error.result = result;
+      throw error;
+    }
+    return result;
+  }
+}
+
+// ===========================
+// DATABASE
+// ===========================
+
+class MemoryDb {
+  constructor(databaseName = 'test') {
+    this.databaseName = databaseName;
+    this._collections = new Map();
+    this._handles = new Map();
+  }
+
+  // Обращение к коллекции создает ее, как первая запись в MongoDB; объект для имени
+  // один и тот же и после переименования коллекции
+  collection(name) {
+    if (!this._handles.has(name)) {
+      this._handles.set(name, new MemoryCollection(this, name));
+    }
+    const collection = this._handles.get(name);
+    this._collections.set(name, collection);
+    return collection;
+  }
+
+  // Существующая коллекция (в т.ч. созданная неявно) получает переданные опции
+  async createCollection(name, options = {}) {
+    const collection = this.collection(name);
+    collection._setOptions(options);
+    return collection;
+  }
+
+  // Из команд поддерживается только collMod
+  async command(command) {
+    if (command.collMod === undefined) {
+      throw new MemoryDbError(`no such command: '${Object.keys(command)[0]}'`, 59);
+    }
+    if (!this._collections.has(command.collMod)) {
+      throw new MemoryDbError(`ns does not exist: ${this.databaseName}.${command.collMod}`, 26);
+    }
+    this._collections.get(command.collMod)._setOptions(command);
+    return { ok: 1 };
+  }
+
+  async dropDatabase() {
+    this._collections.clear();
+    this._handles.clear();
+    return true;
+  }
+}
+
+function createMemoryDb(databaseName) {
+  return new MemoryDb(databaseName);
+}
+
+module.exports = { createMemoryDb, MemoryDb, MemoryCollection, MemoryDbError };
@@ -0,0 +1,235 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { EventEmitter } = require('node:events');
+const request = require('supertest');
+const { createTestApp, registerUser, createBook, PASSWORD } = require('./support/app');
+
+const WAIT_MS = 2000;
+
+async function waitUntil(check) {
+  const deadline = Date.now() + WAIT_MS;
+  while (Date.now() < deadline) {
+    const result = check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Событие не пришло');
+}
+
+// Вторая сессия пользователя - для EventSource, который supertest не умеет читать потоком
+async function sessionCookie(app, username) {
+  const res = await request(app).post('/api/auth/login').send({ username, password: PASSWORD }).expect(200);
+  return res.headers['set-cookie'][0].split(';')[0];
+}
+
+function parseEvent(block) {
+  const event = {};
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event: ')) event.type = line.slice(7);
+    if (line.startsWith('data: ')) event.data = JSON.parse(line.slice(6));
+  });
+  return event;
+}
+
+function openEventStream(server, cookie) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const req = http.get({
+      port: server.address().port,
+      path: '/api/events',
+      headers: { Cookie: cookie }
+    }, res => {
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const event = parseEvent(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+          if (event.type) events.push(event);
+        }
+      });
+      resolve({
+        res,
+        events,
+        // Первое еще не разобранное событие, подходящее под условие
+        next(predicate) {
+          return waitUntil(() => {
+            const index = events.findIndex(predicate);
+            return index === -1 ? null : events.splice(index, 1)[0];
+          });
+        },
+        close() {
+          req.destroy();
+        }
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('real-time sync', () => {
+  let testApp;
+  let server;
+  let agent;
+  let stream;
+
+  before(async () => {
+    testApp = await createTestApp({ SYNC_POLL_MS: '20' });
+    await testApp.ctx.bookSync.start();
+    server = testApp.app.listen(0);
+    ({ agent } = await registerUser(testApp.app));
+    stream = await openEventStream(server, await sessionCookie(testApp.app, 'reader'));
+  });
+
+  after(async () => {
+    stream.close();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await testApp.close();
+  });
+
+  it('falls back to polling when change streams are unavailable', () => {
+    // start() завершается, только когда источник изменений определен
+    assert.equal(testApp.ctx.bookSync.mode, 'polling');
+  });
+
+  it('opens an event stream for the signed-in user', async () => {
+    assert.equal(stream.res.statusCode, 200);
+    assert.match(stream.res.headers['content-type'], /^text\/event-stream/);
+    await stream.next(event => event.type === 'ready');
+
+    await request(testApp.app).get('/api/events').expect(401);
+  });
+
+  it('pushes created, updated and trashed books', async () => {
+    const book = await createBook(agent, { title: 'Жизнь господина де Мольера' });
+    const created = await stream.next(event => event.data.book?._id === book._id);
+    assert.equal(created.type, 'book');
+    assert.equal(created.data.action, 'upsert');
+    assert.equal(created.data.book.title, 'Жизнь господина де Мольера');
+
+    await agent.put(`/api/books/${book._id}`).send({ rating: 5 }).expect(200);
+    const updated = await stream.next(event => event.data.book?._id === book._id);
+    assert.equal(updated.data.book.rating, 5);
+
+    await agent.delete(`/api/books/${book._id}`).expect(200);
+    const trashed = await stream.next(event => event.data.bookId === book._id);
+    assert.equal(trashed.data.action, 'delete');
+
+    await agent.post(`/api/trash/${book._id}/restore`).expect(200);
+    const restored = await stream.next(event => event.data.book?._id === book._id);
+    assert.equal(restored.data.action, 'upsert');
+  });
+
+  it('does not send other users\' books', async () => {
+    const { agent: other } = await registerUser(testApp.app, 'neighbour');
+    const foreign = await createBook(other, { title: 'Чужая книга' });
+    const own = await createBook(agent, { title: 'Своя книга' });
+
+    await stream.next(event => event.data.book?._id === own._id);
+    assert.ok(!stream.events.some(event => event.data.book?._id === foreign._id));
+  });
+});
+
+describe('real-time sync with SYNC_MODE=poll', () => {
+  let testApp;
+
+  before(async () => {
+    testApp = await createTestApp({ SYNC_MODE: 'poll', SYNC_POLL_MS: '20' });
+  });
+
+  after(() => testApp.close());
+
+  it('polls without trying change streams and skips changes made before start', async () => {
+    const { agent, user } = await registerUser(testApp.app);
+    const before = await createBook(agent, { title: 'Записки покойника' });
+
+    const events = [];
+    testApp.ctx.bookSync.subscribe(user._id, event => events.push(event));
+    await testApp.ctx.bookSync.start();
+    assert.equal(testApp.ctx.bookSync.mode, 'polling');
+
+    const book = await createBook(agent, { title: 'Адам и Ева' });
+    await waitUntil(() => events.some(event => event.book?._id.toString() === book._id));
+    assert.ok(!events.some(event => event.book?._id.toString() === before._id));
+  });
+});
+
+// Поток как у драйвера на replica set: открывается после ответа сервера
+function fakeChangeStreams(collection) {
+  const streams = [];
+  collection.watch = () => {
+    const stream = new EventEmitter();
+    stream.close = async () => stream.emit('close');
+    streams.push(stream);
+    return stream;
+  };
+  return streams;
+}
+
+describe('real-time sync with change streams', () => {
+  let testApp;
+  let streams;
+
+  before(async () => {
+    testApp = await createTestApp({ SYNC_POLL_MS: '20' });
+    streams = fakeChangeStreams(testApp.ctx.booksCollection);
+  });
+
+  after(() => testApp.close());
+
+  it('reports the change stream mode only once the stream is open', async () => {
+    const { bookSync } = testApp.ctx;
+    const started = bookSync.start();
+    assert.equal(bookSync.mode, 'pending');
+
+    streams[0].emit('resumeTokenChanged', { _data: '01' });
+    await started;
+    assert.equal(bookSync.mode, 'changeStream');
+  });
+
+  it('publishes changes from the stream', async () => {
+    const { agent, user } = await registerUser(testApp.app);
+    const book = await createBook(agent, { title: 'Морфий' });
+    const events = [];
+    testApp.ctx.bookSync.subscribe(user._id, event => events.push(event));
+
+    const stored = await testApp.ctx.booksCollection.findOne({ title: 'Морфий' });
+    streams.at(-1).emit('change', { fullDocument: stored });
+    assert.equal(events[0].action, 'upsert');
+    assert.equal(events[0].book._id.toString(), book._id);
+  });
+
+  it('keeps the mode while a closed stream reopens and falls back if it fails', async () => {
+    const { bookSync } = testApp.ctx;
+
+    streams.at(-1).emit('close');
+    assert.equal(streams.length, 2, 'после invalidate открывается новый поток');
+    assert.equal(bookSync.mode, 'changeStream');
+    streams[1].emit('resumeTokenChanged', { _data: '02' });
+    assert.equal(bookSync.mode, 'changeStream');
+
+    streams[1].emit('close');
+    streams[2].emit('error', new Error('нет change streams'));
+    await waitUntil(() => bookSync.mode === 'polling');
+  });
+});
+
+describe('real-time sync when the change stream never opens', () => {
+  let testApp;
+
+  before(async () => {
+    testApp = await createTestApp({ SYNC_POLL_MS: '20', SYNC_OPEN_TIMEOUT_MS: '50' });
+    fakeChangeStreams(testApp.ctx.booksCollection);
+  });
+
+  after(() => testApp.close());
+
+  it('falls back to polling after the open timeout', async () => {
+    await testApp.ctx.bookSync.start();
+    assert.equal(testApp.ctx.bookSync.mode, 'polling');
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { cleanupPurgedBooks } = require('../src/database');
+const { createTestApp, registerUser, createBook } = require('./support/app');
+
+describe('trash', () => {
+  let testApp;
+  let agent;
+
+  before(async () => {
+    testApp = await createTestApp({ TRASH_RETENTION_DAYS: '7' });
+    ({ agent } = await registerUser(testApp.app));
+  });
+
+  after(() => testApp.close());
+
+  it('lists deleted books with the retention period', async () => {
+    const book = await createBook(agent, { title: 'Роковые яйца' });
+    const deleted = await agent.delete(`/api/books/${book._id}`).expect(200);
+
+    const purgeIn = new Date(deleted.body.book.purgeAt) - new Date(deleted.body.book.deletedAt);
+    assert.equal(purgeIn, 7 * 24 * 60 * 60 * 1000);
+
+    const res = await agent.get('/api/trash').expect(200);
+    assert.equal(res.body.retentionDays, 7);
+    assert.deepEqual(res.body.books.map(item => item.title), ['Роковые яйца']);
+  });
+
+  it('restores a book', async () => {
+    const book = await createBook(agent, { title: 'Собачье сердце' });
+    await agent.delete(`/api/books/${book._id}`).expect(200);
+
+    const res = await agent.post(`/api/trash/${book._id}/restore`).expect(200);
+    assert.equal(res.body.book.deletedAt, undefined);
+    await agent.get(`/api/books/${book._id}`).expect(200);
+    await agent.post(`/api/trash/${book._id}/restore`).expect(404);
+  });
+
+  it('changes the version when a book is deleted and restored', async () => {
+    const book = await createBook(agent, { title: 'Дьяволиада' });
+    const etag = (await agent.get(`/api/books/${book._id}`).expect(200)).headers.etag;
+
+    const deleted = await agent.delete(`/api/books/${book._id}`).expect(200);
+    const restored = await agent.post(`/api/trash/${book._id}/restore`).expect(200);
+    assert.equal(deleted.body.book.version, book.version + 1);
+    assert.equal(restored.body.book.version, book.version + 2);
+
+    // Клиент, открывший книгу до удаления, не должен перезаписать ее по старому ETag
+    const stale = await agent.put(`/api/books/${book._id}`).set('If-Match', etag).send({ notes: 'x' }).expect(409);
+    assert.equal(stale.body.code, 'VERSION_CONFLICT');
+  });
+
+  it('purges a book together with its shelf entries and loans', async () => {
+    const book = await createBook(agent, { title: 'Похождения Чичикова' });
+    const shelf = await agent.post('/api/shelves').send({ name: 'Рассказы' }).expect(201);
+    await agent.post(`/api/shelves/${shelf.body._id}/books`).send({ bookId: book._id }).expect(201);
+    await agent.post(`/api/books/${book._id}/loan`).send({ borrower: 'Маша' }).expect(201);
+    await agent.delete(`/api/books/${book._id}`).expect(200);
+
+    await agent.delete(`/api/trash/${book._id}`).expect(200);
+    await agent.delete(`/api/trash/${book._id}`).expect(404);
+
+    const stored = await testApp.ctx.shelvesCollection.findOne({ name: 'Рассказы' });
+    assert.deepEqual(stored.bookIds, []);
+    assert.equal(await testApp.ctx.loansCollection.countDocuments({}), 0);
+  });
+
+  it('does not purge active books', async () => {
+    const book = await createBook(agent, { title: 'Ханский огонь' });
+    await agent.delete(`/api/trash/${book._id}`).expect(404);
+    await agent.get(`/api/books/${book._id}`).expect(200);
+  });
+
+  it('empties the trash', async () => {
+    const first = await createBook(agent, { title: 'Первая' });
+    const second = await createBook(agent, { title: 'Вторая' });
+    await agent.delete(`/api/books/${first._id}`).expect(200);
+    await agent.delete(`/api/books/${second._id}`).expect(200);
+
+    const res = await agent.delete('/api/trash').expect(200);
+    assert.equal(res.body.deletedCount, 3);
+
+    const trash = await agent.get('/api/trash').expect(200);
+    assert.deepEqual(trash.body.books, []);
+  });
+
+  it('cleans up shelf entries and loans of books removed by the TTL index', async () => {
+    const purged = await createBook(agent, { title: 'Багровый остров' });
+    const kept = await createBook(agent, { title: 'Морфий' });
+    const shelf = await agent.post('/api/shelves').send({ name: 'Записки' }).expect(201);
+    for (const book of [purged, kept]) {
+      await agent.post(`/api/shelves/${shelf.body._id}/books`).send({ bookId: book._id }).expect(201);
+      await agent.post(`/api/books/${book._id}/loan`).send({ borrower: 'Маша' }).expect(201);
+    }
+    await agent.delete(`/api/books/${purged._id}`).expect(200);
+
+    // Так книгу удаляет сама MongoDB, когда наступает purgeAt
+    const { ctx } = testApp;
+    await ctx.booksCollection.deleteOne({ _id: new ObjectId(purged._id) });
+    await cleanupPurgedBooks(ctx);
+
+    const stored = await ctx.shelvesCollection.findOne({ _id: new ObjectId(shelf.body._id) });
+    assert.deepEqual(stored.bookIds.map(String), [kept._id]);
+    const loans = await ctx.loansCollection.find({}).toArray();
+    assert.deepEqual(loans.map(loan => loan.bookId.toString()), [kept._id]);
+  });
+
+  it('returns 400 for invalid ids', async () => {
+    await agent.post('/api/trash/not-an-id/restore').expect(400);
+    await agent.delete('/api/trash/not-an-id').expect(400);
+  });
+});